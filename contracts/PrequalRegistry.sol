@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title PrequalRegistry
+ * @notice Anchors hashes of borrower pre-qualification letters so a listing
+ * agent can check that a letter was issued by a licensed loan officer and has
+ * not been altered, expired or withdrawn.
+ *
+ * Only the hash goes on-chain; the letter itself stays off-chain. Letter ids
+ * are the keccak256 of the human-readable id printed on the letter.
+ */
+contract PrequalRegistry is AccessControl {
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+
+    struct Letter {
+        bytes32 letterHash;
+        address issuer;
+        uint64 issuedAt;
+        uint64 expiresAt;
+        bool revoked;
+    }
+
+    mapping(bytes32 => Letter) private letters;
+    uint256 public letterCount;
+
+    event LetterAnchored(bytes32 indexed letterId, bytes32 letterHash, address indexed issuer, uint64 expiresAt);
+    event LetterRevoked(bytes32 indexed letterId, address indexed issuer);
+
+    error InvalidLetterHash();
+    error InvalidExpiry();
+    error LetterAlreadyAnchored();
+    error LetterNotFound();
+    error NotLetterIssuer();
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ISSUER_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Record a letter's hash. Each letter id can be anchored once.
+     */
+    function anchorLetter(bytes32 letterId, bytes32 letterHash, uint64 expiresAt) external onlyRole(ISSUER_ROLE) {
+        if (letterHash == bytes32(0)) revert InvalidLetterHash();
+        if (expiresAt <= block.timestamp) revert InvalidExpiry();
+        if (letters[letterId].issuer != address(0)) revert LetterAlreadyAnchored();
+
+        letters[letterId] = Letter({
+            letterHash: letterHash,
+            issuer: msg.sender,
+            issuedAt: uint64(block.timestamp),
+            expiresAt: expiresAt,
+            revoked: false
+        });
+        letterCount++;
+
+        emit LetterAnchored(letterId, letterHash, msg.sender, expiresAt);
+    }
+
+    /**
+     * @notice Withdraw a letter, e.g. when the borrower's situation changes.
+     * Only the issuing officer or an admin can revoke.
+     */
+    function revokeLetter(bytes32 letterId) external {
+        Letter storage letter = letters[letterId];
+        if (letter.issuer == address(0)) revert LetterNotFound();
+        if (letter.issuer != msg.sender && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert NotLetterIssuer();
+
+        letter.revoked = true;
+        emit LetterRevoked(letterId, letter.issuer);
+    }
+
+    function getLetter(bytes32 letterId) external view returns (Letter memory) {
+        return letters[letterId];
+    }
+
+    /**
+     * @notice True when the letter was anchored with this hash, is not revoked
+     * and has not expired, and its issuer still holds the issuer role.
+     */
+    function verifyLetter(bytes32 letterId, bytes32 letterHash) external view returns (bool) {
+        Letter memory letter = letters[letterId];
+        return letter.issuer != address(0)
+            && letter.letterHash == letterHash
+            && !letter.revoked
+            && block.timestamp < letter.expiresAt
+            && hasRole(ISSUER_ROLE, letter.issuer);
+    }
+}
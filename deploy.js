@@ -207,11 +207,11 @@ async function main() {
         // Create env template for frontend
         console.log("💡 Environment variables for frontend (.env.local):");
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        console.log(`NEXT_PUBLIC_PROPERTY_TOKEN_ADDRESS=${propertyTokenAddress}`);
-        console.log(`NEXT_PUBLIC_MARKETPLACE_ADDRESS=${marketplaceAddress}`);
-        console.log(`NEXT_PUBLIC_REVENUE_DISTRIBUTION_ADDRESS=${revenueDistributionAddress}`);
-        console.log(`NEXT_PUBLIC_PROPERTY_ORACLE_ADDRESS=${propertyOracleAddress}`);
-        console.log(`NEXT_PUBLIC_NETWORK_NAME=${network.name}`);
+        console.log(`REACT_APP_PROPERTY_TOKEN_ADDRESS=${propertyTokenAddress}`);
+        console.log(`REACT_APP_MARKETPLACE_ADDRESS=${marketplaceAddress}`);
+        console.log(`REACT_APP_REVENUE_DISTRIBUTION_ADDRESS=${revenueDistributionAddress}`);
+        console.log(`REACT_APP_PROPERTY_ORACLE_ADDRESS=${propertyOracleAddress}`);
+        console.log(`REACT_APP_NETWORK=${network.name}`);
         console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
 
     } catch (error) {
@@ -9,6 +9,8 @@ async function main() {
   const propertyToken = await PropertyToken.deploy();
   await propertyToken.deployed();
   console.log("PropertyToken deployed:", propertyToken.address);
+  // Event scans in the frontend start here instead of at genesis
+  const { blockNumber: deploymentBlock } = await propertyToken.deployTransaction.wait();
 
   const PropertyMarketplace = await hre.ethers.getContractFactory("PropertyMarketplace");
   const propertyMarketplace = await PropertyMarketplace.deploy(propertyToken.address);
@@ -20,15 +22,41 @@ async function main() {
   await revenueDistribution.deployed();
   console.log("RevenueDistribution deployed:", revenueDistribution.address);
 
+  const PropertyOracle = await hre.ethers.getContractFactory("PropertyOracle");
+  const propertyOracle = await PropertyOracle.deploy();
+  await propertyOracle.deployed();
+  console.log("PropertyOracle deployed:", propertyOracle.address);
+
+  const Governance = await hre.ethers.getContractFactory("Governance");
+  const governance = await Governance.deploy(propertyToken.address);
+  await governance.deployed();
+  console.log("Governance deployed:", governance.address);
+
+  const PrequalRegistry = await hre.ethers.getContractFactory("PrequalRegistry");
+  const prequalRegistry = await PrequalRegistry.deploy();
+  await prequalRegistry.deployed();
+  console.log("PrequalRegistry deployed:", prequalRegistry.address);
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
   const deployments = {
     network: hre.network.name,
+    chainId: Number(chainId),
+    deploymentBlock,
     PropertyToken: { address: propertyToken.address },
     PropertyMarketplace: { address: propertyMarketplace.address },
     RevenueDistribution: { address: revenueDistribution.address },
+    PropertyOracle: { address: propertyOracle.address },
+    Governance: { address: governance.address },
+    PrequalRegistry: { address: prequalRegistry.address },
   };
 
+  const json = JSON.stringify(deployments, null, 2);
   fs.mkdirSync("./deployments", { recursive: true });
-  fs.writeFileSync(`./deployments/${hre.network.name}.json`, JSON.stringify(deployments, null, 2));
+  fs.writeFileSync(`./deployments/${hre.network.name}.json`, json);
+
+  // The frontend loads /deployments/<network>.json to find the contracts and the chain to ask for
+  fs.mkdirSync("./public/deployments", { recursive: true });
+  fs.writeFileSync(`./public/deployments/${hre.network.name}.json`, json);
 }
 
 main().catch((error) => {
@@ -0,0 +1,110 @@
+// scripts/fetch-map-tiles.js
+// Pre-downloads map tiles for a bounding box so the search map can run offline
+// (REACT_APP_MAP_TILES=offline). Run it on a connected machine, then ship the
+// output directory with the build.
+//
+// Usage:
+//   node scripts/fetch-map-tiles.js --bbox 39.85,-75.35,40.10,-74.90 --zoom 9-15 --out public/tiles
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+
+const DEFAULTS = {
+  bbox: "39.85,-75.35,40.10,-74.90", // south,west,north,east - greater Philadelphia
+  zoom: "9-15",
+  out: "public/tiles",
+  url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+  delay: "100", // ms between requests, be polite to public tile servers
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option --${key}`);
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+function lngToTileX(lng, zoom) {
+  return Math.floor(((lng + 180) / 360) * 2 ** zoom);
+}
+
+function latToTileY(lat, zoom) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+}
+
+function download(url, file) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, { headers: { "User-Agent": "mak-platform-tile-prefetch/1.0" } }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+          return;
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const stream = fs.createWriteStream(file);
+        res.pipe(stream);
+        stream.on("finish", () => stream.close(resolve));
+        stream.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [south, west, north, east] = args.bbox.split(",").map(Number);
+  const [minZoom, maxZoom] = args.zoom.split("-").map(Number);
+  const outDir = path.resolve(args.out);
+
+  console.log("🗺️  MAK Platform - Offline Tile Prefetch");
+  console.log(`   Bounding box: ${args.bbox}`);
+  console.log(`   Zoom levels:  ${minZoom}-${maxZoom || minZoom}`);
+  console.log(`   Output:       ${outDir}\n`);
+
+  let fetched = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (let z = minZoom; z <= (maxZoom || minZoom); z++) {
+    const xMin = lngToTileX(west, z);
+    const xMax = lngToTileX(east, z);
+    const yMin = latToTileY(north, z);
+    const yMax = latToTileY(south, z);
+
+    for (let x = xMin; x <= xMax; x++) {
+      for (let y = yMin; y <= yMax; y++) {
+        const file = path.join(outDir, String(z), String(x), `${y}.png`);
+        if (fs.existsSync(file)) {
+          skipped++;
+          continue;
+        }
+        const url = args.url.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+        try {
+          await download(url, file);
+          fetched++;
+        } catch (error) {
+          failed++;
+          console.warn(`⚠️  ${error.message}`);
+        }
+        await sleep(Number(args.delay));
+      }
+    }
+    console.log(`✅ Zoom ${z} done`);
+  }
+
+  console.log(`\n📦 ${fetched} downloaded, ${skipped} already present, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
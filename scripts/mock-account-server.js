@@ -0,0 +1,196 @@
+// scripts/mock-account-server.js
+// Local stand-in for the account service that keeps saved mortgage
+// calculations, short calculator links and the agency's insurance applications,
+// implementing the routes the account calculation store
+// (src/lib/mortgage/calculationStore.js) and application store
+// (src/lib/insurance/applicationStore.js) call. Point the frontend at it with
+// REACT_APP_CALCULATION_STORE=account and REACT_APP_APPLICATION_STORE=account.
+//
+// Usage:
+//   node scripts/mock-account-server.js --port 8789 --data .mock-accounts.json
+//
+// Routes:
+//   GET    /users/:userId/calculations                 -> { calculations } newest first
+//   POST   /users/:userId/calculations                 { id, name, version, state, createdAt } -> calculation
+//   DELETE /users/:userId/calculations/:calculationId  -> 204
+//   POST   /links                                      { encoded } -> { id }
+//   GET    /links/:id                                  -> { encoded }
+//   GET    /applications                               -> { applications } newest first
+//   POST   /applications                               { id, applicant, ... } -> application
+//   PATCH  /applications/:applicationId                { ...changes } -> application
+//   DELETE /applications/:applicationId                -> 204
+//
+// There is no sign-in here: the user id in the path is trusted and anyone can
+// read the application pipeline. The real service checks the user id against
+// the session carried by the request's cookies and limits applications to
+// agency staff.
+
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const DEFAULTS = {
+  port: process.env.MOCK_ACCOUNT_PORT || "8789",
+  origin: process.env.MOCK_ACCOUNT_ORIGIN || "http://localhost:3000", // the frontend, allowed to send credentials
+  data: "", // JSON file to keep accounts in across restarts; in memory when empty
+};
+
+const LINK_ID_LENGTH = 8;
+const LINK_ID_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const MAX_BODY_BYTES = 256 * 1024;
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option --${key}`);
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+function loadData(file) {
+  if (!file || !fs.existsSync(file)) return { calculations: {}, links: {}, applications: [] };
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { calculations: data.calculations || {}, links: data.links || {}, applications: data.applications || [] };
+}
+
+function randomLinkId() {
+  const bytes = crypto.randomBytes(LINK_ID_LENGTH);
+  return Array.from(bytes, (byte) => LINK_ID_ALPHABET[byte % LINK_ID_ALPHABET.length]).join("");
+}
+
+function send(res, status, body, { origin }) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Allow-Headers": "Accept, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+    Vary: "Origin",
+  });
+  res.end(status === 204 ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) reject(new Error("Request body too large"));
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function route(req, res, { data, save, reply }) {
+  const url = new URL(req.url, "http://localhost");
+  const [root, id, resource, calculationId] = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+
+  if (root === "users" && id && resource === "calculations") {
+    const calculations = data.calculations[id] || [];
+
+    if (req.method === "GET" && !calculationId) return reply(200, { calculations });
+
+    if (req.method === "POST" && !calculationId) {
+      const calculation = await readBody(req);
+      if (!calculation.id || !calculation.name || !calculation.state) {
+        return reply(422, { error: "A calculation needs an id, name and state" });
+      }
+      data.calculations[id] = [calculation, ...calculations.filter((existing) => existing.id !== calculation.id)];
+      save();
+      return reply(200, calculation);
+    }
+
+    if (req.method === "DELETE" && calculationId) {
+      data.calculations[id] = calculations.filter((calculation) => calculation.id !== calculationId);
+      save();
+      return reply(204);
+    }
+  }
+
+  if (root === "links" && req.method === "POST" && !id) {
+    const { encoded } = await readBody(req);
+    if (typeof encoded !== "string" || !encoded) return reply(422, { error: "encoded is required" });
+    // The same calculation always shares as the same link
+    const existing = Object.keys(data.links).find((linkId) => data.links[linkId] === encoded);
+    if (existing) return reply(200, { id: existing });
+    let linkId = randomLinkId();
+    while (data.links[linkId]) linkId = randomLinkId();
+    data.links[linkId] = encoded;
+    save();
+    return reply(200, { id: linkId });
+  }
+
+  if (root === "links" && req.method === "GET" && id) {
+    const encoded = data.links[id];
+    return encoded ? reply(200, { encoded }) : reply(404, { error: "Unknown link" });
+  }
+
+  if (root === "applications" && !resource) {
+    if (req.method === "GET" && !id) return reply(200, { applications: data.applications });
+
+    if (req.method === "POST" && !id) {
+      const application = await readBody(req);
+      if (!application.id || !application.applicant) {
+        return reply(422, { error: "An application needs an id and applicant" });
+      }
+      data.applications = [application, ...data.applications.filter((existing) => existing.id !== application.id)];
+      save();
+      return reply(200, application);
+    }
+
+    const index = data.applications.findIndex((application) => application.id === id);
+
+    if (req.method === "PATCH" && id) {
+      if (index === -1) return reply(404, { error: "Unknown application" });
+      const changes = await readBody(req);
+      // The id is fixed once submitted
+      data.applications[index] = { ...data.applications[index], ...changes, id };
+      save();
+      return reply(200, data.applications[index]);
+    }
+
+    if (req.method === "DELETE" && id) {
+      if (index !== -1) data.applications.splice(index, 1);
+      save();
+      return reply(204);
+    }
+  }
+
+  return reply(404, { error: "Not found" });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const data = loadData(args.data);
+  const save = () => {
+    if (args.data) fs.writeFileSync(args.data, JSON.stringify(data, null, 2));
+  };
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, body) => send(res, status, body, args);
+    if (req.method === "OPTIONS") return reply(204);
+    route(req, res, { data, save, reply }).catch((error) => reply(400, { error: error.message }));
+  });
+
+  server.listen(Number(args.port), () => {
+    console.log(`Mock account server listening on http://localhost:${server.address().port}`);
+    console.log(`Accepting credentialed requests from ${args.origin}`);
+    console.log(args.data ? `Keeping accounts in ${args.data}` : "Keeping accounts in memory");
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
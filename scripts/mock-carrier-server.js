@@ -0,0 +1,207 @@
+// scripts/mock-carrier-server.js
+// Local stand-in for carrier quoting APIs, implementing the routes the HTTP
+// carrier adapter calls (src/lib/insurance/carriers/httpAdapter.js). Point the
+// frontend at it with REACT_APP_CARRIER_SOURCE=http. Latency and failures are
+// configurable per carrier so timeouts and partial results can be exercised.
+// Home premiums come from the app's own rating module
+// (src/lib/insurance/rating.mjs), so mock quotes match local ones.
+//
+// The browser calls this service without credentials. In production it is
+// the agency's carrier gateway: it holds each carrier's API key
+// (CARRIER_API_KEY, server only) and adds it to its calls to the carriers.
+//
+// Usage:
+//   node scripts/mock-carrier-server.js --port 8788 --latency usaa=12000 --fail allstate
+//
+// Routes (per carrier, e.g. /carriers/state-farm):
+//   POST /carriers/:carrierId/quotes                         { property, deductible } -> quote
+//   POST /carriers/:carrierId/quotes/:quoteId/bind           { application } -> policy
+//   GET  /carriers/:carrierId/policies/:policyNumber/documents -> { documents }
+//   GET  /carriers/:carrierId/policies/:policyNumber/documents/:type -> HTML document
+
+const http = require("http");
+const crypto = require("crypto");
+
+const DEFAULTS = {
+  port: process.env.MOCK_CARRIER_PORT || "8788",
+  latency: "state-farm=400,allstate=900,usaa=1500", // ms per carrier
+  fail: "", // comma-separated carrier ids that answer 503
+};
+
+// Carrier pricing enters rating through homeRateFactor, as in src/lib/insurance/carriers/profiles.js
+const CARRIERS = {
+  "state-farm": { name: "State Farm", homeRateFactor: 1.05, auto: 1200, life: 45, umbrella: 250 },
+  allstate: { name: "Allstate", homeRateFactor: 1, auto: 1150, life: 42, umbrella: 230 },
+  usaa: {
+    name: "USAA",
+    homeRateFactor: 0.87,
+    auto: 980,
+    life: 38,
+    umbrella: 200,
+    // Binds only with an attested military affiliation
+    eligibility: ["militaryService", "militaryFamily", "militaryAcademy"],
+  },
+};
+
+const QUOTE_VALIDITY_MS = 30 * 24 * 60 * 60 * 1000;
+
+const quotes = new Map();
+const policies = new Map();
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option --${key}`);
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+function parseLatency(spec) {
+  return Object.fromEntries(
+    spec.split(",").filter(Boolean).map((entry) => {
+      const [id, ms] = entry.split("=");
+      return [id.trim(), Number(ms) || 0];
+    })
+  );
+}
+
+function send(res, status, body, contentType = "application/json") {
+  res.writeHead(status, {
+    "Content-Type": contentType,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Accept, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(contentType === "application/json" ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function documentHtml(policy, type) {
+  const title = type === "binder" ? "Insurance Binder" : "Declarations Page";
+  return `<!doctype html><html><head><title>${title}</title></head><body style="font-family: sans-serif">
+<h1>${CARRIERS[policy.carrierId].name} - ${title}</h1>
+<p>Policy number: <strong>${policy.policyNumber}</strong></p>
+<p>Effective: ${policy.effectiveDate}</p>
+<p>Annual premium: $${policy.premium.toLocaleString("en-US")}</p>
+<p>Insured: ${policy.insuredName || ""}</p>
+<p>Property: ${policy.propertyAddress || ""}</p>
+<p style="color: #6b7280">Issued by the mock carrier server for development. Not a real policy.</p>
+</body></html>`;
+}
+
+async function route(req, res, { baseUrl, rateHome }) {
+  const url = new URL(req.url, baseUrl);
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const [root, carrierId, resource, id, action, type] = parts;
+  const carrier = CARRIERS[carrierId];
+
+  if (root !== "carriers" || !carrier) return send(res, 404, { error: "Unknown carrier" });
+
+  if (req.method === "POST" && resource === "quotes" && !id) {
+    const { property = {}, deductible } = await readBody(req);
+    const { premium, deductible: selected, deductibleOptions, coverages } = rateHome(property, {
+      deductible,
+      carrierFactor: carrier.homeRateFactor,
+    });
+    const home = { premium, deductible: selected, deductibleOptions, coverages };
+    const quote = {
+      quoteId: `${carrierId}-${crypto.randomBytes(4).toString("hex")}`,
+      home,
+      auto: carrier.auto,
+      life: carrier.life,
+      umbrella: carrier.umbrella,
+      expiresAt: new Date(Date.now() + QUOTE_VALIDITY_MS).toISOString(),
+    };
+    quotes.set(quote.quoteId, { ...quote, carrierId, property });
+    return send(res, 200, quote);
+  }
+
+  if (req.method === "POST" && resource === "quotes" && action === "bind") {
+    const quote = quotes.get(id);
+    if (!quote || quote.carrierId !== carrierId) return send(res, 404, { error: "Quote not found" });
+    if (new Date(quote.expiresAt) < new Date()) return send(res, 409, { error: "Quote has expired" });
+    const { application = {} } = await readBody(req);
+    if (!application.insuredName || !application.effectiveDate) {
+      return send(res, 422, { error: "Insured name and effective date are required" });
+    }
+    if (carrier.eligibility && !carrier.eligibility.some((id) => application.eligibility?.[id])) {
+      return send(res, 403, { error: `${carrier.name} membership requires military affiliation` });
+    }
+    // The applicant may pick another of the quoted deductibles
+    const option = quote.home.deductibleOptions.find((candidate) => candidate.deductible === application.deductible);
+    const policy = {
+      policyNumber: `${carrierId.slice(0, 2).toUpperCase()}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+      status: "bound",
+      effectiveDate: application.effectiveDate,
+      premium: option ? option.premium : quote.home.premium,
+      deductible: option ? option.deductible : quote.home.deductible,
+      insuredName: application.insuredName,
+      propertyAddress: quote.property.address,
+      carrierId,
+    };
+    policies.set(policy.policyNumber, policy);
+    return send(res, 200, policy);
+  }
+
+  if (req.method === "GET" && resource === "policies" && action === "documents") {
+    const policy = policies.get(id);
+    if (!policy || policy.carrierId !== carrierId) return send(res, 404, { error: "Policy not found" });
+    if (type) return send(res, 200, documentHtml(policy, type), "text/html");
+    const documentUrl = (docType) => `${baseUrl}/carriers/${carrierId}/policies/${policy.policyNumber}/documents/${docType}`;
+    return send(res, 200, {
+      documents: [
+        { type: "binder", title: "Insurance Binder", url: documentUrl("binder") },
+        { type: "declarations", title: "Declarations Page", url: documentUrl("declarations") },
+      ],
+    });
+  }
+
+  return send(res, 404, { error: "Not found" });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { rateHome } = await import("../src/lib/insurance/rating.mjs");
+  const latency = parseLatency(args.latency);
+  const failing = new Set(args.fail.split(",").map((id) => id.trim()).filter(Boolean));
+  const baseUrl = `http://localhost:${args.port}`;
+
+  const server = http.createServer((req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204, "", "text/plain");
+
+    const carrierId = req.url.split("/")[2];
+    setTimeout(() => {
+      if (failing.has(carrierId)) return send(res, 503, { error: "Carrier rating service unavailable" });
+      route(req, res, { baseUrl, rateHome }).catch((error) => send(res, 400, { error: error.message }));
+    }, latency[carrierId] || 0);
+  });
+
+  server.listen(Number(args.port), () => {
+    console.log(`Mock carrier server listening on ${baseUrl}`);
+    console.log(`Carriers: ${Object.keys(CARRIERS).join(", ")}`);
+    if (failing.size > 0) console.log(`Failing: ${[...failing].join(", ")}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
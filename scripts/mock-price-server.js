@@ -0,0 +1,104 @@
+// scripts/mock-price-server.js
+// Serves random-walk USD prices for the crypto down-payment assets so the
+// mortgage calculator can run without exchange or Chainlink access. Point the
+// frontend at it with REACT_APP_PRICE_SOURCES=mock. The price and rate-lock
+// tests (src/lib/prices/quote.test.js) run against it.
+//
+// Usage:
+//   node scripts/mock-price-server.js --port 8787 --volatility 0.5
+//
+// GET /prices?symbols=BTC,ETH -> { "prices": { "BTC": { "price": 43250.12, "updatedAt": "..." } } }
+
+const http = require("http");
+
+const DEFAULTS = {
+  port: process.env.MOCK_PRICE_PORT || "8787",
+  volatility: "0.5", // max % move per tick
+  tick: "5000", // ms between price moves
+};
+
+const STARTING_PRICES = {
+  BTC: 43250,
+  ETH: 2380,
+  USDC: 1,
+};
+
+// Stablecoins stay pegged instead of walking
+const STABLECOINS = new Set(["USDC"]);
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option --${key}`);
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+function createMarket(volatilityPct) {
+  const prices = {};
+  for (const [symbol, price] of Object.entries(STARTING_PRICES)) {
+    prices[symbol] = { price, updatedAt: new Date().toISOString() };
+  }
+
+  return {
+    prices,
+    tick() {
+      for (const symbol of Object.keys(prices)) {
+        if (STABLECOINS.has(symbol)) continue;
+        const move = (Math.random() * 2 - 1) * (volatilityPct / 100);
+        prices[symbol] = {
+          price: Math.round(prices[symbol].price * (1 + move) * 100) / 100,
+          updatedAt: new Date().toISOString(),
+        };
+      }
+    },
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Accept",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const market = createMarket(Number(args.volatility));
+  setInterval(() => market.tick(), Number(args.tick));
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === "OPTIONS") return send(res, 204, {});
+    if (req.method !== "GET" || url.pathname !== "/prices") {
+      return send(res, 404, { error: "Not found" });
+    }
+
+    const symbols = (url.searchParams.get("symbols") || Object.keys(market.prices).join(","))
+      .split(",")
+      .map((symbol) => symbol.trim().toUpperCase())
+      .filter((symbol) => market.prices[symbol]);
+
+    send(res, 200, {
+      prices: Object.fromEntries(symbols.map((symbol) => [symbol, market.prices[symbol]])),
+    });
+  });
+
+  // --port 0 picks a free port; tests read it back from this line
+  server.listen(Number(args.port), () => {
+    console.log(`Mock price server listening on http://localhost:${server.address().port}`);
+    console.log(`Serving ${Object.keys(market.prices).join(", ")} with ±${args.volatility}% moves every ${args.tick}ms`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,91 @@
+// scripts/reso-proxy.js
+// Server-side proxy for the MLS RESO Web API. The MLS access token lives only
+// here; the frontend's RESO listing provider (src/lib/listings/resoProvider.js)
+// calls this proxy with no credentials. Run it with REACT_APP_LISTING_PROVIDER=reso
+// and REACT_APP_RESO_PROXY_URL pointing at it.
+//
+// Usage:
+//   RESO_API_URL=https://api.your-mls.com/reso/odata RESO_ACCESS_TOKEN=... \
+//     node scripts/reso-proxy.js --port 8790 --origin http://localhost:3000
+//
+// Only reads of the Property resource are forwarded:
+//   GET /Property?$filter=...         -> RESO_API_URL/Property?$filter=...
+//   GET /Property('<ListingKey>')?... -> RESO_API_URL/Property('<ListingKey>')?...
+
+require("dotenv").config();
+const http = require("http");
+
+const DEFAULTS = {
+  port: process.env.RESO_PROXY_PORT || "8790",
+  origin: process.env.RESO_PROXY_ORIGIN || "http://localhost:3000", // allowed browser origin
+  timeout: "15000", // ms before an MLS request is abandoned
+};
+
+const ALLOWED_PATH = /^\/Property(\('[^']*(?:''[^']*)*'\))?$/;
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option --${key}`);
+    args[key] = argv[i + 1];
+  }
+  return args;
+}
+
+function send(res, status, body, origin) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "Accept",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    Vary: "Origin",
+  });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+async function forward(req, res, { upstream, accessToken, origin, timeout }) {
+  const url = new URL(req.url, "http://localhost");
+  const path = decodeURIComponent(url.pathname);
+  if (req.method !== "GET" || !ALLOWED_PATH.test(path)) {
+    return send(res, 404, { error: "Not found" }, origin);
+  }
+
+  const response = await fetch(`${upstream}${url.pathname}${url.search}`, {
+    headers: { Accept: "application/json", Authorization: `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(timeout),
+  });
+  // Pass MLS errors through by status only; their bodies can echo credentials
+  if (!response.ok) return send(res, response.status, { error: `MLS responded ${response.status}` }, origin);
+  return send(res, 200, await response.text(), origin);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const upstream = (process.env.RESO_API_URL || "").replace(/\/+$/, "");
+  const accessToken = process.env.RESO_ACCESS_TOKEN;
+  if (!upstream || !accessToken) {
+    throw new Error("RESO_API_URL and RESO_ACCESS_TOKEN must be set in the environment");
+  }
+  const options = { upstream, accessToken, origin: args.origin, timeout: Number(args.timeout) };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204, "", args.origin);
+    forward(req, res, options).catch((error) => {
+      const status = error.name === "TimeoutError" ? 504 : 502;
+      send(res, status, { error: "MLS request failed" }, args.origin);
+    });
+  });
+
+  server.listen(Number(args.port), () => {
+    console.log(`RESO proxy listening on http://localhost:${args.port} -> ${upstream}`);
+    console.log(`Allowing browser origin ${args.origin}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
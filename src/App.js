@@ -1,26 +1,44 @@
-import React, { useState } from 'react';
+import React from 'react';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { WalletProvider } from './context/WalletContext';
+import AppLayout from './components/AppLayout';
 import PropertySearch from './components/PropertySearch';
+import PropertyDetail from './components/PropertyDetail';
 import MortgageCalculator from './components/MortgageCalculator';
 import InsuranceIntegration from './components/InsuranceIntegration';
 import AgentDashboard from './components/AgentDashboard';
+import Portfolio from './components/Portfolio';
+import Marketplace from './components/Marketplace';
+import PropertyTrading from './components/PropertyTrading';
+import VerifyLetter from './components/VerifyLetter';
+import NotFound from './components/NotFound';
+import useSavedSearchAlerts from './hooks/useSavedSearchAlerts';
 
 function App() {
-  const [currentView, setCurrentView] = useState('search');
-
-  const renderView = () => {
-    switch(currentView) {
-      case 'search': return <PropertySearch />;
-      case 'mortgage': return <MortgageCalculator />;
-      case 'insurance': return <InsuranceIntegration />;
-      case 'dashboard': return <AgentDashboard />;
-      default: return <PropertySearch />;
-    }
-  };
+  useSavedSearchAlerts();
 
   return (
-    <div className="App">
-      {renderView()}
-    </div>
+    <WalletProvider>
+      <BrowserRouter>
+        <div className="App">
+          <Routes>
+            <Route element={<AppLayout />}>
+              <Route index element={<Navigate to="/search" replace />} />
+              <Route path="search" element={<PropertySearch />} />
+              <Route path="property/:id" element={<PropertyDetail />} />
+              <Route path="mortgage" element={<MortgageCalculator />} />
+              <Route path="insurance" element={<InsuranceIntegration />} />
+              <Route path="dashboard" element={<AgentDashboard />} />
+              <Route path="portfolio" element={<Portfolio />} />
+              <Route path="marketplace" element={<Marketplace />} />
+              <Route path="marketplace/:propertyId" element={<PropertyTrading />} />
+              <Route path="verify-letter/:letterId" element={<VerifyLetter />} />
+              <Route path="*" element={<NotFound />} />
+            </Route>
+          </Routes>
+        </div>
+      </BrowserRouter>
+    </WalletProvider>
   );
 }
 
@@ -4,10 +4,21 @@ import {
   MapPin, Phone, Mail, Clock, CheckCircle, AlertTriangle, 
   FileText, Target, Zap, Brain, Shield, Bitcoin 
 } from 'lucide-react';
+import useAlerts from '../hooks/useAlerts';
+import InsurancePipeline from './InsurancePipeline';
+import { ALERT_TYPES } from '../lib/listings/savedSearches';
+
+const ALERT_LABELS = {
+  [ALERT_TYPES.NEW_LISTING]: 'New listing',
+  [ALERT_TYPES.PRICE_DROP]: 'Price drop',
+  [ALERT_TYPES.STATUS_CHANGE]: 'Status change'
+};
 
 const AgentDashboard = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [timeRange, setTimeRange] = useState('30days');
+  const [showAlerts, setShowAlerts] = useState(false);
+  const { alerts, unreadCount, markRead } = useAlerts();
 
   // Mock data
   const dashboardData = {
@@ -71,6 +82,28 @@ const AgentDashboard = () => {
     }
   };
 
+  const getAlertColor = (type) => {
+    switch (type) {
+      case ALERT_TYPES.NEW_LISTING: return 'bg-green-100 text-green-800';
+      case ALERT_TYPES.PRICE_DROP: return 'bg-blue-100 text-blue-800';
+      case ALERT_TYPES.STATUS_CHANGE: return 'bg-yellow-100 text-yellow-800';
+      default: return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const describeAlert = (alert) => {
+    switch (alert.type) {
+      case ALERT_TYPES.NEW_LISTING:
+        return `Listed at ${formatCurrency(alert.current)} - matches "${alert.searchName}"`;
+      case ALERT_TYPES.PRICE_DROP:
+        return `${formatCurrency(alert.previous)} → ${formatCurrency(alert.current)} (${alert.searchName})`;
+      case ALERT_TYPES.STATUS_CHANGE:
+        return `${alert.previous} → ${alert.current} (${alert.searchName})`;
+      default:
+        return alert.searchName;
+    }
+  };
+
   const getActivityIcon = (type) => {
     switch (type) {
       case 'listing': return <Home className="h-5 w-5 text-blue-600" />;
@@ -83,61 +116,96 @@ const AgentDashboard = () => {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <div className="bg-white shadow-sm border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center py-4">
-            <div>
-              <h1 className="text-2xl font-bold text-gray-900">MAK Realty Dashboard</h1>
-              <p className="text-gray-600">Welcome back, Michael Kelczewski - MAK Realty Founder</p>
-            </div>
-            <div className="flex items-center space-x-4">
-              <select
-                value={timeRange}
-                onChange={(e) => setTimeRange(e.target.value)}
-                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+      {/* Dashboard tabs and controls; AppLayout draws the site header */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-6">
+        <div className="flex justify-between items-end border-b border-gray-200">
+          <nav className="-mb-px flex space-x-8">
+            {[
+              { id: 'overview', label: 'Overview', icon: BarChart3 },
+              { id: 'leads', label: 'Leads', icon: Users },
+              { id: 'listings', label: 'Listings', icon: Home },
+              { id: 'transactions', label: 'Transactions', icon: DollarSign },
+              { id: 'insurance', label: 'Insurance', icon: Shield },
+              { id: 'calendar', label: 'Calendar', icon: Calendar }
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`flex items-center py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === tab.id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <tab.icon className="h-4 w-4 mr-2" />
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+          <div className="flex items-center space-x-4 pb-2">
+            <select
+              value={timeRange}
+              onChange={(e) => setTimeRange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="7days">Last 7 days</option>
+              <option value="30days">Last 30 days</option>
+              <option value="90days">Last 90 days</option>
+              <option value="year">This year</option>
+            </select>
+            <div className="relative">
+              <button
+                onClick={() => setShowAlerts(!showAlerts)}
+                className="relative p-2 text-gray-400 hover:text-gray-500"
               >
-                <option value="7days">Last 7 days</option>
-                <option value="30days">Last 30 days</option>
-                <option value="90days">Last 90 days</option>
-                <option value="year">This year</option>
-              </select>
-              <button className="relative p-2 text-gray-400 hover:text-gray-500">
                 <Bell className="h-6 w-6" />
-                <span className="absolute top-0 right-0 block h-2 w-2 rounded-full bg-red-400"></span>
+                {unreadCount > 0 && (
+                  <span className="absolute top-0 right-0 flex items-center justify-center h-4 min-w-[1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold">
+                    {unreadCount}
+                  </span>
+                )}
               </button>
+              {showAlerts && (
+                <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-lg border z-20">
+                  <div className="flex items-center justify-between px-4 py-3 border-b">
+                    <h4 className="font-semibold text-gray-900">Saved Search Alerts</h4>
+                    {alerts.length > 0 && (
+                      <button onClick={() => markRead()} className="text-sm text-blue-600 hover:text-blue-700">
+                        Mark all read
+                      </button>
+                    )}
+                  </div>
+                  <div className="max-h-96 overflow-y-auto divide-y">
+                    {alerts.length === 0 && (
+                      <p className="px-4 py-6 text-sm text-gray-500 text-center">No alerts yet</p>
+                    )}
+                    {alerts.map((alert) => (
+                      <button
+                        key={alert.id}
+                        onClick={() => markRead([alert.id])}
+                        className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${alert.read ? '' : 'bg-blue-50'}`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getAlertColor(alert.type)}`}>
+                            {ALERT_LABELS[alert.type]}
+                          </span>
+                          <span className="text-xs text-gray-500">{new Date(alert.createdAt).toLocaleString()}</span>
+                        </div>
+                        <p className="mt-1 text-sm font-medium text-gray-900">{alert.address}</p>
+                        <p className="text-sm text-gray-600">{describeAlert(alert)}</p>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </div>
-          
-          {/* Navigation Tabs */}
-          <div className="border-b border-gray-200">
-            <nav className="-mb-px flex space-x-8">
-              {[
-                { id: 'overview', label: 'Overview', icon: BarChart3 },
-                { id: 'leads', label: 'Leads', icon: Users },
-                { id: 'listings', label: 'Listings', icon: Home },
-                { id: 'transactions', label: 'Transactions', icon: DollarSign },
-                { id: 'calendar', label: 'Calendar', icon: Calendar }
-              ].map((tab) => (
-                <button
-                  key={tab.id}
-                  onClick={() => setActiveTab(tab.id)}
-                  className={`flex items-center py-2 px-1 border-b-2 font-medium text-sm ${
-                    activeTab === tab.id
-                      ? 'border-blue-500 text-blue-600'
-                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                  }`}
-                >
-                  <tab.icon className="h-4 w-4 mr-2" />
-                  {tab.label}
-                </button>
-              ))}
-            </nav>
-          </div>
         </div>
       </div>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {activeTab === 'insurance' && <InsurancePipeline />}
+
         {activeTab === 'overview' && (
           <div className="space-y-8">
             {/* Key Metrics */}
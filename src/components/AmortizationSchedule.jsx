@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { BarChart3, Calendar, PiggyBank, ShieldCheck } from 'lucide-react';
+import { yearlyTotals } from '../lib/mortgage/amortization';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const formatMonth = (date) => date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+
+// Yearly principal/interest stacked bars with the remaining balance as a line
+const AmortizationChart = ({ years, principal }) => {
+  if (years.length === 0) return null;
+  const barWidth = CHART_WIDTH / years.length;
+  const maxPaid = Math.max(...years.map((y) => y.principal + y.extra + y.interest), 1);
+  const barY = (amount) => (amount / maxPaid) * CHART_HEIGHT;
+  const balanceY = (balance) => CHART_HEIGHT - (balance / (principal || 1)) * CHART_HEIGHT;
+
+  const balanceLine = years
+    .map((y, i) => `${i === 0 ? 'M' : 'L'}${(i + 0.5) * barWidth},${balanceY(y.balance)}`)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48">
+      {years.map((y, i) => {
+        const paidPrincipal = barY(y.principal + y.extra);
+        const paidInterest = barY(y.interest);
+        return (
+          <g key={y.year}>
+            <rect
+              x={i * barWidth + 1}
+              y={CHART_HEIGHT - paidPrincipal}
+              width={Math.max(barWidth - 2, 1)}
+              height={paidPrincipal}
+              className="fill-blue-500"
+            />
+            <rect
+              x={i * barWidth + 1}
+              y={CHART_HEIGHT - paidPrincipal - paidInterest}
+              width={Math.max(barWidth - 2, 1)}
+              height={paidInterest}
+              className="fill-orange-400"
+            />
+          </g>
+        );
+      })}
+      <path d={balanceLine} fill="none" className="stroke-gray-800" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const AmortizationSchedule = ({
+  schedule, summary, loanAmount, mortgageInsurance = {}, prepayments, onPrepaymentsChange
+}) => {
+  const [view, setView] = useState('yearly');
+  const years = yearlyTotals(schedule);
+  const insured = schedule.length > 0 && schedule[0].mi > 0;
+  const rowFor = (month) => schedule.find((row) => row.month === month);
+  const requestRow = mortgageInsurance.requestMonth ? rowFor(mortgageInsurance.requestMonth) : null;
+  const dropRow = mortgageInsurance.dropMonth ? rowFor(mortgageInsurance.dropMonth) : null;
+
+  const update = (field, value) => onPrepaymentsChange({ ...prepayments, [field]: Number(value) || 0 });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <BarChart3 className="h-5 w-5 mr-2 text-blue-600" />
+        Amortization & Prepayments
+      </h3>
+
+      {/* Extra Payments */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6 text-sm">
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Extra Monthly</label>
+          <input
+            type="number"
+            min="0"
+            value={prepayments.monthly}
+            onChange={(e) => update('monthly', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Extra Annual</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              value={prepayments.annual}
+              onChange={(e) => update('annual', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={prepayments.annualMonth}
+              onChange={(e) => update('annualMonth', e.target.value)}
+              title="Payment within each loan year"
+              className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            >
+              {MONTH_NAMES.map((name, i) => (
+                <option key={name} value={i + 1}>{schedule[i] ? formatMonth(schedule[i].date).slice(0, 3) : name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Lump Sum</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              value={prepayments.lumpSum}
+              onChange={(e) => update('lumpSum', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="number"
+              min="1"
+              value={prepayments.lumpSumMonth}
+              onChange={(e) => update('lumpSumMonth', e.target.value)}
+              title="Payment number"
+              className="w-20 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div className="text-xs text-gray-500 mt-1">Amount and payment number</div>
+        </div>
+      </div>
+
+      {/* Payoff Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="text-xs text-gray-500 flex items-center"><Calendar className="h-3 w-3 mr-1" />Payoff Date</div>
+          <div className="font-semibold">{summary.payoffDate ? formatMonth(summary.payoffDate) : '—'}</div>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="text-xs text-gray-500">Total Interest</div>
+          <div className="font-semibold">{formatCurrency(summary.totalInterest)}</div>
+        </div>
+        <div className="p-3 bg-green-50 rounded-lg">
+          <div className="text-xs text-green-700 flex items-center"><PiggyBank className="h-3 w-3 mr-1" />Interest Saved</div>
+          <div className="font-semibold text-green-800">{formatCurrency(summary.interestSaved)}</div>
+        </div>
+        <div className="p-3 bg-green-50 rounded-lg">
+          <div className="text-xs text-green-700">Time Saved</div>
+          <div className="font-semibold text-green-800">
+            {Math.floor(summary.monthsSaved / 12)} yr {summary.monthsSaved % 12} mo
+          </div>
+        </div>
+      </div>
+
+      {/* Mortgage Insurance */}
+      {insured && (
+        <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900 flex items-start">
+          <ShieldCheck className="h-4 w-4 mr-2 mt-0.5 text-blue-600 flex-shrink-0" />
+          <div>
+            <div className="font-medium">Mortgage insurance {formatCurrency(schedule[0].mi)}/mo</div>
+            {requestRow && (
+              <div>
+                Can be cancelled on request from payment {requestRow.month} ({formatMonth(requestRow.date)}), at 80% LTV
+              </div>
+            )}
+            <div>
+              {dropRow
+                ? `Drops off automatically at payment ${dropRow.month} (${formatMonth(dropRow.date)})`
+                : 'Charged for the life of the loan'}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <AmortizationChart years={years} principal={loanAmount} />
+      <div className="flex justify-center space-x-6 text-xs text-gray-600 mt-2 mb-6">
+        <span className="flex items-center"><span className="w-3 h-3 bg-blue-500 mr-1 inline-block" />Principal</span>
+        <span className="flex items-center"><span className="w-3 h-3 bg-orange-400 mr-1 inline-block" />Interest</span>
+        <span className="flex items-center"><span className="w-3 h-0.5 bg-gray-800 mr-1 inline-block" />Balance</span>
+      </div>
+
+      {/* Schedule Table */}
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">Schedule</h4>
+        <div className="flex text-sm">
+          {['yearly', 'monthly'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-3 py-1 border first:rounded-l-md last:rounded-r-md ${
+                view === option ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {option === 'yearly' ? 'Yearly' : 'Monthly'}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="max-h-80 overflow-y-auto border rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-gray-500">
+              <th className="px-3 py-2">{view === 'yearly' ? 'Year' : 'Payment'}</th>
+              <th className="px-3 py-2 text-right">Principal</th>
+              <th className="px-3 py-2 text-right">Interest</th>
+              <th className="px-3 py-2 text-right">Extra</th>
+              {insured && <th className="px-3 py-2 text-right">MI</th>}
+              <th className="px-3 py-2 text-right">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {view === 'yearly'
+              ? years.map((y) => (
+                <tr key={y.year}>
+                  <td className="px-3 py-1.5">{y.year}</td>
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(y.principal)}</td>
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(y.interest)}</td>
+                  <td className="px-3 py-1.5 text-right">{y.extra > 0 ? formatCurrency(y.extra) : '—'}</td>
+                  {insured && <td className="px-3 py-1.5 text-right">{y.mi > 0 ? formatCurrency(y.mi) : '—'}</td>}
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(y.balance)}</td>
+                </tr>
+              ))
+              : schedule.map((row) => (
+                <tr key={row.month}>
+                  <td className="px-3 py-1.5">{row.month} · {formatMonth(row.date)}</td>
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(row.principal)}</td>
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(row.interest)}</td>
+                  <td className="px-3 py-1.5 text-right">{row.extra > 0 ? formatCurrency(row.extra) : '—'}</td>
+                  {insured && <td className="px-3 py-1.5 text-right">{row.mi > 0 ? formatCurrency(row.mi) : '—'}</td>}
+                  <td className="px-3 py-1.5 text-right">{formatCurrency(row.balance)}</td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AmortizationSchedule;
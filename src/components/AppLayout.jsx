@@ -0,0 +1,52 @@
+import React from 'react';
+import { NavLink, Outlet, Link } from 'react-router-dom';
+import { Home } from 'lucide-react';
+import WalletButton from './WalletButton';
+import NetworkBanner from './NetworkBanner';
+
+export const NAV_ITEMS = [
+  { to: '/search', label: 'Buy' },
+  { to: '/mortgage', label: 'Mortgage' },
+  { to: '/insurance', label: 'Insurance' },
+  { to: '/marketplace', label: 'Marketplace' },
+  { to: '/portfolio', label: 'Portfolio' }
+];
+
+// Shared header and navigation for every route
+const AppLayout = () => {
+  const navClass = ({ isActive }) => (
+    isActive ? 'text-blue-600 font-medium' : 'text-gray-600 hover:text-blue-600'
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <Link to="/search" className="flex items-center space-x-2">
+              <Home className="h-8 w-8 text-blue-600" />
+              <h1 className="text-2xl font-bold text-gray-900">MAK Realty Pro</h1>
+            </Link>
+            <nav className="flex items-center space-x-6">
+              {NAV_ITEMS.map((item) => (
+                <NavLink key={item.to} to={item.to} className={navClass}>
+                  {item.label}
+                </NavLink>
+              ))}
+              <NavLink to="/dashboard" className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+                Agent Login
+              </NavLink>
+              <WalletButton />
+            </nav>
+          </div>
+        </div>
+      </div>
+      <NetworkBanner />
+
+      <Outlet />
+    </div>
+  );
+};
+
+export default AppLayout;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Receipt, ChevronDown, ChevronRight } from 'lucide-react';
+import { TRANSFER_TAXES, DEFAULT_TRANSFER_TAX } from '../lib/mortgage/closingCosts';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500';
+
+const ClosingCostsPanel = ({ closing, onStateChange, options, onOptionsChange }) => {
+  const [expanded, setExpanded] = useState({});
+  const update = (field, value) => onOptionsChange({ ...options, [field]: value });
+  const toggle = (id) => setExpanded((prev) => ({ ...prev, [id]: !prev[id] }));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <Receipt className="h-5 w-5 mr-2 text-blue-600" />
+        Closing Costs
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+        <div>
+          <label className="block text-gray-700 font-medium mb-1" htmlFor="closing-state">Property State</label>
+          <select
+            id="closing-state"
+            value={closing.state}
+            onChange={(e) => onStateChange(e.target.value)}
+            className={inputClass}
+          >
+            {!TRANSFER_TAXES[closing.state] && <option value={closing.state}>{DEFAULT_TRANSFER_TAX.label}</option>}
+            {Object.entries(TRANSFER_TAXES).map(([code, { label }]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1" htmlFor="closing-points">Discount Points</label>
+          <input
+            id="closing-points"
+            type="number"
+            min="0"
+            max="4"
+            step="0.125"
+            value={options.points}
+            onChange={(e) => update('points', Math.max(Number(e.target.value) || 0, 0))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1" htmlFor="closing-seller-credits">Seller Credits</label>
+          <input
+            id="closing-seller-credits"
+            type="number"
+            min="0"
+            step="500"
+            value={options.sellerCredits}
+            onChange={(e) => update('sellerCredits', Math.max(Number(e.target.value) || 0, 0))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1" htmlFor="closing-interest-days">Prepaid Interest Days</label>
+          <input
+            id="closing-interest-days"
+            type="number"
+            min="0"
+            max="31"
+            value={options.prepaidInterestDays}
+            onChange={(e) => update('prepaidInterestDays', Math.min(Math.max(Number(e.target.value) || 0, 0), 31))}
+            className={inputClass}
+          />
+        </div>
+        <label className="col-span-2 md:col-span-4 flex items-center text-gray-700">
+          <input
+            type="checkbox"
+            checked={options.ownersTitlePolicy}
+            onChange={(e) => update('ownersTitlePolicy', e.target.checked)}
+            className="mr-2"
+          />
+          Buy an owner's title policy
+        </label>
+      </div>
+
+      {/* Itemized Costs */}
+      <div className="border rounded-lg divide-y text-sm mb-6">
+        {closing.sections.filter((section) => section.items.length > 0).map((section) => (
+          <div key={section.id}>
+            <button
+              onClick={() => toggle(section.id)}
+              className="w-full p-3 flex items-center justify-between hover:bg-gray-50"
+            >
+              <span className="flex items-center font-medium text-gray-900">
+                {expanded[section.id]
+                  ? <ChevronDown className="h-4 w-4 mr-1" />
+                  : <ChevronRight className="h-4 w-4 mr-1" />}
+                {section.label}
+              </span>
+              <span className="font-semibold">{formatCurrency(section.total)}</span>
+            </button>
+            {expanded[section.id] && (
+              <div className="px-8 pb-3 space-y-1">
+                {section.items.map((item) => (
+                  <div key={item.label} className="flex justify-between text-gray-600">
+                    <span>
+                      {item.label}
+                      {item.financed && <span className="text-xs text-gray-400"> · financed</span>}
+                    </span>
+                    <span>{formatCurrency(item.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Cash to Close */}
+      <h4 className="font-medium text-gray-900 mb-2">Calculating Cash to Close</h4>
+      <dl className="grid grid-cols-2 gap-y-1 text-sm">
+        <dt className="text-gray-600">Total Loan Costs (A + B + C)</dt>
+        <dd className="text-right">{formatCurrency(closing.loanCosts)}</dd>
+        <dt className="text-gray-600">Total Other Costs (E + F + G + H)</dt>
+        <dd className="text-right">{formatCurrency(closing.otherCosts)}</dd>
+        <dt className="text-gray-900 font-medium">Total Closing Costs</dt>
+        <dd className="text-right font-medium">{formatCurrency(closing.totalClosingCosts)}</dd>
+        {closing.financedCosts > 0 && (
+          <>
+            <dt className="text-gray-600">Closing Costs Financed</dt>
+            <dd className="text-right">-{formatCurrency(closing.financedCosts)}</dd>
+          </>
+        )}
+        <dt className="text-gray-600">Down Payment</dt>
+        <dd className="text-right">{formatCurrency(closing.downPayment)}</dd>
+        {closing.sellerCredits > 0 && (
+          <>
+            <dt className="text-gray-600">Seller Credits</dt>
+            <dd className="text-right">-{formatCurrency(closing.sellerCredits)}</dd>
+          </>
+        )}
+        <dt className="text-gray-900 font-semibold border-t pt-2 mt-1">Estimated Cash to Close</dt>
+        <dd className="text-right text-lg font-bold text-blue-600 border-t pt-2 mt-1">{formatCurrency(closing.cashToClose)}</dd>
+      </dl>
+      <p className="text-xs text-gray-500 mt-3">
+        Estimates only. Fees vary by lender and title company; transfer taxes use typical state and local rates.
+      </p>
+    </div>
+  );
+};
+
+export default ClosingCostsPanel;
@@ -0,0 +1,157 @@
+import React from 'react';
+import { Bitcoin, Shield, Timer, RefreshCw, AlertTriangle, Loader2 } from 'lucide-react';
+import { CRYPTO_ASSETS, CRYPTO_SYMBOLS, formatCountdown } from '../lib/prices';
+
+const formatCurrency = (amount, digits = 0) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount);
+};
+
+const formatCrypto = (amount, symbol) => `${amount.toFixed(CRYPTO_ASSETS[symbol].decimals)} ${symbol}`;
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-US', { timeStyle: 'short' });
+
+// Quotes this close to expiry are shown as about to lapse
+const EXPIRING_SECONDS = 60;
+
+const CryptoPaymentPanel = ({
+  cryptoPayment, onCryptoPaymentChange, prices, priceError, quote, secondsLeft, onRequote
+}) => {
+  const update = (changes) => onCryptoPaymentChange((prev) => ({ ...prev, ...changes }));
+  const price = prices[cryptoPayment.currency];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          <Bitcoin className="h-5 w-5 mr-2 text-orange-500" />
+          Crypto Down Payment
+        </h3>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={cryptoPayment.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="mr-2"
+          />
+          Pay down payment in crypto
+        </label>
+      </div>
+
+      {cryptoPayment.enabled && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 text-sm">
+            <div>
+              <label className="block text-gray-700 mb-1" htmlFor="crypto-currency">Currency</label>
+              <select
+                id="crypto-currency"
+                value={cryptoPayment.currency}
+                onChange={(e) => update({ currency: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              >
+                {CRYPTO_SYMBOLS.map((symbol) => (
+                  <option key={symbol} value={symbol}>{CRYPTO_ASSETS[symbol].label} ({symbol})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-700 mb-1" htmlFor="crypto-buffer">Volatility Buffer (%)</label>
+              <input
+                id="crypto-buffer"
+                type="number"
+                min="0"
+                max="25"
+                step="0.5"
+                value={cryptoPayment.bufferPct}
+                disabled={!cryptoPayment.volatilityProtection}
+                onChange={(e) => update({ bufferPct: Math.max(Number(e.target.value) || 0, 0) })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+            <label className="flex items-center text-gray-700 md:mt-6">
+              <input
+                type="checkbox"
+                checked={cryptoPayment.volatilityProtection}
+                onChange={(e) => update({ volatilityProtection: e.target.checked })}
+                className="mr-2"
+              />
+              <Shield className="h-4 w-4 mr-1 text-green-600" />
+              Volatility protection
+            </label>
+          </div>
+
+          {priceError && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+              <AlertTriangle className="h-4 w-4 mr-2" />
+              {price
+                ? `Price feed degraded: ${priceError.message}. Showing the last price received.`
+                : `No live ${cryptoPayment.currency} price: ${priceError.message}`}
+            </div>
+          )}
+
+          {!price && !priceError && (
+            <div className="flex items-center text-sm text-gray-500">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Loading live prices...
+            </div>
+          )}
+
+          {price && (
+            <div className="text-xs text-gray-500 mb-3">
+              1 {cryptoPayment.currency} = {formatCurrency(price.price, 2)} · {price.source} · updated {formatTime(price.updatedAt)}
+            </div>
+          )}
+
+          {quote && (
+            <div className="p-4 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <div className="text-gray-500">Amount to send</div>
+                  <div className="text-2xl font-bold text-gray-900">{formatCrypto(quote.cryptoAmount, quote.symbol)}</div>
+                </div>
+                <div className={`flex items-center font-mono ${secondsLeft <= EXPIRING_SECONDS ? 'text-red-600' : 'text-gray-700'}`}>
+                  <Timer className="h-4 w-4 mr-1" />
+                  {formatCountdown(secondsLeft)}
+                </div>
+              </div>
+              <dl className="grid grid-cols-2 gap-2">
+                <dt className="text-gray-500">Down payment</dt>
+                <dd className="text-right">{formatCurrency(quote.usdAmount)}</dd>
+                <dt className="text-gray-500">Locked rate</dt>
+                <dd className="text-right">{formatCurrency(quote.rate, 2)} ({quote.source})</dd>
+                <dt className="text-gray-500">At locked rate</dt>
+                <dd className="text-right">{formatCrypto(quote.baseAmount, quote.symbol)}</dd>
+                {quote.bufferPct > 0 && (
+                  <>
+                    <dt className="text-gray-500">Volatility buffer ({quote.bufferPct}%)</dt>
+                    <dd className="text-right">{formatCrypto(quote.bufferAmount, quote.symbol)}</dd>
+                  </>
+                )}
+              </dl>
+              <div className="flex items-center justify-between mt-3">
+                <p className="text-xs text-gray-500">
+                  {quote.bufferPct > 0
+                    ? 'Any buffer not needed at settlement is refunded.'
+                    : 'Without a buffer, a price drop before settlement must be covered in cash.'}
+                </p>
+                <button
+                  onClick={onRequote}
+                  className="flex items-center text-blue-600 hover:text-blue-700"
+                >
+                  <RefreshCw className="h-4 w-4 mr-1" />
+                  Refresh quote
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CryptoPaymentPanel;
@@ -0,0 +1,489 @@
+import React, { useState } from 'react';
+import { X, CheckCircle, AlertTriangle, Loader2, FileText, Plus, Trash2, PenTool } from 'lucide-react';
+import useCurrentUser from '../hooks/useCurrentUser';
+import useInsuranceApplications from '../hooks/useInsuranceApplications';
+import { priceBundle, BUNDLE_PRODUCTS } from '../lib/insurance/bundles';
+import {
+  APPLICATION_STEPS, CLAIM_TYPES, CLAIMS_LOOKBACK_YEARS, PAYMENT_METHODS, PAYMENT_PLANS, PIPELINE_STAGES,
+  emptyApplication, emptyClaim, validateStep, quoteAtDeductible, createApplication
+} from '../lib/insurance/applications';
+import { eligibilityAttestation } from '../lib/insurance/eligibility';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm';
+
+const Field = ({ label, error, className = '', children }) => (
+  <div className={className}>
+    <label className="block text-gray-700 font-medium mb-1">{label}</label>
+    {children}
+    {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+  </div>
+);
+
+const COVERAGE_LABELS = {
+  dwelling: 'Dwelling',
+  otherStructures: 'Other Structures',
+  personalProperty: 'Personal Property',
+  lossOfUse: 'Loss of Use',
+  liability: 'Liability',
+  medicalPayments: 'Medical Payments'
+};
+
+/**
+ * Application for one carrier's quote: applicant, prior claims, coverage,
+ * e-signature and payment, then submission to the agency pipeline and the
+ * carrier's bind.
+ */
+const InsuranceApplicationWizard = ({ carrier, property, bundleOptions, eligibilityAnswers, onClose }) => {
+  const userId = useCurrentUser();
+  const { applications, submitApplication, binding, error: storeError } = useInsuranceApplications();
+  const [stepIndex, setStepIndex] = useState(0);
+  const [application, setApplication] = useState(() => emptyApplication({
+    property, deductible: carrier.carrierQuote.home.deductible, bundle: bundleOptions
+  }));
+  const [errors, setErrors] = useState({});
+  const [submittedId, setSubmittedId] = useState(null);
+
+  const step = APPLICATION_STEPS[stepIndex];
+  const { applicant, claims, coverage, consent, payment } = application;
+  const quote = quoteAtDeductible(carrier.carrierQuote, coverage.deductible);
+  const bundle = priceBundle(quote, {
+    selected: { auto: coverage.auto, life: coverage.life, umbrella: coverage.umbrella },
+    rules: carrier.bundleRules,
+    property
+  });
+  const installments = PAYMENT_PLANS[payment.plan].installments;
+  const submitted = applications.find((record) => record.id === submittedId);
+
+  const update = (section, field, value) => setApplication((prev) => ({
+    ...prev,
+    [section]: { ...prev[section], [field]: value }
+  }));
+
+  const updateClaim = (index, field, value) => update(
+    'claims', 'items', claims.items.map((claim, i) => (i === index ? { ...claim, [field]: value } : claim))
+  );
+
+  const handleNext = async () => {
+    const stepErrors = validateStep(step.id, application);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length > 0) return;
+    if (stepIndex < APPLICATION_STEPS.length - 1) {
+      setStepIndex(stepIndex + 1);
+      return;
+    }
+    const record = createApplication({
+      application, carrier, quote, bundle, property, userId,
+      eligibility: eligibilityAttestation(carrier.eligibility, eligibilityAnswers)
+    });
+    setSubmittedId(record.id);
+    // Stay on the payment step so a refused submission can be sent again
+    if (!(await submitApplication(record))) setSubmittedId(null);
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    setStepIndex(stepIndex - 1);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Apply with {carrier.name}</h3>
+            <p className="text-sm text-gray-600">{property.address}</p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {/* Steps */}
+        {!submittedId && (
+          <div className="flex px-6 pt-4 text-xs">
+            {APPLICATION_STEPS.map((item, index) => (
+              <div key={item.id} className="flex-1">
+                <div className={`h-1 rounded-full mr-1 ${index <= stepIndex ? 'bg-blue-600' : 'bg-gray-200'}`} />
+                <div className={`mt-1 ${index === stepIndex ? 'text-blue-600 font-medium' : 'text-gray-500'}`}>
+                  {index + 1}. {item.label}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 text-sm">
+          {storeError && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-800">
+              <AlertTriangle className="h-4 w-4 mr-2" />
+              The application could not be saved ({storeError.message}). Please try again.
+            </div>
+          )}
+
+          {/* Applicant */}
+          {!submittedId && step.id === 'applicant' && (
+            <div className="grid grid-cols-2 gap-4">
+              <Field label="First Name" error={errors.firstName}>
+                <input type="text" value={applicant.firstName} onChange={(e) => update('applicant', 'firstName', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+              <Field label="Last Name" error={errors.lastName}>
+                <input type="text" value={applicant.lastName} onChange={(e) => update('applicant', 'lastName', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+              <Field label="Email" error={errors.email}>
+                <input type="email" value={applicant.email} onChange={(e) => update('applicant', 'email', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+              <Field label="Phone" error={errors.phone}>
+                <input type="tel" value={applicant.phone} onChange={(e) => update('applicant', 'phone', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+              <Field label="Date of Birth" error={errors.dateOfBirth}>
+                <input type="date" value={applicant.dateOfBirth} onChange={(e) => update('applicant', 'dateOfBirth', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+              <Field label="Coverage Start Date" error={errors.effectiveDate}>
+                <input type="date" value={applicant.effectiveDate} onChange={(e) => update('applicant', 'effectiveDate', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+              <Field label="Mailing Address" error={errors.mailingAddress} className="col-span-2">
+                <input type="text" value={applicant.mailingAddress} onChange={(e) => update('applicant', 'mailingAddress', e.target.value)} className={INPUT_CLASS} />
+              </Field>
+            </div>
+          )}
+
+          {/* Prior Claims */}
+          {!submittedId && step.id === 'claims' && (
+            <div className="space-y-4">
+              <div>
+                <p className="font-medium text-gray-700 mb-2">
+                  Have you filed any homeowners or renters claims in the last {CLAIMS_LOOKBACK_YEARS} years?
+                </p>
+                <div className="flex space-x-4">
+                  {[false, true].map((answer) => (
+                    <label key={String(answer)} className="flex items-center">
+                      <input
+                        type="radio"
+                        checked={claims.hasPriorClaims === answer}
+                        onChange={() => setApplication((prev) => ({
+                          ...prev,
+                          claims: { hasPriorClaims: answer, items: answer && prev.claims.items.length === 0 ? [emptyClaim()] : prev.claims.items }
+                        }))}
+                        className="mr-2"
+                      />
+                      {answer ? 'Yes' : 'No'}
+                    </label>
+                  ))}
+                </div>
+                {errors.claims && <p className="mt-1 text-xs text-red-600">{errors.claims}</p>}
+              </div>
+
+              {claims.hasPriorClaims && claims.items.map((claim, index) => (
+                <div key={index} className="p-3 border rounded-lg grid grid-cols-3 gap-3">
+                  <Field label="Date of Loss" error={errors[`claims.${index}.date`]}>
+                    <input type="date" value={claim.date} onChange={(e) => updateClaim(index, 'date', e.target.value)} className={INPUT_CLASS} />
+                  </Field>
+                  <Field label="Type">
+                    <select value={claim.type} onChange={(e) => updateClaim(index, 'type', e.target.value)} className={INPUT_CLASS}>
+                      {CLAIM_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                  </Field>
+                  <Field label="Amount Paid" error={errors[`claims.${index}.amount`]}>
+                    <input type="number" min="0" value={claim.amount} onChange={(e) => updateClaim(index, 'amount', e.target.value)} className={INPUT_CLASS} />
+                  </Field>
+                  <Field label="Description" className="col-span-3">
+                    <div className="flex space-x-2">
+                      <input type="text" value={claim.description} onChange={(e) => updateClaim(index, 'description', e.target.value)} className={INPUT_CLASS} />
+                      <button
+                        onClick={() => update('claims', 'items', claims.items.filter((_, i) => i !== index))}
+                        className="px-2 text-gray-400 hover:text-red-600"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </Field>
+                </div>
+              ))}
+
+              {claims.hasPriorClaims && (
+                <button
+                  onClick={() => update('claims', 'items', [...claims.items, emptyClaim()])}
+                  className="flex items-center text-blue-600 hover:text-blue-700"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add another claim
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Coverage */}
+          {!submittedId && step.id === 'coverage' && (
+            <div className="space-y-4">
+              <div>
+                <h4 className="font-semibold text-gray-700 mb-2">{quote.home.coverages.form} Coverage Limits</h4>
+                <div className="grid grid-cols-2 gap-x-6 gap-y-1">
+                  {Object.entries(COVERAGE_LABELS)
+                    .filter(([key]) => quote.home.coverages[key] > 0)
+                    .map(([key, label]) => (
+                      <div key={key} className="flex justify-between">
+                        <span className="text-gray-600">{label}</span>
+                        <span className="font-medium">{formatCurrency(quote.home.coverages[key])}</span>
+                      </div>
+                    ))}
+                </div>
+              </div>
+              <Field label="Deductible" error={errors.deductible}>
+                <select
+                  value={coverage.deductible}
+                  onChange={(e) => update('coverage', 'deductible', Number(e.target.value))}
+                  className={INPUT_CLASS}
+                >
+                  {quote.home.deductibleOptions.map((option) => (
+                    <option key={option.deductible} value={option.deductible}>
+                      {formatCurrency(option.deductible)} - {formatCurrency(option.premium)}/yr
+                    </option>
+                  ))}
+                </select>
+              </Field>
+              <div>
+                <h4 className="font-semibold text-gray-700 mb-2">Add to Your Policy</h4>
+                <div className="flex space-x-4">
+                  {['auto', 'life', 'umbrella'].map((product) => (
+                    <label key={product} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={coverage[product]}
+                        onChange={(e) => update('coverage', product, e.target.checked)}
+                        className="mr-2"
+                      />
+                      {BUNDLE_PRODUCTS[product].label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg space-y-1">
+                {bundle.lines.map((line) => (
+                  <div key={line.product}>
+                    <div className="flex justify-between">
+                      <span>{line.label}</span>
+                      <span>{formatCurrency(line.total)}/yr</span>
+                    </div>
+                    {line.discounts.map((discount) => (
+                      <div key={discount.id} className="flex justify-between pl-3 text-xs text-green-700">
+                        <span>{discount.label}</span>
+                        <span>-{formatCurrency(discount.amount)}</span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                <div className="flex justify-between pt-2 border-t font-semibold">
+                  <span>Annual Premium</span>
+                  <span>{formatCurrency(bundle.totalAnnual)}</span>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* E-Signature */}
+          {!submittedId && step.id === 'consent' && (
+            <div className="space-y-4">
+              <div className="p-3 bg-gray-50 rounded-lg text-gray-600 text-xs space-y-2">
+                <p>
+                  By signing electronically you agree that your electronic signature is the legal equivalent of your
+                  handwritten signature, and that {carrier.name} and MAK Realty may deliver your policy, notices and
+                  other records electronically to {applicant.email}. You may request paper copies at any time.
+                </p>
+                <p>
+                  Coverage is not in force until the carrier binds the policy. Misstating facts on this application
+                  may void coverage.
+                </p>
+              </div>
+              <label className="flex items-start">
+                <input
+                  type="checkbox"
+                  checked={consent.electronicRecords}
+                  onChange={(e) => update('consent', 'electronicRecords', e.target.checked)}
+                  className="mr-2 mt-1"
+                />
+                <span>I consent to sign and receive records electronically</span>
+              </label>
+              {errors.electronicRecords && <p className="text-xs text-red-600">{errors.electronicRecords}</p>}
+              <label className="flex items-start">
+                <input
+                  type="checkbox"
+                  checked={consent.accuracy}
+                  onChange={(e) => update('consent', 'accuracy', e.target.checked)}
+                  className="mr-2 mt-1"
+                />
+                <span>The information in this application is true and complete</span>
+              </label>
+              {errors.accuracy && <p className="text-xs text-red-600">{errors.accuracy}</p>}
+              <Field label="Signature (type your full name)" error={errors.signature}>
+                <div className="flex items-center">
+                  <PenTool className="h-4 w-4 mr-2 text-gray-400" />
+                  <input
+                    type="text"
+                    value={consent.signature}
+                    onChange={(e) => update('consent', 'signature', e.target.value)}
+                    placeholder={`${applicant.firstName} ${applicant.lastName}`}
+                    className={`${INPUT_CLASS} font-serif italic text-base`}
+                  />
+                </div>
+              </Field>
+            </div>
+          )}
+
+          {/* Payment */}
+          {!submittedId && step.id === 'payment' && (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                {Object.entries(PAYMENT_METHODS).map(([method, { label, description }]) => (
+                  <label
+                    key={method}
+                    className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+                      payment.method === method ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      checked={payment.method === method}
+                      onChange={() => setApplication((prev) => ({
+                        ...prev,
+                        payment: { ...prev.payment, method, plan: method === 'escrow' ? 'annual' : prev.payment.plan }
+                      }))}
+                      className="mr-2 mt-1"
+                    />
+                    <div>
+                      <div className="font-medium">{label}</div>
+                      <div className="text-xs text-gray-500">{description}</div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+              <Field label="Payment Plan" error={errors.plan}>
+                <select
+                  value={payment.plan}
+                  onChange={(e) => update('payment', 'plan', e.target.value)}
+                  disabled={payment.method === 'escrow'}
+                  className={INPUT_CLASS}
+                >
+                  {Object.entries(PAYMENT_PLANS).map(([plan, { label }]) => (
+                    <option key={plan} value={plan}>{label}</option>
+                  ))}
+                </select>
+              </Field>
+              {payment.method === 'card' && (
+                <div className="grid grid-cols-3 gap-4">
+                  <Field label="Card Number" error={errors.cardNumber} className="col-span-2">
+                    <input type="text" inputMode="numeric" autoComplete="cc-number" value={payment.cardNumber} onChange={(e) => update('payment', 'cardNumber', e.target.value)} className={INPUT_CLASS} />
+                  </Field>
+                  <Field label="Expires (MM/YY)" error={errors.cardExpiry}>
+                    <input type="text" autoComplete="cc-exp" value={payment.cardExpiry} onChange={(e) => update('payment', 'cardExpiry', e.target.value)} className={INPUT_CLASS} />
+                  </Field>
+                </div>
+              )}
+              {payment.method === 'ach' && (
+                <div className="grid grid-cols-2 gap-4">
+                  <Field label="Routing Number" error={errors.routingNumber}>
+                    <input type="text" inputMode="numeric" value={payment.routingNumber} onChange={(e) => update('payment', 'routingNumber', e.target.value)} className={INPUT_CLASS} />
+                  </Field>
+                  <Field label="Account Number" error={errors.accountNumber}>
+                    <input type="text" inputMode="numeric" value={payment.accountNumber} onChange={(e) => update('payment', 'accountNumber', e.target.value)} className={INPUT_CLASS} />
+                  </Field>
+                </div>
+              )}
+              <div className="p-3 bg-gray-50 rounded-lg flex justify-between font-semibold">
+                <span>{installments === 1 ? 'Due at binding' : `${installments} payments of`}</span>
+                <span>{formatCurrency(bundle.totalAnnual / installments)}</span>
+              </div>
+            </div>
+          )}
+
+          {/* Confirmation */}
+          {submitted && (
+            <div className="space-y-4">
+              <div className="flex items-center text-green-700">
+                <CheckCircle className="h-6 w-6 mr-2" />
+                <div>
+                  <p className="font-semibold">Application {submitted.id} submitted</p>
+                  <p className="text-sm">Your agent will follow up at {submitted.applicant.email}.</p>
+                </div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Status</span>
+                  <span className="font-medium flex items-center">
+                    {binding === submitted.id && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                    {binding === submitted.id ? `Sending to ${carrier.name}...` : PIPELINE_STAGES[submitted.stage].label}
+                  </span>
+                </div>
+                {submitted.policy && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Policy Number</span>
+                    <span className="font-medium">{submitted.policy.policyNumber}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Annual Premium</span>
+                  <span className="font-medium">{formatCurrency(submitted.coverage.annualPremium)}</span>
+                </div>
+              </div>
+              {submitted.bindError && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-yellow-800">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  {carrier.name} could not bind the policy yet ({submitted.bindError}). Your agent will complete it.
+                </div>
+              )}
+              {submitted.stage === 'underwriting' && (
+                <p className="text-gray-600">
+                  {carrier.name} is reviewing the application. You will receive your policy documents once it is bound.
+                </p>
+              )}
+              {submitted.documents.length > 0 && (
+                <ul className="space-y-1">
+                  {submitted.documents.map((doc) => (
+                    <li key={doc.type}>
+                      <a href={doc.url} target="_blank" rel="noopener noreferrer" className="flex items-center text-blue-600 hover:text-blue-700">
+                        <FileText className="h-4 w-4 mr-1" />
+                        {doc.title}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-between px-6 py-4 border-t">
+          {submittedId ? (
+            <button onClick={onClose} className="ml-auto px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+              Done
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={stepIndex === 0 ? onClose : handleBack}
+                className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                {stepIndex === 0 ? 'Cancel' : 'Back'}
+              </button>
+              <button onClick={handleNext} className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700">
+                {stepIndex === APPLICATION_STEPS.length - 1 ? 'Sign & Submit' : 'Continue'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InsuranceApplicationWizard;
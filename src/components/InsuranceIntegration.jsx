@@ -1,5 +1,26 @@
-import React, { useState, useEffect } from 'react';
-import { Shield, Home, Car, Heart, Calculator, TrendingDown, CheckCircle, AlertTriangle, FileText, Phone, Clock, DollarSign } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { Home, Car, Heart, Calculator, TrendingDown, CheckCircle, AlertTriangle, FileText, Phone, Clock, DollarSign, Loader2, RefreshCw, Umbrella } from 'lucide-react';
+import useCarrierQuotes from '../hooks/useCarrierQuotes';
+import { carrierAdapters } from '../lib/insurance/carriers';
+import { priceBundle } from '../lib/insurance/bundles';
+import { quoteHtml, AGENCY_PHONE } from '../lib/insurance/applications';
+import {
+  ELIGIBILITY_QUESTIONS, ELIGIBILITY_STATUS, eligibilityQuestions, checkEligibility
+} from '../lib/insurance/eligibility';
+import { printDocument } from '../lib/export';
+import InsuranceApplicationWizard from './InsuranceApplicationWizard';
+import {
+  coverages, ratingFactors, PROPERTY_TYPES, CONSTRUCTION_TYPES, PROTECTIVE_DEVICES,
+  DEDUCTIBLE_OPTIONS, DEFAULT_DEDUCTIBLE
+} from '../lib/insurance/rating.mjs';
+
+// Eligible quotes first, then quotes pending eligibility answers, carriers
+// still quoting or failed, and carriers the applicant cannot use
+const quoteRank = (quote) => {
+  if (quote.eligibility.status === ELIGIBILITY_STATUS.INELIGIBLE) return 3;
+  if (!quote.quoted) return 2;
+  return quote.eligibility.status === ELIGIBILITY_STATUS.UNKNOWN ? 1 : 0;
+};
 
 const InsuranceIntegration = () => {
   const [propertyDetails, setPropertyDetails] = useState({
@@ -8,83 +29,83 @@ const InsuranceIntegration = () => {
     yearBuilt: 2018,
     sqft: 1900,
     propertyType: 'Condo',
-    securitySystem: true
+    construction: 'masonry',
+    state: 'PA',
+    protectionClass: 3,
+    securitySystem: true,
+    fireAlarm: false,
+    sprinklers: false,
+    deadbolts: true
   });
 
+  const [deductible, setDeductible] = useState(DEFAULT_DEDUCTIBLE);
+
   const [bundleOptions, setBundleOptions] = useState({
     auto: false,
     life: false,
     umbrella: false
   });
 
-  const [quotes, setQuotes] = useState([]);
+  const [applyingTo, setApplyingTo] = useState(null); // carrier id with the application open
 
-  // Mock insurance company data
-  const insuranceCarriers = [
-    {
-      id: 1,
-      name: 'State Farm',
-      rating: 'A++',
-      homeQuote: 1450,
-      autoQuote: 1200,
-      lifeQuote: 45,
-      umbrellaQuote: 250,
-      discounts: ['Multi-policy', 'Security system', 'Claims-free'],
-      features: ['24/7 Claims', 'Local Agent', 'Mobile App']
-    },
-    {
-      id: 2,
-      name: 'Allstate',
-      rating: 'A+',
-      homeQuote: 1380,
-      autoQuote: 1150,
-      lifeQuote: 42,
-      umbrellaQuote: 230,
-      discounts: ['Bundle discount', 'Good credit', 'New home'],
-      features: ['Claim Satisfaction Guarantee', 'Accident Forgiveness', 'Digital ID Cards']
-    },
-    {
-      id: 3,
-      name: 'USAA',
-      rating: 'A++',
-      homeQuote: 1200,
-      autoQuote: 980,
-      lifeQuote: 38,
-      umbrellaQuote: 200,
-      discounts: ['Military discount', 'Multi-vehicle', 'Safe driver'],
-      features: ['Military Focused', 'Exceptional Service', 'No Claims Bonus'],
-      militaryOnly: true
-    }
-  ];
+  // Answers to restricted carriers' eligibility questions; unanswered questions are absent
+  const [eligibilityAnswers, setEligibilityAnswers] = useState({});
+  const questions = eligibilityQuestions(carrierAdapters);
 
-  const calculateBundleSavings = (carrier) => {
-    let savings = 0;
-    let totalAnnual = carrier.homeQuote;
-
-    if (bundleOptions.auto) {
-      totalAnnual += carrier.autoQuote * 0.85;
-      savings += carrier.autoQuote * 0.15;
-    }
-    if (bundleOptions.life) {
-      totalAnnual += carrier.lifeQuote * 12 * 0.9;
-      savings += carrier.lifeQuote * 12 * 0.1;
-    }
-    if (bundleOptions.umbrella) {
-      totalAnnual += carrier.umbrellaQuote * 0.8;
-      savings += carrier.umbrellaQuote * 0.2;
-    }
+  // Carriers the applicant cannot use are not asked to quote
+  const quotableIds = carrierAdapters
+    .filter(carrier => checkEligibility(carrier.eligibility, eligibilityAnswers).status !== ELIGIBILITY_STATUS.INELIGIBLE)
+    .map(carrier => carrier.id)
+    .join(',');
+  const quotableAdapters = useMemo(
+    () => carrierAdapters.filter(carrier => quotableIds.split(',').includes(carrier.id)),
+    [quotableIds]
+  );
 
-    return { totalAnnual, annualSavings: savings };
-  };
+  // Quotes from every quotable carrier, re-requested as the property or deductible changes
+  const { results: quoteResults, retry: retryQuote } = useCarrierQuotes(
+    { property: propertyDetails, deductible },
+    { adapters: quotableAdapters }
+  );
 
-  useEffect(() => {
-    const quotesWithSavings = insuranceCarriers.map(carrier => ({
+  // Ranked by what the applicant would actually pay for the selected bundle
+  const quotes = carrierAdapters.map(carrier => {
+    const eligibility = checkEligibility(carrier.eligibility, eligibilityAnswers);
+    const { status, quote, error } = eligibility.status === ELIGIBILITY_STATUS.INELIGIBLE
+      ? { status: 'ineligible', quote: null, error: null }
+      : quoteResults[carrier.id] || { status: 'loading', quote: null, error: null };
+    if (!quote) return { ...carrier, eligibility, status, error, quoted: false };
+    return {
       ...carrier,
-      bundleAnalysis: calculateBundleSavings(carrier)
-    })).sort((a, b) => a.homeQuote - b.homeQuote);
+      eligibility,
+      status,
+      error,
+      quoted: true,
+      homeQuote: quote.home.premium,
+      carrierQuote: quote,
+      homeRating: quote.home,
+      bundleAnalysis: priceBundle(quote, { selected: bundleOptions, rules: carrier.bundleRules, property: propertyDetails })
+    };
+  }).sort((a, b) => quoteRank(a) - quoteRank(b)
+    || (a.bundleAnalysis?.totalAnnual || 0) - (b.bundleAnalysis?.totalAnnual || 0));
+
+  const bundling = Object.values(bundleOptions).some(Boolean);
+  const applyingQuote = quotes.find(quote => (
+    quote.id === applyingTo && quote.quoted && quote.eligibility.status !== ELIGIBILITY_STATUS.UNKNOWN
+  ));
+  const bestBundleSavings = Math.max(0, ...quotes.filter(quote => quote.quoted).map(quote => quote.bundleAnalysis.annualSavings));
+
+  const propertyCoverages = coverages(propertyDetails);
+  const propertyFactors = ratingFactors(propertyDetails);
+
+  const printQuote = (quote) => printDocument({
+    title: `${quote.name} Insurance Quote`,
+    subtitle: `Prepared ${new Date().toLocaleDateString('en-US', { dateStyle: 'long' })} by MAK Realty`,
+    body: quoteHtml({ carrier: quote, quote: quote.carrierQuote, bundle: quote.bundleAnalysis, property: propertyDetails }),
+    footer: 'Quotes are estimates until the carrier completes underwriting and binds the policy.'
+  });
 
-    setQuotes(quotesWithSavings);
-  }, [bundleOptions]);
+  const updateProperty = (field, value) => setPropertyDetails({ ...propertyDetails, [field]: value });
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -97,26 +118,6 @@ const InsuranceIntegration = () => {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <div className="bg-gradient-to-r from-green-600 to-blue-600 text-white">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-          <div className="flex items-center justify-between">
-            <div>
-              <h1 className="text-3xl font-bold flex items-center">
-                <Shield className="h-8 w-8 mr-3" />
-                Insurance Integration Platform
-              </h1>
-              <p className="text-green-100 mt-2">Complete protection for your real estate investment</p>
-            </div>
-            <div className="text-right">
-              <div className="text-sm text-green-100">Licensed Insurance Professional</div>
-              <div className="text-lg font-semibold">Michael Kelczewski</div>
-              <div className="text-sm text-green-100">MAK Realty Founder</div>
-            </div>
-          </div>
-        </div>
-      </div>
-
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
           
@@ -148,22 +149,165 @@ const InsuranceIntegration = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
                   />
                 </div>
-                <div className="flex items-center justify-between">
-                  <span className="text-gray-700">Security System</span>
-                  <button
-                    onClick={() => setPropertyDetails({...propertyDetails, securitySystem: !propertyDetails.securitySystem})}
-                    className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
-                      propertyDetails.securitySystem ? 'bg-blue-600' : 'bg-gray-200'
-                    }`}
+                <div>
+                  <label className="block text-gray-700 font-medium mb-1">Square Feet</label>
+                  <input
+                    type="number"
+                    value={propertyDetails.sqft}
+                    onChange={(e) => updateProperty('sqft', parseInt(e.target.value) || 0)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-700 font-medium mb-1">Property Type</label>
+                  <select
+                    value={propertyDetails.propertyType}
+                    onChange={(e) => updateProperty('propertyType', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
                   >
-                    <span className={`inline-block h-3 w-3 transform rounded-full bg-white transition-transform ${
-                      propertyDetails.securitySystem ? 'translate-x-5' : 'translate-x-1'
-                    }`} />
-                  </button>
+                    {Object.keys(PROPERTY_TYPES).map((type) => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-700 font-medium mb-1">Construction</label>
+                  <select
+                    value={propertyDetails.construction}
+                    onChange={(e) => updateProperty('construction', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+                  >
+                    {Object.entries(CONSTRUCTION_TYPES).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-1">State</label>
+                    <input
+                      type="text"
+                      maxLength={2}
+                      value={propertyDetails.state}
+                      onChange={(e) => updateProperty('state', e.target.value.toUpperCase())}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-1" title="Fire protection class, 1 (best) to 10">Protection Class</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={propertyDetails.protectionClass}
+                      onChange={(e) => updateProperty('protectionClass', Math.min(Math.max(parseInt(e.target.value) || 1, 1), 10))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+                    />
+                  </div>
+                </div>
+                {Object.entries(PROTECTIVE_DEVICES).map(([field, device]) => (
+                  <div key={field} className="flex items-center justify-between">
+                    <span className="text-gray-700">{device.label}</span>
+                    <button
+                      onClick={() => updateProperty(field, !propertyDetails[field])}
+                      className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
+                        propertyDetails[field] ? 'bg-blue-600' : 'bg-gray-200'
+                      }`}
+                    >
+                      <span className={`inline-block h-3 w-3 transform rounded-full bg-white transition-transform ${
+                        propertyDetails[field] ? 'translate-x-5' : 'translate-x-1'
+                      }`} />
+                    </button>
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-gray-700 font-medium mb-1">Deductible</label>
+                  <select
+                    value={deductible}
+                    onChange={(e) => setDeductible(Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 text-sm"
+                  >
+                    {DEDUCTIBLE_OPTIONS.map((option) => (
+                      <option key={option} value={option}>{formatCurrency(option)}</option>
+                    ))}
+                  </select>
                 </div>
               </div>
             </div>
 
+            {/* Coverage Summary */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-4 flex items-center">
+                <FileText className="h-5 w-5 mr-2 text-blue-600" />
+                Coverage ({propertyCoverages.form})
+              </h3>
+              <dl className="grid grid-cols-2 gap-y-1 text-sm">
+                <dt className="text-gray-600">{propertyCoverages.form === 'HO-6' ? 'Unit Interior' : 'Dwelling'}</dt>
+                <dd className="text-right">{formatCurrency(propertyCoverages.dwelling)}</dd>
+                {propertyCoverages.otherStructures > 0 && (
+                  <>
+                    <dt className="text-gray-600">Other Structures</dt>
+                    <dd className="text-right">{formatCurrency(propertyCoverages.otherStructures)}</dd>
+                  </>
+                )}
+                <dt className="text-gray-600">Personal Property</dt>
+                <dd className="text-right">{formatCurrency(propertyCoverages.personalProperty)}</dd>
+                <dt className="text-gray-600">Loss of Use</dt>
+                <dd className="text-right">{formatCurrency(propertyCoverages.lossOfUse)}</dd>
+                <dt className="text-gray-600">Liability</dt>
+                <dd className="text-right">{formatCurrency(propertyCoverages.liability)}</dd>
+                <dt className="text-gray-600">Medical Payments</dt>
+                <dd className="text-right">{formatCurrency(propertyCoverages.medicalPayments)}</dd>
+              </dl>
+              <h4 className="text-sm font-semibold text-gray-700 mt-4 mb-2">Rating Factors</h4>
+              <ul className="text-sm space-y-1">
+                {propertyFactors.map((factor) => (
+                  <li key={factor.key} className="flex justify-between">
+                    <span className="text-gray-600">{factor.label}</span>
+                    <span className={factor.factor > 1 ? 'text-red-600' : factor.factor < 1 ? 'text-green-600' : 'text-gray-900'}>
+                      ×{factor.factor.toFixed(2)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500 mt-3">
+                Dwelling coverage is the cost to rebuild, not the market value of {formatCurrency(propertyDetails.propertyValue)}.
+              </p>
+            </div>
+
+            {/* Eligibility */}
+            {questions.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h3 className="text-lg font-semibold mb-2 flex items-center">
+                  <CheckCircle className="h-5 w-5 mr-2 text-blue-600" />
+                  Membership Eligibility
+                </h3>
+                <p className="text-xs text-gray-500 mb-4">Some carriers only insure members with a qualifying affiliation.</p>
+                <div className="space-y-3 text-sm">
+                  {questions.map((id) => (
+                    <div key={id}>
+                      <p className="text-gray-700 mb-1">{ELIGIBILITY_QUESTIONS[id].question}</p>
+                      <div className="flex space-x-2">
+                        {[true, false].map((answer) => (
+                          <button
+                            key={String(answer)}
+                            onClick={() => setEligibilityAnswers({ ...eligibilityAnswers, [id]: answer })}
+                            className={`px-3 py-1 rounded-md border ${
+                              eligibilityAnswers[id] === answer
+                                ? 'bg-blue-600 border-blue-600 text-white'
+                                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                            }`}
+                          >
+                            {answer ? 'Yes' : 'No'}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Bundle Options */}
             <div className="bg-white rounded-lg shadow-sm p-6">
               <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -203,12 +347,30 @@ const InsuranceIntegration = () => {
                     }`} />
                   </button>
                 </div>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    <Umbrella className="h-4 w-4 mr-2 text-purple-600" />
+                    <span className="text-sm">Umbrella Liability</span>
+                  </div>
+                  <button
+                    onClick={() => setBundleOptions({...bundleOptions, umbrella: !bundleOptions.umbrella})}
+                    className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors ${
+                      bundleOptions.umbrella ? 'bg-green-600' : 'bg-gray-200'
+                    }`}
+                  >
+                    <span className={`inline-block h-3 w-3 transform rounded-full bg-white transition-transform ${
+                      bundleOptions.umbrella ? 'translate-x-5' : 'translate-x-1'
+                    }`} />
+                  </button>
+                </div>
               </div>
               
-              {(bundleOptions.auto || bundleOptions.life) && (
+              {bundling && bestBundleSavings > 0 && (
                 <div className="mt-4 p-3 bg-green-50 rounded-lg">
                   <p className="text-sm text-green-800 font-medium">Bundle Savings Available!</p>
-                  <p className="text-xs text-green-700 mt-1">Save up to 25% by bundling multiple policies</p>
+                  <p className="text-xs text-green-700 mt-1">
+                    Save up to {formatCurrency(bestBundleSavings)}/year by bundling. Discounts vary by carrier.
+                  </p>
                 </div>
               )}
             </div>
@@ -223,7 +385,12 @@ const InsuranceIntegration = () => {
 
             <div className="space-y-6">
               {quotes.map((quote) => (
-                <div key={quote.id} className="bg-white rounded-lg shadow-sm border hover:shadow-md transition-shadow">
+                <div
+                  key={quote.id}
+                  className={`bg-white rounded-lg shadow-sm border hover:shadow-md transition-shadow ${
+                    quote.eligibility.status === ELIGIBILITY_STATUS.INELIGIBLE ? 'opacity-60' : ''
+                  }`}
+                >
                   <div className="p-6">
                     <div className="flex justify-between items-start mb-4">
                       <div className="flex items-center space-x-4">
@@ -234,47 +401,107 @@ const InsuranceIntegration = () => {
                           </div>
                         </div>
                       </div>
-                      <div className="text-right">
-                        <div className="text-2xl font-bold text-green-600">
-                          {formatCurrency(quote.homeQuote)}<span className="text-sm text-gray-500">/year</span>
+                      {quote.eligibility.status === ELIGIBILITY_STATUS.INELIGIBLE ? (
+                        <div className="text-right text-sm text-gray-500">
+                          <div className="font-medium">Not eligible</div>
+                          <div className="text-xs">{quote.eligibility.reason}</div>
                         </div>
-                        {quote.bundleAnalysis.annualSavings > 0 && (
-                          <div className="text-sm text-green-600">
-                            Save {formatCurrency(quote.bundleAnalysis.annualSavings)} with bundles
+                      ) : quote.quoted ? (
+                        <div className="text-right">
+                          <div className="text-2xl font-bold text-green-600 flex items-center justify-end">
+                            {quote.status === 'loading' && <Loader2 className="h-4 w-4 mr-2 text-gray-400 animate-spin" />}
+                            {formatCurrency(quote.bundleAnalysis.totalAnnual)}<span className="text-sm text-gray-500">/year</span>
                           </div>
-                        )}
-                      </div>
+                          {bundling && (
+                            <div className="text-sm text-gray-600">Home {formatCurrency(quote.homeQuote)} + add-ons</div>
+                          )}
+                          {quote.bundleAnalysis.annualSavings > 0 && (
+                            <div className="text-sm text-green-600">
+                              Save {formatCurrency(quote.bundleAnalysis.annualSavings)} with bundles
+                            </div>
+                          )}
+                        </div>
+                      ) : quote.status === 'loading' ? (
+                        <div className="flex items-center text-sm text-gray-500">
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                          Requesting quote...
+                        </div>
+                      ) : (
+                        <div className="text-right text-sm">
+                          <div className="text-red-600 flex items-center justify-end">
+                            {quote.status === 'timeout' ? <Clock className="h-4 w-4 mr-1" /> : <AlertTriangle className="h-4 w-4 mr-1" />}
+                            {quote.error.message}
+                          </div>
+                          <button
+                            onClick={() => retryQuote(quote.id)}
+                            className="mt-1 inline-flex items-center text-blue-600 hover:text-blue-700"
+                          >
+                            <RefreshCw className="h-3 w-3 mr-1" />
+                            Retry
+                          </button>
+                        </div>
+                      )}
                     </div>
 
+                    {/* Deductible Options */}
+                    {quote.quoted && (
+                      <div className="mb-4 grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                        {quote.homeRating.deductibleOptions.map((option) => (
+                          <button
+                            key={option.deductible}
+                            onClick={() => setDeductible(option.deductible)}
+                            className={`p-2 rounded-md border text-left ${
+                              option.deductible === quote.homeRating.deductible
+                                ? 'border-blue-600 bg-blue-50'
+                                : 'border-gray-200 hover:bg-gray-50'
+                            }`}
+                          >
+                            <div className="text-gray-500">{formatCurrency(option.deductible)} deductible</div>
+                            <div className="font-semibold text-gray-900">{formatCurrency(option.premium)}/yr</div>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Bundle Pricing */}
-                    {(bundleOptions.auto || bundleOptions.life) && (
+                    {quote.quoted && bundling && (
                       <div className="mb-4 p-4 bg-green-50 rounded-lg border border-green-200">
                         <h4 className="font-semibold text-green-800 mb-2">Bundle Pricing</h4>
-                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                          <div>
-                            <div className="font-medium text-green-700">Home</div>
-                            <div className="text-green-800">{formatCurrency(quote.homeQuote)}</div>
-                          </div>
-                          {bundleOptions.auto && (
-                            <div>
-                              <div className="font-medium text-green-700">Auto (15% off)</div>
-                              <div className="text-green-800">{formatCurrency(quote.autoQuote * 0.85)}</div>
+                        <div className="space-y-2 text-sm">
+                          {quote.bundleAnalysis.lines.map((line) => (
+                            <div key={line.product}>
+                              <div className="flex justify-between">
+                                <span className="font-medium text-green-700">{line.label}</span>
+                                <span className="text-green-800">
+                                  {line.discounts.length > 0 && (
+                                    <span className="mr-2 text-gray-400 line-through">{formatCurrency(line.base)}</span>
+                                  )}
+                                  {formatCurrency(line.total)}/yr
+                                </span>
+                              </div>
+                              {line.discounts.map((discount) => (
+                                <div key={discount.id} className="flex justify-between pl-3 text-xs text-green-700">
+                                  <span>{discount.label} ({Math.round(discount.rate * 100)}% off)</span>
+                                  <span>-{formatCurrency(discount.amount)}</span>
+                                </div>
+                              ))}
                             </div>
-                          )}
-                          {bundleOptions.life && (
-                            <div>
-                              <div className="font-medium text-green-700">Life (10% off)</div>
-                              <div className="text-green-800">{formatCurrency(quote.lifeQuote * 12 * 0.9)}</div>
-                            </div>
-                          )}
+                          ))}
                         </div>
                         <div className="mt-3 pt-3 border-t border-green-300">
                           <div className="flex justify-between items-center">
-                            <span className="font-semibold text-green-800">Bundle Total:</span>
+                            <span className="font-semibold text-green-800">
+                              Bundle Total ({quote.bundleAnalysis.policyCount} policies):
+                            </span>
                             <span className="text-xl font-bold text-green-800">
                               {formatCurrency(quote.bundleAnalysis.totalAnnual)}
                             </span>
                           </div>
+                          {quote.bundleAnalysis.annualSavings > 0 && (
+                            <div className="text-right text-sm text-green-700">
+                              You save {formatCurrency(quote.bundleAnalysis.annualSavings)}/year
+                            </div>
+                          )}
                         </div>
                       </div>
                     )}
@@ -307,26 +534,45 @@ const InsuranceIntegration = () => {
 
                     {/* Action Buttons */}
                     <div className="flex space-x-3">
-                      <button className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors">
+                      <button
+                        onClick={() => printQuote(quote)}
+                        disabled={!quote.quoted}
+                        className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+                      >
                         Get Full Quote
                       </button>
-                      <button className="flex-1 bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 transition-colors">
+                      <button
+                        onClick={() => setApplyingTo(quote.id)}
+                        disabled={!quote.quoted || quote.eligibility.status === ELIGIBILITY_STATUS.UNKNOWN}
+                        className="flex-1 bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+                      >
                         Apply Now
                       </button>
-                      <button className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center">
-                        <Phone className="h-4 w-4 mr-1" />
-                        Call Agent
-                      </button>
+                      {AGENCY_PHONE && (
+                        <a
+                          href={`tel:${AGENCY_PHONE.replace(/[^\d+]/g, '')}`}
+                          className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center"
+                        >
+                          <Phone className="h-4 w-4 mr-1" />
+                          Call Agent
+                        </a>
+                      )}
                     </div>
 
-                    {quote.militaryOnly && (
+                    {quote.eligibility.status === ELIGIBILITY_STATUS.UNKNOWN && (
                       <div className="mt-3 p-2 bg-blue-50 rounded border border-blue-200">
                         <p className="text-sm text-blue-800">
                           <AlertTriangle className="h-4 w-4 inline mr-1" />
-                          USAA membership requires military affiliation
+                          {quote.eligibility.reason}. Answer the membership questions to apply.
                         </p>
                       </div>
                     )}
+                    {quote.eligibility.status === ELIGIBILITY_STATUS.ELIGIBLE && (
+                      <p className="mt-3 text-sm text-green-700">
+                        <CheckCircle className="h-4 w-4 inline mr-1" />
+                        Eligible: {quote.eligibility.reason.toLowerCase()}
+                      </p>
+                    )}
                   </div>
                 </div>
               ))}
@@ -334,6 +580,16 @@ const InsuranceIntegration = () => {
           </div>
         </div>
       </div>
+
+      {applyingQuote && (
+        <InsuranceApplicationWizard
+          carrier={applyingQuote}
+          property={propertyDetails}
+          bundleOptions={bundleOptions}
+          eligibilityAnswers={eligibilityAnswers}
+          onClose={() => setApplyingTo(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { Shield, Send, Loader2, AlertTriangle, FileText, ChevronDown, ChevronUp, Trash2, RefreshCw } from 'lucide-react';
+import useInsuranceApplications from '../hooks/useInsuranceApplications';
+import { PIPELINE_STAGES, PAYMENT_METHODS, PAYMENT_PLANS } from '../lib/insurance/applications';
+import { ELIGIBILITY_QUESTIONS } from '../lib/insurance/eligibility';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', { dateStyle: 'medium' });
+
+// Date inputs give YYYY-MM-DD, which Date reads as UTC midnight
+const formatDay = (day) => formatDate(`${day}T00:00:00`);
+
+const STAGE_COLORS = {
+  submitted: 'bg-blue-100 text-blue-800',
+  underwriting: 'bg-yellow-100 text-yellow-800',
+  bound: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-gray-100 text-gray-800'
+};
+
+const STAGE_ACTIONS = {
+  underwriting: 'Send to Underwriting',
+  bound: 'Mark Bound',
+  declined: 'Decline',
+  withdrawn: 'Withdraw'
+};
+
+/** Insurance applications submitted through the quote wizard, by pipeline stage. */
+const InsurancePipeline = () => {
+  const {
+    applications, error, configError, refresh, sendToCarrier, moveApplication, deleteApplication, binding
+  } = useInsuranceApplications({ pipeline: true });
+  const [stageFilter, setStageFilter] = useState('all');
+  const [expanded, setExpanded] = useState(null);
+
+  const visible = stageFilter === 'all'
+    ? applications
+    : applications.filter((record) => record.stage === stageFilter);
+  const boundPremium = applications
+    .filter((record) => record.stage === 'bound')
+    .reduce((sum, record) => sum + record.coverage.annualPremium, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Stage Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+        <button
+          onClick={() => setStageFilter('all')}
+          className={`bg-white rounded-lg shadow-sm p-4 text-left ${stageFilter === 'all' ? 'ring-2 ring-blue-500' : ''}`}
+        >
+          <p className="text-sm font-medium text-gray-600">All Applications</p>
+          <p className="text-2xl font-bold text-gray-900">{applications.length}</p>
+        </button>
+        {Object.entries(PIPELINE_STAGES).map(([stage, { label }]) => (
+          <button
+            key={stage}
+            onClick={() => setStageFilter(stage)}
+            className={`bg-white rounded-lg shadow-sm p-4 text-left ${stageFilter === stage ? 'ring-2 ring-blue-500' : ''}`}
+          >
+            <p className="text-sm font-medium text-gray-600">{label}</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {applications.filter((record) => record.stage === stage).length}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {/* Applications */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center">
+            <Shield className="h-5 w-5 mr-2 text-purple-600" />
+            Insurance Pipeline
+          </h3>
+          <div className="flex items-center space-x-4">
+            <span className="text-sm text-gray-600">Bound premium: {formatCurrency(boundPremium)}/yr</span>
+            <button onClick={refresh} className="flex items-center text-sm text-blue-600 hover:text-blue-700">
+              <RefreshCw className="h-4 w-4 mr-1" />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {(configError || error) && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {configError || `Could not reach the application store: ${error.message}`}
+          </div>
+        )}
+
+        {visible.length === 0 && (
+          <p className="py-8 text-sm text-gray-500 text-center">
+            No applications yet. They appear here when a client applies from the insurance quotes page.
+          </p>
+        )}
+
+        <div className="divide-y">
+          {visible.map((record) => (
+            <div key={record.id} className="py-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <span className="font-semibold text-gray-900">{record.applicant.name}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STAGE_COLORS[record.stage]}`}>
+                      {PIPELINE_STAGES[record.stage].label}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {record.carrierName} · {record.coverage.lines.map((line) => line.label).join(' + ')} · {record.property.address}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {record.id} · submitted {formatDate(record.submittedAt)} · effective {formatDay(record.applicant.effectiveDate)}
+                    {record.policy && ` · policy ${record.policy.policyNumber}`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <div className="font-semibold text-gray-900">{formatCurrency(record.coverage.annualPremium)}/yr</div>
+                  <button
+                    onClick={() => setExpanded(expanded === record.id ? null : record.id)}
+                    className="mt-1 inline-flex items-center text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    Details
+                    {expanded === record.id ? <ChevronUp className="h-4 w-4 ml-1" /> : <ChevronDown className="h-4 w-4 ml-1" />}
+                  </button>
+                </div>
+              </div>
+
+              {record.bindError && (
+                <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded flex items-center text-sm text-yellow-800">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  Bind failed: {record.bindError}
+                </div>
+              )}
+
+              {record.documents.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-3 text-sm">
+                  {record.documents.map((doc) => (
+                    <a key={doc.type} href={doc.url} target="_blank" rel="noopener noreferrer" className="flex items-center text-blue-600 hover:text-blue-700">
+                      <FileText className="h-4 w-4 mr-1" />
+                      {doc.title}
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              {/* Details */}
+              {expanded === record.id && (
+                <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <h4 className="font-semibold text-gray-700 mb-1">Applicant</h4>
+                    <p className="text-gray-600">{record.applicant.email}</p>
+                    <p className="text-gray-600">{record.applicant.phone}</p>
+                    <p className="text-gray-600">{record.applicant.mailingAddress}</p>
+                    <p className="text-gray-600 mt-1">
+                      Signed by {record.consent.signature} on {formatDate(record.consent.signedAt)}
+                    </p>
+                    {record.eligibility && (
+                      <p className="text-gray-600">
+                        Eligibility attested: {Object.keys(record.eligibility).filter((id) => record.eligibility[id])
+                          .map((id) => ELIGIBILITY_QUESTIONS[id].label).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <h4 className="font-semibold text-gray-700 mb-1">Coverage</h4>
+                    <p className="text-gray-600">
+                      {record.coverage.form}, {formatCurrency(record.coverage.limits.dwelling)} dwelling, {formatCurrency(record.coverage.deductible)} deductible
+                    </p>
+                    {record.coverage.lines.map((line) => (
+                      <p key={line.product} className="text-gray-600">{line.label}: {formatCurrency(line.premium)}/yr</p>
+                    ))}
+                    <p className="text-gray-600 mt-1">
+                      {PAYMENT_METHODS[record.payment.method].label}
+                      {record.payment.last4 && ` ending ${record.payment.last4}`} · {PAYMENT_PLANS[record.payment.plan].label}
+                    </p>
+                  </div>
+                  <div>
+                    <h4 className="font-semibold text-gray-700 mb-1">Prior Claims</h4>
+                    {record.claims.length === 0 && <p className="text-gray-600">None reported</p>}
+                    {record.claims.map((claim, index) => (
+                      <p key={index} className="text-gray-600">
+                        {formatDay(claim.date)} · {claim.type} · {formatCurrency(claim.amount)}
+                      </p>
+                    ))}
+                    <h4 className="font-semibold text-gray-700 mt-2 mb-1">History</h4>
+                    {record.history.map((event, index) => (
+                      <p key={index} className="text-xs text-gray-500">{formatDate(event.at)} · {event.note || PIPELINE_STAGES[event.stage].label}</p>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Actions */}
+              <div className="mt-3 flex flex-wrap gap-2 text-sm">
+                {record.stage === 'submitted' && (
+                  <button
+                    onClick={() => sendToCarrier(record)}
+                    disabled={binding === record.id}
+                    className="flex items-center px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {binding === record.id ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Send className="h-4 w-4 mr-1" />}
+                    Send to {record.carrierName}
+                  </button>
+                )}
+                {PIPELINE_STAGES[record.stage].next.map((stage) => (
+                  <button
+                    key={stage}
+                    onClick={() => moveApplication(record.id, stage, `Moved to ${PIPELINE_STAGES[stage].label} by agent`)}
+                    className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50"
+                  >
+                    {STAGE_ACTIONS[stage]}
+                  </button>
+                ))}
+                {['declined', 'withdrawn'].includes(record.stage) && (
+                  <button
+                    onClick={() => deleteApplication(record.id)}
+                    className="flex items-center px-3 py-1 text-gray-500 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InsurancePipeline;
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { Building2, Scale, Database } from 'lucide-react';
+import { IRR_HOLD_YEARS } from '../lib/mortgage/investment';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const formatPercent = (value) => (value === null ? '—' : `${value.toFixed(1)}%`);
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500';
+
+const RENTAL_FIELDS = [
+  { field: 'monthlyRent', label: 'Monthly Rent ($)', step: '50' },
+  { field: 'vacancyPct', label: 'Vacancy (%)', step: '0.5' },
+  { field: 'managementPct', label: 'Management (%)', step: '0.5' },
+  { field: 'maintenancePct', label: 'Maintenance (%)', step: '0.5' },
+  { field: 'capexPct', label: 'CapEx Reserve (%)', step: '0.5' },
+  { field: 'rentGrowthPct', label: 'Rent Growth (%/yr)', step: '0.25' },
+  { field: 'appreciationPct', label: 'Appreciation (%/yr)', step: '0.25' },
+  { field: 'sellingCostPct', label: 'Selling Costs (%)', step: '0.5' }
+];
+
+const RENT_VS_BUY_FIELDS = [
+  { field: 'monthlyRent', label: 'Rent for a Comparable Home ($)', step: '50' },
+  { field: 'rentGrowthPct', label: 'Rent Growth (%/yr)', step: '0.25' },
+  { field: 'appreciationPct', label: 'Appreciation (%/yr)', step: '0.25' },
+  { field: 'investmentReturnPct', label: 'Savings Return (%/yr)', step: '0.25' },
+  { field: 'ownerMaintenancePct', label: 'Upkeep (% of value)', step: '0.25' },
+  { field: 'sellingCostPct', label: 'Selling Costs (%)', step: '0.5' }
+];
+
+// Years shown in the net worth table
+const MILESTONE_YEARS = [1, 3, 5, 10, 15, 20, 30];
+
+const Metric = ({ label, value, tone = 'text-gray-900' }) => (
+  <div className="p-3 bg-gray-50 rounded-lg">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className={`text-lg font-semibold ${tone}`}>{value}</div>
+  </div>
+);
+
+const InvestmentPanel = ({ investment, onInvestmentChange, analysis, comparison, rentalSource }) => {
+  const [mode, setMode] = useState('investor');
+  const fields = mode === 'investor' ? RENTAL_FIELDS : RENT_VS_BUY_FIELDS;
+  const update = (field, value) => onInvestmentChange({ ...investment, [field]: Number(value) || 0 });
+  const milestones = comparison.years.filter((row) => MILESTONE_YEARS.includes(row.year));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          {mode === 'investor'
+            ? <Building2 className="h-5 w-5 mr-2 text-blue-600" />
+            : <Scale className="h-5 w-5 mr-2 text-blue-600" />}
+          {mode === 'investor' ? 'Investment Analysis' : 'Rent vs Buy'}
+        </h3>
+        <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+          {[['investor', 'Investor'], ['rent-vs-buy', 'Rent vs Buy']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              className={`px-3 py-1.5 ${mode === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {rentalSource && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-center text-sm text-blue-800">
+          <Database className="h-4 w-4 mr-2" />
+          Rent and vacancy prefilled from PropertyOracle ({rentalSource.occupancyRate}% occupied,
+          {rentalSource.isVerified ? ' verified' : ' unverified'}, updated {rentalSource.lastUpdated.toLocaleDateString()}).
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+        {fields.map(({ field, label, step }) => (
+          <div key={field}>
+            <label className="block text-gray-700 font-medium mb-1" htmlFor={`investment-${field}`}>{label}</label>
+            <input
+              id={`investment-${field}`}
+              type="number"
+              min="0"
+              step={step}
+              value={investment[field]}
+              onChange={(e) => update(field, e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      {mode === 'investor' ? (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <Metric
+              label="Monthly Cash Flow"
+              value={formatCurrency(analysis.monthlyCashFlow)}
+              tone={analysis.monthlyCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}
+            />
+            <Metric label="Cap Rate" value={formatPercent(analysis.capRate)} />
+            <Metric label="Cash-on-Cash" value={formatPercent(analysis.cashOnCash)} />
+            <Metric
+              label="DSCR"
+              value={analysis.dscr === null ? '—' : analysis.dscr.toFixed(2)}
+              tone={analysis.dscr !== null && analysis.dscr < 1 ? 'text-red-600' : 'text-gray-900'}
+            />
+            {IRR_HOLD_YEARS.map((hold) => (
+              <Metric key={hold} label={`${hold}-Year IRR`} value={formatPercent(analysis.irr[hold])} />
+            ))}
+            <Metric label="Net Operating Income" value={formatCurrency(analysis.noi)} />
+            <Metric label="Annual Debt Service" value={formatCurrency(analysis.annualDebtService)} />
+          </div>
+          <dl className="grid grid-cols-2 gap-y-1 text-sm">
+            <dt className="text-gray-600">Gross Scheduled Rent</dt>
+            <dd className="text-right">{formatCurrency(analysis.grossRent)}</dd>
+            <dt className="text-gray-600">Effective Gross Income</dt>
+            <dd className="text-right">{formatCurrency(analysis.effectiveIncome)}</dd>
+            <dt className="text-gray-600">Operating Expenses</dt>
+            <dd className="text-right">-{formatCurrency(analysis.operatingExpenses)}</dd>
+          </dl>
+          <p className="text-xs text-gray-500 mt-3">
+            Year-one figures. IRR assumes a sale at the end of the hold net of selling costs and the remaining loan balance.
+          </p>
+        </>
+      ) : (
+        <>
+          <div className="mb-4 text-sm">
+            {comparison.breakEvenYear
+              ? <span>Buying builds more net worth than renting from <strong>year {comparison.breakEvenYear}</strong>.</span>
+              : <span>Renting and investing the difference stays ahead over the full loan term.</span>}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">Year</th>
+                  <th className="py-2 text-right">Cost to Own</th>
+                  <th className="py-2 text-right">Cost to Rent</th>
+                  <th className="py-2 text-right">Buyer Net Worth</th>
+                  <th className="py-2 text-right">Renter Net Worth</th>
+                </tr>
+              </thead>
+              <tbody>
+                {milestones.map((row) => (
+                  <tr key={row.year} className="border-b last:border-0">
+                    <td className="py-2">{row.year}</td>
+                    <td className="py-2 text-right">{formatCurrency(row.ownerCost)}</td>
+                    <td className="py-2 text-right">{formatCurrency(row.renterCost)}</td>
+                    <td className={`py-2 text-right ${row.buyerNetWorth >= row.renterNetWorth ? 'font-semibold text-green-600' : ''}`}>
+                      {formatCurrency(row.buyerNetWorth)}
+                    </td>
+                    <td className={`py-2 text-right ${row.renterNetWorth > row.buyerNetWorth ? 'font-semibold text-green-600' : ''}`}>
+                      {formatCurrency(row.renterNetWorth)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Both start with the cash to close. Each year the cheaper option invests the difference. Buyer net worth is
+            home equity after selling costs plus those savings.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default InvestmentPanel;
@@ -0,0 +1,175 @@
+import React from 'react';
+import { Layers, AlertTriangle } from 'lucide-react';
+import { LOAN_PRODUCTS, PRODUCT_LABELS, MIN_DOWN_PAYMENT } from '../lib/mortgage/products';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const ARM_FIELDS = [
+  { field: 'initialYears', label: 'Fixed Period (yrs)', step: '1' },
+  { field: 'adjustmentMonths', label: 'Adjusts Every (mo)', step: '1' },
+  { field: 'index', label: 'Index (%)', step: '0.05' },
+  { field: 'margin', label: 'Margin (%)', step: '0.05' },
+  { field: 'initialCap', label: 'Initial Cap (%)', step: '0.25' },
+  { field: 'periodicCap', label: 'Periodic Cap (%)', step: '0.25' },
+  { field: 'lifetimeCap', label: 'Lifetime Cap (%)', step: '0.25' }
+];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500';
+
+const LoanProgramPanel = ({ program, onProgramChange, comparison }) => {
+  const selected = comparison.find((result) => result.type === program.type);
+
+  const update = (changes) => onProgramChange({ ...program, ...changes });
+  const updateArm = (field, value) => update({ arm: { ...program.arm, [field]: Number(value) || 0 } });
+  const updateVa = (field, value) => update({ va: { ...program.va, [field]: value } });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <Layers className="h-5 w-5 mr-2 text-blue-600" />
+        Loan Program
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+        {Object.values(LOAN_PRODUCTS).map((type) => (
+          <button
+            key={type}
+            onClick={() => update({ type })}
+            className={`px-3 py-2 text-sm rounded-md border ${
+              program.type === type
+                ? 'bg-blue-600 text-white border-blue-600'
+                : 'text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {PRODUCT_LABELS[type]}
+          </button>
+        ))}
+      </div>
+
+      {/* Product Settings */}
+      {program.type === LOAN_PRODUCTS.ARM && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
+          {ARM_FIELDS.map(({ field, label, step }) => (
+            <div key={field}>
+              <label className="block text-gray-700 font-medium mb-1">{label}</label>
+              <input
+                type="number"
+                min="0"
+                step={step}
+                value={program.arm[field]}
+                onChange={(e) => updateArm(field, e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {program.type === LOAN_PRODUCTS.INTEREST_ONLY && (
+        <div className="mb-4 text-sm max-w-xs">
+          <label className="block text-gray-700 font-medium mb-1">Interest-Only Period (yrs)</label>
+          <input
+            type="number"
+            min="1"
+            value={program.interestOnlyYears}
+            onChange={(e) => update({ interestOnlyYears: Number(e.target.value) || 0 })}
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      {program.type === LOAN_PRODUCTS.VA && (
+        <div className="flex space-x-6 mb-4 text-sm text-gray-700">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={!program.va.firstUse}
+              onChange={(e) => updateVa('firstUse', !e.target.checked)}
+              className="mr-2"
+            />
+            Used VA entitlement before
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={program.va.exempt}
+              onChange={(e) => updateVa('exempt', e.target.checked)}
+              className="mr-2"
+            />
+            Exempt from funding fee
+          </label>
+        </div>
+      )}
+
+      {selected && !selected.meetsMinimumDown && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          {selected.label} requires at least {(MIN_DOWN_PAYMENT[selected.type] * 100).toFixed(1)}% down
+        </div>
+      )}
+
+      {/* Product Comparison */}
+      <div className="overflow-x-auto border rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr className="text-left text-gray-500">
+              <th className="px-3 py-2">Product</th>
+              <th className="px-3 py-2 text-right">Loan Amount</th>
+              <th className="px-3 py-2 text-right">Upfront Fee</th>
+              <th className="px-3 py-2 text-right">Initial P&I</th>
+              <th className="px-3 py-2 text-right">Max P&I</th>
+              <th className="px-3 py-2 text-right">Monthly MI</th>
+              <th className="px-3 py-2 text-right">Total Cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {comparison.map((result) => (
+              <tr
+                key={result.type}
+                onClick={() => update({ type: result.type })}
+                className={`cursor-pointer ${program.type === result.type ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <td className="px-3 py-2 font-medium">
+                  {result.label}
+                  {!result.meetsMinimumDown && (
+                    <span className="ml-2 text-xs text-yellow-700">Below min. down</span>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-right">{formatCurrency(result.loanAmount)}</td>
+                <td className="px-3 py-2 text-right">
+                  {result.upfrontFee > 0 ? formatCurrency(result.upfrontFee) : '—'}
+                </td>
+                <td className="px-3 py-2 text-right">{formatCurrency(result.initialPayment)}</td>
+                <td className="px-3 py-2 text-right">
+                  {formatCurrency(result.maxPayment)}
+                  {result.worstCaseMaxPayment !== undefined && (
+                    <div className="text-xs text-gray-500">
+                      worst case {formatCurrency(result.worstCaseMaxPayment)}
+                    </div>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {result.initialMI > 0 ? formatCurrency(result.initialMI) : '—'}
+                </td>
+                <td className="px-3 py-2 text-right">{formatCurrency(result.totalCost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Total cost is interest, mortgage insurance and financed fees over the life of the loan.
+        ARM projections hold the index flat; the worst case raises the rate by the full cap at each adjustment.
+      </p>
+    </div>
+  );
+};
+
+export default LoanProgramPanel;
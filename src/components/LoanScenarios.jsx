@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Columns, Plus, Trash2, Upload, FileDown, FileText } from 'lucide-react';
+import useLoanScenarios from '../hooks/useLoanScenarios';
+import {
+  SCENARIO_ROWS, summarizeScenario, formatScenarioValue, scenarioGrid
+} from '../lib/mortgage/scenarios';
+import { downloadCsv, printDocument, gridToHtml } from '../lib/export';
+
+// Metrics where the lowest value is the best deal
+const LOWER_IS_BETTER = ['monthlyPayment', 'cashToClose', 'totalInterest'];
+
+const LoanScenarios = ({ loanDetails, program, creditScore, onLoad }) => {
+  const { scenarios, saveScenario, deleteScenario } = useLoanScenarios();
+  const [name, setName] = useState('');
+  const [points, setPoints] = useState(0);
+
+  const summaries = scenarios.map((scenario) => summarizeScenario(scenario, { creditScore }));
+  const best = Object.fromEntries(LOWER_IS_BETTER.map((key) => [
+    key, summaries.length > 1 ? Math.min(...summaries.map((summary) => summary[key])) : null
+  ]));
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    saveScenario({ name, loanDetails, program, points });
+    setName('');
+    setPoints(0);
+  };
+
+  const exportCsv = () => downloadCsv('loan-scenarios.csv', scenarioGrid(summaries));
+
+  const exportPdf = () => printDocument({
+    title: 'Loan Scenario Comparison',
+    subtitle: `Prepared ${new Date().toLocaleDateString('en-US', { dateStyle: 'long' })}`,
+    body: gridToHtml(scenarioGrid(summaries)),
+    footer: 'Estimates only. Monthly payment includes taxes, insurance, HOA and mortgage insurance. '
+      + 'Cash to close includes estimated closing costs and discount points.'
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          <Columns className="h-5 w-5 mr-2 text-blue-600" />
+          Scenario Comparison
+        </h3>
+        {summaries.length > 0 && (
+          <div className="flex space-x-2 text-sm">
+            <button
+              onClick={exportCsv}
+              className="flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              <FileDown className="h-4 w-4 mr-1" />
+              CSV
+            </button>
+            <button
+              onClick={exportPdf}
+              className="flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              <FileText className="h-4 w-4 mr-1" />
+              PDF
+            </button>
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={handleSave} className="flex flex-wrap gap-2 mb-4 text-sm">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scenario name, e.g. 15-year, 20% down"
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex items-center">
+          <label className="text-gray-700 mr-2" htmlFor="scenario-points">Points</label>
+          <input
+            id="scenario-points"
+            type="number"
+            min="0"
+            step="0.125"
+            value={points}
+            onChange={(e) => setPoints(Number(e.target.value) || 0)}
+            className="w-20 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Save Current
+        </button>
+      </form>
+
+      {summaries.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Save the current loan as a scenario, change the inputs and save again to compare them side by side.
+        </p>
+      ) : (
+        <div className="overflow-x-auto border rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-gray-500">
+                <th className="px-3 py-2 text-left" />
+                {summaries.map((summary) => (
+                  <th key={summary.id} className="px-3 py-2 text-right align-top">
+                    <div className="font-semibold text-gray-900">{summary.name}</div>
+                    <div className="flex justify-end space-x-2 mt-1 font-normal">
+                      <button
+                        onClick={() => onLoad(scenarios.find((scenario) => scenario.id === summary.id))}
+                        title="Load into calculator"
+                        className="text-blue-600 hover:text-blue-700"
+                      >
+                        <Upload className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => deleteScenario(summary.id)}
+                        title="Delete scenario"
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {SCENARIO_ROWS.map((row) => (
+                <tr key={row.key}>
+                  <td className="px-3 py-2 text-gray-600">{row.label}</td>
+                  {summaries.map((summary) => (
+                    <td
+                      key={summary.id}
+                      className={`px-3 py-2 text-right ${
+                        best[row.key] !== undefined && summary[row.key] === best[row.key]
+                          ? 'text-green-700 font-semibold'
+                          : ''
+                      }`}
+                    >
+                      {formatScenarioValue(summary[row.key], row.format)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoanScenarios;
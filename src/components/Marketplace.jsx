@@ -0,0 +1,93 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatEther } from 'ethers';
+import { ArrowLeftRight, Loader2, AlertTriangle, ChevronRight } from 'lucide-react';
+import useTokenizedProperties from '../hooks/useTokenizedProperties';
+
+const formatEth = (wei) => `${Number(formatEther(wei)).toFixed(4)} ETH`;
+
+const Marketplace = () => {
+  const { properties, status, error } = useTokenizedProperties();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold flex items-center">
+            <ArrowLeftRight className="h-8 w-8 mr-3" />
+            Share Marketplace
+          </h1>
+          <p className="text-blue-100 mt-2">Buy and sell fractional property shares</p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {status === 'loading' && (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading properties...
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-800 text-sm">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {error.shortMessage || error.message}
+          </div>
+        )}
+
+        {status === 'success' && properties.length === 0 && (
+          <p className="py-12 text-center text-gray-500">No properties have been tokenized yet.</p>
+        )}
+
+        {properties.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left text-gray-500">
+                  <th className="px-6 py-3">Property</th>
+                  <th className="px-6 py-3 text-right">Shares Sold</th>
+                  <th className="px-6 py-3 text-right">Offering Price</th>
+                  <th className="px-6 py-3 text-right">Avg. Ask</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {properties.map((property) => (
+                  <tr key={property.propertyId} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="font-medium text-gray-900">{property.propertyAddress}</div>
+                      <div className="text-xs text-gray-500">
+                        Token #{property.propertyId}
+                        {!property.isActive && <span className="ml-2 text-gray-400">Inactive</span>}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      {property.sharesSold.toLocaleString()} / {property.totalShares.toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 text-right">{formatEth(property.sharePrice)}</td>
+                    <td className="px-6 py-4 text-right">
+                      {property.marketPrice > 0n ? formatEth(property.marketPrice) : <span className="text-gray-400">No asks</span>}
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <Link
+                        to={`/marketplace/${property.propertyId}`}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-700 font-medium"
+                      >
+                        Trade
+                        <ChevronRight className="h-4 w-4" />
+                      </Link>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Marketplace;
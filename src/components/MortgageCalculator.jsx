@@ -1,5 +1,28 @@
-import React, { useState, useEffect } from 'react';
-import { Calculator, TrendingUp, Shield, Zap, Bitcoin, DollarSign, FileText, CheckCircle, AlertTriangle, Globe } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { TrendingUp, Shield, Zap, Bitcoin, DollarSign, FileText, CheckCircle, AlertTriangle, Globe, Home, ArrowLeft } from 'lucide-react';
+import useListing from '../hooks/useListing';
+import useOnChainProperty from '../hooks/useOnChainProperty';
+import useCryptoPrices from '../hooks/useCryptoPrices';
+import useCryptoQuote from '../hooks/useCryptoQuote';
+import { CRYPTO_ASSETS, DEFAULT_BUFFER_PCT, lockedPayment, QuoteExpiredError } from '../lib/prices';
+import { LISTING_PARAM, loanDetailsFromListing } from '../lib/mortgage/listingPrefill';
+import { EMPTY_PREPAYMENTS, hasPrepayments, summarizeSchedule } from '../lib/mortgage/amortization';
+import { DEFAULT_LOAN_PROGRAM, evaluateLoan, compareLoanProducts } from '../lib/mortgage/products';
+import { DEFAULT_CLOSING_OPTIONS, DEFAULT_PROPERTY_STATE, estimateClosingCosts } from '../lib/mortgage/closingCosts';
+import { getRuleSet, underwrite } from '../lib/mortgage/underwriting';
+import { DEFAULT_INVESTMENT, analyzeInvestment, rentVsBuy } from '../lib/mortgage/investment';
+import { CALC_PARAM, SHORT_LINK_PARAM, resolveCalculatorLink, mergeCalculatorSection } from '../lib/mortgage/calculatorLink';
+import { calculationStore } from '../lib/mortgage/calculationStore';
+import AmortizationSchedule from './AmortizationSchedule';
+import LoanProgramPanel from './LoanProgramPanel';
+import LoanScenarios from './LoanScenarios';
+import UnderwritingPanel from './UnderwritingPanel';
+import PrequalLetterPanel from './PrequalLetterPanel';
+import ClosingCostsPanel from './ClosingCostsPanel';
+import InvestmentPanel from './InvestmentPanel';
+import ShareCalculationPanel from './ShareCalculationPanel';
+import CryptoPaymentPanel from './CryptoPaymentPanel';
 
 const MortgageCalculator = () => {
   const [loanDetails, setLoanDetails] = useState({
@@ -9,108 +32,188 @@ const MortgageCalculator = () => {
     interestRate: 7.25,
     propertyTax: 4800,
     insurance: 1200,
-    pmi: 0,
-    hoaFees: 0
+    hoaFees: 0,
+    state: DEFAULT_PROPERTY_STATE
   });
 
+  // Extra principal payments for the amortization schedule
+  const [prepayments, setPrepayments] = useState(EMPTY_PREPAYMENTS);
+
+  // Loan product (fixed, ARM, interest-only, FHA/VA/USDA) and its settings
+  const [loanProgram, setLoanProgram] = useState(DEFAULT_LOAN_PROGRAM);
+
+  // Points, seller credits and prepaids for the closing cost estimate
+  const [closingOptions, setClosingOptions] = useState(DEFAULT_CLOSING_OPTIONS);
+
+  // Listing the user came from via "Get Pre-Qualified", if any
+  const [searchParams] = useSearchParams();
+  const { listing } = useListing(searchParams.get(LISTING_PARAM));
+
+  useEffect(() => {
+    if (listing) {
+      setLoanDetails(prev => loanDetailsFromListing(listing, prev));
+    }
+  }, [listing]);
+
+  // Rent, vacancy and growth assumptions for investor and rent-vs-buy analysis
+  const [investment, setInvestment] = useState(DEFAULT_INVESTMENT);
+
+  // Tokenized listings carry rent and occupancy from PropertyOracle
+  const { rental } = useOnChainProperty(listing?.tokenId);
+
+  useEffect(() => {
+    if (rental) {
+      setInvestment(prev => ({
+        ...prev,
+        monthlyRent: Math.round(rental.monthlyRent),
+        vacancyPct: 100 - rental.occupancyRate
+      }));
+    }
+  }, [rental]);
+
   const [cryptoPayment, setCryptoPayment] = useState({
     enabled: false,
     currency: 'BTC',
     amount: 0,
     usdValue: 0,
-    volatilityProtection: true
+    volatilityProtection: true,
+    bufferPct: Number(process.env.REACT_APP_CRYPTO_QUOTE_BUFFER_PCT) || DEFAULT_BUFFER_PCT
   });
 
   const [borrowerProfile, setBorrowerProfile] = useState({
     income: 120000,
     creditScore: 750,
-    debtToIncome: 28,
+    // Existing monthly debts as a percent of income, before this mortgage
+    existingDebtPct: 8,
     employmentType: 'W2',
-    downPaymentSource: 'savings'
+    downPaymentSource: 'savings',
+    liquidAssets: 150000
   });
 
-  // Mock crypto prices
-  const [cryptoPrices, setCryptoPrices] = useState({
-    BTC: 43250,
-    ETH: 2380,
-    USDC: 1.00
+  // Everything a share link or saved calculation restores
+  const calculatorState = {
+    loanDetails, loanProgram, prepayments, borrowerProfile, closingOptions, investment, cryptoPayment
+  };
+
+  const applyCalculatorState = useCallback((saved) => {
+    setLoanDetails(prev => mergeCalculatorSection(prev, saved.loanDetails));
+    setLoanProgram(prev => mergeCalculatorSection(prev, saved.loanProgram));
+    setPrepayments(prev => mergeCalculatorSection(prev, saved.prepayments));
+    setBorrowerProfile(prev => mergeCalculatorSection(prev, saved.borrowerProfile));
+    setClosingOptions(prev => mergeCalculatorSection(prev, saved.closingOptions));
+    setInvestment(prev => mergeCalculatorSection(prev, saved.investment));
+    setCryptoPayment(prev => mergeCalculatorSection(prev, saved.cryptoPayment));
+  }, []);
+
+  // Restore a shared calculation from ?c= (short link) or ?calc=
+  const calcParam = searchParams.get(CALC_PARAM);
+  const shortLinkParam = searchParams.get(SHORT_LINK_PARAM);
+  const [linkError, setLinkError] = useState(null);
+
+  useEffect(() => {
+    if (!calcParam && !shortLinkParam) return undefined;
+    let cancelled = false;
+    const linkParams = new URLSearchParams();
+    if (shortLinkParam) linkParams.set(SHORT_LINK_PARAM, shortLinkParam);
+    if (calcParam) linkParams.set(CALC_PARAM, calcParam);
+
+    resolveCalculatorLink(linkParams, calculationStore).then((saved) => {
+      if (cancelled) return;
+      if (saved) {
+        applyCalculatorState(saved);
+        setLinkError(null);
+      } else {
+        setLinkError('This calculator link is damaged, unknown or was made by a newer version of the calculator.');
+      }
+    }).catch((err) => {
+      if (!cancelled) setLinkError(`Could not open this calculator link: ${err.message}`);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [calcParam, shortLinkParam, applyCalculatorState]);
+
+  // Live USD prices for crypto down payments
+  const { prices: cryptoPriceFeed, error: cryptoPriceError } = useCryptoPrices();
+  const cryptoPrices = Object.fromEntries(
+    Object.entries(cryptoPriceFeed).map(([symbol, { price }]) => [symbol, price])
+  );
+
+  // Rate-locked amount of crypto to send for the down payment
+  const cryptoQuote = useCryptoQuote({
+    enabled: cryptoPayment.enabled,
+    usdAmount: loanDetails.downPayment,
+    symbol: cryptoPayment.currency,
+    price: cryptoPriceFeed[cryptoPayment.currency],
+    bufferPct: cryptoPayment.bufferPct,
+    volatilityProtection: cryptoPayment.volatilityProtection
   });
 
-  // Calculate mortgage payments
+  // Calculate mortgage payments for the selected loan product
   const calculateMortgage = () => {
-    const principal = loanDetails.propertyPrice - loanDetails.downPayment;
-    const monthlyRate = loanDetails.interestRate / 100 / 12;
-    const totalPayments = loanDetails.loanTerm * 12;
-    
-    const monthlyPI = principal * (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) / 
-                     (Math.pow(1 + monthlyRate, totalPayments) - 1);
-    
+    const { creditScore } = borrowerProfile;
+    const loan = evaluateLoan({ loanDetails, program: loanProgram, prepayments, creditScore });
+    const baseline = hasPrepayments(prepayments)
+      ? evaluateLoan({ loanDetails, program: loanProgram, creditScore })
+      : loan;
+
+    const monthlyPI = loan.initialPayment;
     const monthlyTaxes = loanDetails.propertyTax / 12;
     const monthlyInsurance = loanDetails.insurance / 12;
-    const monthlyPMI = loanDetails.pmi / 12;
+    const monthlyPMI = loan.initialMI;
     const monthlyHOA = loanDetails.hoaFees / 12;
     
     const totalMonthlyPayment = monthlyPI + monthlyTaxes + monthlyInsurance + monthlyPMI + monthlyHOA;
     
     return {
       monthlyPI: monthlyPI,
+      monthlyPMI: monthlyPMI,
       totalMonthlyPayment: totalMonthlyPayment,
-      totalInterest: (monthlyPI * totalPayments) - principal,
-      loanAmount: principal
+      totalInterest: loan.totalInterest,
+      loanAmount: loan.loanAmount,
+      product: loan,
+      schedule: loan.schedule,
+      payoff: summarizeSchedule(loan.schedule, baseline.schedule)
     };
   };
 
-  // AI-powered pre-qualification
-  const calculatePreQualification = () => {
-    const monthlyIncome = borrowerProfile.income / 12;
-    const maxDebtToIncome = 43;
-    const maxPayment = (monthlyIncome * maxDebtToIncome) / 100;
-    
-    const estimatedTaxesInsurance = (loanDetails.propertyPrice * 0.015) / 12;
-    const availableForPI = maxPayment - estimatedTaxesInsurance;
-    
-    const monthlyRate = loanDetails.interestRate / 100 / 12;
-    const totalPayments = loanDetails.loanTerm * 12;
-    
-    const maxLoanAmount = availableForPI * (Math.pow(1 + monthlyRate, totalPayments) - 1) / 
-                         (monthlyRate * Math.pow(1 + monthlyRate, totalPayments));
-    
-    const maxPropertyPrice = maxLoanAmount + loanDetails.downPayment;
-    
-    let rateAdjustment = 0;
-    if (borrowerProfile.creditScore < 620) rateAdjustment = 2.0;
-    else if (borrowerProfile.creditScore < 680) rateAdjustment = 0.75;
-    else if (borrowerProfile.creditScore < 740) rateAdjustment = 0.25;
-    
-    const conditions = [];
-    if (borrowerProfile.creditScore < 620) conditions.push("Credit score improvement needed");
-    if (borrowerProfile.debtToIncome > 43) conditions.push("Debt-to-income ratio too high");
-    if (loanDetails.downPayment / loanDetails.propertyPrice < 0.03) conditions.push("Minimum 3% down payment required");
+  // Pre-qualification against the selected program's underwriting rules
+  const calculatePreQualification = (mortgage, closing) => {
+    const result = underwrite({
+      ruleSet: getRuleSet(loanProgram.type),
+      borrower: borrowerProfile,
+      loanDetails,
+      loan: mortgage.product,
+      cashToClose: closing.cashToClose
+    });
     
     return {
-      approved: conditions.length === 0 && borrowerProfile.creditScore >= 620,
-      maxLoanAmount: maxLoanAmount,
-      maxPropertyPrice: maxPropertyPrice,
-      adjustedRate: loanDetails.interestRate + rateAdjustment,
-      conditions: conditions,
+      ...result,
       confidence: borrowerProfile.creditScore >= 740 ? 'High' : borrowerProfile.creditScore >= 680 ? 'Medium' : 'Low'
     };
   };
 
   const mortgage = calculateMortgage();
-  const preQual = calculatePreQualification();
+  const productComparison = compareLoanProducts({
+    loanDetails, program: loanProgram, prepayments, creditScore: borrowerProfile.creditScore
+  });
+  const closing = estimateClosingCosts({ loanDetails, loan: mortgage.product, ...closingOptions });
+  const preQual = calculatePreQualification(mortgage, closing);
+  const investmentInputs = { loanDetails, loan: mortgage.product, cashToClose: closing.cashToClose, investment };
+  const investmentAnalysis = analyzeInvestment(investmentInputs);
+  const rentVsBuyComparison = rentVsBuy(investmentInputs);
 
-  // Update crypto amounts when property price changes
+  // Update crypto amounts from the locked quote; nothing is owed once the lock lapses
   useEffect(() => {
-    if (cryptoPayment.enabled) {
-      const cryptoAmount = loanDetails.downPayment / cryptoPrices[cryptoPayment.currency];
-      setCryptoPayment(prev => ({
-        ...prev,
-        amount: cryptoAmount,
-        usdValue: loanDetails.downPayment
-      }));
+    if (!cryptoPayment.enabled) return;
+    let payment = { amount: 0, usdValue: 0 };
+    try {
+      payment = lockedPayment(cryptoQuote.quote);
+    } catch (err) {
+      if (!(err instanceof QuoteExpiredError)) throw err;
     }
-  }, [loanDetails.downPayment, cryptoPayment.currency, cryptoPayment.enabled]);
+    setCryptoPayment(prev => ({ ...prev, amount: payment.amount, usdValue: payment.usdValue }));
+  }, [cryptoPayment.enabled, cryptoQuote.quote]);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -122,36 +225,109 @@ const MortgageCalculator = () => {
   };
 
   const formatCrypto = (amount, currency) => {
-    const decimals = currency === 'BTC' ? 6 : currency === 'ETH' ? 4 : 2;
-    return amount.toFixed(decimals);
+    return amount.toFixed(CRYPTO_ASSETS[currency].decimals);
   };
 
   return (
     <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-          <div className="flex items-center justify-between">
-            <div>
-              <h1 className="text-3xl font-bold flex items-center">
-                <Calculator className="h-8 w-8 mr-3" />
-                Advanced Mortgage Calculator
-              </h1>
-              <p className="text-blue-100 mt-2">Blockchain-powered transparency with crypto payment options</p>
-            </div>
-            <div className="text-right">
-              <div className="text-sm text-blue-100">Licensed MLO</div>
-              <div className="text-lg font-semibold">Michael Kelczewski</div>
-              <div className="text-sm text-blue-100">Founder, MAK Realty</div>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {listing && (
+          <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between">
+            <div className="flex items-center text-blue-900">
+              <Home className="h-5 w-5 mr-3 text-blue-600" />
+              <div>
+                <div className="font-semibold">{listing.address}</div>
+                <div className="text-sm text-blue-700">
+                  Price, property tax and HOA prefilled from this listing
+                </div>
+              </div>
             </div>
+            <Link
+              to={`/property/${listing.id}`}
+              className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+            >
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Back to listing
+            </Link>
           </div>
-        </div>
-      </div>
+        )}
 
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           
           {/* Input Section */}
           <div className="lg:col-span-2 space-y-6">
+
+            {/* Save & Share */}
+            <ShareCalculationPanel
+              calculatorState={calculatorState}
+              onLoad={applyCalculatorState}
+              linkError={linkError}
+            />
+
+            {/* Crypto Down Payment */}
+            <CryptoPaymentPanel
+              cryptoPayment={cryptoPayment}
+              onCryptoPaymentChange={setCryptoPayment}
+              prices={cryptoPriceFeed}
+              priceError={cryptoPriceError}
+              quote={cryptoQuote.quote}
+              secondsLeft={cryptoQuote.secondsLeft}
+              onRequote={cryptoQuote.requote}
+            />
+
+            {/* Loan Program */}
+            <LoanProgramPanel
+              program={loanProgram}
+              onProgramChange={setLoanProgram}
+              comparison={productComparison}
+            />
+
+            {/* Closing Costs */}
+            <ClosingCostsPanel
+              closing={closing}
+              onStateChange={(state) => setLoanDetails(prev => ({ ...prev, state }))}
+              options={closingOptions}
+              onOptionsChange={setClosingOptions}
+            />
+
+            {/* Investment */}
+            <InvestmentPanel
+              investment={investment}
+              onInvestmentChange={setInvestment}
+              analysis={investmentAnalysis}
+              comparison={rentVsBuyComparison}
+              rentalSource={rental}
+            />
+
+            {/* Underwriting */}
+            <UnderwritingPanel
+              borrowerProfile={borrowerProfile}
+              onBorrowerProfileChange={setBorrowerProfile}
+              preQual={preQual}
+            />
+
+            {/* Pre-Qualification Letter */}
+            <PrequalLetterPanel preQual={preQual} programLabel={mortgage.product.label} />
+
+            {/* Scenarios */}
+            <LoanScenarios
+              loanDetails={loanDetails}
+              program={loanProgram}
+              creditScore={borrowerProfile.creditScore}
+              onLoad={(scenario) => {
+                setLoanDetails(scenario.loanDetails);
+                setLoanProgram(scenario.program);
+              }}
+            />
+
+            {/* Amortization */}
+            <AmortizationSchedule
+              schedule={mortgage.schedule}
+              summary={mortgage.payoff}
+              loanAmount={mortgage.loanAmount}
+              mortgageInsurance={mortgage.product.mortgageInsurance}
+              prepayments={prepayments}
+              onPrepaymentsChange={setPrepayments}
+            />
             
             {/* Property Details */}
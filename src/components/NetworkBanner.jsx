@@ -0,0 +1,50 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import useWallet from '../hooks/useWallet';
+import { NETWORKS, networkNameForChain } from '../lib/networks';
+
+const chainLabel = (chainId) => NETWORKS[networkNameForChain(chainId)]?.label || `chain ${chainId}`;
+
+// Wrong-network prompt and wallet/deployment errors, shown under the header
+const NetworkBanner = () => {
+  const {
+    isWrongNetwork, chainId, expectedChainId, network, deployment, error, switchNetwork
+  } = useWallet();
+
+  if (isWrongNetwork) {
+    return (
+      <div className="bg-yellow-50 border-b border-yellow-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center justify-between">
+          <div className="flex items-center text-yellow-800 text-sm">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            Your wallet is on {chainLabel(chainId)}. MAK Platform contracts are deployed on {chainLabel(expectedChainId)}.
+          </div>
+          <button
+            onClick={switchNetwork}
+            className="bg-yellow-600 text-white px-3 py-1 rounded-md text-sm hover:bg-yellow-700"
+          >
+            Switch to {chainLabel(expectedChainId)}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const message = error?.message
+    || (deployment.status === 'missing' && Object.keys(deployment.addresses).length === 0
+      && `No contract deployment found for ${network.name}. Run the deploy script for this network.`)
+    || (deployment.status === 'error' && deployment.error.message);
+
+  if (!message) return null;
+
+  return (
+    <div className="bg-red-50 border-b border-red-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center text-red-800 text-sm">
+        <AlertTriangle className="h-4 w-4 mr-2" />
+        {message}
+      </div>
+    </div>
+  );
+};
+
+export default NetworkBanner;
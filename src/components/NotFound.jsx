@@ -0,0 +1,14 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Home } from 'lucide-react';
+
+const NotFound = () => (
+  <div className="flex flex-col items-center justify-center py-24">
+    <Home className="h-10 w-10 text-gray-300 mb-3" />
+    <h2 className="text-xl font-semibold text-gray-900 mb-1">Page not found</h2>
+    <p className="text-gray-600 mb-4">The page you were looking for doesn't exist.</p>
+    <Link to="/search" className="text-blue-600 hover:text-blue-700">Back to search</Link>
+  </div>
+);
+
+export default NotFound;
@@ -0,0 +1,183 @@
+import React from 'react';
+import { formatEther } from 'ethers';
+import {
+  Wallet, RefreshCw, Loader2, AlertTriangle, TrendingUp, TrendingDown, DollarSign, PieChart, Coins
+} from 'lucide-react';
+import useWallet from '../hooks/useWallet';
+import usePortfolio from '../hooks/usePortfolio';
+import { CONNECTORS, CONNECTOR_LABELS } from '../lib/wallet';
+
+const formatEth = (wei, digits = 4) => `${Number(formatEther(wei)).toFixed(digits)} ETH`;
+
+const SummaryCard = ({ icon: Icon, label, value, tone = 'text-gray-900' }) => (
+  <div className="bg-white rounded-lg shadow-sm p-6">
+    <div className="flex items-center justify-between mb-2">
+      <span className="text-sm text-gray-600">{label}</span>
+      <Icon className="h-5 w-5 text-blue-600" />
+    </div>
+    <div className={`text-2xl font-bold ${tone}`}>{value}</div>
+  </div>
+);
+
+const Portfolio = () => {
+  const { account, connect, network } = useWallet();
+  const {
+    holdings, totals, status, error, refresh, claimAll, claiming, canClaim
+  } = usePortfolio();
+
+  const { gain } = totals;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-purple-600 to-blue-600 text-white">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold flex items-center">
+                <Wallet className="h-8 w-8 mr-3" />
+                My Portfolio
+              </h1>
+              <p className="text-purple-100 mt-2">Your fractional property holdings on the MAK Platform</p>
+            </div>
+            {account && (
+              <button
+                onClick={refresh}
+                disabled={status === 'loading'}
+                className="flex items-center bg-white bg-opacity-20 hover:bg-opacity-30 px-4 py-2 rounded-lg disabled:opacity-50"
+              >
+                <RefreshCw className={`h-4 w-4 mr-2 ${status === 'loading' ? 'animate-spin' : ''}`} />
+                Refresh
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {!account ? (
+          <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+            <Wallet className="h-10 w-10 mx-auto text-gray-300 mb-3" />
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Connect a wallet to see your property shares</h3>
+            <p className="text-gray-600 mb-6">Holdings are read from the MAK Platform contracts on {network.label}.</p>
+            <div className="flex justify-center gap-3">
+              {Object.values(CONNECTORS).map((id) => (
+                <button
+                  key={id}
+                  onClick={() => connect(id)}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                >
+                  {CONNECTOR_LABELS[id]}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <>
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-800 text-sm">
+                <AlertTriangle className="h-4 w-4 mr-2" />
+                {error.shortMessage || error.message}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+              <SummaryCard icon={PieChart} label="Current Value" value={formatEth(totals.value)} />
+              <SummaryCard icon={DollarSign} label="Cost Basis" value={formatEth(totals.costBasis)} />
+              <SummaryCard
+                icon={gain >= 0n ? TrendingUp : TrendingDown}
+                label="Unrealized Gain"
+                value={`${gain >= 0n ? '+' : '-'}${formatEth(gain >= 0n ? gain : -gain)}`}
+                tone={gain >= 0n ? 'text-green-600' : 'text-red-600'}
+              />
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm text-gray-600">Claimable Income</span>
+                  <Coins className="h-5 w-5 text-blue-600" />
+                </div>
+                <div className="text-2xl font-bold text-gray-900 mb-3">{formatEth(totals.claimable)}</div>
+                <button
+                  onClick={claimAll}
+                  disabled={!canClaim || claiming}
+                  className="w-full flex items-center justify-center bg-green-600 text-white py-2 rounded-md hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  {claiming && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  {claiming ? 'Claiming...' : 'Claim All'}
+                </button>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+              <div className="px-6 py-4 border-b">
+                <h3 className="text-lg font-semibold">Holdings</h3>
+              </div>
+
+              {status === 'loading' && holdings.length === 0 && (
+                <div className="flex items-center justify-center py-12 text-gray-500">
+                  <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+                  Reading balances and trade history...
+                </div>
+              )}
+
+              {status === 'success' && holdings.length === 0 && (
+                <p className="py-12 text-center text-gray-500">This wallet holds no property shares yet.</p>
+              )}
+
+              {holdings.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr className="text-left text-gray-500">
+                      <th className="px-6 py-3">Property</th>
+                      <th className="px-6 py-3 text-right">Shares</th>
+                      <th className="px-6 py-3 text-right">Cost Basis</th>
+                      <th className="px-6 py-3 text-right">Current Value</th>
+                      <th className="px-6 py-3 text-right">Gain / Loss</th>
+                      <th className="px-6 py-3 text-right">Claimable</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {holdings.map((holding) => (
+                      <tr key={holding.propertyId}>
+                        <td className="px-6 py-4">
+                          <div className="font-medium text-gray-900">{holding.propertyAddress}</div>
+                          <div className="text-xs text-gray-500">Token #{holding.propertyId}</div>
+                        </td>
+                        <td className="px-6 py-4 text-right">
+                          <div>{holding.balance.toLocaleString()}</div>
+                          <div className="text-xs text-gray-500">{holding.ownershipPct}% of {holding.totalShares.toLocaleString()}</div>
+                        </td>
+                        <td className="px-6 py-4 text-right">
+                          {formatEth(holding.costBasis)}
+                          {!holding.basisComplete && (
+                            <div className="text-xs text-yellow-700">Some shares were transferred in</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-right">
+                          {holding.value === null ? <span className="text-gray-400">No valuation</span> : formatEth(holding.value)}
+                        </td>
+                        <td className={`px-6 py-4 text-right ${holding.gain === null ? 'text-gray-400' : holding.gain >= 0n ? 'text-green-600' : 'text-red-600'}`}>
+                          {holding.gain === null
+                            ? '—'
+                            : `${holding.gain >= 0n ? '+' : '-'}${formatEth(holding.gain >= 0n ? holding.gain : -holding.gain)}`}
+                        </td>
+                        <td className="px-6 py-4 text-right">{formatEth(holding.claimable)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {totals.unvalued > 0 && (
+              <p className="mt-4 text-xs text-gray-500">
+                {totals.unvalued} {totals.unvalued === 1 ? 'property has' : 'properties have'} no oracle valuation yet and {totals.unvalued === 1 ? 'is' : 'are'} excluded from the current value.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Portfolio;
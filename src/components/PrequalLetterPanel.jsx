@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Award, Printer, Link2, Loader2, Trash2, ShieldCheck, AlertTriangle } from 'lucide-react';
+import usePrequalLetters from '../hooks/usePrequalLetters';
+import useWallet from '../hooks/useWallet';
+import {
+  createLetter, letterHtml, verifyPath, LETTER_VALIDITY_DAYS, LOAN_OFFICER
+} from '../lib/mortgage/prequalLetter';
+import { printDocument } from '../lib/export';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', { dateStyle: 'medium' });
+
+const PrequalLetterPanel = ({ preQual, programLabel }) => {
+  const { letters, issueLetter, deleteLetter, anchorLetter, anchoring, error } = usePrequalLetters();
+  const { account, network } = useWallet();
+  const [borrowerName, setBorrowerName] = useState('');
+  const [validityDays, setValidityDays] = useState(LETTER_VALIDITY_DAYS);
+
+  const handleGenerate = (e) => {
+    e.preventDefault();
+    if (!preQual.approved || !borrowerName.trim()) return;
+    const letter = issueLetter(createLetter({ borrowerName, preQual, program: programLabel, validityDays }));
+    setBorrowerName('');
+    printLetter(letter);
+  };
+
+  const printLetter = (letter) => printDocument({
+    title: 'Mortgage Pre-Qualification Letter',
+    subtitle: `${LOAN_OFFICER.company} · ${LOAN_OFFICER.name}`,
+    body: letterHtml(letter, { verifyUrl: `${window.location.origin}${verifyPath(letter)}` })
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <Award className="h-5 w-5 mr-2 text-blue-600" />
+        Pre-Qualification Letter
+      </h3>
+
+      {!preQual.approved && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          Letters can be issued once the borrower pre-qualifies.
+        </div>
+      )}
+
+      <form onSubmit={handleGenerate} className="flex flex-wrap gap-2 mb-4 text-sm">
+        <input
+          type="text"
+          value={borrowerName}
+          onChange={(e) => setBorrowerName(e.target.value)}
+          placeholder="Borrower full name"
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex items-center">
+          <label className="text-gray-700 mr-2" htmlFor="letter-validity">Valid (days)</label>
+          <input
+            id="letter-validity"
+            type="number"
+            min="1"
+            max="180"
+            value={validityDays}
+            onChange={(e) => setValidityDays(Number(e.target.value) || LETTER_VALIDITY_DAYS)}
+            className="w-20 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!preQual.approved || !borrowerName.trim()}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Printer className="h-4 w-4 mr-1" />
+          Generate Letter
+        </button>
+      </form>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          {error.shortMessage || error.message}
+        </div>
+      )}
+
+      {letters.length > 0 && (
+        <div className="border rounded-lg divide-y text-sm">
+          {letters.map((letter) => (
+            <div key={letter.id} className="p-3 flex items-center justify-between">
+              <div>
+                <div className="font-medium text-gray-900">{letter.borrowerName}</div>
+                <div className="text-xs text-gray-500">
+                  {letter.id} · {letter.program} · up to {formatCurrency(letter.maxPurchasePrice)} · expires {formatDate(letter.expiresAt)}
+                </div>
+                {letter.anchor && (
+                  <div className="text-xs text-green-700 flex items-center mt-1">
+                    <ShieldCheck className="h-3 w-3 mr-1" />
+                    Anchored on-chain
+                    {network.explorerUrl && (
+                      <a
+                        href={`${network.explorerUrl}/tx/${letter.anchor.txHash}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="ml-1 underline"
+                      >
+                        view transaction
+                      </a>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center space-x-3">
+                <button onClick={() => printLetter(letter)} title="Print letter" className="text-gray-500 hover:text-gray-700">
+                  <Printer className="h-4 w-4" />
+                </button>
+                <Link to={verifyPath(letter)} title="Verification page" className="text-gray-500 hover:text-gray-700">
+                  <Link2 className="h-4 w-4" />
+                </Link>
+                {!letter.anchor && (
+                  <button
+                    onClick={() => anchorLetter(letter)}
+                    disabled={!account || anchoring !== null}
+                    title={account ? 'Anchor the letter hash on-chain' : 'Connect the loan officer wallet to anchor'}
+                    className="flex items-center text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    {anchoring === letter.id ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Anchor'}
+                  </button>
+                )}
+                <button onClick={() => deleteLetter(letter.id)} title="Remove from this list" className="text-gray-400 hover:text-red-600">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PrequalLetterPanel;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { MapPin, Heart } from 'lucide-react';
+import { prequalifyPath } from '../lib/mortgage/listingPrefill';
+
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(price);
+};
+
+// Listing card shared by the results grid and the map hover card
+const PropertyCard = ({ property, isFavorite, onToggleFavorite, compact = false }) => {
+  // Lets the detail page link back to these exact results
+  const location = useLocation();
+  const from = `${location.pathname}${location.search}`;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
+      <div className="relative">
+        <img
+          src={property.image}
+          alt={property.address}
+          className={`w-full ${compact ? 'h-32' : 'h-48'} object-cover`}
+        />
+        <button
+          onClick={() => onToggleFavorite(property.id)}
+          className="absolute top-3 right-3 p-2 bg-white rounded-full shadow-md hover:bg-gray-50"
+        >
+          <Heart
+            className={`h-5 w-5 ${
+              isFavorite
+                ? 'text-red-500 fill-current'
+                : 'text-gray-400'
+            }`}
+          />
+        </button>
+        <div className="absolute bottom-3 left-3 bg-blue-600 text-white px-2 py-1 rounded text-sm">
+          {property.daysOnMarket} days on market
+        </div>
+      </div>
+
+      <div className="p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className={`${compact ? 'text-xl' : 'text-2xl'} font-bold text-blue-600`}>
+            {formatPrice(property.price)}
+          </h4>
+          <span className="text-sm text-gray-500">{property.type}</span>
+        </div>
+
+        <div className="flex items-center text-gray-600 mb-2">
+          <MapPin className="h-4 w-4 mr-1" />
+          <span className="text-sm">{property.address}</span>
+        </div>
+
+        <div className="flex items-center justify-between text-sm text-gray-600 mb-4">
+          <span>{property.beds} beds</span>
+          <span>{property.baths} baths</span>
+          <span>{property.sqft.toLocaleString()} sq ft</span>
+        </div>
+
+        <div className="flex space-x-2">
+          <Link
+            to={`/property/${property.id}`}
+            state={{ from }}
+            className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors text-center"
+          >
+            View Details
+          </Link>
+          <Link
+            to={prequalifyPath(property)}
+            className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-200 transition-colors text-center"
+          >
+            Get Pre-Qualified
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PropertyCard;
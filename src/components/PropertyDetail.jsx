@@ -0,0 +1,337 @@
+import React, { useState } from 'react';
+import { useParams, useLocation, Link } from 'react-router-dom';
+import {
+  ArrowLeft, ChevronLeft, ChevronRight, Heart, MapPin, Loader2, AlertTriangle,
+  Home, Calendar, Ruler, Layers, Receipt, Building, Link2, CheckCircle, TrendingUp
+} from 'lucide-react';
+import useListing from '../hooks/useListing';
+import useFavorites from '../hooks/useFavorites';
+import useOnChainProperty from '../hooks/useOnChainProperty';
+import { prequalifyPath } from '../lib/mortgage/listingPrefill';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric'
+});
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const Fact = ({ icon: Icon, label, value }) => (
+  <div className="flex items-center p-3 bg-gray-50 rounded-lg">
+    <Icon className="h-5 w-5 mr-3 text-blue-600" />
+    <div>
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="font-semibold text-gray-900">{value}</div>
+    </div>
+  </div>
+);
+
+const PhotoGallery = ({ photos, alt }) => {
+  const [index, setIndex] = useState(0);
+  if (photos.length === 0) return null;
+
+  const step = (delta) => setIndex((index + delta + photos.length) % photos.length);
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <img src={photos[index]} alt={alt} className="w-full h-96 object-cover rounded-lg" />
+        {photos.length > 1 && (
+          <>
+            <button
+              onClick={() => step(-1)}
+              className="absolute left-3 top-1/2 -translate-y-1/2 p-2 bg-white bg-opacity-90 rounded-full shadow-md hover:bg-white"
+            >
+              <ChevronLeft className="h-5 w-5" />
+            </button>
+            <button
+              onClick={() => step(1)}
+              className="absolute right-3 top-1/2 -translate-y-1/2 p-2 bg-white bg-opacity-90 rounded-full shadow-md hover:bg-white"
+            >
+              <ChevronRight className="h-5 w-5" />
+            </button>
+            <div className="absolute bottom-3 right-3 bg-gray-900 bg-opacity-75 text-white px-2 py-1 rounded text-sm">
+              {index + 1} / {photos.length}
+            </div>
+          </>
+        )}
+      </div>
+      {photos.length > 1 && (
+        <div className="flex space-x-2 overflow-x-auto">
+          {photos.map((photo, i) => (
+            <button key={photo} onClick={() => setIndex(i)} className="flex-shrink-0">
+              <img
+                src={photo}
+                alt={`${alt} ${i + 1}`}
+                className={`h-16 w-24 object-cover rounded ${i === index ? 'ring-2 ring-blue-600' : 'opacity-75 hover:opacity-100'}`}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BlockchainPanel = ({ tokenId }) => {
+  const { status, tokenization, valuations, capRate, error } = useOnChainProperty(tokenId);
+
+  if (tokenId === undefined || tokenId === null) {
+    return (
+      <p className="text-sm text-gray-600">This property has not been tokenized on the MAK Platform.</p>
+    );
+  }
+  if (status === 'loading' || status === 'idle') {
+    return (
+      <div className="flex items-center text-gray-500 text-sm">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Reading on-chain data...
+      </div>
+    );
+  }
+  if (status === 'error') {
+    return (
+      <div className="flex items-center text-sm text-red-700">
+        <AlertTriangle className="h-4 w-4 mr-2" />
+        Could not read on-chain data: {error?.shortMessage || error?.message}
+      </div>
+    );
+  }
+
+  const soldPct = tokenization && tokenization.totalShares > 0
+    ? (tokenization.sharesSold / tokenization.totalShares) * 100
+    : 0;
+
+  return (
+    <div className="space-y-6">
+      {tokenization && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm text-gray-600">Token #{tokenId}</span>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+              tokenization.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}>
+              {tokenization.isActive ? 'Active' : 'Inactive'}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+            <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${soldPct}%` }} />
+          </div>
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <div className="text-gray-500">Shares sold</div>
+              <div className="font-semibold">
+                {tokenization.sharesSold.toLocaleString()} / {tokenization.totalShares.toLocaleString()}
+              </div>
+            </div>
+            <div>
+              <div className="text-gray-500">Share price</div>
+              <div className="font-semibold">{tokenization.sharePriceEth} ETH</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Tokenized</div>
+              <div className="font-semibold">{formatDate(tokenization.listingDate)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Original owner</div>
+              <div className="font-semibold font-mono">{shortAddress(tokenization.originalOwner)}</div>
+            </div>
+          </div>
+          <Link
+            to={`/marketplace/${tokenId}`}
+            className="mt-4 block w-full bg-purple-600 text-white text-center py-2 px-4 rounded-md hover:bg-purple-700 transition-colors"
+          >
+            Trade Shares
+          </Link>
+        </div>
+      )}
+
+      <div className="p-3 bg-blue-50 rounded-lg flex items-center justify-between">
+        <span className="text-sm text-blue-800 flex items-center">
+          <TrendingUp className="h-4 w-4 mr-2" />
+          Oracle cap rate
+        </span>
+        <span className="font-bold text-blue-900">
+          {capRate === null ? 'No rental data' : `${capRate.toFixed(2)}%`}
+        </span>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Oracle Valuation History</h4>
+        {valuations.length === 0 ? (
+          <p className="text-sm text-gray-500">No valuations recorded yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Date</th>
+                <th className="py-2">Value</th>
+                <th className="py-2">Source</th>
+                <th className="py-2 text-right">Confidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...valuations].reverse().map((valuation) => (
+                <tr key={valuation.appraisalDate.getTime()} className="border-b last:border-0">
+                  <td className="py-2">{formatDate(valuation.appraisalDate)}</td>
+                  <td className="py-2 font-medium">{formatCurrency(valuation.appraisedValue)}</td>
+                  <td className="py-2">
+                    {valuation.dataSource}
+                    {valuation.isVerified && <CheckCircle className="h-3 w-3 inline ml-1 text-green-600" />}
+                  </td>
+                  <td className="py-2 text-right">{valuation.confidenceScore}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const PropertyDetail = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const backTo = location.state?.from || '/search';
+  const { listing, status, error } = useListing(id);
+  const { favorites, toggleFavorite } = useFavorites();
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center text-gray-500">
+        <Loader2 className="h-6 w-6 mr-2 animate-spin" />
+        Loading property...
+      </div>
+    );
+  }
+
+  if (status !== 'success') {
+    return (
+      <div className="min-h-screen bg-gray-50 flex flex-col items-center justify-center">
+        <Home className="h-10 w-10 text-gray-300 mb-3" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-1">
+          {status === 'not-found' ? 'Property not found' : 'Could not load this property'}
+        </h2>
+        {error && <p className="text-gray-600 mb-4">{error.message}</p>}
+        <Link to={backTo} className="text-blue-600 hover:text-blue-700">Back to search</Link>
+      </div>
+    );
+  }
+
+  const photos = listing.photos?.length ? listing.photos : [listing.image].filter(Boolean);
+  const isFavorite = favorites.has(listing.id);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <Link to={backTo} className="inline-flex items-center text-blue-600 hover:text-blue-700 mb-4">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to search
+        </Link>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2 space-y-6">
+            <PhotoGallery photos={photos} alt={listing.address} />
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h1 className="text-3xl font-bold text-blue-600">{formatCurrency(listing.price)}</h1>
+                  <div className="flex items-center text-gray-600 mt-1">
+                    <MapPin className="h-4 w-4 mr-1" />
+                    {listing.address}
+                  </div>
+                </div>
+                <button
+                  onClick={() => toggleFavorite(listing.id)}
+                  className="p-2 bg-white border rounded-full shadow-sm hover:bg-gray-50"
+                >
+                  <Heart className={`h-5 w-5 ${isFavorite ? 'text-red-500 fill-current' : 'text-gray-400'}`} />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+                <Fact icon={Home} label="Beds / Baths" value={`${listing.beds} bd / ${listing.baths} ba`} />
+                <Fact icon={Ruler} label="Living area" value={`${listing.sqft.toLocaleString()} sq ft`} />
+                <Fact icon={Layers} label="Lot" value={listing.lotSqft ? `${listing.lotSqft.toLocaleString()} sq ft` : '—'} />
+                <Fact icon={Building} label="Type" value={listing.type} />
+                <Fact icon={Calendar} label="Year built" value={listing.yearBuilt || '—'} />
+                <Fact icon={Calendar} label="Days on market" value={listing.daysOnMarket} />
+                <Fact icon={Receipt} label="Annual tax" value={listing.taxAnnual ? formatCurrency(listing.taxAnnual) : '—'} />
+                <Fact icon={Receipt} label="HOA / month" value={listing.hoaMonthly ? formatCurrency(listing.hoaMonthly) : 'None'} />
+              </div>
+
+              {listing.description && <p className="text-gray-700 leading-relaxed">{listing.description}</p>}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-4">Price History</h3>
+              {listing.priceHistory?.length ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Date</th>
+                      <th className="py-2">Event</th>
+                      <th className="py-2 text-right">Price</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...listing.priceHistory].reverse().map((entry) => (
+                      <tr key={`${entry.date}-${entry.event}`} className="border-b last:border-0">
+                        <td className="py-2">{entry.date ? formatDate(entry.date) : '—'}</td>
+                        <td className="py-2">{entry.event}</td>
+                        <td className="py-2 text-right font-medium">{formatCurrency(entry.price)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No price history available.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm text-gray-600">Status</span>
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                  {listing.status || 'Active'}
+                </span>
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">Price per sq ft</span>
+                <span className="font-semibold">{formatCurrency(listing.price / listing.sqft)}</span>
+              </div>
+              <Link
+                to={prequalifyPath(listing)}
+                className="mt-4 block w-full bg-blue-600 text-white text-center py-2 px-4 rounded-md hover:bg-blue-700 transition-colors"
+              >
+                Get Pre-Qualified
+              </Link>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h3 className="text-lg font-semibold mb-4 flex items-center">
+                <Link2 className="h-5 w-5 mr-2 text-purple-600" />
+                On-Chain Ownership
+              </h3>
+              <BlockchainPanel tokenId={listing.tokenId} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PropertyDetail;
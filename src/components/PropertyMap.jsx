@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Polygon, Circle, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Pencil, Circle as CircleIcon, Trash2, Check, X } from 'lucide-react';
+import PropertyCard from './PropertyCard';
+import { clusterListings } from '../lib/map/cluster';
+import { distanceMeters } from '../lib/map/geo';
+import { getTileSource, DEFAULT_CENTER, DEFAULT_ZOOM } from '../lib/map/tiles';
+
+const tileSource = getTileSource();
+
+const formatShortPrice = (price) => (
+  price >= 1000000 ? `$${(price / 1000000).toFixed(1)}M` : `$${Math.round(price / 1000)}K`
+);
+
+const priceIcon = (listing, active) => L.divIcon({
+  className: '',
+  html: `<div class="px-2 py-1 rounded-full text-xs font-semibold shadow-md whitespace-nowrap ${
+    active ? 'bg-gray-900 text-white' : 'bg-blue-600 text-white'
+  }">${formatShortPrice(listing.price)}</div>`,
+  iconSize: [56, 24],
+  iconAnchor: [28, 12]
+});
+
+const clusterIcon = (count) => L.divIcon({
+  className: '',
+  html: `<div class="flex items-center justify-center h-10 w-10 rounded-full bg-blue-600 bg-opacity-90 border-4 border-blue-200 text-white text-sm font-bold shadow-md">${count}</div>`,
+  iconSize: [40, 40],
+  iconAnchor: [20, 20]
+});
+
+// Tracks the zoom level so pins can be re-clustered
+const ZoomWatcher = ({ onZoom }) => {
+  useMapEvents({ zoomend: (e) => onZoom(e.target.getZoom()) });
+  return null;
+};
+
+// Frames the result set whenever it changes, unless the user has drawn an area
+const FitToListings = ({ listings, geo }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (geo) return;
+    const points = listings
+      .filter((l) => typeof l.latitude === 'number' && typeof l.longitude === 'number')
+      .map((l) => [l.latitude, l.longitude]);
+    if (points.length > 0) map.fitBounds(points, { padding: [40, 40], maxZoom: 14 });
+  }, [listings, geo, map]);
+  return null;
+};
+
+const DrawHandler = ({ mode, draft, setDraft, onComplete }) => {
+  useMapEvents({
+    click: (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (mode === 'polygon') {
+        setDraft([...draft, point]);
+      } else if (mode === 'radius') {
+        if (draft.length === 0) {
+          setDraft([point]);
+        } else {
+          onComplete({ type: 'radius', center: draft[0], radiusMeters: distanceMeters(draft[0], point) });
+        }
+      }
+    }
+  });
+  return null;
+};
+
+const ClusterMarker = ({ cluster, hoveredId, onHover }) => {
+  const map = useMap();
+
+  if (cluster.listings.length === 1) {
+    const listing = cluster.listings[0];
+    return (
+      <Marker
+        position={[listing.latitude, listing.longitude]}
+        icon={priceIcon(listing, hoveredId === listing.id)}
+        eventHandlers={{ mouseover: () => onHover(listing), click: () => onHover(listing) }}
+      />
+    );
+  }
+
+  return (
+    <Marker
+      position={[cluster.latitude, cluster.longitude]}
+      icon={clusterIcon(cluster.listings.length)}
+      eventHandlers={{
+        click: () => map.flyTo([cluster.latitude, cluster.longitude], Math.min(map.getZoom() + 2, tileSource.maxZoom))
+      }}
+    />
+  );
+};
+
+const PropertyMap = ({ listings, geo, onGeoChange, favorites, onToggleFavorite }) => {
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const [hovered, setHovered] = useState(null);
+  const [drawMode, setDrawMode] = useState(null); // null | 'polygon' | 'radius'
+  const [draft, setDraft] = useState([]);
+
+  const clusters = useMemo(() => clusterListings(listings, zoom), [listings, zoom]);
+
+  useEffect(() => {
+    if (hovered && !listings.some((listing) => listing.id === hovered.id)) setHovered(null);
+  }, [listings, hovered]);
+
+  const startDrawing = (mode) => {
+    setDrawMode(mode);
+    setDraft([]);
+  };
+
+  const finishDrawing = (shape) => {
+    setDrawMode(null);
+    setDraft([]);
+    onGeoChange(shape);
+  };
+
+  const cancelDrawing = () => {
+    setDrawMode(null);
+    setDraft([]);
+  };
+
+  return (
+    <div className="relative bg-white rounded-lg shadow-md overflow-hidden">
+      <div className="absolute top-3 left-14 z-[1000] flex space-x-2">
+        {!drawMode && (
+          <>
+            <button
+              onClick={() => startDrawing('polygon')}
+              className="flex items-center px-3 py-2 bg-white rounded-md shadow-md text-sm hover:bg-gray-50"
+            >
+              <Pencil className="h-4 w-4 mr-1" />
+              Draw Area
+            </button>
+            <button
+              onClick={() => startDrawing('radius')}
+              className="flex items-center px-3 py-2 bg-white rounded-md shadow-md text-sm hover:bg-gray-50"
+            >
+              <CircleIcon className="h-4 w-4 mr-1" />
+              Radius
+            </button>
+            {geo && (
+              <button
+                onClick={() => onGeoChange(null)}
+                className="flex items-center px-3 py-2 bg-white rounded-md shadow-md text-sm text-red-600 hover:bg-gray-50"
+              >
+                <Trash2 className="h-4 w-4 mr-1" />
+                Clear Area
+              </button>
+            )}
+          </>
+        )}
+        {drawMode && (
+          <>
+            <span className="px-3 py-2 bg-gray-900 text-white rounded-md shadow-md text-sm">
+              {drawMode === 'polygon'
+                ? 'Click the map to add points'
+                : draft.length === 0 ? 'Click the center point' : 'Click to set the radius'}
+            </span>
+            {drawMode === 'polygon' && (
+              <button
+                onClick={() => finishDrawing({ type: 'polygon', points: draft })}
+                disabled={draft.length < 3}
+                className="flex items-center px-3 py-2 bg-blue-600 text-white rounded-md shadow-md text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Check className="h-4 w-4 mr-1" />
+                Finish
+              </button>
+            )}
+            <button
+              onClick={cancelDrawing}
+              className="flex items-center px-3 py-2 bg-white rounded-md shadow-md text-sm hover:bg-gray-50"
+            >
+              <X className="h-4 w-4 mr-1" />
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+
+      <MapContainer
+        center={DEFAULT_CENTER}
+        zoom={DEFAULT_ZOOM}
+        minZoom={tileSource.minZoom}
+        maxZoom={tileSource.maxZoom}
+        doubleClickZoom={!drawMode}
+        className={`h-[600px] w-full ${drawMode ? 'cursor-crosshair' : ''}`}
+      >
+        <TileLayer url={tileSource.url} attribution={tileSource.attribution} />
+        <ZoomWatcher onZoom={setZoom} />
+        <FitToListings listings={listings} geo={geo} />
+        {drawMode && (
+          <DrawHandler mode={drawMode} draft={draft} setDraft={setDraft} onComplete={finishDrawing} />
+        )}
+
+        {geo?.type === 'polygon' && (
+          <Polygon positions={geo.points} pathOptions={{ color: '#2563eb', fillOpacity: 0.1 }} />
+        )}
+        {geo?.type === 'radius' && (
+          <Circle center={geo.center} radius={geo.radiusMeters} pathOptions={{ color: '#2563eb', fillOpacity: 0.1 }} />
+        )}
+        {drawMode === 'polygon' && draft.length > 0 && (
+          <Polyline positions={draft} pathOptions={{ color: '#111827', dashArray: '4 4' }} />
+        )}
+
+        {clusters.map((cluster) => (
+          <ClusterMarker
+            key={cluster.id}
+            cluster={cluster}
+            hoveredId={hovered?.id}
+            onHover={setHovered}
+          />
+        ))}
+      </MapContainer>
+
+      {hovered && (
+        <div className="absolute top-3 right-3 z-[1000] w-72">
+          <button
+            onClick={() => setHovered(null)}
+            className="absolute -top-2 -left-2 z-10 p-1 bg-white rounded-full shadow-md hover:bg-gray-50"
+          >
+            <X className="h-4 w-4 text-gray-600" />
+          </button>
+          <PropertyCard
+            property={hovered}
+            isFavorite={favorites.has(hovered.id)}
+            onToggleFavorite={onToggleFavorite}
+            compact
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PropertyMap;
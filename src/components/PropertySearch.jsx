@@ -1,104 +1,82 @@
-import React, { useState } from 'react';
-import { Search, MapPin, Home, DollarSign, Calendar, Heart, Filter } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search, Home, Filter, Loader2, AlertTriangle, ChevronLeft, ChevronRight, LayoutGrid, Map as MapIcon, Bookmark, Trash2 } from 'lucide-react';
+import PropertyCard from './PropertyCard';
+import PropertyMap from './PropertyMap';
+import useListingSearch from '../hooks/useListingSearch';
+import useFavorites from '../hooks/useFavorites';
+import useSavedSearches from '../hooks/useSavedSearches';
+import {
+  SORT_OPTIONS, DEFAULT_SORT, DEFAULT_PAGE_SIZE, filtersToSearchParams, filtersFromSearchParams
+} from '../lib/listings';
+import { prequalifyPath } from '../lib/mortgage/listingPrefill';
+
+// The map shows every match in the area rather than one grid page
+const MAP_PAGE_SIZE = 500;
+
+// Let typing in the search box or price fields settle before querying
+const SEARCH_DEBOUNCE_MS = 300;
 
 const PropertySearch = () => {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [priceRange, setPriceRange] = useState({ min: '', max: '' });
-  const [propertyType, setPropertyType] = useState('');
-  const [bedrooms, setBedrooms] = useState('');
-  const [bathrooms, setBathrooms] = useState('');
+  // Filters start from the URL so shared or bookmarked searches restore
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [initialFilters] = useState(() => filtersFromSearchParams(searchParams));
+  const [searchQuery, setSearchQuery] = useState(initialFilters.searchQuery);
+  const [priceRange, setPriceRange] = useState(initialFilters.priceRange);
+  const [propertyType, setPropertyType] = useState(initialFilters.propertyType);
+  const [bedrooms, setBedrooms] = useState(initialFilters.bedrooms);
+  const [bathrooms, setBathrooms] = useState(initialFilters.bathrooms);
+  const [sortBy, setSortBy] = useState(initialFilters.sort);
+  const [geo, setGeo] = useState(initialFilters.geo);
+  const [viewMode, setViewMode] = useState(initialFilters.geo ? 'map' : 'grid');
   const [showFilters, setShowFilters] = useState(false);
 
-  // Sample property data - in real app, this would come from MLS API
-  const sampleProperties = [
-    {
-      id: 1,
-      address: '123 Oak Street, Downtown',
-      price: 425000,
-      beds: 3,
-      baths: 2,
-      sqft: 1850,
-      type: 'Single Family',
-      image: 'https://images.unsplash.com/photo-1568605114967-8130f3a36994?w=400&h=300&fit=crop',
-      daysOnMarket: 12,
-      favorite: false
-    },
-    {
-      id: 2,
-      address: '456 Pine Avenue, Midtown',
-      price: 325000,
-      beds: 2,
-      baths: 2,
-      sqft: 1200,
-      type: 'Condo',
-      image: 'https://images.unsplash.com/photo-1570129477492-45c003edd2be?w=400&h=300&fit=crop',
-      daysOnMarket: 5,
-      favorite: true
-    },
-    {
-      id: 3,
-      address: '789 Maple Drive, Suburbs',
-      price: 675000,
-      beds: 4,
-      baths: 3,
-      sqft: 2400,
-      type: 'Single Family',
-      image: 'https://images.unsplash.com/photo-1564013799919-ab600027ffc6?w=400&h=300&fit=crop',
-      daysOnMarket: 18,
-      favorite: false
-    }
-  ];
+  const { favorites, toggleFavorite } = useFavorites();
+  const { savedSearches, saveSearch, deleteSearch } = useSavedSearches();
+  const {
+    listings: properties, total, page, totalPages, status, error, configError, search, goToPage
+  } = useListingSearch({ pageSize: viewMode === 'map' ? MAP_PAGE_SIZE : DEFAULT_PAGE_SIZE });
 
-  const [properties, setProperties] = useState(sampleProperties);
-  const [favorites, setFavorites] = useState(new Set([2]));
+  const filters = useMemo(
+    () => ({ searchQuery, priceRange, propertyType, bedrooms, bathrooms, geo }),
+    [searchQuery, priceRange, propertyType, bedrooms, bathrooms, geo]
+  );
+  const query = useMemo(() => ({ ...filters, sort: sortBy }), [filters, sortBy]);
 
-  const handleSearch = () => {
-    // In real app, this would call MLS API
-    console.log('Searching for:', searchQuery, { priceRange, propertyType, bedrooms, bathrooms });
-  };
+  const handleSearch = useCallback(() => search(query), [search, query]);
 
-  const toggleFavorite = (propertyId) => {
-    const newFavorites = new Set(favorites);
-    if (newFavorites.has(propertyId)) {
-      newFavorites.delete(propertyId);
-    } else {
-      newFavorites.add(propertyId);
-    }
-    setFavorites(newFavorites);
+  // Filters and sort are applied by the provider, so any change re-queries from
+  // page 1; `search` also changes with the page size when switching views
+  useEffect(() => {
+    const timer = setTimeout(handleSearch, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [handleSearch]);
+
+  // Keep the active filters in the query string
+  useEffect(() => {
+    setSearchParams(filtersToSearchParams(query), { replace: true });
+  }, [query, setSearchParams]);
+
+  const handleSaveSearch = () => {
+    const name = window.prompt('Name this search', searchQuery || 'My search');
+    if (name && name.trim()) saveSearch({ name, filters, sort: sortBy });
   };
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(price);
+  const applySavedSearch = (searchId) => {
+    const saved = savedSearches.find((s) => s.id === searchId);
+    if (!saved) return;
+    const { filters: f } = saved;
+    setSearchQuery(f.searchQuery || '');
+    setPriceRange(f.priceRange || { min: '', max: '' });
+    setPropertyType(f.propertyType || '');
+    setBedrooms(f.bedrooms || '');
+    setBathrooms(f.bathrooms || '');
+    setGeo(f.geo || null);
+    setSortBy(saved.sort || DEFAULT_SORT);
   };
 
   return (
     <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <div className="bg-white shadow-sm border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center py-4">
-            <div className="flex items-center space-x-2">
-              <Home className="h-8 w-8 text-blue-600" />
-              <h1 className="text-2xl font-bold text-gray-900">MAK Realty Pro</h1>
-            </div>
-            <nav className="flex space-x-6">
-              <a href="#" className="text-gray-600 hover:text-blue-600">Buy</a>
-              <a href="#" className="text-gray-600 hover:text-blue-600">Sell</a>
-              <a href="#" className="text-gray-600 hover:text-blue-600">Mortgage</a>
-              <a href="#" className="text-gray-600 hover:text-blue-600">Insurance</a>
-              <button className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
-                Agent Login
-              </button>
-            </nav>
-          </div>
-        </div>
-      </div>
-
       {/* Search Section */}
       <div className="bg-blue-600 text-white py-12">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -116,6 +94,7 @@ const PropertySearch = () => {
                   placeholder="Enter city, address, or ZIP code"
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
                   className="w-full pl-10 pr-4 py-3 rounded-lg text-gray-900 focus:ring-2 focus:ring-blue-400 focus:outline-none"
                 />
               </div>
@@ -128,7 +107,7 @@ const PropertySearch = () => {
                 Filters
               </button>
               <button
-                onClick={handleSearch}
+                onClick={() => handleSearch()}
                 className="flex items-center justify-center px-8 py-3 bg-white text-blue-600 rounded-lg hover:bg-gray-50 font-semibold transition-colors"
               >
                 Search
@@ -138,7 +117,7 @@ const PropertySearch = () => {
             {/* Advanced Filters */}
             {showFilters && (
               <div className="mt-6 bg-white text-gray-900 rounded-lg p-6">
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
                   <div>
                     <label className="block text-sm font-medium mb-2">Min Price</label>
                     <input
@@ -188,6 +167,21 @@ const PropertySearch = () => {
                       <option value="5">5+</option>
                     </select>
                   </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Bathrooms</label>
+                    <select
+                      value={bathrooms}
+                      onChange={(e) => setBathrooms(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Any</option>
+                      <option value="1">1+</option>
+                      <option value="1.5">1.5+</option>
+                      <option value="2">2+</option>
+                      <option value="3">3+</option>
+                      <option value="4">4+</option>
+                    </select>
+                  </div>
                 </div>
               </div>
             )}
@@ -199,75 +193,146 @@ const PropertySearch = () => {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="flex justify-between items-center mb-6">
           <h3 className="text-2xl font-bold text-gray-900">
-            {properties.length} Properties Found
+            {status === 'loading' ? 'Searching...' : `${total} Properties Found`}
           </h3>
           <div className="flex items-center space-x-4">
-            <select className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500">
-              <option>Sort by: Newest</option>
-              <option>Price: Low to High</option>
-              <option>Price: High to Low</option>
-              <option>Square Feet</option>
+            <button
+              onClick={handleSaveSearch}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <Bookmark className="h-4 w-4 mr-1" />
+              Save Search
+            </button>
+            <div className="flex rounded-md border border-gray-300 overflow-hidden">
+              <button
+                onClick={() => setViewMode('grid')}
+                className={`flex items-center px-3 py-2 text-sm ${viewMode === 'grid' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                <LayoutGrid className="h-4 w-4 mr-1" />
+                Grid
+              </button>
+              <button
+                onClick={() => setViewMode('map')}
+                className={`flex items-center px-3 py-2 text-sm ${viewMode === 'map' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                <MapIcon className="h-4 w-4 mr-1" />
+                Map
+              </button>
+            </div>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
           </div>
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {properties.map((property) => (
-            <div key={property.id} className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
-              <div className="relative">
-                <img
-                  src={property.image}
-                  alt={property.address}
-                  className="w-full h-48 object-cover"
-                />
+        {configError && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+            <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+            {configError}
+          </div>
+        )}
+
+        {savedSearches.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-6">
+            <span className="text-sm text-gray-600">Saved searches:</span>
+            {savedSearches.map((saved) => (
+              <span key={saved.id} className="inline-flex items-center bg-blue-50 text-blue-700 rounded-full text-sm">
+                <button onClick={() => applySavedSearch(saved.id)} className="pl-3 pr-1 py-1 hover:underline">
+                  {saved.name}
+                </button>
                 <button
-                  onClick={() => toggleFavorite(property.id)}
-                  className="absolute top-3 right-3 p-2 bg-white rounded-full shadow-md hover:bg-gray-50"
+                  onClick={() => deleteSearch(saved.id)}
+                  className="pr-2 pl-1 py-1 text-blue-400 hover:text-red-600"
+                  aria-label={`Delete saved search ${saved.name}`}
                 >
-                  <Heart
-                    className={`h-5 w-5 ${
-                      favorites.has(property.id)
-                        ? 'text-red-500 fill-current'
-                        : 'text-gray-400'
-                    }`}
-                  />
+                  <Trash2 className="h-3 w-3" />
                 </button>
-                <div className="absolute bottom-3 left-3 bg-blue-600 text-white px-2 py-1 rounded text-sm">
-                  {property.daysOnMarket} days on market
-                </div>
-              </div>
+              </span>
+            ))}
+          </div>
+        )}
 
-              <div className="p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <h4 className="text-2xl font-bold text-blue-600">
-                    {formatPrice(property.price)}
-                  </h4>
-                  <span className="text-sm text-gray-500">{property.type}</span>
-                </div>
+        {status === 'loading' && properties.length === 0 && (
+          <div className="flex items-center justify-center py-16 text-gray-500">
+            <Loader2 className="h-6 w-6 mr-2 animate-spin" />
+            Loading listings...
+          </div>
+        )}
 
-                <div className="flex items-center text-gray-600 mb-2">
-                  <MapPin className="h-4 w-4 mr-1" />
-                  <span className="text-sm">{property.address}</span>
-                </div>
+        {status === 'error' && (
+          <div className="p-6 bg-red-50 border border-red-200 rounded-lg text-red-800">
+            <div className="flex items-center font-semibold mb-1">
+              <AlertTriangle className="h-5 w-5 mr-2" />
+              We couldn't load listings right now
+            </div>
+            <p className="text-sm mb-3">{error?.message}</p>
+            <button
+              onClick={() => handleSearch()}
+              className="bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors"
+            >
+              Try Again
+            </button>
+          </div>
+        )}
 
-                <div className="flex items-center justify-between text-sm text-gray-600 mb-4">
-                  <span>{property.beds} beds</span>
-                  <span>{property.baths} baths</span>
-                  <span>{property.sqft.toLocaleString()} sq ft</span>
-                </div>
+        {status === 'success' && properties.length === 0 && (
+          <div className="text-center py-16 bg-white rounded-lg shadow-sm">
+            <Home className="h-10 w-10 mx-auto text-gray-300 mb-3" />
+            <h4 className="text-lg font-semibold text-gray-900">No properties match your search</h4>
+            <p className="text-gray-600">Try widening the price range or removing a filter.</p>
+          </div>
+        )}
 
-                <div className="flex space-x-2">
-                  <button className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors">
-                    View Details
-                  </button>
-                  <button className="flex-1 bg-gray-100 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-200 transition-colors">
-                    Get Pre-Qualified
-                  </button>
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
+        {viewMode === 'map' && status !== 'error' && (
+          <PropertyMap
+            listings={properties}
+            geo={geo}
+            onGeoChange={setGeo}
+            favorites={favorites}
+            onToggleFavorite={toggleFavorite}
+          />
+        )}
+
+        {viewMode === 'grid' && (
+          <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 ${status === 'loading' ? 'opacity-50' : ''}`}>
+            {properties.map((property) => (
+              <PropertyCard
+                key={property.id}
+                property={property}
+                isFavorite={favorites.has(property.id)}
+                onToggleFavorite={toggleFavorite}
+              />
+            ))}
+          </div>
+        )}
+
+        {viewMode === 'grid' && status === 'success' && totalPages > 1 && (
+          <div className="flex items-center justify-center space-x-4 mt-8">
+            <button
+              onClick={() => goToPage(page - 1)}
+              disabled={page <= 1}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="h-4 w-4 mr-1" />
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => goToPage(page + 1)}
+              disabled={page >= totalPages}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight className="h-4 w-4 ml-1" />
+            </button>
+          </div>
+        )}
       </div>
 
       {/* CTA Section */}
@@ -278,9 +343,9 @@ const PropertySearch = () => {
             Get pre-qualified for a mortgage in minutes and start shopping with confidence
           </p>
           <div className="flex flex-col sm:flex-row gap-4 justify-center">
-            <button className="bg-blue-600 hover:bg-blue-700 px-8 py-3 rounded-lg font-semibold transition-colors">
+            <Link to={prequalifyPath()} className="bg-blue-600 hover:bg-blue-700 px-8 py-3 rounded-lg font-semibold transition-colors">
               Get Pre-Qualified
-            </button>
+            </Link>
             <button className="bg-transparent border-2 border-white hover:bg-white hover:text-gray-900 px-8 py-3 rounded-lg font-semibold transition-colors">
               Talk to an Agent
             </button>
@@ -0,0 +1,429 @@
+import React, { useState, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { formatEther, parseEther, toBigInt } from 'ethers';
+import {
+  ArrowLeft, ArrowLeftRight, Loader2, AlertTriangle, X, Activity, BarChart3, BookOpen
+} from 'lucide-react';
+import useWallet from '../hooks/useWallet';
+import useOrderBook from '../hooks/useOrderBook';
+import useTradeActions from '../hooks/useTradeActions';
+import { SIDES, BASIS_POINTS, aggregateLevels, getSpread, previewTrade } from '../lib/orderBook';
+
+const formatEth = (wei, digits = 4) => `${Number(formatEther(wei)).toFixed(digits)} ETH`;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const parseShares = (value) => (/^\d+$/.test(value) ? toBigInt(value) : 0n);
+
+const parsePrice = (value) => {
+  try {
+    return value ? parseEther(value) : 0n;
+  } catch (err) {
+    return 0n;
+  }
+};
+
+const DEPTH_WIDTH = 320;
+const DEPTH_HEIGHT = 160;
+
+// Cumulative bid (left) and ask (right) step curves around the mid price
+const DepthChart = ({ book }) => {
+  const bids = aggregateLevels(book.bids);
+  const asks = aggregateLevels(book.asks);
+  if (bids.length === 0 && asks.length === 0) {
+    return <p className="text-sm text-gray-500 py-8 text-center">No open orders</p>;
+  }
+
+  const prices = [...bids, ...asks].map((level) => Number(formatEther(level.price)));
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  const maxDepth = Math.max(
+    ...[...bids, ...asks].map((level) => Number(level.cumulative)),
+    1
+  );
+  const range = maxPrice - minPrice || maxPrice || 1;
+  const x = (price) => ((Number(formatEther(price)) - minPrice) / range) * DEPTH_WIDTH;
+  const y = (depth) => DEPTH_HEIGHT - (Number(depth) / maxDepth) * DEPTH_HEIGHT;
+
+  const stepPath = (levels) => levels.reduce((path, level, i) => {
+    const previous = i === 0 ? 0n : levels[i - 1].cumulative;
+    return `${path} L${x(level.price)},${y(previous)} L${x(level.price)},${y(level.cumulative)}`;
+  }, `M${levels.length ? x(levels[0].price) : 0},${DEPTH_HEIGHT}`);
+
+  return (
+    <svg viewBox={`0 0 ${DEPTH_WIDTH} ${DEPTH_HEIGHT}`} className="w-full h-40">
+      {bids.length > 0 && (
+        <path
+          d={`${stepPath(bids)} L0,${y(bids[bids.length - 1].cumulative)} L0,${DEPTH_HEIGHT} Z`}
+          className="fill-green-100 stroke-green-600"
+          strokeWidth="1.5"
+        />
+      )}
+      {asks.length > 0 && (
+        <path
+          d={`${stepPath(asks)} L${DEPTH_WIDTH},${y(asks[asks.length - 1].cumulative)} L${DEPTH_WIDTH},${DEPTH_HEIGHT} Z`}
+          className="fill-red-100 stroke-red-600"
+          strokeWidth="1.5"
+        />
+      )}
+    </svg>
+  );
+};
+
+const OrderRow = ({ order, isOwn, selected, onSelect, onCancel, disabled }) => (
+  <tr
+    onClick={() => !isOwn && onSelect(order)}
+    className={`${isOwn ? 'bg-blue-50' : 'cursor-pointer hover:bg-gray-50'} ${selected ? 'ring-2 ring-inset ring-blue-500' : ''}`}
+  >
+    <td className={`px-3 py-1.5 font-mono ${order.side === SIDES.SELL ? 'text-red-600' : 'text-green-600'}`}>
+      {Number(formatEther(order.pricePerShare)).toFixed(6)}
+    </td>
+    <td className="px-3 py-1.5 text-right">{order.remainingShares.toLocaleString()}</td>
+    <td className="px-3 py-1.5 text-right text-gray-500">
+      {Number(formatEther(order.pricePerShare * order.remainingShares)).toFixed(4)}
+    </td>
+    <td className="px-3 py-1.5 text-right w-8">
+      {isOwn && (
+        <button
+          onClick={(e) => { e.stopPropagation(); onCancel(order); }}
+          disabled={disabled}
+          title="Cancel order"
+          className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      )}
+    </td>
+  </tr>
+);
+
+const PropertyTrading = () => {
+  const { propertyId } = useParams();
+  const { account } = useWallet();
+  const {
+    status, book, trades, feeBasisPoints, marketPrice, property, balance, error, refresh
+  } = useOrderBook(propertyId);
+  const {
+    placeSellOrder, placeBuyOrder, fillSellOrder, fillBuyOrder, cancelOrder, pending, error: tradeError
+  } = useTradeActions(propertyId, { feeBasisPoints, onSettled: refresh });
+
+  const [side, setSide] = useState(SIDES.BUY);
+  const [shares, setShares] = useState('');
+  const [price, setPrice] = useState('');
+  const [selectedOrder, setSelectedOrder] = useState(null);
+
+  const shareCount = parseShares(shares);
+  // Filling an order trades at that order's price
+  const pricePerShare = selectedOrder ? selectedOrder.pricePerShare : parsePrice(price);
+  const preview = previewTrade({ shares: shareCount, pricePerShare, feeBasisPoints });
+  const spread = getSpread(book);
+
+  const myOrders = useMemo(
+    () => [...book.asks, ...book.bids].filter((order) => sameAddress(order.owner, account)),
+    [book, account]
+  );
+
+  const selectOrder = (order) => {
+    // Taking an ask is a buy; hitting a bid is a sell
+    setSelectedOrder(order);
+    setSide(order.side === SIDES.SELL ? SIDES.BUY : SIDES.SELL);
+    setShares(order.remainingShares.toString());
+  };
+
+  const changeSide = (next) => {
+    setSide(next);
+    setSelectedOrder(null);
+  };
+
+  const validationError = (() => {
+    if (shareCount <= 0n) return 'Enter a whole number of shares';
+    if (pricePerShare <= 0n) return 'Enter a price per share';
+    if (selectedOrder && shareCount > selectedOrder.remainingShares) return 'More shares than the order has left';
+    if (side === SIDES.SELL && shareCount > balance) return 'Not enough shares in this wallet';
+    return null;
+  })();
+
+  const submit = async () => {
+    if (validationError) return;
+    let placed;
+    if (selectedOrder) {
+      placed = await (selectedOrder.side === SIDES.SELL
+        ? fillSellOrder(selectedOrder, shareCount)
+        : fillBuyOrder(selectedOrder, shareCount));
+    } else if (side === SIDES.BUY) {
+      placed = await placeBuyOrder(shareCount, pricePerShare);
+    } else {
+      placed = await placeSellOrder(shareCount, pricePerShare);
+    }
+    // Keep the ticket filled in after a failed or rejected transaction so it can be retried
+    if (!placed) return;
+    setSelectedOrder(null);
+    setShares('');
+  };
+
+  const feePct = Number(feeBasisPoints) / Number(BASIS_POINTS / 100n);
+  const shownError = tradeError || (status === 'error' ? error : null);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <Link to="/marketplace" className="inline-flex items-center text-blue-100 hover:text-white text-sm mb-2">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            All properties
+          </Link>
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold flex items-center">
+                <ArrowLeftRight className="h-8 w-8 mr-3" />
+                {property?.propertyAddress || `Property #${propertyId}`}
+              </h1>
+              <p className="text-blue-100 mt-2">Token #{propertyId} · Trading fee {feePct}% (paid by the buyer)</p>
+            </div>
+            <div className="text-right">
+              <div className="text-sm text-blue-100">Avg. Ask</div>
+              <div className="text-2xl font-bold">{marketPrice > 0n ? formatEth(marketPrice, 6) : '—'}</div>
+              <div className="text-sm text-blue-100">Spread {spread === null ? '—' : formatEth(spread, 6)}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {shownError && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-800 text-sm">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {shownError.shortMessage || shownError.reason || shownError.message}
+          </div>
+        )}
+
+        {status === 'loading' ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading order book...
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Order Book */}
+            <div className="bg-white rounded-lg shadow-sm p-4">
+              <h3 className="text-lg font-semibold mb-3 flex items-center">
+                <BookOpen className="h-5 w-5 mr-2 text-blue-600" />
+                Order Book
+              </h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="px-3 py-2">Price (ETH)</th>
+                    <th className="px-3 py-2 text-right">Shares</th>
+                    <th className="px-3 py-2 text-right">Total</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...book.asks].reverse().map((order) => (
+                    <OrderRow
+                      key={`ask-${order.orderId}`}
+                      order={order}
+                      isOwn={sameAddress(order.owner, account)}
+                      selected={selectedOrder?.orderId === order.orderId && selectedOrder.side === order.side}
+                      onSelect={selectOrder}
+                      onCancel={cancelOrder}
+                      disabled={Boolean(pending)}
+                    />
+                  ))}
+                  <tr className="border-y bg-gray-50">
+                    <td colSpan={4} className="px-3 py-1.5 text-center text-xs text-gray-500">
+                      {book.asks.length === 0 && book.bids.length === 0
+                        ? 'No open orders'
+                        : `Spread ${spread === null ? '—' : Number(formatEther(spread)).toFixed(6)}`}
+                    </td>
+                  </tr>
+                  {book.bids.map((order) => (
+                    <OrderRow
+                      key={`bid-${order.orderId}`}
+                      order={order}
+                      isOwn={sameAddress(order.owner, account)}
+                      selected={selectedOrder?.orderId === order.orderId && selectedOrder.side === order.side}
+                      onSelect={selectOrder}
+                      onCancel={cancelOrder}
+                      disabled={Boolean(pending)}
+                    />
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-3 text-xs text-gray-500">Click an order to fill it. Your orders are highlighted.</p>
+            </div>
+
+            {/* Depth & Trades */}
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow-sm p-4">
+                <h3 className="text-lg font-semibold mb-3 flex items-center">
+                  <BarChart3 className="h-5 w-5 mr-2 text-blue-600" />
+                  Market Depth
+                </h3>
+                <DepthChart book={book} />
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span className="text-green-600">Bids</span>
+                  <span className="text-red-600">Asks</span>
+                </div>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-4">
+                <h3 className="text-lg font-semibold mb-3 flex items-center">
+                  <Activity className="h-5 w-5 mr-2 text-blue-600" />
+                  Recent Trades
+                </h3>
+                {trades.length === 0 ? (
+                  <p className="text-sm text-gray-500">No trades yet.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2">Price (ETH)</th>
+                        <th className="py-2 text-right">Shares</th>
+                        <th className="py-2 text-right">Block</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {trades.map((trade) => (
+                        <tr key={trade.id} className="border-b last:border-0">
+                          <td className="py-1.5 font-mono">{Number(formatEther(trade.pricePerShare)).toFixed(6)}</td>
+                          <td className="py-1.5 text-right">{trade.shares.toLocaleString()}</td>
+                          <td className="py-1.5 text-right text-gray-500">{trade.blockNumber}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+
+            {/* Order Form */}
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow-sm p-4">
+                <div className="grid grid-cols-2 gap-2 mb-4">
+                  {[SIDES.BUY, SIDES.SELL].map((option) => (
+                    <button
+                      key={option}
+                      onClick={() => changeSide(option)}
+                      className={`py-2 rounded-md font-medium ${
+                        side === option
+                          ? option === SIDES.BUY ? 'bg-green-600 text-white' : 'bg-red-600 text-white'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option === SIDES.BUY ? 'Buy' : 'Sell'}
+                    </button>
+                  ))}
+                </div>
+
+                {selectedOrder && (
+                  <div className="mb-4 p-2 bg-blue-50 rounded text-sm text-blue-800 flex items-center justify-between">
+                    <span>
+                      Filling {selectedOrder.side === SIDES.SELL ? 'ask' : 'bid'} #{selectedOrder.orderId} by {shortAddress(selectedOrder.owner)}
+                    </span>
+                    <button onClick={() => setSelectedOrder(null)} className="text-blue-600 hover:text-blue-800">
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+
+                <div className="space-y-3 text-sm">
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-1">Shares</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={shares}
+                      onChange={(e) => setShares(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                    />
+                    {account && (
+                      <div className="text-xs text-gray-500 mt-1">You hold {balance.toLocaleString()} shares</div>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-gray-700 font-medium mb-1">Price per share (ETH)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.000001"
+                      value={selectedOrder ? formatEther(selectedOrder.pricePerShare) : price}
+                      onChange={(e) => setPrice(e.target.value)}
+                      disabled={Boolean(selectedOrder)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                    />
+                  </div>
+
+                  <div className="p-3 bg-gray-50 rounded-lg space-y-1">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Trade value</span>
+                      <span>{formatEth(preview.total, 6)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Fee ({feePct}%)</span>
+                      <span>{side === SIDES.BUY ? formatEth(preview.fee, 6) : 'Paid by buyer'}</span>
+                    </div>
+                    <div className="flex justify-between font-semibold border-t pt-1">
+                      <span>{side === SIDES.BUY ? 'You pay' : 'You receive'}</span>
+                      <span>{formatEth(side === SIDES.BUY ? preview.buyerPays : preview.sellerReceives, 6)}</span>
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={submit}
+                    disabled={!account || Boolean(validationError) || Boolean(pending)}
+                    className={`w-full flex items-center justify-center py-2 rounded-md text-white font-medium disabled:bg-gray-300 disabled:cursor-not-allowed ${
+                      side === SIDES.BUY ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'
+                    }`}
+                  >
+                    {pending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    {pending
+                      || (selectedOrder
+                        ? `${side === SIDES.BUY ? 'Buy' : 'Sell'} ${shareCount.toLocaleString()} shares now`
+                        : `Place ${side} order`)}
+                  </button>
+                  {!account && <p className="text-xs text-gray-500 text-center">Connect a wallet to trade</p>}
+                  {account && validationError && shares && (
+                    <p className="text-xs text-red-600 text-center">{validationError}</p>
+                  )}
+                </div>
+              </div>
+
+              {myOrders.length > 0 && (
+                <div className="bg-white rounded-lg shadow-sm p-4">
+                  <h3 className="text-lg font-semibold mb-3">Your Open Orders</h3>
+                  <div className="space-y-2 text-sm">
+                    {myOrders.map((order) => (
+                      <div key={`${order.side}-${order.orderId}`} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+                        <span>
+                          <span className={order.side === SIDES.SELL ? 'text-red-600' : 'text-green-600'}>
+                            {order.side === SIDES.SELL ? 'Sell' : 'Buy'}
+                          </span>
+                          {' '}{order.remainingShares.toLocaleString()} @ {Number(formatEther(order.pricePerShare)).toFixed(6)} ETH
+                        </span>
+                        <button
+                          onClick={() => cancelOrder(order)}
+                          disabled={Boolean(pending)}
+                          className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PropertyTrading;
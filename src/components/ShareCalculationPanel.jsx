@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Share2, Copy, Check, Save, Upload, Trash2, AlertTriangle } from 'lucide-react';
+import useSavedCalculations from '../hooks/useSavedCalculations';
+import { savedCalculationState } from '../lib/mortgage/calculatorLink';
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', { dateStyle: 'medium' });
+
+// How long the "Copied" confirmation stays up
+const COPIED_MS = 2000;
+
+const ShareCalculationPanel = ({ calculatorState, onLoad, linkError }) => {
+  const {
+    calculations, error: storeError, configError, saveCalculation, deleteCalculation, createShareLink
+  } = useSavedCalculations();
+  const [name, setName] = useState('');
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState(null);
+
+  const copyLink = async (state, key) => {
+    setError(null);
+    try {
+      const url = `${window.location.origin}${await createShareLink(state)}`;
+      await navigator.clipboard.writeText(url);
+      setCopied(key);
+      setTimeout(() => setCopied((current) => (current === key ? null : current)), COPIED_MS);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    saveCalculation({ name, state: calculatorState });
+    setName('');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          <Share2 className="h-5 w-5 mr-2 text-blue-600" />
+          Save &amp; Share
+        </h3>
+        <button
+          onClick={() => copyLink(calculatorState, 'current')}
+          className="flex items-center px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          {copied === 'current' ? <Check className="h-4 w-4 mr-1" /> : <Copy className="h-4 w-4 mr-1" />}
+          {copied === 'current' ? 'Copied' : 'Copy Link'}
+        </button>
+      </div>
+
+      {linkError && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          {linkError}
+        </div>
+      )}
+
+      {configError && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center text-sm text-yellow-800">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          {configError}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          Could not copy the link: {error.message}
+        </div>
+      )}
+
+      {storeError && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          Could not reach your saved calculations: {storeError.message}
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="flex flex-wrap gap-2 mb-4 text-sm">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this calculation, e.g. Smith - 123 Oak St"
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4 mr-1" />
+          Save to Account
+        </button>
+      </form>
+
+      {calculations.length > 0 && (
+        <div className="border rounded-lg divide-y text-sm">
+          {calculations.map((calculation) => (
+            <div key={calculation.id} className="p-3 flex items-center justify-between">
+              <div>
+                <div className="font-medium text-gray-900">{calculation.name}</div>
+                <div className="text-xs text-gray-500">Saved {formatDate(calculation.createdAt)}</div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button onClick={() => onLoad(savedCalculationState(calculation))} title="Load into calculator" className="text-blue-600 hover:text-blue-700">
+                  <Upload className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => copyLink(savedCalculationState(calculation), calculation.id)}
+                  title="Copy share link"
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  {copied === calculation.id ? <Check className="h-4 w-4 text-green-600" /> : <Copy className="h-4 w-4" />}
+                </button>
+                <button
+                  onClick={() => deleteCalculation(calculation.id)}
+                  title="Delete calculation"
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareCalculationPanel;
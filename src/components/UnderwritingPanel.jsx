@@ -0,0 +1,185 @@
+import React from 'react';
+import { ClipboardCheck, CheckCircle, XCircle, AlertTriangle, FileText } from 'lucide-react';
+import { EMPLOYMENT_TYPES, DOWN_PAYMENT_SOURCES, SEVERITY } from '../lib/mortgage/underwriting';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500';
+
+// Ratio against its program limit
+const RatioBar = ({ label, value, limit }) => {
+  const over = limit !== null && value > limit;
+  const scale = Math.max(limit || 0, value, 1);
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-600">{label}</span>
+        <span className={over ? 'text-red-600 font-semibold' : 'text-gray-900 font-semibold'}>
+          {value.toFixed(1)}%{limit !== null && <span className="text-gray-500 font-normal"> / {limit}%</span>}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${over ? 'bg-red-500' : 'bg-green-500'}`}
+          style={{ width: `${Math.min((value / scale) * 100, 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+const UnderwritingPanel = ({ borrowerProfile, onBorrowerProfileChange, preQual }) => {
+  const update = (field, value) => onBorrowerProfileChange({ ...borrowerProfile, [field]: value });
+  const declines = preQual.findings.filter((finding) => finding.severity === SEVERITY.DECLINE);
+  const conditions = preQual.findings.filter((finding) => finding.severity === SEVERITY.CONDITION);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          <ClipboardCheck className="h-5 w-5 mr-2 text-blue-600" />
+          Underwriting
+        </h3>
+        <span className="text-xs text-gray-500">Rules v{preQual.ruleSetVersion}</span>
+      </div>
+
+      {/* Borrower */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Employment</label>
+          <select
+            value={borrowerProfile.employmentType}
+            onChange={(e) => update('employmentType', e.target.value)}
+            className={inputClass}
+          >
+            {Object.entries(EMPLOYMENT_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Down Payment Source</label>
+          <select
+            value={borrowerProfile.downPaymentSource}
+            onChange={(e) => update('downPaymentSource', e.target.value)}
+            className={inputClass}
+          >
+            {Object.entries(DOWN_PAYMENT_SOURCES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Other Debts (% income)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={borrowerProfile.existingDebtPct}
+            onChange={(e) => update('existingDebtPct', Number(e.target.value) || 0)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-1">Liquid Assets</label>
+          <input
+            type="number"
+            min="0"
+            value={borrowerProfile.liquidAssets}
+            onChange={(e) => update('liquidAssets', Number(e.target.value) || 0)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* Decision */}
+      <div className={`mb-6 p-4 rounded-lg flex items-center ${
+        preQual.approved ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+      }`}
+      >
+        {preQual.approved ? <CheckCircle className="h-5 w-5 mr-2" /> : <XCircle className="h-5 w-5 mr-2" />}
+        <div className="flex-1 font-semibold">
+          {preQual.approved ? 'Pre-qualified' : 'Not pre-qualified'}
+        </div>
+        <div className="text-sm text-right">
+          <div>Max loan {formatCurrency(preQual.maxLoanAmount)}</div>
+          <div>Max price {formatCurrency(preQual.maxPropertyPrice)}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div className="space-y-4">
+          {preQual.maxFrontEndDti !== null && (
+            <RatioBar label="Front-end DTI (housing)" value={preQual.frontEndDti} limit={preQual.maxFrontEndDti} />
+          )}
+          <RatioBar label="Back-end DTI (all debts)" value={preQual.backEndDti} limit={preQual.maxBackEndDti} />
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Reserves after closing</span>
+            <span className={`font-semibold ${preQual.reservesMonths < preQual.requiredReserves ? 'text-red-600' : 'text-gray-900'}`}>
+              {Number.isFinite(preQual.reservesMonths) ? preQual.reservesMonths.toFixed(1) : '—'} mo
+              <span className="text-gray-500 font-normal"> / {preQual.requiredReserves} mo</span>
+            </span>
+          </div>
+        </div>
+
+        <div className="text-sm">
+          <div className="text-gray-600 mb-2">Rate Adjustments</div>
+          {preQual.rateAdjustments.length === 0 ? (
+            <div className="text-gray-500">None</div>
+          ) : (
+            <ul className="space-y-1">
+              {preQual.rateAdjustments.map((item) => (
+                <li key={item.label} className="flex justify-between">
+                  <span>{item.label}</span>
+                  <span>+{item.adjustment.toFixed(3)}%</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-between border-t mt-2 pt-2 font-semibold">
+            <span>Adjusted Rate</span>
+            <span>{preQual.adjustedRate.toFixed(3)}%</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Findings */}
+      {declines.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {declines.map((finding) => (
+            <div key={finding.code} className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm">
+              <div className="font-medium text-red-800 flex items-center">
+                <AlertTriangle className="h-4 w-4 mr-2" />
+                {finding.message}
+              </div>
+              <div className="text-red-700 ml-6">{finding.detail}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      {conditions.length > 0 && (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-gray-700">Conditions</div>
+          {conditions.map((finding) => (
+            <div key={finding.code} className="p-3 bg-gray-50 rounded-lg text-sm">
+              <div className="font-medium text-gray-900 flex items-center">
+                <FileText className="h-4 w-4 mr-2 text-gray-500" />
+                {finding.message}
+              </div>
+              <div className="text-gray-600 ml-6">{finding.detail}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UnderwritingPanel;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { ShieldCheck, ShieldAlert, Loader2, AlertTriangle } from 'lucide-react';
+import useLetterVerification from '../hooks/useLetterVerification';
+import { decodeTerms } from '../lib/mortgage/prequalLetter';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { dateStyle: 'long' });
+
+// Why a letter did not verify, most serious first
+const failureReason = ({ record, hashMatches, issuerActive, expired }, terms) => {
+  if (!terms) return 'The verification link is incomplete, so the letter terms cannot be checked.';
+  if (!hashMatches) return 'The letter terms do not match what the loan officer anchored. The letter may have been altered.';
+  if (record.revoked) return 'The loan officer has withdrawn this letter.';
+  if (!issuerActive) return 'The issuing loan officer is no longer authorized to issue letters.';
+  if (expired) return `This letter expired on ${formatDate(record.expiresAt)}.`;
+  return null;
+};
+
+const VerifyLetter = () => {
+  const { letterId } = useParams();
+  const [searchParams] = useSearchParams();
+  const terms = decodeTerms(searchParams.get('terms'));
+  const verification = useLetterVerification(letterId, terms);
+  const { status, record, valid, error } = verification;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-blue-600 to-purple-600 text-white">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold flex items-center">
+            <ShieldCheck className="h-8 w-8 mr-3" />
+            Verify Pre-Qualification Letter
+          </h1>
+          <p className="text-blue-100 mt-2">Letter {letterId}</p>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {(status === 'idle' || status === 'loading') && (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Checking the registry...
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-800 text-sm">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {error.shortMessage || error.message}
+          </div>
+        )}
+
+        {status === 'not-found' && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm">
+            This letter has not been anchored on-chain. Contact the issuing loan officer to confirm it.
+          </div>
+        )}
+
+        {status === 'success' && (
+          <div className={`p-4 rounded-lg flex items-start ${valid ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+            {valid ? <ShieldCheck className="h-5 w-5 mr-2 mt-0.5" /> : <ShieldAlert className="h-5 w-5 mr-2 mt-0.5" />}
+            <div>
+              <div className="font-semibold">{valid ? 'Letter verified' : 'Letter not valid'}</div>
+              <div className="text-sm">
+                {valid
+                  ? `Issued ${formatDate(record.issuedAt)} by ${record.issuer} and valid through ${formatDate(record.expiresAt)}.`
+                  : failureReason(verification, terms)}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {terms ? (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h3 className="text-lg font-semibold mb-1">Letter Terms</h3>
+            <p className="text-sm text-gray-500 mb-4">Check these against the letter you were given.</p>
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+              <div>
+                <dt className="text-gray-500">Borrower</dt>
+                <dd className="font-medium">{terms.borrowerName}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Loan Program</dt>
+                <dd className="font-medium">{terms.program}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Maximum Purchase Price</dt>
+                <dd className="font-medium">{formatCurrency(terms.maxPurchasePrice)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Maximum Loan Amount</dt>
+                <dd className="font-medium">{formatCurrency(terms.maxLoanAmount)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Issued</dt>
+                <dd className="font-medium">{formatDate(terms.issuedAt)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Expires</dt>
+                <dd className="font-medium">{formatDate(terms.expiresAt)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Loan Officer</dt>
+                <dd className="font-medium">
+                  {terms.officerName}
+                  {terms.officerNmlsId && <span className="text-gray-500"> · NMLS #{terms.officerNmlsId}</span>}
+                </dd>
+              </div>
+            </dl>
+          </div>
+        ) : (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm">
+            Open this page from the verification link printed on the letter to check its terms.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyLetter;
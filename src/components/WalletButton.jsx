@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Wallet, ChevronDown, LogOut, Loader2 } from 'lucide-react';
+import useWallet from '../hooks/useWallet';
+import { CONNECTORS, CONNECTOR_LABELS } from '../lib/wallet';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Connect / account menu in the app header
+const WalletButton = () => {
+  const { status, account, connector, connect, disconnect } = useWallet();
+  const [open, setOpen] = useState(false);
+
+  const choose = (next) => {
+    setOpen(false);
+    connect(next);
+  };
+
+  if (status === 'connecting') {
+    return (
+      <button disabled className="flex items-center px-4 py-2 rounded-lg border border-gray-300 text-gray-500">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Connecting...
+      </button>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+      >
+        <Wallet className="h-4 w-4 mr-2" />
+        {account ? <span className="font-mono">{shortAddress(account)}</span> : 'Connect Wallet'}
+        <ChevronDown className="h-4 w-4 ml-1" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-lg border z-30 py-1">
+          {account ? (
+            <>
+              <div className="px-4 py-2 text-xs text-gray-500">
+                Connected with {CONNECTOR_LABELS[connector]}
+              </div>
+              <button
+                onClick={() => { setOpen(false); disconnect(); }}
+                className="w-full flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <LogOut className="h-4 w-4 mr-2" />
+                Disconnect
+              </button>
+            </>
+          ) : (
+            Object.values(CONNECTORS).map((id) => (
+              <button
+                key={id}
+                onClick={() => choose(id)}
+                className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {CONNECTOR_LABELS[id]}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalletButton;
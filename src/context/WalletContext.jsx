@@ -0,0 +1,154 @@
+import React, { createContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { BrowserProvider } from 'ethers';
+import { getTargetNetwork, loadDeployment, addressesFromEnv } from '../lib/networks';
+import {
+  CONNECTORS, LAST_CONNECTOR_KEY, connectWallet, switchWalletChain, isUserRejection
+} from '../lib/wallet';
+import { readJson, writeJson, setCurrentUserId } from '../lib/storage';
+
+export const WalletContext = createContext(null);
+
+const DISCONNECTED = { status: 'disconnected', connector: null, account: null, chainId: null, error: null };
+
+/**
+ * Wallet connection, the chain the wallet is on, and the deployment the app
+ * expects it to be on. The connected address becomes the current user id so
+ * favorites and saved searches follow the wallet.
+ */
+export const WalletProvider = ({ children }) => {
+  const network = useMemo(() => getTargetNetwork(), []);
+  const [deployment, setDeployment] = useState(() => ({
+    status: 'loading', chainId: network.chainId, addresses: addressesFromEnv(), fromBlock: 0, error: null
+  }));
+  const [wallet, setWallet] = useState(DISCONNECTED);
+  const [signer, setSigner] = useState(null);
+  const eip1193Ref = useRef(null);
+
+  // Contract addresses for the target network
+  useEffect(() => {
+    const controller = new AbortController();
+    loadDeployment(network, { signal: controller.signal })
+      .then((record) => {
+        setDeployment({
+          status: record ? 'loaded' : 'missing',
+          chainId: record?.chainId ?? network.chainId,
+          addresses: { ...record?.addresses, ...addressesFromEnv() },
+          fromBlock: record?.fromBlock ?? 0,
+          error: null
+        });
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setDeployment((prev) => ({ ...prev, status: 'error', error: err }));
+      });
+    return () => controller.abort();
+  }, [network]);
+
+  const disconnect = useCallback(async () => {
+    const eip1193 = eip1193Ref.current;
+    eip1193Ref.current = null;
+    writeJson(LAST_CONNECTOR_KEY, undefined);
+    setWallet(DISCONNECTED);
+    setSigner(null);
+    setCurrentUserId(null);
+    if (eip1193?.disconnect) {
+      try {
+        await eip1193.disconnect();
+      } catch (err) {
+        // The session is already gone on the wallet side
+      }
+    }
+  }, []);
+
+  const connect = useCallback(async (connector = CONNECTORS.INJECTED, { silent = false } = {}) => {
+    setWallet((prev) => ({ ...prev, status: 'connecting', error: null }));
+    try {
+      const { eip1193, accounts, chainId } = await connectWallet(connector, network, { silent });
+      if (accounts.length === 0) {
+        setWallet(DISCONNECTED);
+        return;
+      }
+      eip1193Ref.current = eip1193;
+      writeJson(LAST_CONNECTOR_KEY, connector);
+      setWallet({ status: 'connected', connector, account: accounts[0], chainId, error: null });
+    } catch (err) {
+      setWallet({ ...DISCONNECTED, error: isUserRejection(err.cause || err) || silent ? null : err });
+    }
+  }, [network]);
+
+  // Reconnect to the wallet used last time without prompting
+  useEffect(() => {
+    const lastConnector = readJson(LAST_CONNECTOR_KEY, null);
+    if (lastConnector) connect(lastConnector, { silent: true });
+  }, [connect]);
+
+  // Follow account and chain changes made in the wallet
+  useEffect(() => {
+    const eip1193 = eip1193Ref.current;
+    if (wallet.status !== 'connected' || !eip1193?.on) return undefined;
+
+    const onAccountsChanged = (accounts) => {
+      if (accounts.length === 0) {
+        disconnect();
+      } else {
+        setWallet((prev) => ({ ...prev, account: accounts[0] }));
+      }
+    };
+    const onChainChanged = (chainId) => setWallet((prev) => ({ ...prev, chainId: Number(chainId) }));
+    const onDisconnect = () => disconnect();
+
+    eip1193.on('accountsChanged', onAccountsChanged);
+    eip1193.on('chainChanged', onChainChanged);
+    eip1193.on('disconnect', onDisconnect);
+    return () => {
+      eip1193.removeListener('accountsChanged', onAccountsChanged);
+      eip1193.removeListener('chainChanged', onChainChanged);
+      eip1193.removeListener('disconnect', onDisconnect);
+    };
+  }, [wallet.status, disconnect]);
+
+  const isWrongNetwork = wallet.status === 'connected' && wallet.chainId !== deployment.chainId;
+
+  // A fresh provider and signer whenever the account or chain changes
+  useEffect(() => {
+    const eip1193 = eip1193Ref.current;
+    if (wallet.status !== 'connected' || !eip1193) {
+      setSigner(null);
+      return undefined;
+    }
+    let cancelled = false;
+    new BrowserProvider(eip1193).getSigner(wallet.account)
+      .then((next) => !cancelled && setSigner(next))
+      .catch(() => !cancelled && setSigner(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [wallet.status, wallet.account, wallet.chainId]);
+
+  useEffect(() => {
+    if (wallet.account) setCurrentUserId(wallet.account.toLowerCase());
+  }, [wallet.account]);
+
+  const switchNetwork = useCallback(async () => {
+    if (!eip1193Ref.current) return;
+    try {
+      await switchWalletChain(eip1193Ref.current, { ...network, chainId: deployment.chainId });
+    } catch (err) {
+      if (!isUserRejection(err)) setWallet((prev) => ({ ...prev, error: err }));
+    }
+  }, [network, deployment.chainId]);
+
+  const value = useMemo(() => ({
+    ...wallet,
+    network,
+    deployment,
+    expectedChainId: deployment.chainId,
+    isWrongNetwork,
+    signer: isWrongNetwork ? null : signer,
+    connect,
+    disconnect,
+    switchNetwork
+  }), [wallet, network, deployment, isWrongNetwork, signer, connect, disconnect, switchNetwork]);
+
+  return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
+};
@@ -0,0 +1,23 @@
+import { useCallback } from 'react';
+import useStoredValue from './useStoredValue';
+import useCurrentUser from './useCurrentUser';
+import { alertsKey, markAlertsRead, clearAlerts } from '../lib/listings/savedSearches';
+
+const EMPTY = [];
+
+const useAlerts = () => {
+  const userId = useCurrentUser();
+  const alerts = useStoredValue(alertsKey(userId), EMPTY);
+
+  const markRead = useCallback((alertIds) => markAlertsRead(userId, alertIds), [userId]);
+  const clear = useCallback(() => clearAlerts(userId), [userId]);
+
+  return {
+    alerts,
+    unreadCount: alerts.filter((alert) => !alert.read).length,
+    markRead,
+    clear
+  };
+};
+
+export default useAlerts;
@@ -0,0 +1,53 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { carrierAdapters, requestQuotes } from '../lib/insurance/carriers';
+
+const DEFAULT_DEBOUNCE_MS = 400;
+
+const loadingResults = (adapters, prev = {}) => Object.fromEntries(
+  adapters.map((adapter) => [adapter.id, { status: 'loading', quote: prev[adapter.id]?.quote || null, error: null }])
+);
+
+/**
+ * Quotes from every carrier for `request`, re-requested (debounced) whenever
+ * it changes. `results[carrierId]` is `{status, quote, error}` with status
+ * loading | success | timeout | error; a carrier keeps its previous quote
+ * while re-quoting. `retry(carrierId)` asks one carrier again.
+ */
+const useCarrierQuotes = (request, { adapters = carrierAdapters, debounceMs = DEFAULT_DEBOUNCE_MS } = {}) => {
+  const [results, setResults] = useState(() => loadingResults(adapters));
+  const controllerRef = useRef(null);
+  const requestKey = JSON.stringify(request);
+
+  const report = useCallback((carrierId, result) => {
+    setResults((prev) => ({
+      ...prev,
+      [carrierId]: { quote: result.quote || null, error: result.error || null, status: result.status }
+    }));
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResults((prev) => loadingResults(adapters, prev));
+
+    const timer = setTimeout(() => {
+      requestQuotes(adapters, JSON.parse(requestKey), { onResult: report, signal: controller.signal });
+    }, debounceMs);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [adapters, requestKey, debounceMs, report]);
+
+  const retry = useCallback((carrierId) => {
+    const adapter = adapters.find((candidate) => candidate.id === carrierId);
+    if (!adapter || !controllerRef.current) return;
+    setResults((prev) => ({ ...prev, [carrierId]: { ...prev[carrierId], status: 'loading', error: null } }));
+    requestQuotes([adapter], JSON.parse(requestKey), { onResult: report, signal: controllerRef.current.signal });
+  }, [adapters, requestKey, report]);
+
+  return { results, retry };
+};
+
+export default useCarrierQuotes;
@@ -0,0 +1,29 @@
+import { useMemo } from 'react';
+import useWallet from './useWallet';
+import { getContracts, getReadProvider } from '../lib/contracts';
+
+/**
+ * PropertyToken, PropertyMarketplace, RevenueDistribution, PropertyOracle,
+ * Governance and PrequalRegistry instances for the target deployment. `read`
+ * goes through the app's RPC endpoint so it works without a wallet; `write` is
+ * bound to the wallet's signer and is null until a wallet is connected on the
+ * right chain.
+ * A contract with no deployed address is null in both.
+ */
+const useContracts = () => {
+  const { deployment, network, signer } = useWallet();
+  const { addresses } = deployment;
+
+  const read = useMemo(
+    () => getContracts(addresses, getReadProvider(network.rpcUrl)),
+    [addresses, network.rpcUrl]
+  );
+  const write = useMemo(
+    () => (signer ? getContracts(addresses, signer) : null),
+    [addresses, signer]
+  );
+
+  return { read, write, addresses, ready: deployment.status !== 'loading' };
+};
+
+export default useContracts;
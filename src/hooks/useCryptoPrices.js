@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback } from 'react';
+import { priceFeed, CRYPTO_SYMBOLS } from '../lib/prices';
+
+const DEFAULT_REFRESH_MS = 30 * 1000;
+
+/**
+ * USD prices for the crypto down-payment assets, refreshed on an interval.
+ * A symbol keeps its last good price when a refresh fails.
+ */
+const useCryptoPrices = ({
+  feed = priceFeed,
+  symbols = CRYPTO_SYMBOLS,
+  refreshMs = Number(process.env.REACT_APP_PRICE_REFRESH_MS) || DEFAULT_REFRESH_MS
+} = {}) => {
+  const [state, setState] = useState({ status: 'loading', prices: {}, error: null });
+  const [reloadKey, setReloadKey] = useState(0);
+  const symbolList = symbols.join(',');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const wanted = symbolList.split(',');
+
+    const load = async () => {
+      try {
+        const { prices, errors } = await feed.getPrices(wanted, { signal: controller.signal });
+        const missing = wanted.filter((symbol) => !prices[symbol]);
+        setState((prev) => ({
+          status: Object.keys(prices).length > 0 || Object.keys(prev.prices).length > 0 ? 'success' : 'error',
+          prices: { ...prev.prices, ...prices },
+          error: missing.length > 0
+            ? errors[0] || new Error(`No price source answered for ${missing.join(', ')}`)
+            : null
+        }));
+      } catch (err) {
+        if (err.name !== 'AbortError') setState((prev) => ({ ...prev, status: 'error', error: err }));
+      }
+    };
+
+    load();
+    const timer = setInterval(load, refreshMs);
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [feed, symbolList, refreshMs, reloadKey]);
+
+  const refresh = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  return { ...state, refresh };
+};
+
+export default useCryptoPrices;
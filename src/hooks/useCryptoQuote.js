@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createQuote, quoteMatches, quoteSecondsLeft, DEFAULT_LOCK_SECONDS } from '../lib/prices';
+
+/**
+ * Rate-locked quote for paying `usdAmount` in `symbol`. The quote holds its
+ * rate until it expires or the amount, asset or buffer changes, then
+ * re-quotes at the latest price. `secondsLeft` ticks once a second. An
+ * expired quote is never returned, even while no fresh price is available
+ * to re-quote at.
+ */
+const useCryptoQuote = ({
+  enabled,
+  usdAmount,
+  symbol,
+  price,
+  bufferPct,
+  volatilityProtection,
+  lockSeconds = Number(process.env.REACT_APP_CRYPTO_QUOTE_LOCK_SECONDS) || DEFAULT_LOCK_SECONDS
+}) => {
+  const [quote, setQuote] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const secondsLeft = quoteSecondsLeft(quote, now);
+  const terms = { usdAmount, symbol, bufferPct, volatilityProtection };
+  const stale = !quoteMatches(quote, terms) || secondsLeft === 0;
+
+  const requote = useCallback(() => {
+    if (!price) return;
+    const quotedAt = new Date();
+    setQuote(createQuote({
+      usdAmount, symbol, price, bufferPct, volatilityProtection, lockSeconds, now: quotedAt
+    }));
+    setNow(quotedAt);
+  }, [usdAmount, symbol, price, bufferPct, volatilityProtection, lockSeconds]);
+
+  useEffect(() => {
+    if (enabled && stale) requote();
+  }, [enabled, stale, requote]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  return { quote: enabled && !stale ? quote : null, secondsLeft, requote };
+};
+
+export default useCryptoQuote;
@@ -0,0 +1,6 @@
+import useStoredValue from './useStoredValue';
+import { CURRENT_USER_KEY } from '../lib/storage';
+
+const useCurrentUser = () => useStoredValue(CURRENT_USER_KEY, 'guest');
+
+export default useCurrentUser;
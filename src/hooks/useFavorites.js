@@ -0,0 +1,21 @@
+import { useMemo, useCallback } from 'react';
+import useStoredValue from './useStoredValue';
+import useCurrentUser from './useCurrentUser';
+import { favoritesKey, toggleFavorite as toggleStoredFavorite } from '../lib/listings/savedSearches';
+
+const EMPTY = [];
+
+const useFavorites = () => {
+  const userId = useCurrentUser();
+  const ids = useStoredValue(favoritesKey(userId), EMPTY);
+  const favorites = useMemo(() => new Set(ids), [ids]);
+
+  const toggleFavorite = useCallback(
+    (listingId) => toggleStoredFavorite(userId, listingId),
+    [userId]
+  );
+
+  return { favorites, toggleFavorite };
+};
+
+export default useFavorites;
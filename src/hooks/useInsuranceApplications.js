@@ -0,0 +1,116 @@
+import { useState, useCallback, useEffect } from 'react';
+import { carrierAdapters } from '../lib/insurance/carriers';
+import { applicationStore } from '../lib/insurance/applicationStore';
+import { moveApplication, recordBinding, bindRequest } from '../lib/insurance/applications';
+
+// Replace a record in place, or add it as the newest
+const withRecord = (records, record) => (
+  records.some((existing) => existing.id === record.id)
+    ? records.map((existing) => (existing.id === record.id ? record : existing))
+    : [record, ...records]
+);
+
+/**
+ * Insurance applications in the application store: submitting one, sending
+ * it to the carrier to bind and moving it through underwriting. The agent
+ * pipeline passes `pipeline: true` to load every application; the applicant's
+ * wizard only sees the one it submitted. `configError` is set when the
+ * account store couldn't be used.
+ */
+const useInsuranceApplications = ({ store = applicationStore, adapters = carrierAdapters, pipeline = false } = {}) => {
+  const [applications, setApplications] = useState([]);
+  const [error, setError] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const [binding, setBinding] = useState(null); // id of the application being sent
+
+  useEffect(() => {
+    if (!pipeline) return undefined;
+    let cancelled = false;
+    store.listApplications()
+      .then((list) => {
+        if (cancelled) return;
+        setApplications(list);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      });
+    return () => { cancelled = true; };
+  }, [store, pipeline, revision]);
+
+  const refresh = useCallback(() => setRevision((current) => current + 1), []);
+
+  const update = useCallback(async (applicationId, changes) => {
+    try {
+      const record = await store.updateApplication(applicationId, changes);
+      if (record) setApplications((current) => withRecord(current, record));
+    } catch (err) {
+      setError(err);
+    }
+  }, [store]);
+
+  const sendToCarrier = useCallback(async (record) => {
+    const adapter = adapters.find((candidate) => candidate.id === record.carrierId);
+    if (!adapter) {
+      await update(record.id, { bindError: `${record.carrierName} is no longer available` });
+      return;
+    }
+    setBinding(record.id);
+    try {
+      const policy = await adapter.bind(bindRequest(record));
+      // A bound policy without its documents yet is still bound
+      const documents = policy.status === 'bound'
+        ? await adapter.getPolicyDocuments(policy.policyNumber).catch(() => [])
+        : [];
+      await update(record.id, recordBinding(record, policy, documents));
+    } catch (err) {
+      await update(record.id, { bindError: err.message });
+    } finally {
+      setBinding(null);
+    }
+  }, [adapters, update]);
+
+  // Resolves to false when the store refused the application; the bind runs on after it is saved
+  const submit = useCallback(async (record) => {
+    let saved;
+    try {
+      saved = await store.saveApplication(record);
+    } catch (err) {
+      setError(err);
+      return false;
+    }
+    setError(null);
+    setApplications((current) => withRecord(current, saved));
+    sendToCarrier(saved);
+    return true;
+  }, [store, sendToCarrier]);
+
+  const move = useCallback((applicationId, stage, note) => {
+    const record = applications.find((candidate) => candidate.id === applicationId);
+    const changes = record && moveApplication(record, stage, { note });
+    return changes ? update(applicationId, changes) : Promise.resolve();
+  }, [applications, update]);
+
+  const remove = useCallback(async (applicationId) => {
+    try {
+      await store.deleteApplication(applicationId);
+      setApplications((current) => current.filter((record) => record.id !== applicationId));
+    } catch (err) {
+      setError(err);
+    }
+  }, [store]);
+
+  return {
+    applications,
+    error,
+    configError: store.configError || null,
+    refresh,
+    submitApplication: submit,
+    sendToCarrier,
+    moveApplication: move,
+    deleteApplication: remove,
+    binding
+  };
+};
+
+export default useInsuranceApplications;
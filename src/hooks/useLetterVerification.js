@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import useContracts from './useContracts';
+import { letterKey, letterHash } from '../lib/mortgage/prequalLetter';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * PrequalRegistry record for a letter id, checked against the terms from
+ * the letter's verification link.
+ */
+const useLetterVerification = (letterId, terms) => {
+  const { read, ready } = useContracts();
+  const [state, setState] = useState({ status: 'idle', record: null, issuerActive: false, error: null });
+
+  useEffect(() => {
+    if (!letterId || !ready) return undefined;
+    const registry = read.PrequalRegistry;
+    if (!registry) {
+      setState({
+        status: 'error', record: null, issuerActive: false, error: new Error('PrequalRegistry is not configured')
+      });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState((prev) => ({ ...prev, status: 'loading', error: null }));
+
+    (async () => {
+      try {
+        const letter = await registry.getLetter(letterKey(letterId));
+        if (letter.issuer === ZERO_ADDRESS) {
+          if (!cancelled) setState({ status: 'not-found', record: null, issuerActive: false, error: null });
+          return;
+        }
+        const issuerActive = await registry.hasRole(await registry.ISSUER_ROLE(), letter.issuer);
+        if (cancelled) return;
+        setState({
+          status: 'success',
+          record: {
+            letterHash: letter.letterHash,
+            issuer: letter.issuer,
+            issuedAt: new Date(Number(letter.issuedAt) * 1000),
+            expiresAt: new Date(Number(letter.expiresAt) * 1000),
+            revoked: letter.revoked
+          },
+          issuerActive,
+          error: null
+        });
+      } catch (err) {
+        if (!cancelled) setState({ status: 'error', record: null, issuerActive: false, error: err });
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [letterId, read, ready]);
+
+  const { record } = state;
+  const hashMatches = Boolean(record && terms && letterHash(terms) === record.letterHash);
+  const expired = Boolean(record && record.expiresAt <= new Date());
+
+  return {
+    ...state,
+    hashMatches,
+    expired,
+    valid: hashMatches && !expired && !record.revoked && state.issuerActive
+  };
+};
+
+export default useLetterVerification;
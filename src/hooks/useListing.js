@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { listingProvider } from '../lib/listings';
+
+/**
+ * Load a single listing by id from the listing provider. A missing id
+ * leaves the hook idle.
+ */
+const useListing = (id, { provider = listingProvider } = {}) => {
+  const [listing, setListing] = useState(null);
+  const [status, setStatus] = useState(id ? 'loading' : 'idle'); // idle | loading | success | not-found | error
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!id) {
+      setListing(null);
+      setStatus('idle');
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setStatus('loading');
+    setError(null);
+
+    provider.getListing(id, { signal: controller.signal })
+      .then((result) => {
+        setListing(result);
+        setStatus(result ? 'success' : 'not-found');
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err);
+        setStatus('error');
+      });
+
+    return () => controller.abort();
+  }, [id, provider]);
+
+  return { listing, status, error };
+};
+
+export default useListing;
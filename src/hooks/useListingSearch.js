@@ -0,0 +1,52 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { listingProvider, DEFAULT_PAGE_SIZE } from '../lib/listings';
+
+/**
+ * Runs listing queries against a provider and tracks loading / error state.
+ * A new search aborts any request still in flight. `query.sort` is passed
+ * through to the provider so ordering holds across pages. `configError` is
+ * set when the configured source couldn't be used and sample data is shown.
+ */
+const useListingSearch = ({ provider = listingProvider, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+  const [result, setResult] = useState({ listings: [], total: 0, page: 1, pageSize });
+  const [status, setStatus] = useState('idle'); // idle | loading | success | error
+  const [error, setError] = useState(null);
+  const [lastQuery, setLastQuery] = useState(null);
+  const controllerRef = useRef(null);
+
+  const search = useCallback(async (query, page = 1) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setStatus('loading');
+    setError(null);
+    setLastQuery(query);
+
+    try {
+      const next = await provider.search(query, {
+        page, pageSize, sort: query.sort, signal: controller.signal
+      });
+      if (controller.signal.aborted) return;
+      setResult(next);
+      setStatus('success');
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      setResult((prev) => ({ ...prev, listings: [], total: 0 }));
+      setError(err);
+      setStatus('error');
+    }
+  }, [provider, pageSize]);
+
+  const goToPage = useCallback((page) => {
+    if (lastQuery) search(lastQuery, page);
+  }, [lastQuery, search]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const totalPages = Math.max(1, Math.ceil(result.total / result.pageSize));
+
+  return { ...result, totalPages, status, error, configError: provider.configError || null, search, goToPage };
+};
+
+export default useListingSearch;
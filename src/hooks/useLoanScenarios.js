@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import useStoredValue from './useStoredValue';
+import useCurrentUser from './useCurrentUser';
+import { scenariosKey, saveScenario, deleteScenario } from '../lib/mortgage/scenarios';
+
+const EMPTY = [];
+
+const useLoanScenarios = () => {
+  const userId = useCurrentUser();
+  const scenarios = useStoredValue(scenariosKey(userId), EMPTY);
+
+  const save = useCallback((scenario) => saveScenario(userId, scenario), [userId]);
+  const remove = useCallback((scenarioId) => deleteScenario(userId, scenarioId), [userId]);
+
+  return { scenarios, saveScenario: save, deleteScenario: remove };
+};
+
+export default useLoanScenarios;
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { formatEther, formatUnits } from 'ethers';
+import { ORACLE_USD_DECIMALS } from '../lib/contracts';
+import useContracts from './useContracts';
+
+const toValuation = (v) => ({
+  appraisedValue: Number(formatUnits(v.appraisedValue, ORACLE_USD_DECIMALS)),
+  appraisalDate: new Date(Number(v.appraisalDate) * 1000),
+  appraiser: v.appraiser,
+  dataSource: v.dataSource,
+  isVerified: v.isVerified,
+  confidenceScore: Number(v.confidenceScore)
+});
+
+const toTokenization = (p) => ({
+  propertyAddress: p.propertyAddress,
+  totalShares: Number(p.totalShares),
+  sharesSold: Number(p.sharesSold),
+  sharePriceEth: formatEther(p.sharePrice),
+  isActive: p.isActive,
+  originalOwner: p.originalOwner,
+  listingDate: new Date(Number(p.listingDate) * 1000)
+});
+
+// An unset rentalData entry reads back as all zeros
+const toRental = (r) => (r.lastUpdated > 0n ? {
+  monthlyRent: Number(formatUnits(r.monthlyRent, ORACLE_USD_DECIMALS)),
+  occupancyRate: Number(r.occupancyRate),
+  lastUpdated: new Date(Number(r.lastUpdated) * 1000),
+  isVerified: r.isVerified
+} : null);
+
+const settledValue = (result, map) => (result.status === 'fulfilled' ? map(result.value) : null);
+
+/**
+ * Tokenization status from PropertyToken plus valuation history, cap rate
+ * and rental data from PropertyOracle for one on-chain property id. Each read fails
+ * independently: a property with no rental data still shows its valuations.
+ */
+const useOnChainProperty = (tokenId) => {
+  const { read, ready } = useContracts();
+  const [state, setState] = useState({
+    status: 'idle', tokenization: null, valuations: [], capRate: null, rental: null, error: null
+  });
+
+  useEffect(() => {
+    if (tokenId === undefined || tokenId === null) {
+      setState({ status: 'idle', tokenization: null, valuations: [], capRate: null, rental: null, error: null });
+      return undefined;
+    }
+
+    if (!ready) return undefined;
+    const token = read.PropertyToken;
+    const oracle = read.PropertyOracle;
+    if (!token && !oracle) {
+      setState((prev) => ({ ...prev, status: 'error', error: new Error('Contract addresses are not configured') }));
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState((prev) => ({ ...prev, status: 'loading', error: null }));
+
+    Promise.allSettled([
+      token ? token.getProperty(tokenId) : Promise.reject(new Error('PropertyToken not configured')),
+      oracle ? oracle.getValuationHistory(tokenId) : Promise.reject(new Error('PropertyOracle not configured')),
+      oracle ? oracle.getCapRate(tokenId) : Promise.reject(new Error('PropertyOracle not configured')),
+      oracle ? oracle.rentalData(tokenId) : Promise.reject(new Error('PropertyOracle not configured'))
+    ]).then(([property, history, capRate, rental]) => {
+      if (cancelled) return;
+      const failed = [property, history, capRate, rental].every((r) => r.status === 'rejected');
+      setState({
+        status: failed ? 'error' : 'success',
+        tokenization: settledValue(property, toTokenization),
+        valuations: settledValue(history, (list) => list.map(toValuation)) || [],
+        // getCapRate is scaled by 100 (550 = 5.5%)
+        capRate: settledValue(capRate, (value) => Number(value) / 100),
+        rental: settledValue(rental, toRental),
+        error: failed ? property.reason : null
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenId, read, ready]);
+
+  return state;
+};
+
+export default useOnChainProperty;
@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useWallet from './useWallet';
+import useContracts from './useContracts';
+import { buildOrderBook, tradesFromLogs } from '../lib/orderBook';
+
+const MAX_RECENT_TRADES = 50;
+
+// Order events often arrive in bursts (a fill emits several); reload once they settle
+const RELOAD_DEBOUNCE_MS = 750;
+
+const loadBook = async ({ marketplace, token, propertyId, account }) => {
+  const [sellIds, buyIds, feeBasisPoints, marketPrice, property, balance] = await Promise.all([
+    marketplace.getPropertySellOrders(propertyId),
+    marketplace.getPropertyBuyOrders(propertyId),
+    marketplace.tradingFeeBasisPoints(),
+    marketplace.getMarketPrice(propertyId),
+    token ? token.getProperty(propertyId) : null,
+    token && account ? token.balanceOf(account, propertyId) : 0n
+  ]);
+
+  const [sellOrders, buyOrders] = await Promise.all([
+    Promise.all(sellIds.map((id) => marketplace.sellOrders(id))),
+    Promise.all(buyIds.map((id) => marketplace.buyOrders(id)))
+  ]);
+
+  return {
+    book: buildOrderBook(sellOrders, buyOrders),
+    feeBasisPoints,
+    marketPrice,
+    property,
+    balance
+  };
+};
+
+// OrderExecuted doesn't index propertyId, so trades are filtered after the
+// query; only blocks not scanned by an earlier load are queried
+const loadTrades = async ({ marketplace, propertyId, fromBlock }) => {
+  const toBlock = await marketplace.runner.provider.getBlockNumber();
+  if (toBlock < fromBlock) return { trades: [], nextBlock: fromBlock };
+  const logs = await marketplace.queryFilter(marketplace.filters.OrderExecuted(), fromBlock, toBlock);
+  return { trades: tradesFromLogs(logs, propertyId), nextBlock: toBlock + 1 };
+};
+
+/**
+ * Live order book, recent trades and fee rate for one property. Reloads
+ * (debounced) when the marketplace emits an order event for the property;
+ * trades are scanned incrementally from the last block seen.
+ */
+const useOrderBook = (propertyId) => {
+  const { account, deployment } = useWallet();
+  const { read, ready } = useContracts();
+  const [state, setState] = useState({
+    status: 'loading',
+    book: { asks: [], bids: [] },
+    trades: [],
+    feeBasisPoints: 0n,
+    marketPrice: 0n,
+    property: null,
+    balance: 0n,
+    error: null
+  });
+  const [reloadKey, setReloadKey] = useState(0);
+  const refresh = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  const marketplace = read.PropertyMarketplace;
+  // Trades found so far and the next block to scan, for one marketplace and property
+  const tradeScanRef = useRef(null);
+
+  useEffect(() => {
+    if (!ready) return undefined;
+    if (!marketplace) {
+      setState((prev) => ({ ...prev, status: 'error', error: new Error('PropertyMarketplace is not deployed on this network') }));
+      return undefined;
+    }
+    let cancelled = false;
+
+    const scanKey = `${marketplace.target}:${propertyId}:${deployment.fromBlock}`;
+    if (tradeScanRef.current?.key !== scanKey) {
+      tradeScanRef.current = { key: scanKey, nextBlock: deployment.fromBlock, trades: [] };
+    }
+    const scan = tradeScanRef.current;
+
+    Promise.all([
+      loadBook({ marketplace, token: read.PropertyToken, propertyId, account }),
+      loadTrades({ marketplace, propertyId, fromBlock: scan.nextBlock })
+    ])
+      .then(([next, scanned]) => {
+        if (cancelled) return;
+        scan.nextBlock = scanned.nextBlock;
+        scan.trades = [...scanned.trades, ...scan.trades].slice(0, MAX_RECENT_TRADES);
+        setState({ ...next, trades: scan.trades, status: 'success', error: null });
+      })
+      .catch((err) => !cancelled && setState((prev) => ({ ...prev, status: 'error', error: err })));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [marketplace, read.PropertyToken, ready, propertyId, account, deployment.fromBlock, reloadKey]);
+
+  useEffect(() => {
+    if (!marketplace) return undefined;
+    let timer;
+    const scheduleReload = () => {
+      clearTimeout(timer);
+      timer = setTimeout(refresh, RELOAD_DEBOUNCE_MS);
+    };
+    const onExecuted = (orderId, buyer, seller, tradedPropertyId) => {
+      if (String(tradedPropertyId) === String(propertyId)) scheduleReload();
+    };
+    const subscriptions = [
+      [marketplace.filters.SellOrderCreated(null, null, propertyId), scheduleReload],
+      [marketplace.filters.BuyOrderCreated(null, null, propertyId), scheduleReload],
+      ['OrderExecuted', onExecuted],
+      // Cancellations don't say which property the order was for
+      ['OrderCancelled', scheduleReload]
+    ];
+    subscriptions.forEach(([event, listener]) => marketplace.on(event, listener));
+    return () => {
+      clearTimeout(timer);
+      subscriptions.forEach(([event, listener]) => marketplace.off(event, listener));
+    };
+  }, [marketplace, propertyId, refresh]);
+
+  return { ...state, refresh };
+};
+
+export default useOrderBook;
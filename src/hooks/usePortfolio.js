@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toBigInt } from 'ethers';
+import useWallet from './useWallet';
+import useContracts from './useContracts';
+import { tradesFromLogs, costBasisByProperty, buildHolding, summarizeHoldings } from '../lib/portfolio';
+
+const settled = (result) => (result.status === 'fulfilled' ? result.value : null);
+
+const loadPortfolio = async ({ account, read, fromBlock }) => {
+  const token = read.PropertyToken;
+  const marketplace = read.PropertyMarketplace;
+  const revenue = read.RevenueDistribution;
+  const oracle = read.PropertyOracle;
+
+  // Property ids run 1..getTotalProperties()
+  const total = Number(await token.getTotalProperties());
+  const ids = Array.from({ length: total }, (_, i) => toBigInt(i + 1));
+  const balances = ids.length
+    ? await token.balanceOfBatch(ids.map(() => account), ids)
+    : [];
+  const held = ids
+    .map((id, i) => ({ id, balance: balances[i] }))
+    .filter((holding) => holding.balance > 0n);
+
+  const [purchases, bought, sold] = await Promise.all([
+    token.queryFilter(token.filters.SharePurchased(null, account), fromBlock),
+    marketplace ? marketplace.queryFilter(marketplace.filters.OrderExecuted(null, account), fromBlock) : [],
+    marketplace ? marketplace.queryFilter(marketplace.filters.OrderExecuted(null, null, account), fromBlock) : []
+  ]);
+  const basis = costBasisByProperty(tradesFromLogs({ purchases, bought, sold }));
+
+  return Promise.all(held.map(async ({ id, balance }) => {
+    // A property without an oracle valuation reverts getPropertyValueInEth
+    const [property, propertyValue, claimable] = await Promise.allSettled([
+      token.getProperty(id),
+      oracle ? oracle.getPropertyValueInEth(id) : Promise.reject(new Error('PropertyOracle not configured')),
+      revenue ? revenue.getClaimableAmount(account, id) : Promise.resolve(0n)
+    ]);
+    return buildHolding({
+      propertyId: id.toString(),
+      balance,
+      property: settled(property),
+      propertyValue: settled(propertyValue),
+      claimable: settled(claimable) ?? 0n,
+      basis: basis.get(id.toString())
+    });
+  }));
+};
+
+/**
+ * The connected wallet's property shares with cost basis, oracle value and
+ * claimable rental income, plus a claim-all action.
+ */
+const usePortfolio = () => {
+  const { account, deployment } = useWallet();
+  const { read, write, ready } = useContracts();
+  const [holdings, setHoldings] = useState([]);
+  const [status, setStatus] = useState('idle'); // idle | loading | success | error
+  const [error, setError] = useState(null);
+  const [claiming, setClaiming] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!account || !ready || !read.PropertyToken) {
+      setHoldings([]);
+      setStatus('idle');
+      return undefined;
+    }
+    let cancelled = false;
+    setStatus('loading');
+    setError(null);
+
+    loadPortfolio({ account, read, fromBlock: deployment.fromBlock })
+      .then((next) => {
+        if (cancelled) return;
+        setHoldings(next);
+        setStatus('success');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [account, read, ready, deployment.fromBlock, reloadKey]);
+
+  const refresh = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  const claimable = holdings.filter((holding) => holding.claimable > 0n);
+
+  const claimAll = useCallback(async () => {
+    if (!write?.RevenueDistribution || claimable.length === 0) return;
+    setClaiming(true);
+    setError(null);
+    try {
+      const tx = await write.RevenueDistribution.claimMultipleProperties(
+        claimable.map((holding) => holding.propertyId)
+      );
+      await tx.wait();
+      refresh();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setClaiming(false);
+    }
+  }, [write, claimable, refresh]);
+
+  return {
+    holdings,
+    totals: summarizeHoldings(holdings),
+    status,
+    error,
+    refresh,
+    claimAll,
+    claiming,
+    canClaim: Boolean(write?.RevenueDistribution) && claimable.length > 0
+  };
+};
+
+export default usePortfolio;
@@ -0,0 +1,52 @@
+import { useState, useCallback } from 'react';
+import useStoredValue from './useStoredValue';
+import useCurrentUser from './useCurrentUser';
+import useContracts from './useContracts';
+import useWallet from './useWallet';
+import {
+  lettersKey, saveLetter, updateLetter, deleteLetter, letterKey, letterHash, expiresAtSeconds
+} from '../lib/mortgage/prequalLetter';
+
+const EMPTY = [];
+
+/**
+ * Letters issued from this browser, plus anchoring a letter's hash in
+ * PrequalRegistry from the loan officer's wallet.
+ */
+const usePrequalLetters = () => {
+  const userId = useCurrentUser();
+  const letters = useStoredValue(lettersKey(userId), EMPTY);
+  const { write } = useContracts();
+  const { chainId } = useWallet();
+  const [anchoring, setAnchoring] = useState(null); // id of the letter being anchored
+  const [error, setError] = useState(null);
+
+  const issue = useCallback((letter) => saveLetter(userId, letter), [userId]);
+  const remove = useCallback((letterId) => deleteLetter(userId, letterId), [userId]);
+
+  const anchor = useCallback(async (letter) => {
+    if (!write?.PrequalRegistry) {
+      setError(new Error('Connect the loan officer wallet on the right network to anchor letters'));
+      return;
+    }
+    setAnchoring(letter.id);
+    setError(null);
+    try {
+      const tx = await write.PrequalRegistry.anchorLetter(
+        letterKey(letter.id), letterHash(letter), expiresAtSeconds(letter)
+      );
+      await tx.wait();
+      updateLetter(userId, letter.id, { anchor: { txHash: tx.hash, chainId } });
+    } catch (err) {
+      setError(err);
+    } finally {
+      setAnchoring(null);
+    }
+  }, [write, userId, chainId]);
+
+  return {
+    letters, issueLetter: issue, deleteLetter: remove, anchorLetter: anchor, anchoring, error
+  };
+};
+
+export default usePrequalLetters;
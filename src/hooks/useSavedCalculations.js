@@ -0,0 +1,61 @@
+import { useState, useCallback, useEffect } from 'react';
+import useCurrentUser from './useCurrentUser';
+import { calculationStore } from '../lib/mortgage/calculationStore';
+import { encodeCalculatorState, newSavedCalculation, shortCalculatorPath } from '../lib/mortgage/calculatorLink';
+
+/**
+ * The current user's saved calculations, kept in the calculation store so
+ * they follow the account rather than the browser. `createShareLink` stores
+ * the full state and returns a short `/mortgage?c=<id>` path for it.
+ * `configError` is set when the account store couldn't be used.
+ */
+const useSavedCalculations = ({ store = calculationStore } = {}) => {
+  const userId = useCurrentUser();
+  const [calculations, setCalculations] = useState([]);
+  const [error, setError] = useState(null);
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.listCalculations(userId)
+      .then((list) => {
+        if (cancelled) return;
+        setCalculations(list);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      });
+    return () => { cancelled = true; };
+  }, [store, userId, revision]);
+
+  const refresh = useCallback(() => setRevision((current) => current + 1), []);
+
+  const saveCalculation = useCallback(async ({ name, state }) => {
+    try {
+      await store.saveCalculation(userId, newSavedCalculation({ name, state }));
+      refresh();
+    } catch (err) {
+      setError(err);
+    }
+  }, [store, userId, refresh]);
+
+  const deleteCalculation = useCallback(async (calculationId) => {
+    try {
+      await store.deleteCalculation(userId, calculationId);
+      refresh();
+    } catch (err) {
+      setError(err);
+    }
+  }, [store, userId, refresh]);
+
+  const createShareLink = useCallback(async (state) => (
+    shortCalculatorPath(await store.createLink(await encodeCalculatorState(state)))
+  ), [store]);
+
+  return {
+    calculations, error, configError: store.configError || null, saveCalculation, deleteCalculation, createShareLink
+  };
+};
+
+export default useSavedCalculations;
@@ -0,0 +1,56 @@
+import { useEffect } from 'react';
+import useCurrentUser from './useCurrentUser';
+import { listingProvider } from '../lib/listings';
+import { runSavedSearches, getSavedSearches, savedSearchesKey } from '../lib/listings/savedSearches';
+import { subscribe } from '../lib/storage';
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Re-runs the current user's saved searches on an interval and records new
+ * listings, price drops and status changes as alerts. Mount once, near the
+ * top of the app.
+ *
+ * Limitation: this is not a server-side job. Searches only re-run while the
+ * app is open in a tab, and saved searches and alerts live in this browser's
+ * localStorage, so changes that happen while the app is closed are picked up
+ * on the next visit (by comparing against the stored snapshot) and alerts
+ * don't follow the user to another device or reach them by email.
+ */
+const useSavedSearchAlerts = ({
+  provider = listingProvider,
+  intervalMs = Number(process.env.REACT_APP_SAVED_SEARCH_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+} = {}) => {
+  const userId = useCurrentUser();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let running = false;
+
+    const run = async () => {
+      // Skip a tick rather than overlap a slow run
+      if (running) return;
+      running = true;
+      try {
+        await runSavedSearches(userId, provider, { signal: controller.signal });
+      } finally {
+        running = false;
+      }
+    };
+
+    // Newly saved searches get their baseline snapshot straight away
+    const unsubscribe = subscribe(savedSearchesKey(userId), () => {
+      if (getSavedSearches(userId).some((search) => !search.snapshot)) run();
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      controller.abort();
+    };
+  }, [userId, provider, intervalMs]);
+};
+
+export default useSavedSearchAlerts;
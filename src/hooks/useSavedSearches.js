@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import useStoredValue from './useStoredValue';
+import useCurrentUser from './useCurrentUser';
+import { savedSearchesKey, saveSearch, deleteSavedSearch } from '../lib/listings/savedSearches';
+
+const EMPTY = [];
+
+const useSavedSearches = () => {
+  const userId = useCurrentUser();
+  const savedSearches = useStoredValue(savedSearchesKey(userId), EMPTY);
+
+  const save = useCallback((search) => saveSearch(userId, search), [userId]);
+  const remove = useCallback((searchId) => deleteSavedSearch(userId, searchId), [userId]);
+
+  return { savedSearches, saveSearch: save, deleteSearch: remove };
+};
+
+export default useSavedSearches;
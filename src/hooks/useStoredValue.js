@@ -0,0 +1,21 @@
+import { useState, useEffect, useRef } from 'react';
+import { readJson, subscribe } from '../lib/storage';
+
+/**
+ * Read a JSON value from the app store and re-render whenever it changes,
+ * in this tab or another one. Writes go through the lib helpers.
+ */
+const useStoredValue = (key, fallback) => {
+  const fallbackRef = useRef(fallback);
+  const [value, setValue] = useState(() => readJson(key, fallback));
+
+  useEffect(() => {
+    const refresh = () => setValue(readJson(key, fallbackRef.current));
+    refresh();
+    return subscribe(key, refresh);
+  }, [key]);
+
+  return value;
+};
+
+export default useStoredValue;
@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import useContracts from './useContracts';
+
+/**
+ * Every property tokenized on PropertyToken, with the marketplace's average
+ * ask price (0 when nothing is for sale).
+ */
+const useTokenizedProperties = () => {
+  const { read, ready } = useContracts();
+  const [properties, setProperties] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const token = read.PropertyToken;
+    if (!ready) return undefined;
+    if (!token) {
+      setStatus('error');
+      setError(new Error('PropertyToken is not deployed on this network'));
+      return undefined;
+    }
+    let cancelled = false;
+    setStatus('loading');
+
+    const load = async () => {
+      const total = Number(await token.getTotalProperties());
+      const ids = Array.from({ length: total }, (_, i) => i + 1);
+      return Promise.all(ids.map(async (id) => {
+        const [property, marketPrice] = await Promise.all([
+          token.getProperty(id),
+          read.PropertyMarketplace ? read.PropertyMarketplace.getMarketPrice(id) : 0n
+        ]);
+        return {
+          propertyId: String(id),
+          propertyAddress: property.propertyAddress,
+          totalShares: property.totalShares,
+          sharesSold: property.sharesSold,
+          sharePrice: property.sharePrice,
+          isActive: property.isActive,
+          marketPrice
+        };
+      }));
+    };
+
+    load()
+      .then((next) => {
+        if (cancelled) return;
+        setProperties(next);
+        setStatus('success');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [read, ready]);
+
+  return { properties, status, error };
+};
+
+export default useTokenizedProperties;
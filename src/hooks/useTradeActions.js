@@ -0,0 +1,81 @@
+import { useState, useCallback } from 'react';
+import useWallet from './useWallet';
+import useContracts from './useContracts';
+import { SIDES, previewTrade } from '../lib/orderBook';
+
+/**
+ * Marketplace writes for one property. Selling (placing a sell order or
+ * filling a buy order) moves shares through the marketplace, so the first
+ * sale asks for ERC-1155 operator approval. Each action resolves to true
+ * once its transaction is mined and false when it failed (see `error`).
+ */
+const useTradeActions = (propertyId, { feeBasisPoints, onSettled } = {}) => {
+  const { account } = useWallet();
+  const { write, addresses } = useContracts();
+  const [pending, setPending] = useState(null); // label of the transaction in flight
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async (label, send) => {
+    if (!write?.PropertyMarketplace) {
+      setError(new Error('Connect a wallet on the right network to trade'));
+      return false;
+    }
+    setPending(label);
+    setError(null);
+    try {
+      const tx = await send(write.PropertyMarketplace);
+      await tx.wait();
+      if (onSettled) onSettled();
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    } finally {
+      setPending(null);
+    }
+  }, [write, onSettled]);
+
+  // `label` is restored once the approval is mined
+  const ensureApproval = useCallback(async (label) => {
+    const token = write.PropertyToken;
+    const operator = addresses.PropertyMarketplace;
+    if (!(await token.isApprovedForAll(account, operator))) {
+      setPending('Approving marketplace');
+      const tx = await token.setApprovalForAll(operator, true);
+      await tx.wait();
+      setPending(label);
+    }
+  }, [write, addresses, account]);
+
+  const placeSellOrder = useCallback((shares, pricePerShare) => run('Placing sell order', async (marketplace) => {
+    await ensureApproval('Placing sell order');
+    return marketplace.createSellOrder(propertyId, shares, pricePerShare);
+  }), [run, ensureApproval, propertyId]);
+
+  const placeBuyOrder = useCallback((shares, pricePerShare) => run('Placing buy order', (marketplace) => {
+    const { buyerPays } = previewTrade({ shares, pricePerShare, feeBasisPoints });
+    return marketplace.createBuyOrder(propertyId, shares, pricePerShare, { value: buyerPays });
+  }), [run, propertyId, feeBasisPoints]);
+
+  // Taking an ask: pay the order's price plus the fee
+  const fillSellOrder = useCallback((order, shares) => run('Buying shares', (marketplace) => {
+    const { buyerPays } = previewTrade({ shares, pricePerShare: order.pricePerShare, feeBasisPoints });
+    return marketplace.executeSellOrder(order.orderId, shares, { value: buyerPays });
+  }), [run, feeBasisPoints]);
+
+  // Hitting a bid: the buyer's escrow pays the seller and the fee
+  const fillBuyOrder = useCallback((order, shares) => run('Selling shares', async (marketplace) => {
+    await ensureApproval('Selling shares');
+    return marketplace.executeBuyOrder(order.orderId, shares);
+  }), [run, ensureApproval]);
+
+  const cancelOrder = useCallback((order) => run('Cancelling order', (marketplace) => (
+    order.side === SIDES.SELL ? marketplace.cancelSellOrder(order.orderId) : marketplace.cancelBuyOrder(order.orderId)
+  )), [run]);
+
+  return {
+    placeSellOrder, placeBuyOrder, fillSellOrder, fillBuyOrder, cancelOrder, pending, error
+  };
+};
+
+export default useTradeActions;
@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import { WalletContext } from '../context/WalletContext';
+
+const useWallet = () => {
+  const wallet = useContext(WalletContext);
+  if (!wallet) {
+    throw new Error('useWallet must be used inside a WalletProvider');
+  }
+  return wallet;
+};
+
+export default useWallet;
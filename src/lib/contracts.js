@@ -0,0 +1,106 @@
+import { Contract, JsonRpcProvider } from 'ethers';
+import { getTargetNetwork } from './networks';
+
+/**
+ * Contract ABIs (human-readable fragments for the functions the app uses)
+ * and contract instances for the deployed MAK Platform contracts.
+ */
+
+const PROPERTY_VALUATION = 'tuple(uint256 appraisedValue, uint256 appraisalDate, address appraiser, string dataSource, bool isVerified, uint256 confidenceScore)';
+const PROPOSAL = 'tuple(uint256 id, address proposer, uint8 proposalType, uint256 propertyId, string description, uint256 startBlock, uint256 endBlock, uint256 forVotes, uint256 againstVotes, bool executed, bool cancelled)';
+
+export const ABIS = {
+  PropertyToken: [
+    'function getProperty(uint256 propertyId) view returns (tuple(string propertyAddress, uint256 totalShares, uint256 sharesSold, uint256 sharePrice, uint256 rentalIncome, bool isActive, address originalOwner, uint256 listingDate))',
+    'function getTotalProperties() view returns (uint256)',
+    'function propertyMetadata(uint256 propertyId) view returns (string)',
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+    'function isApprovedForAll(address account, address operator) view returns (bool)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function purchaseShares(uint256 propertyId, uint256 shareAmount) payable',
+    'event SharePurchased(uint256 indexed propertyId, address indexed buyer, uint256 amount, uint256 totalCost)',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)'
+  ],
+  PropertyMarketplace: [
+    'function sellOrders(uint256 orderId) view returns (uint256 orderId, address seller, uint256 propertyId, uint256 shareAmount, uint256 pricePerShare, uint256 remainingShares, uint256 timestamp, bool isActive)',
+    'function buyOrders(uint256 orderId) view returns (uint256 orderId, address buyer, uint256 propertyId, uint256 shareAmount, uint256 pricePerShare, uint256 remainingShares, uint256 totalEscrow, uint256 timestamp, bool isActive)',
+    'function getPropertySellOrders(uint256 propertyId) view returns (uint256[])',
+    'function getPropertyBuyOrders(uint256 propertyId) view returns (uint256[])',
+    'function getMarketPrice(uint256 propertyId) view returns (uint256)',
+    'function tradingFeeBasisPoints() view returns (uint256)',
+    'function createSellOrder(uint256 propertyId, uint256 shareAmount, uint256 pricePerShare) returns (uint256)',
+    'function createBuyOrder(uint256 propertyId, uint256 shareAmount, uint256 pricePerShare) payable returns (uint256)',
+    'function executeSellOrder(uint256 orderId, uint256 shareAmount) payable',
+    'function executeBuyOrder(uint256 orderId, uint256 shareAmount)',
+    'function cancelSellOrder(uint256 orderId)',
+    'function cancelBuyOrder(uint256 orderId)',
+    'event SellOrderCreated(uint256 indexed orderId, address indexed seller, uint256 indexed propertyId, uint256 shareAmount, uint256 pricePerShare)',
+    'event BuyOrderCreated(uint256 indexed orderId, address indexed buyer, uint256 indexed propertyId, uint256 shareAmount, uint256 pricePerShare)',
+    'event OrderExecuted(uint256 indexed orderId, address indexed buyer, address indexed seller, uint256 propertyId, uint256 shareAmount, uint256 totalPrice)',
+    'event OrderCancelled(uint256 indexed orderId, address indexed creator, bool isSellOrder)'
+  ],
+  RevenueDistribution: [
+    'function getClaimableAmount(address user, uint256 propertyId) view returns (uint256)',
+    'function getTotalEarnings(address user, uint256[] propertyIds) view returns (uint256)',
+    'function userClaims(uint256 propertyId, address user) view returns (uint256 lastClaimedRevenue, uint256 pendingClaim, uint256 totalClaimed)',
+    'function getRevenuePool(uint256 propertyId) view returns (uint256 totalRevenue, uint256 distributedRevenue, uint256 pendingRevenue, uint256 lastDistribution, uint256 totalShares, uint256 revenuePerShare, bool isActive)',
+    'function claimRevenue(uint256 propertyId)',
+    'function claimMultipleProperties(uint256[] propertyIds)',
+    'event RevenueClaimed(uint256 indexed propertyId, address indexed user, uint256 amount)'
+  ],
+  PropertyOracle: [
+    `function getValuationHistory(uint256 propertyId) view returns (${PROPERTY_VALUATION}[])`,
+    'function getCapRate(uint256 propertyId) view returns (uint256)',
+    'function rentalData(uint256 propertyId) view returns (uint256 monthlyRent, uint256 lastUpdated, uint256 occupancyRate, bool isVerified, address verifier)',
+    'function getPropertyValueInEth(uint256 propertyId) view returns (uint256)',
+    'function usdEthPrice() view returns (uint256)'
+  ],
+  Governance: [
+    'function proposalCount() view returns (uint256)',
+    'function state(uint256 proposalId) view returns (uint8)',
+    `function getProposal(uint256 proposalId) view returns (${PROPOSAL})`,
+    'function getReceipt(uint256 proposalId, address voter) view returns (tuple(bool hasVoted, bool support, uint256 votes))',
+    'function getActiveProposals() view returns (uint256[])',
+    'function hasVotingPower(address account) view returns (bool)',
+    'function propose(uint8 proposalType, uint256 propertyId, string description) returns (uint256)',
+    'function castVote(uint256 proposalId, bool support)'
+  ],
+  PrequalRegistry: [
+    'function ISSUER_ROLE() view returns (bytes32)',
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function getLetter(bytes32 letterId) view returns (tuple(bytes32 letterHash, address issuer, uint64 issuedAt, uint64 expiresAt, bool revoked))',
+    'function verifyLetter(bytes32 letterId, bytes32 letterHash) view returns (bool)',
+    'function anchorLetter(bytes32 letterId, bytes32 letterHash, uint64 expiresAt)',
+    'function revokeLetter(bytes32 letterId)',
+    'event LetterAnchored(bytes32 indexed letterId, bytes32 letterHash, address indexed issuer, uint64 expiresAt)'
+  ]
+};
+
+// Oracle USD amounts and the USD/ETH price are scaled by 1e8
+export const ORACLE_USD_DECIMALS = 8;
+
+const readProviders = new Map();
+
+// One JSON-RPC provider per URL, shared by every read
+export const getReadProvider = (rpcUrl = getTargetNetwork().rpcUrl) => {
+  if (!readProviders.has(rpcUrl)) {
+    readProviders.set(rpcUrl, new JsonRpcProvider(rpcUrl));
+  }
+  return readProviders.get(rpcUrl);
+};
+
+/**
+ * Contract instance, or null when the contract has no known address.
+ * @param {keyof ABIS} name
+ * @param {Object<string, string>} addresses contract name => address
+ * @param runner provider for reads, signer for writes
+ */
+export const getContract = (name, addresses, runner = getReadProvider()) => {
+  const address = addresses[name];
+  return address ? new Contract(address, ABIS[name], runner) : null;
+};
+
+export const getContracts = (addresses, runner) => Object.fromEntries(
+  Object.keys(ABIS).map((name) => [name, getContract(name, addresses, runner)])
+);
@@ -0,0 +1,71 @@
+/**
+ * Client-side exports: CSV downloads and print-ready HTML documents the
+ * browser can save as PDF.
+ */
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** @param {Array<Array<*>>} rows */
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** Render a grid (first row is the header) as an HTML table. */
+export const gridToHtml = (rows) => {
+  const [header, ...body] = rows;
+  const cells = (row, tag) => row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
+  return `<table><thead><tr>${cells(header, 'th')}</tr></thead>`
+    + `<tbody>${body.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+};
+
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadCsv = (filename, rows) => downloadFile(filename, toCsv(rows), 'text/csv;charset=utf-8');
+
+const PRINT_STYLES = `
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 40px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .subtitle { color: #6b7280; font-size: 13px; margin-bottom: 24px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 10px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  thead th { background: #f3f4f6; }
+  .footer { color: #6b7280; font-size: 11px; margin-top: 24px; }
+`;
+
+/**
+ * Open a print-ready document in a new window and bring up the print
+ * dialog, where the user can save it as a PDF. Returns false when the
+ * window was blocked.
+ */
+export const printDocument = ({ title, subtitle = '', body, footer = '' }) => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.write(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`
+    + `<style>${PRINT_STYLES}</style></head><body>`
+    + `<h1>${escapeHtml(title)}</h1>`
+    + (subtitle ? `<div class="subtitle">${escapeHtml(subtitle)}</div>` : '')
+    + body
+    + (footer ? `<div class="footer">${escapeHtml(footer)}</div>` : '')
+    + '</body></html>');
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+};
@@ -0,0 +1,135 @@
+/**
+ * Where submitted insurance applications live. The account service keeps the
+ * agency's pipeline, so an application submitted from any browser reaches the
+ * agent dashboard and the applicant's name, date of birth, phone and address
+ * stay on the server. The memory store keeps applications for this page
+ * session only, for development and offline use; neither store writes them
+ * to localStorage.
+ *
+ * @typedef {Object} ApplicationStore
+ * @property {string} name
+ * @property {() => Promise<Object[]>} listApplications                  the agency's pipeline, newest first
+ * @property {(record: Object) => Promise<Object>} saveApplication
+ * @property {(applicationId: string, changes: Object) => Promise<Object|null>} updateApplication
+ *   the updated record, or null for an unknown id
+ * @property {(applicationId: string) => Promise<void>} deleteApplication
+ */
+
+export class ApplicationStoreError extends Error {
+  constructor(message, { status, store } = {}) {
+    super(message);
+    this.name = 'ApplicationStoreError';
+    this.status = status;
+    this.store = store;
+  }
+}
+
+/**
+ * Application store held in memory for this page session.
+ * @returns {ApplicationStore}
+ */
+export const createMemoryApplicationStore = () => {
+  let records = [];
+
+  return {
+    name: 'memory',
+
+    async listApplications() {
+      return records;
+    },
+
+    async saveApplication(record) {
+      records = [record, ...records.filter((existing) => existing.id !== record.id)];
+      return record;
+    },
+
+    async updateApplication(applicationId, changes) {
+      const record = records.find((candidate) => candidate.id === applicationId);
+      if (!record) return null;
+      const updated = { ...record, ...changes };
+      records = records.map((candidate) => (candidate.id === applicationId ? updated : candidate));
+      return updated;
+    },
+
+    async deleteApplication(applicationId) {
+      records = records.filter((record) => record.id !== applicationId);
+    }
+  };
+};
+
+/**
+ * Application store backed by the account service
+ * (scripts/mock-account-server.js in development). Requests include
+ * credentials so the service can limit the pipeline to agency staff.
+ * @param {{baseUrl: string, fetchImpl?: typeof fetch}} options
+ * @returns {ApplicationStore}
+ */
+export const createHttpApplicationStore = ({ baseUrl, fetchImpl = (...args) => fetch(...args) }) => {
+  if (!baseUrl) {
+    throw new ApplicationStoreError('Account application store requires a baseUrl', { store: 'http' });
+  }
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetchImpl(`${root}${path}`, {
+      method,
+      credentials: 'include',
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 404 && method === 'PATCH') return null;
+    if (!response.ok) {
+      throw new ApplicationStoreError(`Account service responded with status ${response.status}`, {
+        status: response.status,
+        store: 'http'
+      });
+    }
+    return response.status === 204 ? null : response.json();
+  };
+  const applicationPath = (applicationId) => `/applications/${encodeURIComponent(applicationId)}`;
+
+  return {
+    name: 'http',
+
+    async listApplications() {
+      const body = await request('/applications');
+      return body?.applications || [];
+    },
+
+    async saveApplication(record) {
+      return request('/applications', { method: 'POST', body: record });
+    },
+
+    async updateApplication(applicationId, changes) {
+      return request(applicationPath(applicationId), { method: 'PATCH', body: changes });
+    },
+
+    async deleteApplication(applicationId) {
+      await request(applicationPath(applicationId), { method: 'DELETE' });
+    }
+  };
+};
+
+/**
+ * Pick the application store from REACT_APP_APPLICATION_STORE: "account"
+ * sends applications to the account service at REACT_APP_ACCOUNT_SERVICE_URL;
+ * anything else keeps them in memory. A misconfigured account store also
+ * falls back to memory, with the problem on `configError`.
+ */
+export const createApplicationStore = (env = process.env) => {
+  if (env.REACT_APP_APPLICATION_STORE !== 'account') return createMemoryApplicationStore();
+
+  try {
+    return createHttpApplicationStore({ baseUrl: env.REACT_APP_ACCOUNT_SERVICE_URL });
+  } catch (err) {
+    if (!(err instanceof ApplicationStoreError)) throw err;
+    const configError = `${err.message}; set REACT_APP_ACCOUNT_SERVICE_URL. Applications are kept on this page only.`;
+    console.error(configError);
+    return { ...createMemoryApplicationStore(), configError };
+  }
+};
+
+export const applicationStore = createApplicationStore();
@@ -0,0 +1,59 @@
+import { createMemoryApplicationStore, createHttpApplicationStore, createApplicationStore } from './applicationStore';
+
+const record = { id: 'INS-20250601-7KQ2MX', applicant: { name: 'Dana Reyes' }, stage: 'submitted' };
+
+describe('memory application store', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps applications newest first and never writes them to localStorage', async () => {
+    const store = createMemoryApplicationStore();
+    await store.saveApplication({ ...record, id: 'one' });
+    await store.saveApplication({ ...record, id: 'two' });
+    expect((await store.listApplications()).map((application) => application.id)).toEqual(['two', 'one']);
+    expect(localStorage.length).toBe(0);
+
+    expect(await store.updateApplication('one', { stage: 'underwriting' })).toEqual({ ...record, id: 'one', stage: 'underwriting' });
+    expect(await store.updateApplication('missing', { stage: 'bound' })).toBeNull();
+    await store.deleteApplication('two');
+    expect((await store.listApplications()).map((application) => application.stage)).toEqual(['underwriting']);
+  });
+});
+
+describe('account application store', () => {
+  const respond = (status, body) => Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+  it('sends applications to the account service with credentials', async () => {
+    const fetchImpl = jest.fn(() => respond(200, record));
+    const store = createHttpApplicationStore({ baseUrl: 'http://localhost:8789/', fetchImpl });
+    await store.saveApplication(record);
+    const [url, options] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:8789/applications');
+    expect(options).toMatchObject({ method: 'POST', credentials: 'include' });
+    expect(JSON.parse(options.body)).toEqual(record);
+  });
+
+  it('patches changes and reads an unknown application as null', async () => {
+    const fetchImpl = jest.fn(() => respond(404, { error: 'Unknown application' }));
+    const store = createHttpApplicationStore({ baseUrl: 'http://localhost:8789', fetchImpl });
+    expect(await store.updateApplication('INS 1', { stage: 'bound' })).toBeNull();
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:8789/applications/INS%201');
+    expect(fetchImpl.mock.calls[0][1].method).toBe('PATCH');
+  });
+
+  it('surfaces service errors with their status', async () => {
+    const store = createHttpApplicationStore({ baseUrl: 'http://localhost:8789', fetchImpl: () => respond(403, {}) });
+    await expect(store.listApplications()).rejects.toMatchObject({ name: 'ApplicationStoreError', status: 403 });
+  });
+});
+
+describe('createApplicationStore', () => {
+  it('falls back to memory when the account service is not configured', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createApplicationStore({ REACT_APP_APPLICATION_STORE: 'account' });
+    expect(store.name).toBe('memory');
+    expect(store.configError).toMatch(/REACT_APP_ACCOUNT_SERVICE_URL/);
+    consoleError.mockRestore();
+  });
+});
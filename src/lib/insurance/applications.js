@@ -0,0 +1,344 @@
+import { escapeHtml } from '../export';
+import { DEDUCTIBLE_OPTIONS } from './rating.mjs';
+
+/**
+ * Insurance applications: the wizard's steps and validation, the submitted
+ * record, the agency pipeline it moves through and the printable quote.
+ *
+ * Records are kept by the application store (./applicationStore), which holds
+ * the agency's pipeline for every browser. Card and bank numbers are checked
+ * but never stored; a record keeps the last four digits only.
+ */
+
+export const AGENCY_PHONE = process.env.REACT_APP_INSURANCE_AGENCY_PHONE || '';
+
+export const APPLICATION_STEPS = [
+  { id: 'applicant', label: 'Applicant' },
+  { id: 'claims', label: 'Prior Claims' },
+  { id: 'coverage', label: 'Coverage' },
+  { id: 'consent', label: 'E-Signature' },
+  { id: 'payment', label: 'Payment' }
+];
+
+export const CLAIM_TYPES = ['Water Damage', 'Wind / Hail', 'Fire / Smoke', 'Theft', 'Liability', 'Other'];
+
+// Claims older than this are not asked about
+export const CLAIMS_LOOKBACK_YEARS = 5;
+
+export const PAYMENT_METHODS = {
+  escrow: { label: 'Mortgage escrow', description: 'Your lender pays the annual premium from escrow' },
+  ach: { label: 'Bank account (ACH)', description: 'Drafted from checking or savings' },
+  card: { label: 'Credit / debit card', description: 'Charged on each due date' }
+};
+
+export const PAYMENT_PLANS = {
+  annual: { label: 'Pay in full', installments: 1 },
+  monthly: { label: 'Monthly', installments: 12 }
+};
+
+// `next` lists the moves an agent can make by hand; the carrier's bind response
+// moves a submitted application itself (see recordBinding)
+export const PIPELINE_STAGES = {
+  submitted: { label: 'Submitted', next: ['underwriting', 'declined', 'withdrawn'] },
+  underwriting: { label: 'Underwriting', next: ['bound', 'declined', 'withdrawn'] },
+  bound: { label: 'Bound', next: [] },
+  declined: { label: 'Declined', next: [] },
+  withdrawn: { label: 'Withdrawn', next: [] }
+};
+
+// Local YYYY-MM-DD, the format date inputs use
+const isoDate = (date) => [
+  date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/** A blank application for a property, effective tomorrow. */
+export const emptyApplication = ({ property, deductible, bundle = {} }, now = new Date()) => ({
+  applicant: {
+    firstName: '',
+    lastName: '',
+    email: '',
+    phone: '',
+    dateOfBirth: '',
+    mailingAddress: property.address,
+    effectiveDate: isoDate(new Date(now.getTime() + 24 * 60 * 60 * 1000))
+  },
+  claims: { hasPriorClaims: false, items: [] },
+  coverage: {
+    deductible,
+    auto: Boolean(bundle.auto),
+    life: Boolean(bundle.life),
+    umbrella: Boolean(bundle.umbrella)
+  },
+  consent: { electronicRecords: false, accuracy: false, signature: '' },
+  payment: { method: 'escrow', plan: 'annual', cardNumber: '', cardExpiry: '', routingNumber: '', accountNumber: '' }
+});
+
+export const emptyClaim = () => ({ date: '', type: CLAIM_TYPES[0], amount: '', description: '' });
+
+export const applicantName = (applicant) => `${applicant.firstName.trim()} ${applicant.lastName.trim()}`.trim();
+
+const digits = (value) => String(value || '').replace(/\D/g, '');
+
+// Luhn checksum used by every card network
+export const validCardNumber = (value) => {
+  const number = digits(value);
+  if (number.length < 13 || number.length > 19) return false;
+  const sum = number.split('').reverse().reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return sum % 10 === 0;
+};
+
+// ABA routing numbers carry a 3-7-1 weighted checksum
+export const validRoutingNumber = (value) => {
+  const number = digits(value);
+  if (number.length !== 9) return false;
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  return number.split('').reduce((total, char, index) => total + Number(char) * weights[index], 0) % 10 === 0;
+};
+
+// MM/YY, valid through the end of that month
+const cardExpired = (expiry, now) => {
+  const match = /^(\d{2})\s*\/\s*(\d{2})$/.exec(expiry || '');
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) return true;
+  return new Date(2000 + Number(match[2]), Number(match[1]), 1) <= now;
+};
+
+/**
+ * Field errors for one wizard step, keyed by field (claims as
+ * `claims.<index>.<field>`). An empty object means the step is complete.
+ */
+export const validateStep = (stepId, application, now = new Date()) => {
+  const errors = {};
+  const { applicant, claims, coverage, consent, payment } = application;
+
+  if (stepId === 'applicant') {
+    if (!applicant.firstName.trim()) errors.firstName = 'First name is required';
+    if (!applicant.lastName.trim()) errors.lastName = 'Last name is required';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(applicant.email)) errors.email = 'Enter a valid email address';
+    if (digits(applicant.phone).length !== 10) errors.phone = 'Enter a 10-digit phone number';
+    const born = new Date(applicant.dateOfBirth);
+    const adult = new Date(born.getFullYear() + 18, born.getMonth(), born.getDate()) <= now;
+    if (!applicant.dateOfBirth || Number.isNaN(born.getTime()) || !adult) {
+      errors.dateOfBirth = 'The applicant must be at least 18';
+    }
+    if (!applicant.mailingAddress.trim()) errors.mailingAddress = 'Mailing address is required';
+    if (!applicant.effectiveDate || applicant.effectiveDate < isoDate(now)) {
+      errors.effectiveDate = 'Coverage cannot start in the past';
+    }
+  }
+
+  if (stepId === 'claims' && claims.hasPriorClaims) {
+    if (claims.items.length === 0) errors.claims = 'Add each claim, or answer no';
+    const earliest = isoDate(new Date(now.getFullYear() - CLAIMS_LOOKBACK_YEARS, now.getMonth(), now.getDate()));
+    claims.items.forEach((claim, index) => {
+      if (!claim.date || claim.date > isoDate(now) || claim.date < earliest) {
+        errors[`claims.${index}.date`] = `Date within the last ${CLAIMS_LOOKBACK_YEARS} years`;
+      }
+      if (!(Number(claim.amount) > 0)) errors[`claims.${index}.amount`] = 'Amount paid is required';
+    });
+  }
+
+  if (stepId === 'coverage' && !DEDUCTIBLE_OPTIONS.includes(coverage.deductible)) {
+    errors.deductible = 'Choose a deductible';
+  }
+
+  if (stepId === 'consent') {
+    if (!consent.electronicRecords) errors.electronicRecords = 'Consent is required to sign electronically';
+    if (!consent.accuracy) errors.accuracy = 'Confirm the application is accurate';
+    if (consent.signature.trim().toLowerCase() !== applicantName(applicant).toLowerCase()) {
+      errors.signature = 'Type your full name exactly as entered on the application';
+    }
+  }
+
+  if (stepId === 'payment') {
+    if (!PAYMENT_METHODS[payment.method]) errors.method = 'Choose a payment method';
+    if (payment.method === 'escrow' && payment.plan !== 'annual') {
+      errors.plan = 'Escrow pays the premium annually';
+    }
+    if (payment.method === 'card') {
+      if (!validCardNumber(payment.cardNumber)) errors.cardNumber = 'Card number is not valid';
+      if (cardExpired(payment.cardExpiry, now)) errors.cardExpiry = 'Enter an unexpired MM/YY date';
+    }
+    if (payment.method === 'ach') {
+      if (!validRoutingNumber(payment.routingNumber)) errors.routingNumber = 'Routing number is not valid';
+      const account = digits(payment.accountNumber);
+      if (account.length < 4 || account.length > 17) errors.accountNumber = 'Account number is not valid';
+    }
+  }
+
+  return errors;
+};
+
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. INS-20240601-7KQ2MX
+export const newApplicationId = (date = new Date()) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  const suffix = Array.from(bytes, (byte) => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+  return `INS-${date.toISOString().slice(0, 10).replace(/-/g, '')}-${suffix}`;
+};
+
+const maskedPayment = ({ method, plan, cardNumber, accountNumber }) => ({
+  method,
+  plan,
+  last4: method === 'card' ? digits(cardNumber).slice(-4) : method === 'ach' ? digits(accountNumber).slice(-4) : null
+});
+
+/** The quote repriced at another of its deductible options. */
+export const quoteAtDeductible = (quote, deductible) => {
+  const option = quote.home.deductibleOptions.find((candidate) => candidate.deductible === deductible);
+  return option ? { ...quote, home: { ...quote.home, deductible, premium: option.premium } } : quote;
+};
+
+/**
+ * The submitted application record, before it is sent to the carrier.
+ * @param {Object} args
+ * @param {Object} args.application  wizard state
+ * @param {Object} args.carrier      the carrier adapter
+ * @param {import('./carriers/adapter').CarrierQuote} args.quote  repriced at the chosen deductible
+ * @param {Object} args.bundle       priceBundle result for the chosen coverage
+ * @param {Object} args.property     propertyDetails
+ * @param {string} args.userId       the applicant's user id
+ * @param {Object} [args.eligibility]  eligibilityAttestation for a restricted carrier
+ */
+export const createApplication = ({
+  application, carrier, quote, bundle, property, userId, eligibility = null, submittedAt = new Date()
+}) => ({
+  id: newApplicationId(submittedAt),
+  userId,
+  carrierId: carrier.id,
+  carrierName: carrier.name,
+  quote: { quoteId: quote.quoteId, expiresAt: quote.expiresAt, home: quote.home },
+  applicant: { ...application.applicant, name: applicantName(application.applicant) },
+  property: { address: property.address, propertyType: property.propertyType, yearBuilt: property.yearBuilt, state: property.state },
+  claims: application.claims.hasPriorClaims
+    ? application.claims.items.map((claim) => ({ ...claim, amount: Number(claim.amount) }))
+    : [],
+  coverage: {
+    ...application.coverage,
+    form: quote.home.coverages.form,
+    limits: quote.home.coverages,
+    lines: bundle.lines.map(({ product, label, total }) => ({ product, label, premium: total })),
+    annualPremium: bundle.totalAnnual
+  },
+  consent: {
+    electronicRecords: true,
+    signature: application.consent.signature.trim(),
+    signedAt: submittedAt.toISOString()
+  },
+  payment: maskedPayment(application.payment),
+  eligibility,
+  submittedAt: submittedAt.toISOString(),
+  stage: 'submitted',
+  policy: null,
+  documents: [],
+  bindError: null,
+  history: [{ stage: 'submitted', at: submittedAt.toISOString(), note: `Submitted to ${carrier.name}` }]
+});
+
+// The binder request a carrier adapter receives
+export const bindRequest = (record) => ({
+  quote: record.quote,
+  application: {
+    applicationId: record.id,
+    insuredName: record.applicant.name,
+    email: record.applicant.email,
+    phone: record.applicant.phone,
+    dateOfBirth: record.applicant.dateOfBirth,
+    mailingAddress: record.applicant.mailingAddress,
+    effectiveDate: record.applicant.effectiveDate,
+    deductible: record.coverage.deductible,
+    priorClaims: record.claims,
+    paymentMethod: record.payment.method,
+    paymentPlan: record.payment.plan,
+    signature: record.consent.signature,
+    signedAt: record.consent.signedAt,
+    eligibility: record.eligibility
+  }
+});
+
+// Pipeline moves, as changes for the application store
+
+/** Changes moving an application to another stage, or null when the pipeline doesn't allow it. */
+export const moveApplication = (record, stage, { note = '', changes = {}, at = new Date() } = {}) => {
+  if (!PIPELINE_STAGES[record.stage].next.includes(stage)) return null;
+  return {
+    ...changes,
+    stage,
+    history: [...record.history, { stage, at: at.toISOString(), note }]
+  };
+};
+
+/**
+ * Changes recording the carrier's answer to a bind request: bound policies
+ * go straight to 'bound', anything else waits in underwriting for the agent.
+ */
+export const recordBinding = (record, policy, documents = [], at = new Date()) => {
+  const stage = policy.status === 'bound' ? 'bound' : 'underwriting';
+  const note = stage === 'bound'
+    ? `Bound by ${record.carrierName}, policy ${policy.policyNumber}`
+    : `${record.carrierName} referred the application for review (${policy.policyNumber})`;
+  return {
+    stage,
+    policy,
+    documents,
+    bindError: null,
+    history: [...record.history, { stage, at: at.toISOString(), note }]
+  };
+};
+
+// Printable quote
+
+const currency = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+});
+
+const COVERAGE_LABELS = [
+  ['dwelling', 'Dwelling (A)'],
+  ['otherStructures', 'Other Structures (B)'],
+  ['personalProperty', 'Personal Property (C)'],
+  ['lossOfUse', 'Loss of Use (D)'],
+  ['liability', 'Personal Liability (E)'],
+  ['medicalPayments', 'Medical Payments (F)']
+];
+
+/** Full quote body for printDocument: coverages, deductible options and the bundle. */
+export const quoteHtml = ({ carrier, quote, bundle, property }) => {
+  const rows = (pairs) => pairs.map(([label, value]) => (
+    `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+  )).join('');
+  const limits = COVERAGE_LABELS
+    .filter(([key]) => quote.home.coverages[key] > 0)
+    .map(([key, label]) => [label, currency.format(quote.home.coverages[key])]);
+  const deductibles = quote.home.deductibleOptions.map((option) => [
+    `${currency.format(option.deductible)} deductible${option.deductible === quote.home.deductible ? ' (quoted)' : ''}`,
+    `${currency.format(option.premium)}/yr`
+  ]);
+  const lines = bundle.lines.flatMap((line) => [
+    [line.label, currency.format(line.base)],
+    ...line.discounts.map((discount) => [`  ${discount.label}`, `-${currency.format(discount.amount)}`])
+  ]);
+
+  return `
+    <p>${escapeHtml(property.address)} · ${escapeHtml(property.propertyType)} · built ${escapeHtml(property.yearBuilt)}</p>
+    <p>Quote ${escapeHtml(quote.quoteId)} · ${escapeHtml(carrier.name)} (AM Best ${escapeHtml(carrier.rating)})
+      · valid through ${escapeHtml(new Date(quote.expiresAt).toLocaleDateString('en-US', { dateStyle: 'long' }))}</p>
+    <h3>${escapeHtml(quote.home.coverages.form)} Coverages</h3>
+    <table><tbody>${rows(limits)}</tbody></table>
+    <h3>Deductible Options</h3>
+    <table><tbody>${rows(deductibles)}</tbody></table>
+    <h3>Annual Premium</h3>
+    <table><tbody>${rows(lines)}
+      <tr><th>Total</th><th>${escapeHtml(currency.format(bundle.totalAnnual))}</th></tr>
+    </tbody></table>
+  `;
+};
@@ -0,0 +1,168 @@
+import { webcrypto } from 'crypto';
+import {
+  emptyApplication,
+  validateStep,
+  validCardNumber,
+  validRoutingNumber,
+  createApplication,
+  moveApplication,
+  recordBinding
+} from './applications';
+
+const now = new Date(2025, 5, 1, 12);
+
+const property = { address: '12 Pine St', propertyType: 'Single Family', yearBuilt: 1995, state: 'PA' };
+
+const filledApplication = () => {
+  const application = emptyApplication({ property, deductible: 1000 }, now);
+  return {
+    ...application,
+    applicant: {
+      ...application.applicant,
+      firstName: 'Dana',
+      lastName: 'Reyes',
+      email: 'dana@example.com',
+      phone: '(215) 555-0142',
+      dateOfBirth: '1988-04-12'
+    },
+    consent: { electronicRecords: true, accuracy: true, signature: ' dana reyes ' }
+  };
+};
+
+const withPayment = (payment) => {
+  const application = filledApplication();
+  return { ...application, payment: { ...application.payment, ...payment } };
+};
+
+describe('payment numbers', () => {
+  it('checks card numbers with the Luhn checksum', () => {
+    expect(validCardNumber('4111 1111 1111 1111')).toBe(true);
+    expect(validCardNumber('4111-1111-1111-1112')).toBe(false);
+    expect(validCardNumber('4111 1111')).toBe(false);
+  });
+
+  it('checks routing numbers with the ABA checksum', () => {
+    expect(validRoutingNumber('021000021')).toBe(true);
+    expect(validRoutingNumber('021000022')).toBe(false);
+    expect(validRoutingNumber('02100002')).toBe(false);
+  });
+});
+
+describe('validateStep', () => {
+  it('accepts a complete applicant and flags what is missing', () => {
+    const application = filledApplication();
+    expect(validateStep('applicant', application, now)).toEqual({});
+    expect(validateStep('applicant', emptyApplication({ property, deductible: 1000 }, now), now)).toEqual({
+      firstName: 'First name is required',
+      lastName: 'Last name is required',
+      email: 'Enter a valid email address',
+      phone: 'Enter a 10-digit phone number',
+      dateOfBirth: 'The applicant must be at least 18'
+    });
+  });
+
+  it('requires an adult applicant and a start date that is not in the past', () => {
+    const application = filledApplication();
+    const errors = validateStep('applicant', {
+      ...application,
+      applicant: { ...application.applicant, dateOfBirth: '2007-06-02', effectiveDate: '2025-05-31' }
+    }, now);
+    expect(Object.keys(errors)).toEqual(['dateOfBirth', 'effectiveDate']);
+  });
+
+  it('asks for each prior claim within the lookback', () => {
+    const application = filledApplication();
+    const claims = (items) => validateStep('claims', { ...application, claims: { hasPriorClaims: true, items } }, now);
+    expect(claims([])).toEqual({ claims: 'Add each claim, or answer no' });
+    expect(claims([
+      { date: '2023-02-10', type: 'Theft', amount: '4200', description: '' },
+      { date: '2019-02-10', type: 'Theft', amount: '', description: '' }
+    ])).toEqual({
+      'claims.1.date': 'Date within the last 5 years',
+      'claims.1.amount': 'Amount paid is required'
+    });
+  });
+
+  it('requires the signature to match the applicant name', () => {
+    const application = filledApplication();
+    expect(validateStep('consent', application, now)).toEqual({});
+    expect(validateStep('consent', { ...application, consent: { ...application.consent, signature: 'D. Reyes' } }, now))
+      .toHaveProperty('signature');
+  });
+
+  it('validates card expiry through the end of the month', () => {
+    const card = (cardExpiry) => validateStep('payment', withPayment({
+      method: 'card', plan: 'monthly', cardNumber: '4111111111111111', cardExpiry
+    }), now);
+    expect(card('06/25')).toEqual({});
+    expect(card('05/25')).toEqual({ cardExpiry: 'Enter an unexpired MM/YY date' });
+    expect(card('13/30')).toEqual({ cardExpiry: 'Enter an unexpired MM/YY date' });
+  });
+
+  it('checks bank details for ACH and keeps escrow annual', () => {
+    expect(validateStep('payment', withPayment({ method: 'ach', routingNumber: '021000021', accountNumber: '123456789' }), now))
+      .toEqual({});
+    expect(validateStep('payment', withPayment({ method: 'ach', routingNumber: '021000022', accountNumber: '12' }), now))
+      .toEqual({ routingNumber: 'Routing number is not valid', accountNumber: 'Account number is not valid' });
+    expect(validateStep('payment', withPayment({ method: 'escrow', plan: 'monthly' }), now))
+      .toEqual({ plan: 'Escrow pays the premium annually' });
+  });
+});
+
+describe('application pipeline', () => {
+  const carrier = { id: 'allstate', name: 'Allstate' };
+  const quote = {
+    quoteId: 'allstate-1',
+    expiresAt: '2025-07-01T00:00:00.000Z',
+    home: { premium: 1361, deductible: 1000, coverages: { form: 'HO-3', dwelling: 420000 } }
+  };
+  const bundle = { lines: [{ product: 'home', label: 'Home', total: 1361 }], totalAnnual: 1361 };
+
+  const submit = () => createApplication({
+    application: withPayment({ method: 'card', plan: 'monthly', cardNumber: '4111 1111 1111 1111', cardExpiry: '09/27' }),
+    carrier,
+    quote,
+    bundle,
+    property,
+    userId: '0xabc',
+    submittedAt: now
+  });
+
+  beforeAll(() => {
+    // jsdom has no Web Crypto; application ids come from getRandomValues
+    if (!global.crypto) global.crypto = webcrypto;
+  });
+
+  it('keeps only the last four digits of the card', () => {
+    const record = submit();
+    expect(record.id).toMatch(/^INS-20250601-[A-Z2-9]{6}$/);
+    expect(record.payment).toEqual({ method: 'card', plan: 'monthly', last4: '1111' });
+    expect(JSON.stringify(record)).not.toContain('4111 1111');
+    expect(record.applicant.name).toBe('Dana Reyes');
+    expect(record.stage).toBe('submitted');
+  });
+
+  it('moves only along the pipeline and records each move', () => {
+    const submitted = submit();
+    expect(moveApplication(submitted, 'bound')).toBeNull();
+
+    const underwriting = { ...submitted, ...moveApplication(submitted, 'underwriting', { note: 'Inspection ordered', at: now }) };
+    const declined = { ...underwriting, ...moveApplication(underwriting, 'declined', { at: now }) };
+    expect(moveApplication(declined, 'underwriting', { at: now })).toBeNull();
+    expect(declined.stage).toBe('declined');
+    expect(declined.history.map((entry) => entry.stage)).toEqual(['submitted', 'underwriting', 'declined']);
+    expect(declined.history[1].note).toBe('Inspection ordered');
+  });
+
+  it('binds on the carrier\'s answer or leaves the application for review', () => {
+    const record = submit();
+    const bound = recordBinding(record, { policyNumber: 'AL-1', status: 'bound' }, [{ type: 'binder' }], now);
+    expect(bound.stage).toBe('bound');
+    expect(bound.documents).toEqual([{ type: 'binder' }]);
+    expect(bound.history[1].note).toBe('Bound by Allstate, policy AL-1');
+
+    const referred = recordBinding({ ...record, bindError: 'timeout' }, { policyNumber: 'REF-1', status: 'pending-review' }, [], now);
+    expect(referred.stage).toBe('underwriting');
+    expect(referred.bindError).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Multi-policy bundle pricing. Each carrier files its own bundle discounts as
+ * a list of rules; a rule discounts one or more products in the bundle once
+ * its eligibility conditions are met. Discounts on the same product compound
+ * in rule order, so each is taken off what the earlier ones left.
+ *
+ * @typedef {Object} BundleRule
+ * @property {string} id
+ * @property {string} label
+ * @property {string[]} products         products the discount comes off ('home', 'auto', 'life', 'umbrella')
+ * @property {number} [rate]             flat discount rate
+ * @property {Array<{minPolicies: number, rate: number}>} [tiers]  rate by number of policies in the bundle; the highest tier reached applies
+ * @property {string[]} [requires]       products that must also be in the bundle (home always is)
+ * @property {string[]} [propertyTypes]  only for these property types
+ */
+
+// Home is always quoted; the rest are optional add-ons
+export const BUNDLE_PRODUCTS = {
+  home: { label: 'Home' },
+  auto: { label: 'Auto' },
+  life: { label: 'Life' },
+  umbrella: { label: 'Umbrella' }
+};
+
+/** Rules for a carrier profile without its own. */
+export const DEFAULT_BUNDLE_RULES = [
+  { id: 'auto-home', label: 'Home & auto multi-policy', products: ['auto'], rate: 0.15, requires: ['auto'] },
+  { id: 'life-home', label: 'Home & life multi-policy', products: ['life'], rate: 0.1, requires: ['life'] },
+  { id: 'umbrella-home', label: 'Umbrella with underlying home', products: ['umbrella'], rate: 0.2, requires: ['umbrella'] }
+];
+
+// Annual premiums by product; life is quoted monthly
+export const annualPremiums = (quote) => ({
+  home: quote.home.premium,
+  auto: quote.auto,
+  life: quote.life * 12,
+  umbrella: quote.umbrella
+});
+
+const ruleRate = (rule, policyCount) => {
+  if (!rule.tiers) return rule.rate || 0;
+  return rule.tiers
+    .filter((tier) => policyCount >= tier.minPolicies)
+    .reduce((rate, tier) => Math.max(rate, tier.rate), 0);
+};
+
+/** Whether a rule's conditions are met by the bundle and property. */
+export const ruleEligible = (rule, { products, property = {} }) => {
+  if (rule.requires && !rule.requires.every((product) => products.includes(product))) return false;
+  if (rule.propertyTypes && !rule.propertyTypes.includes(property.propertyType)) return false;
+  return rule.products.some((product) => products.includes(product));
+};
+
+/**
+ * Price a bundle from one carrier's quote.
+ * @param {import('./carriers/adapter').CarrierQuote} quote
+ * @param {Object} options
+ * @param {{auto?: boolean, life?: boolean, umbrella?: boolean}} options.selected  add-ons in the bundle
+ * @param {BundleRule[]} [options.rules]
+ * @param {Object} [options.property]  propertyDetails, for property-type conditions
+ * @returns {{lines: Array<{product: string, label: string, base: number, discounts: Array<{id: string, label: string, rate: number, amount: number}>, total: number}>, policyCount: number, totalBase: number, totalAnnual: number, annualSavings: number}}
+ */
+export const priceBundle = (quote, { selected = {}, rules = DEFAULT_BUNDLE_RULES, property } = {}) => {
+  const premiums = annualPremiums(quote);
+  const products = ['home', ...Object.keys(selected).filter((product) => selected[product] && product in premiums)];
+  const policyCount = products.length;
+  const applicable = rules.filter((rule) => ruleEligible(rule, { products, property }));
+
+  const lines = products.map((product) => {
+    const base = premiums[product];
+    let remaining = base;
+    const discounts = [];
+    applicable
+      .filter((rule) => rule.products.includes(product))
+      .forEach((rule) => {
+        const rate = ruleRate(rule, policyCount);
+        if (rate <= 0) return;
+        const amount = remaining * rate;
+        remaining -= amount;
+        discounts.push({ id: rule.id, label: rule.label, rate, amount });
+      });
+    return { product, label: BUNDLE_PRODUCTS[product].label, base, discounts, total: remaining };
+  });
+
+  const totalBase = lines.reduce((sum, line) => sum + line.base, 0);
+  const totalAnnual = lines.reduce((sum, line) => sum + line.total, 0);
+  return { lines, policyCount, totalBase, totalAnnual, annualSavings: totalBase - totalAnnual };
+};
@@ -0,0 +1,61 @@
+import { priceBundle, ruleEligible, annualPremiums } from './bundles';
+
+const quote = { home: { premium: 1200 }, auto: 1000, life: 40, umbrella: 250 };
+
+const lineFor = (bundle, product) => bundle.lines.find((line) => line.product === product);
+
+describe('priceBundle', () => {
+  it('prices home alone at its quoted premium', () => {
+    const bundle = priceBundle(quote);
+    expect(bundle.policyCount).toBe(1);
+    expect(bundle.lines.map((line) => line.product)).toEqual(['home']);
+    expect(bundle.totalAnnual).toBe(1200);
+    expect(bundle.annualSavings).toBe(0);
+  });
+
+  it('applies the default multi-policy discounts to the add-ons', () => {
+    const bundle = priceBundle(quote, { selected: { auto: true, life: true, umbrella: false } });
+    expect(annualPremiums(quote).life).toBe(480);
+    expect(bundle.policyCount).toBe(3);
+    expect(lineFor(bundle, 'auto').total).toBeCloseTo(850, 10);
+    expect(lineFor(bundle, 'life').total).toBeCloseTo(432, 10);
+    expect(lineFor(bundle, 'umbrella')).toBeUndefined();
+    expect(bundle.totalBase).toBe(1200 + 1000 + 480);
+    expect(bundle.annualSavings).toBeCloseTo(150 + 48, 10);
+  });
+
+  it('compounds discounts on the same product in rule order', () => {
+    const rules = [
+      { id: 'multi', label: 'Multi-policy', products: ['home'], rate: 0.1, requires: ['auto'] },
+      { id: 'loyalty', label: 'Loyalty', products: ['home'], rate: 0.05 }
+    ];
+    const home = lineFor(priceBundle(quote, { selected: { auto: true }, rules }), 'home');
+    expect(home.discounts.map((discount) => discount.amount)).toEqual([120, expect.closeTo(54, 10)]);
+    expect(home.total).toBeCloseTo(1200 * 0.9 * 0.95, 10);
+  });
+
+  it('takes the highest tier reached by the number of policies', () => {
+    const rules = [{
+      id: 'tiered',
+      label: 'Bundle tiers',
+      products: ['home'],
+      tiers: [{ minPolicies: 2, rate: 0.05 }, { minPolicies: 3, rate: 0.12 }, { minPolicies: 4, rate: 0.2 }]
+    }];
+    expect(lineFor(priceBundle(quote, { rules }), 'home').discounts).toEqual([]);
+    expect(lineFor(priceBundle(quote, { selected: { auto: true }, rules }), 'home').total).toBeCloseTo(1140, 10);
+    expect(lineFor(priceBundle(quote, { selected: { auto: true, life: true }, rules }), 'home').total).toBeCloseTo(1056, 10);
+  });
+});
+
+describe('ruleEligible', () => {
+  const condoOnly = { id: 'condo', label: 'Condo', products: ['home'], rate: 0.1, propertyTypes: ['Condo'] };
+
+  it('checks property types and required products', () => {
+    expect(ruleEligible(condoOnly, { products: ['home'], property: { propertyType: 'Condo' } })).toBe(true);
+    expect(ruleEligible(condoOnly, { products: ['home'], property: { propertyType: 'Townhouse' } })).toBe(false);
+    expect(ruleEligible(
+      { id: 'x', label: 'x', products: ['home'], rate: 0.1, requires: ['auto', 'life'] },
+      { products: ['home', 'auto'] }
+    )).toBe(false);
+  });
+});
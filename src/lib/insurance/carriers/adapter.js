@@ -0,0 +1,66 @@
+import { DEFAULT_BUNDLE_RULES } from '../bundles';
+
+/**
+ * Carrier adapter contract shared by every insurance carrier integration.
+ *
+ * @typedef {Object} QuoteRequest
+ * @property {Object} property     propertyDetails from InsuranceIntegration
+ * @property {number} deductible
+ *
+ * @typedef {Object} CarrierQuote
+ * @property {string} quoteId
+ * @property {string} carrierId
+ * @property {{premium: number, deductible: number, deductibleOptions: Array<{deductible: number, premium: number}>, coverages: Object}} home
+ * @property {number} auto         annual premium
+ * @property {number} life         monthly premium
+ * @property {number} umbrella     annual premium
+ * @property {string} expiresAt    ISO timestamp
+ *
+ * @typedef {Object} Policy
+ * @property {string} policyNumber
+ * @property {string} carrierId
+ * @property {string} status       'bound' or 'pending-review'
+ * @property {string} effectiveDate
+ * @property {number} premium      annual premium bound
+ *
+ * @typedef {Object} PolicyDocument
+ * @property {string} type         e.g. 'declarations', 'binder', 'policy'
+ * @property {string} title
+ * @property {string} url
+ *
+ * @typedef {Object} CarrierAdapter
+ * @property {string} id
+ * @property {string} name
+ * @property {string} rating       AM Best rating
+ * @property {string[]} features
+ * @property {string[]} discounts
+ * @property {import('../bundles').BundleRule[]} bundleRules
+ * @property {import('../eligibility').EligibilityRule|null} eligibility  null when open to everyone
+ * @property {number} timeoutMs    how long a quote may take before it is dropped
+ * @property {(request: QuoteRequest, options?: {signal?: AbortSignal}) => Promise<CarrierQuote>} requestQuote
+ * @property {(args: {quote: CarrierQuote, application: Object}, options?: {signal?: AbortSignal}) => Promise<Policy>} bind
+ * @property {(policyNumber: string, options?: {signal?: AbortSignal}) => Promise<PolicyDocument[]>} getPolicyDocuments
+ */
+
+export const DEFAULT_QUOTE_TIMEOUT_MS = 8000;
+
+export class CarrierError extends Error {
+  constructor(message, { status, carrier } = {}) {
+    super(message);
+    this.name = 'CarrierError';
+    this.status = status;
+    this.carrier = carrier;
+  }
+}
+
+// Public carrier details carried by every adapter, from a CARRIER_PROFILES entry
+export const carrierInfo = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  rating: profile.rating,
+  features: profile.features,
+  discounts: profile.discounts,
+  bundleRules: profile.bundleRules || DEFAULT_BUNDLE_RULES,
+  eligibility: profile.eligibility || null,
+  timeoutMs: profile.timeoutMs || DEFAULT_QUOTE_TIMEOUT_MS
+});
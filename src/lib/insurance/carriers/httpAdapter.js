@@ -0,0 +1,61 @@
+import { CarrierError, carrierInfo } from './adapter';
+
+/**
+ * Reference adapter for a carrier quoting API over HTTP. Carriers differ in
+ * payloads, so a production integration maps its carrier's API onto these
+ * calls; scripts/mock-carrier-server.js implements them as-is. The browser
+ * sends no credentials: the carrier gateway behind baseUrl holds the
+ * carriers' API keys and authenticates its own calls to them.
+ *
+ *   POST {baseUrl}/quotes                        QuoteRequest -> CarrierQuote
+ *   POST {baseUrl}/quotes/:quoteId/bind          { application } -> Policy
+ *   GET  {baseUrl}/policies/:policyNumber/documents -> { documents: PolicyDocument[] }
+ *
+ * @param {Object} profile  a CARRIER_PROFILES entry
+ * @param {{baseUrl: string, fetchImpl?: typeof fetch}} options
+ * @returns {import('./adapter').CarrierAdapter}
+ */
+export const createHttpCarrierAdapter = (profile, { baseUrl, fetchImpl = (...args) => fetch(...args) }) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const call = async (path, { method = 'GET', body, signal } = {}) => {
+    const response = await fetchImpl(`${root}${path}`, {
+      method,
+      signal,
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+      const detail = await response.json().catch(() => ({}));
+      throw new CarrierError(
+        detail.error || `${profile.name} responded with status ${response.status}`,
+        { status: response.status, carrier: profile.id }
+      );
+    }
+    return response.json();
+  };
+
+  return {
+    ...carrierInfo(profile),
+
+    async requestQuote(request, { signal } = {}) {
+      const quote = await call('/quotes', { method: 'POST', body: request, signal });
+      return { ...quote, carrierId: profile.id };
+    },
+
+    async bind({ quote, application }, { signal } = {}) {
+      const policy = await call(`/quotes/${encodeURIComponent(quote.quoteId)}/bind`, {
+        method: 'POST', body: { application }, signal
+      });
+      return { ...policy, carrierId: profile.id };
+    },
+
+    async getPolicyDocuments(policyNumber, { signal } = {}) {
+      const { documents = [] } = await call(`/policies/${encodeURIComponent(policyNumber)}/documents`, { signal });
+      return documents;
+    }
+  };
+};
@@ -0,0 +1,71 @@
+import { CarrierError, DEFAULT_QUOTE_TIMEOUT_MS } from './adapter';
+import { CARRIER_PROFILES } from './profiles';
+import { createLocalCarrierAdapter } from './localAdapter';
+import { createHttpCarrierAdapter } from './httpAdapter';
+
+export * from './adapter';
+export { CARRIER_PROFILES, createLocalCarrierAdapter, createHttpCarrierAdapter };
+
+/**
+ * Build an adapter per appointed carrier from environment configuration.
+ * REACT_APP_CARRIER_SOURCE=http quotes through each carrier's HTTP API at
+ * REACT_APP_CARRIER_SERVICE_URL/carriers/<id> (the mock carrier server in
+ * development); anything else rates locally.
+ */
+export const createCarrierAdapters = (env = process.env) => {
+  const timeoutMs = Number(env.REACT_APP_CARRIER_TIMEOUT_MS) || DEFAULT_QUOTE_TIMEOUT_MS;
+  const profiles = CARRIER_PROFILES.map((profile) => ({ timeoutMs, ...profile }));
+
+  if (env.REACT_APP_CARRIER_SOURCE === 'http') {
+    const serviceUrl = (env.REACT_APP_CARRIER_SERVICE_URL || 'http://localhost:8788').replace(/\/+$/, '');
+    return profiles.map((profile) => createHttpCarrierAdapter(profile, {
+      baseUrl: `${serviceUrl}/carriers/${profile.id}`
+    }));
+  }
+  return profiles.map((profile) => createLocalCarrierAdapter(profile, {
+    latency: Number(env.REACT_APP_LOCAL_CARRIER_LATENCY) || 0
+  }));
+};
+
+export const carrierAdapters = createCarrierAdapters();
+
+/**
+ * Request a quote from every carrier at once. Each carrier gets its own
+ * timeout and reports through `onResult(carrierId, result)` as soon as it
+ * settles, so a slow carrier never holds up the others. Results are
+ * `{status: 'success', quote}`, `{status: 'timeout', error}` or
+ * `{status: 'error', error}`. Aborting `signal` cancels everything without
+ * reporting.
+ */
+export const requestQuotes = (adapters, request, { onResult, signal } = {}) => Promise.all(
+  adapters.map(async (adapter) => {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, adapter.timeoutMs);
+
+    try {
+      const quote = await adapter.requestQuote(request, { signal: controller.signal });
+      onResult(adapter.id, { status: 'success', quote });
+    } catch (err) {
+      if (timedOut) {
+        onResult(adapter.id, {
+          status: 'timeout',
+          error: new CarrierError(
+            `${adapter.name} did not respond within ${Math.round(adapter.timeoutMs / 1000)} seconds`,
+            { carrier: adapter.id }
+          )
+        });
+      } else if (err.name !== 'AbortError') {
+        onResult(adapter.id, { status: 'error', error: err });
+      }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  })
+);
@@ -0,0 +1,61 @@
+import { rateHome } from '../rating.mjs';
+import { carrierInfo } from './adapter';
+
+const QUOTE_VALIDITY_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Carrier adapter that rates in the browser from a carrier profile, for
+ * demos and offline use. There is no carrier behind it, so a bind comes back
+ * 'pending-review' for the agent to place by hand and has no documents.
+ * @param {Object} profile  a CARRIER_PROFILES entry
+ * @param {{latency?: number}} [options]
+ * @returns {import('./adapter').CarrierAdapter}
+ */
+export const createLocalCarrierAdapter = (profile, { latency = 0 } = {}) => {
+  const wait = (signal) => new Promise((resolve, reject) => {
+    if (!latency) return resolve();
+    const timer = setTimeout(resolve, latency);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    });
+  });
+
+  return {
+    ...carrierInfo(profile),
+
+    async requestQuote({ property, deductible }, { signal } = {}) {
+      await wait(signal);
+      const home = rateHome(property, { deductible, carrierFactor: profile.homeRateFactor });
+      return {
+        quoteId: `${profile.id}-${Date.now().toString(36)}`,
+        carrierId: profile.id,
+        home: {
+          premium: home.premium,
+          deductible: home.deductible,
+          deductibleOptions: home.deductibleOptions,
+          coverages: home.coverages
+        },
+        auto: profile.autoQuote,
+        life: profile.lifeQuote,
+        umbrella: profile.umbrellaQuote,
+        expiresAt: new Date(Date.now() + QUOTE_VALIDITY_MS).toISOString()
+      };
+    },
+
+    async bind({ quote, application }, { signal } = {}) {
+      await wait(signal);
+      return {
+        policyNumber: `REF-${quote.quoteId.toUpperCase()}`,
+        carrierId: profile.id,
+        status: 'pending-review',
+        effectiveDate: application.effectiveDate,
+        premium: quote.home.premium
+      };
+    },
+
+    async getPolicyDocuments() {
+      return [];
+    }
+  };
+};
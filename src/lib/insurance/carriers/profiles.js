@@ -0,0 +1,71 @@
+/**
+ * Carriers the agency is appointed with. The pricing fields drive the local
+ * adapter only; HTTP adapters get prices from the carrier. `bundleRules` are
+ * each carrier's filed multi-policy discounts (see ../bundles); `eligibility`
+ * restricts a carrier to applicants with an affiliation (see ../eligibility).
+ */
+export const CARRIER_PROFILES = [
+  {
+    id: 'state-farm',
+    name: 'State Farm',
+    rating: 'A++',
+    homeRateFactor: 1.05,
+    autoQuote: 1200,
+    lifeQuote: 45,
+    umbrellaQuote: 250,
+    discounts: ['Multi-policy', 'Security system', 'Claims-free'],
+    features: ['24/7 Claims', 'Local Agent', 'Mobile App'],
+    bundleRules: [
+      { id: 'auto-home', label: 'Home & auto multi-policy', products: ['auto'], rate: 0.15, requires: ['auto'] },
+      { id: 'life-home', label: 'Home & life multi-policy', products: ['life'], rate: 0.1, requires: ['life'] },
+      // Umbrella is only written over State Farm home and auto
+      { id: 'umbrella-underlying', label: 'Umbrella over home & auto', products: ['umbrella'], rate: 0.2, requires: ['umbrella', 'auto'] },
+      {
+        id: 'multi-policy',
+        label: 'Multi-policy home credit',
+        products: ['home'],
+        tiers: [{ minPolicies: 3, rate: 0.05 }, { minPolicies: 4, rate: 0.1 }]
+      }
+    ]
+  },
+  {
+    id: 'allstate',
+    name: 'Allstate',
+    rating: 'A+',
+    homeRateFactor: 1,
+    autoQuote: 1150,
+    lifeQuote: 42,
+    umbrellaQuote: 230,
+    discounts: ['Bundle discount', 'Good credit', 'New home'],
+    features: ['Claim Satisfaction Guarantee', 'Accident Forgiveness', 'Digital ID Cards'],
+    bundleRules: [
+      // Allstate splits its bundle discount across both policies
+      { id: 'home-auto-bundle', label: 'Home & auto bundle', products: ['home', 'auto'], rate: 0.1, requires: ['auto'] },
+      { id: 'life-home', label: 'Home & life multi-policy', products: ['life'], rate: 0.1, requires: ['life'] },
+      { id: 'umbrella-home', label: 'Umbrella with underlying home', products: ['umbrella'], rate: 0.15, requires: ['umbrella'] },
+      { id: 'full-bundle', label: 'Four-policy bundle', products: ['home'], tiers: [{ minPolicies: 4, rate: 0.05 }] }
+    ]
+  },
+  {
+    id: 'usaa',
+    name: 'USAA',
+    rating: 'A++',
+    homeRateFactor: 0.87,
+    autoQuote: 980,
+    lifeQuote: 38,
+    umbrellaQuote: 200,
+    discounts: ['Military discount', 'Multi-vehicle', 'Safe driver'],
+    features: ['Military Focused', 'Exceptional Service', 'No Claims Bonus'],
+    bundleRules: [
+      { id: 'home-auto-bundle', label: 'Home & auto bundle', products: ['home', 'auto'], rate: 0.1, requires: ['auto'] },
+      { id: 'life-home', label: 'Home & life multi-policy', products: ['life'], rate: 0.05, requires: ['life'] },
+      { id: 'umbrella-underlying', label: 'Umbrella over home & auto', products: ['umbrella'], rate: 0.2, requires: ['umbrella', 'auto'] },
+      // Condo owners' umbrellas carry less exposure
+      { id: 'umbrella-condo', label: 'Condo umbrella credit', products: ['umbrella'], rate: 0.1, requires: ['umbrella'], propertyTypes: ['Condo'] }
+    ],
+    eligibility: {
+      label: 'Military members, veterans and their families',
+      anyOf: ['militaryService', 'militaryFamily', 'militaryAcademy']
+    }
+  }
+];
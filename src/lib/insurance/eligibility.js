@@ -0,0 +1,61 @@
+/**
+ * Affiliation-restricted carriers. A carrier profile with an `eligibility`
+ * rule only writes applicants who answer yes to at least one of its
+ * questions; carriers without one are open to everyone.
+ *
+ * @typedef {Object} EligibilityRule
+ * @property {string} label      who the carrier writes, e.g. 'Military members, veterans and their families'
+ * @property {string[]} anyOf    ELIGIBILITY_QUESTIONS ids, any one of which qualifies
+ */
+
+export const ELIGIBILITY_QUESTIONS = {
+  militaryService: {
+    label: 'Military service',
+    question: 'Are you serving, or have you honorably served, in the U.S. military?'
+  },
+  militaryFamily: {
+    label: 'Military family',
+    question: 'Is your spouse, widow(er) or parent a current or former member of the U.S. military?'
+  },
+  militaryAcademy: {
+    label: 'Service academy or ROTC',
+    question: 'Are you a cadet or midshipman at a U.S. service academy, or in advanced ROTC?'
+  }
+};
+
+export const ELIGIBILITY_STATUS = {
+  OPEN: 'open',
+  ELIGIBLE: 'eligible',
+  INELIGIBLE: 'ineligible',
+  UNKNOWN: 'unknown'
+};
+
+/** Questions asked by any of these carriers, in ELIGIBILITY_QUESTIONS order. */
+export const eligibilityQuestions = (carriers) => {
+  const asked = new Set(carriers.flatMap((carrier) => carrier.eligibility?.anyOf || []));
+  return Object.keys(ELIGIBILITY_QUESTIONS).filter((id) => asked.has(id));
+};
+
+/**
+ * Whether the applicant's answers (`{[questionId]: true | false}`, missing
+ * when unanswered) meet a carrier's rule. Eligibility is unknown until a
+ * question is answered yes or every question is answered no.
+ * @param {EligibilityRule|null} rule
+ * @param {Object} answers
+ * @returns {{status: string, reason: string}}
+ */
+export const checkEligibility = (rule, answers = {}) => {
+  if (!rule) return { status: ELIGIBILITY_STATUS.OPEN, reason: '' };
+  if (rule.anyOf.some((id) => answers[id] === true)) {
+    return { status: ELIGIBILITY_STATUS.ELIGIBLE, reason: rule.label };
+  }
+  if (rule.anyOf.every((id) => answers[id] === false)) {
+    return { status: ELIGIBILITY_STATUS.INELIGIBLE, reason: `Only available to ${rule.label.toLowerCase()}` };
+  }
+  return { status: ELIGIBILITY_STATUS.UNKNOWN, reason: `Available to ${rule.label.toLowerCase()}` };
+};
+
+// The answers a restricted carrier receives with an application, as the applicant's attestation
+export const eligibilityAttestation = (rule, answers = {}) => (
+  rule ? Object.fromEntries(rule.anyOf.map((id) => [id, answers[id] === true])) : null
+);
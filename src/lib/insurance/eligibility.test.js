@@ -0,0 +1,50 @@
+import { checkEligibility, eligibilityQuestions, eligibilityAttestation, ELIGIBILITY_STATUS } from './eligibility';
+
+const military = {
+  label: 'Military members, veterans and their families',
+  anyOf: ['militaryService', 'militaryFamily']
+};
+
+describe('checkEligibility', () => {
+  it('treats carriers without a rule as open to everyone', () => {
+    expect(checkEligibility(null, { militaryService: false }).status).toBe(ELIGIBILITY_STATUS.OPEN);
+  });
+
+  it('qualifies on any one yes', () => {
+    expect(checkEligibility(military, { militaryService: false, militaryFamily: true })).toEqual({
+      status: ELIGIBILITY_STATUS.ELIGIBLE,
+      reason: military.label
+    });
+  });
+
+  it('rules the applicant out only once every question is answered no', () => {
+    expect(checkEligibility(military, { militaryService: false }).status).toBe(ELIGIBILITY_STATUS.UNKNOWN);
+    expect(checkEligibility(military, {}).reason).toBe('Available to military members, veterans and their families');
+    expect(checkEligibility(military, { militaryService: false, militaryFamily: false })).toEqual({
+      status: ELIGIBILITY_STATUS.INELIGIBLE,
+      reason: 'Only available to military members, veterans and their families'
+    });
+  });
+});
+
+describe('eligibilityQuestions', () => {
+  it('asks each question once, in the standard order', () => {
+    const carriers = [
+      { id: 'open' },
+      { id: 'a', eligibility: { label: 'a', anyOf: ['militaryAcademy', 'militaryService'] } },
+      { id: 'b', eligibility: military }
+    ];
+    expect(eligibilityQuestions(carriers)).toEqual(['militaryService', 'militaryFamily', 'militaryAcademy']);
+    expect(eligibilityQuestions([{ id: 'open' }])).toEqual([]);
+  });
+});
+
+describe('eligibilityAttestation', () => {
+  it('sends an explicit answer for every question the carrier asks', () => {
+    expect(eligibilityAttestation(military, { militaryFamily: true, militaryAcademy: true })).toEqual({
+      militaryService: false,
+      militaryFamily: true
+    });
+    expect(eligibilityAttestation(null, { militaryService: true })).toBeNull();
+  });
+});
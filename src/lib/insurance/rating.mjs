@@ -0,0 +1,186 @@
+/**
+ * Homeowners rating: coverage amounts from replacement cost, then a premium
+ * from a base rate per $1,000 of coverage and multiplicative rating factors
+ * (age, construction, protective devices, location, deductible, carrier).
+ *
+ * Rates and factors are representative of filed HO-3 / HO-6 programs, not
+ * any one carrier's filing. A carrier's own pricing enters through its
+ * `homeRateFactor`.
+ */
+
+export const PROPERTY_TYPES = {
+  'Single Family': { form: 'HO-3', costPerSqft: 210 },
+  Townhouse: { form: 'HO-3', costPerSqft: 195 },
+  'Multi-Family': { form: 'HO-3', costPerSqft: 185 },
+  // Condo owners insure the unit interior; the association covers the structure
+  Condo: { form: 'HO-6', costPerSqft: 65 }
+};
+
+export const CONSTRUCTION_TYPES = {
+  frame: { label: 'Wood Frame', costFactor: 1, rateFactor: 1 },
+  masonry: { label: 'Masonry / Brick', costFactor: 1.08, rateFactor: 0.9 },
+  'fire-resistive': { label: 'Fire Resistive', costFactor: 1.15, rateFactor: 0.8 }
+};
+
+export const PROTECTIVE_DEVICES = {
+  securitySystem: { label: 'Monitored Security System', credit: 0.05 },
+  fireAlarm: { label: 'Central Fire Alarm', credit: 0.05 },
+  sprinklers: { label: 'Fire Sprinklers', credit: 0.1 },
+  deadbolts: { label: 'Deadbolts & Smoke Detectors', credit: 0.02 }
+};
+
+// Protective device credits never take more than this off the premium
+export const MAX_DEVICE_CREDIT = 0.2;
+
+export const DEDUCTIBLE_FACTORS = {
+  500: 1.1,
+  1000: 1,
+  2500: 0.88,
+  5000: 0.78
+};
+
+export const DEDUCTIBLE_OPTIONS = Object.keys(DEDUCTIBLE_FACTORS).map(Number);
+
+export const DEFAULT_DEDUCTIBLE = 1000;
+
+// Public protection class (ISO PPC 1 best - 10 unprotected)
+export const protectionClassFactor = (protectionClass) => {
+  if (protectionClass <= 3) return 0.9;
+  if (protectionClass <= 6) return 1;
+  if (protectionClass <= 8) return 1.15;
+  if (protectionClass === 9) return 1.4;
+  return 1.8;
+};
+
+// Catastrophe territory by state (wind, hail, wildfire); unlisted states rate at 1
+export const STATE_TERRITORY_FACTORS = {
+  FL: 2.6,
+  LA: 2.2,
+  OK: 1.9,
+  TX: 1.8,
+  CO: 1.4,
+  CA: 1.3,
+  NE: 1.3,
+  KS: 1.3,
+  SC: 1.2,
+  NC: 1.1,
+  NY: 1.05,
+  NJ: 1.05,
+  PA: 0.9,
+  DE: 0.95,
+  MD: 0.95,
+  OR: 0.8,
+  WA: 0.85
+};
+
+export const ageFactor = (yearBuilt, asOf = new Date()) => {
+  const age = Math.max(asOf.getFullYear() - yearBuilt, 0);
+  if (age < 5) return 0.85;
+  if (age < 15) return 0.95;
+  if (age < 30) return 1;
+  if (age < 50) return 1.15;
+  return 1.3;
+};
+
+// Premium per $1,000 of rated coverage, before factors
+const BASE_RATE_PER_THOUSAND = { 'HO-3': 3.6, 'HO-6': 4.2 };
+
+export const MINIMUM_PREMIUM = 300;
+
+const LIABILITY_LIMIT = 300000;
+const MEDICAL_PAYMENTS_LIMIT = 5000;
+const CONDO_PERSONAL_PROPERTY = 50000;
+
+const roundUp = (amount, step) => Math.ceil(amount / step) * step;
+
+// Share of market value in the structure rather than the land, used without a square footage
+export const IMPROVEMENT_RATIO = 0.6;
+
+// Share of a condo's structure value inside the unit (finishes, fixtures, improvements)
+const CONDO_INTERIOR_RATIO = 0.3;
+
+/**
+ * Rebuild cost of the home. Market value includes land and location, so
+ * replacement cost comes from size and construction; the property value is
+ * only a fallback when the square footage is unknown.
+ */
+export const replacementCost = ({ sqft, propertyValue = 0, propertyType, construction = 'frame' }) => {
+  const type = PROPERTY_TYPES[propertyType] || PROPERTY_TYPES['Single Family'];
+  const build = CONSTRUCTION_TYPES[construction] || CONSTRUCTION_TYPES.frame;
+  if (!(sqft > 0)) {
+    const structureValue = propertyValue * IMPROVEMENT_RATIO;
+    return roundUp(type.form === 'HO-6' ? structureValue * CONDO_INTERIOR_RATIO : structureValue, 1000);
+  }
+  return roundUp(sqft * type.costPerSqft * build.costFactor, 1000);
+};
+
+export const coverages = (property) => {
+  const { form } = PROPERTY_TYPES[property.propertyType] || PROPERTY_TYPES['Single Family'];
+  const dwelling = replacementCost(property);
+  if (form === 'HO-6') {
+    return {
+      form,
+      dwelling,
+      otherStructures: 0,
+      personalProperty: CONDO_PERSONAL_PROPERTY,
+      lossOfUse: roundUp((dwelling + CONDO_PERSONAL_PROPERTY) * 0.4, 1000),
+      liability: LIABILITY_LIMIT,
+      medicalPayments: MEDICAL_PAYMENTS_LIMIT
+    };
+  }
+  return {
+    form,
+    dwelling,
+    otherStructures: roundUp(dwelling * 0.1, 1000),
+    personalProperty: roundUp(dwelling * 0.5, 1000),
+    lossOfUse: roundUp(dwelling * 0.2, 1000),
+    liability: LIABILITY_LIMIT,
+    medicalPayments: MEDICAL_PAYMENTS_LIMIT
+  };
+};
+
+/** Rating factors for a property, each `{ key, label, factor }`. */
+export const ratingFactors = (property, { asOf = new Date() } = {}) => {
+  const construction = CONSTRUCTION_TYPES[property.construction] || CONSTRUCTION_TYPES.frame;
+  const deviceCredit = Math.min(
+    Object.entries(PROTECTIVE_DEVICES)
+      .filter(([key]) => property[key])
+      .reduce((sum, [, device]) => sum + device.credit, 0),
+    MAX_DEVICE_CREDIT
+  );
+  return [
+    { key: 'age', label: `Home Age (built ${property.yearBuilt})`, factor: ageFactor(property.yearBuilt, asOf) },
+    { key: 'construction', label: construction.label, factor: construction.rateFactor },
+    { key: 'devices', label: 'Protective Devices', factor: 1 - deviceCredit },
+    { key: 'territory', label: `Territory (${property.state || 'default'})`, factor: STATE_TERRITORY_FACTORS[property.state] || 1 },
+    { key: 'protectionClass', label: `Protection Class ${property.protectionClass}`, factor: protectionClassFactor(property.protectionClass) }
+  ];
+};
+
+/**
+ * Homeowners quote for one carrier.
+ * @param {Object} property  propertyDetails from InsuranceIntegration
+ * @param {Object} [options]
+ * @param {number} [options.deductible]
+ * @param {number} [options.carrierFactor]  the carrier's homeRateFactor
+ * @returns {{coverages: Object, factors: Array, deductibleOptions: Array<{deductible: number, premium: number}>, deductible: number, premium: number}}
+ */
+export const rateHome = (property, { deductible = DEFAULT_DEDUCTIBLE, carrierFactor = 1, asOf = new Date() } = {}) => {
+  const limits = coverages(property);
+  // HO-6 rates the unit and contents together; HO-3 rates on the dwelling
+  const ratedCoverage = limits.form === 'HO-6' ? limits.dwelling + limits.personalProperty : limits.dwelling;
+  const factors = ratingFactors(property, { asOf });
+  const basePremium = (ratedCoverage / 1000) * BASE_RATE_PER_THOUSAND[limits.form]
+    * factors.reduce((product, { factor }) => product * factor, 1)
+    * carrierFactor;
+  const premiumFor = (option) => Math.max(Math.round(basePremium * DEDUCTIBLE_FACTORS[option]), MINIMUM_PREMIUM);
+  const selected = DEDUCTIBLE_FACTORS[deductible] ? deductible : DEFAULT_DEDUCTIBLE;
+
+  return {
+    coverages: limits,
+    factors,
+    deductibleOptions: DEDUCTIBLE_OPTIONS.map((option) => ({ deductible: option, premium: premiumFor(option) })),
+    deductible: selected,
+    premium: premiumFor(selected)
+  };
+};
@@ -0,0 +1,90 @@
+import {
+  rateHome,
+  replacementCost,
+  coverages,
+  ratingFactors,
+  protectionClassFactor,
+  DEDUCTIBLE_OPTIONS,
+  MINIMUM_PREMIUM
+} from './rating.mjs';
+
+const asOf = new Date('2025-06-01');
+
+const home = {
+  propertyType: 'Single Family',
+  sqft: 2000,
+  yearBuilt: 2000,
+  construction: 'frame',
+  state: 'PA',
+  protectionClass: 4
+};
+
+const factorFor = (factors, key) => factors.find((entry) => entry.key === key).factor;
+
+describe('replacementCost', () => {
+  it('prices the rebuild from size and construction, rounded up to $1,000', () => {
+    expect(replacementCost(home)).toBe(420000);
+    expect(replacementCost({ ...home, construction: 'masonry' })).toBe(454000);
+  });
+
+  it('falls back to the structure share of market value without a square footage', () => {
+    expect(replacementCost({ propertyType: 'Single Family', propertyValue: 500000 })).toBe(300000);
+    expect(replacementCost({ propertyType: 'Condo', propertyValue: 500000 })).toBe(90000);
+  });
+});
+
+describe('coverages', () => {
+  it('sets HO-3 limits from the dwelling and fixed HO-6 contents for condos', () => {
+    expect(coverages(home)).toMatchObject({
+      form: 'HO-3', dwelling: 420000, otherStructures: 42000, personalProperty: 210000, lossOfUse: 84000
+    });
+    expect(coverages({ ...home, propertyType: 'Condo', sqft: 1000 })).toMatchObject({
+      form: 'HO-6', dwelling: 65000, otherStructures: 0, personalProperty: 50000, lossOfUse: 46000
+    });
+  });
+});
+
+describe('ratingFactors', () => {
+  it('caps protective device credits', () => {
+    const factors = ratingFactors(
+      { ...home, securitySystem: true, fireAlarm: true, sprinklers: true, deadbolts: true },
+      { asOf }
+    );
+    expect(factorFor(factors, 'devices')).toBeCloseTo(0.8, 10);
+    expect(factorFor(factors, 'age')).toBe(1);
+    expect(factorFor(factors, 'territory')).toBe(0.9);
+  });
+
+  it('rates unprotected areas and catastrophe states higher', () => {
+    expect(protectionClassFactor(10)).toBe(1.8);
+    expect(factorFor(ratingFactors({ ...home, state: 'FL' }, { asOf }), 'territory')).toBe(2.6);
+    expect(factorFor(ratingFactors({ ...home, state: 'ZZ' }, { asOf }), 'territory')).toBe(1);
+  });
+});
+
+describe('rateHome', () => {
+  it('multiplies the base rate by every factor and the carrier factor', () => {
+    // 420 x $3.60 x age 1 x frame 1 x devices 1 x PA 0.9 x class 4 1
+    const quote = rateHome(home, { asOf });
+    expect(quote.deductible).toBe(1000);
+    expect(quote.premium).toBe(Math.round(420 * 3.6 * 0.9));
+    expect(rateHome(home, { asOf, carrierFactor: 1.05 }).premium).toBe(Math.round(420 * 3.6 * 0.9 * 1.05));
+  });
+
+  it('quotes every deductible option, cheaper as the deductible rises', () => {
+    const quote = rateHome(home, { deductible: 2500, asOf });
+    expect(quote.deductible).toBe(2500);
+    expect(quote.deductibleOptions.map((option) => option.deductible)).toEqual(DEDUCTIBLE_OPTIONS);
+    const premiums = quote.deductibleOptions.map((option) => option.premium);
+    expect([...premiums].sort((a, b) => b - a)).toEqual(premiums);
+    expect(quote.premium).toBe(quote.deductibleOptions.find((option) => option.deductible === 2500).premium);
+  });
+
+  it('falls back to the default deductible and never goes under the minimum premium', () => {
+    const quote = rateHome({ ...home, propertyType: 'Condo', sqft: 300, state: 'OR', protectionClass: 2 }, {
+      deductible: 750, asOf
+    });
+    expect(quote.deductible).toBe(1000);
+    expect(quote.premium).toBe(MINIMUM_PREMIUM);
+  });
+});
@@ -0,0 +1,128 @@
+import { PROPERTY_TYPES, normalizeQuery } from './provider';
+import { matchesGeo, encodeGeo, decodeGeo } from '../map/geo';
+
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Sort by: Newest', reso: 'OnMarketDate desc' },
+  { value: 'price-asc', label: 'Price: Low to High', reso: 'ListPrice asc' },
+  { value: 'price-desc', label: 'Price: High to Low', reso: 'ListPrice desc' },
+  { value: 'sqft', label: 'Square Feet', reso: 'LivingArea desc' },
+  { value: 'days-on-market', label: 'Days on Market', reso: 'DaysOnMarket asc' }
+];
+
+export const DEFAULT_SORT = 'newest';
+
+const listedTime = (listing) => {
+  const time = listing.listedAt ? Date.parse(listing.listedAt) : NaN;
+  // Fall back to days on market when a source has no list date
+  return Number.isNaN(time) ? Date.now() - (listing.daysOnMarket || 0) * 86400000 : time;
+};
+
+const COMPARATORS = {
+  newest: (a, b) => listedTime(b) - listedTime(a),
+  'price-asc': (a, b) => a.price - b.price,
+  'price-desc': (a, b) => b.price - a.price,
+  sqft: (a, b) => b.sqft - a.sqft,
+  'days-on-market': (a, b) => a.daysOnMarket - b.daysOnMarket
+};
+
+export const isValidSort = (sort) => Boolean(COMPARATORS[sort]);
+
+const matchesText = (listing, text) => {
+  if (!text) return true;
+  const haystack = [listing.address, listing.city, listing.postalCode]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return text.toLowerCase().split(/\s+/).every((term) => haystack.includes(term));
+};
+
+/**
+ * @param {import('./provider').Listing} listing
+ * @param {ReturnType<typeof normalizeQuery>} q  An already-normalized query
+ */
+export const matchesFilters = (listing, q) => (
+  matchesText(listing, q.searchQuery) &&
+  (q.minPrice === null || listing.price >= q.minPrice) &&
+  (q.maxPrice === null || listing.price <= q.maxPrice) &&
+  (q.propertyType === null || listing.type === PROPERTY_TYPES[q.propertyType].label) &&
+  (q.bedrooms === null || listing.beds >= q.bedrooms) &&
+  (q.bathrooms === null || listing.baths >= q.bathrooms) &&
+  matchesGeo(listing, q.geo)
+);
+
+/**
+ * Apply every search filter to a list of listings.
+ * @param {import('./provider').Listing[]} listings
+ * @param {import('./provider').ListingQuery} query
+ */
+export const applyFilters = (listings, query) => {
+  const q = normalizeQuery(query);
+  return listings.filter((listing) => matchesFilters(listing, q));
+};
+
+/**
+ * Return a sorted copy; unknown sort keys fall back to newest first.
+ */
+export const sortListings = (listings, sort = DEFAULT_SORT) => {
+  const compare = COMPARATORS[sort] || COMPARATORS[DEFAULT_SORT];
+  return [...listings].sort(compare);
+};
+
+// Search state <-> URL query string, so a search can be bookmarked or shared
+const PARAM_KEYS = {
+  searchQuery: 'q',
+  minPrice: 'minPrice',
+  maxPrice: 'maxPrice',
+  propertyType: 'type',
+  bedrooms: 'beds',
+  bathrooms: 'baths',
+  geo: 'geo',
+  sort: 'sort'
+};
+
+/**
+ * @param {import('./provider').ListingQuery & {sort?: string}} filters
+ * @returns {URLSearchParams}
+ */
+export const filtersToSearchParams = (filters) => {
+  const values = {
+    searchQuery: filters.searchQuery,
+    minPrice: filters.priceRange?.min,
+    maxPrice: filters.priceRange?.max,
+    propertyType: filters.propertyType,
+    bedrooms: filters.bedrooms,
+    bathrooms: filters.bathrooms,
+    geo: encodeGeo(filters.geo),
+    sort: filters.sort === DEFAULT_SORT ? '' : filters.sort
+  };
+
+  const params = new URLSearchParams();
+  Object.entries(PARAM_KEYS).forEach(([field, key]) => {
+    const value = values[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      params.set(key, String(value).trim());
+    }
+  });
+  return params;
+};
+
+/**
+ * Read search state back out of a query string. Missing values come back as ''
+ * so they can be fed straight into controlled inputs.
+ * @param {string|URLSearchParams} search
+ */
+export const filtersFromSearchParams = (search) => {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+  const get = (field) => params.get(PARAM_KEYS[field]) || '';
+  const sort = get('sort');
+
+  return {
+    searchQuery: get('searchQuery'),
+    priceRange: { min: get('minPrice'), max: get('maxPrice') },
+    propertyType: PROPERTY_TYPES[get('propertyType')] ? get('propertyType') : '',
+    bedrooms: get('bedrooms'),
+    bathrooms: get('bathrooms'),
+    geo: decodeGeo(get('geo')),
+    sort: isValidSort(sort) ? sort : DEFAULT_SORT
+  };
+};
@@ -0,0 +1,29 @@
+import { createLocalProvider } from './localProvider';
+import { createResoProvider } from './resoProvider';
+import { ListingProviderError } from './provider';
+
+export * from './provider';
+export * from './filterSort';
+export { createLocalProvider, createResoProvider };
+
+/**
+ * Pick a listing provider from environment configuration.
+ * REACT_APP_LISTING_PROVIDER=reso uses the MLS through the RESO proxy; anything
+ * else uses local fixtures. A misconfigured MLS source also falls back to the
+ * fixtures, with the problem on `configError` so the UI can show it.
+ */
+export const createListingProvider = (env = process.env) => {
+  const local = () => createLocalProvider({ latency: Number(env.REACT_APP_LOCAL_LISTING_LATENCY) || 0 });
+  if (env.REACT_APP_LISTING_PROVIDER !== 'reso') return local();
+
+  try {
+    return createResoProvider({ baseUrl: env.REACT_APP_RESO_PROXY_URL });
+  } catch (err) {
+    if (!(err instanceof ListingProviderError)) throw err;
+    const configError = `${err.message}; set REACT_APP_RESO_PROXY_URL. Showing sample listings instead.`;
+    console.error(configError);
+    return { ...local(), configError };
+  }
+};
+
+export const listingProvider = createListingProvider();
@@ -0,0 +1,47 @@
+import fixtureListings from './fixtures/listings.json';
+import { normalizeQuery, normalizePaging } from './provider';
+import { matchesFilters, sortListings } from './filterSort';
+
+/**
+ * Listing provider backed by an in-memory array, for demos, offline use and tests.
+ * @param {{listings?: import('./provider').Listing[], latency?: number}} [options]
+ * @returns {import('./provider').ListingProvider}
+ */
+export const createLocalProvider = ({ listings = fixtureListings, latency = 0 } = {}) => {
+  const wait = (signal) => new Promise((resolve, reject) => {
+    if (!latency) return resolve();
+    const timer = setTimeout(resolve, latency);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    });
+  });
+
+  return {
+    name: 'local',
+
+    async search(query, options = {}) {
+      const { page, pageSize } = normalizePaging(options);
+      await wait(options.signal);
+
+      const q = normalizeQuery(query);
+      const matches = sortListings(
+        listings.filter((listing) => matchesFilters(listing, q)),
+        options.sort
+      );
+      const start = (page - 1) * pageSize;
+
+      return {
+        listings: matches.slice(start, start + pageSize),
+        total: matches.length,
+        page,
+        pageSize
+      };
+    },
+
+    async getListing(id, options = {}) {
+      await wait(options.signal);
+      return listings.find((listing) => String(listing.id) === String(id)) || null;
+    }
+  };
+};
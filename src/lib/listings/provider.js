@@ -0,0 +1,91 @@
+import { isValidGeo } from '../map/geo';
+
+/**
+ * Listing provider contract shared by every listing data source.
+ *
+ * @typedef {Object} Listing
+ * @property {string|number} id
+ * @property {string} address
+ * @property {string} [state]      Two-letter state code
+ * @property {number} price
+ * @property {number} beds
+ * @property {number} baths
+ * @property {number} sqft
+ * @property {string} type           Display label, e.g. "Single Family"
+ * @property {string} image
+ * @property {number} daysOnMarket
+ * @property {string} [status]
+ * @property {number} [latitude]
+ * @property {number} [longitude]
+ * @property {number} [yearBuilt]
+ * @property {number} [lotSqft]
+ * @property {number} [taxAnnual]    Annual property tax
+ * @property {number} [hoaMonthly]   HOA dues per month
+ * @property {string[]} [photos]
+ * @property {string} [description]
+ * @property {Array<{date: string, event: string, price: number}>} [priceHistory]
+ * @property {number} [tokenId]      PropertyToken id when the property is tokenized
+ *
+ * @typedef {Object} ListingQuery
+ * @property {string} [searchQuery]  City, address or ZIP code
+ * @property {{min: (number|string), max: (number|string)}} [priceRange]
+ * @property {string} [propertyType] One of the PROPERTY_TYPES keys
+ * @property {number|string} [bedrooms]  Minimum bedrooms
+ * @property {number|string} [bathrooms] Minimum bathrooms
+ * @property {Object} [geo]          Polygon or radius drawn on the map, see lib/map/geo
+ *
+ * @typedef {Object} ListingPage
+ * @property {Listing[]} listings
+ * @property {number} total
+ * @property {number} page
+ * @property {number} pageSize
+ *
+ * @typedef {Object} ListingProvider
+ * @property {string} name
+ * @property {(query: ListingQuery, options?: {page?: number, pageSize?: number, sort?: string, signal?: AbortSignal}) => Promise<ListingPage>} search
+ * @property {(id: string|number, options?: {signal?: AbortSignal}) => Promise<Listing|null>} getListing
+ */
+
+export const DEFAULT_PAGE_SIZE = 9;
+
+// Filter values used by the search UI, mapped to display labels and RESO PropertySubType values
+export const PROPERTY_TYPES = {
+  'single-family': { label: 'Single Family', reso: 'SingleFamilyResidence' },
+  condo: { label: 'Condo', reso: 'Condominium' },
+  townhouse: { label: 'Townhouse', reso: 'Townhouse' },
+  'multi-family': { label: 'Multi-Family', reso: 'MultiFamily' }
+};
+
+export class ListingProviderError extends Error {
+  constructor(message, { status, provider } = {}) {
+    super(message);
+    this.name = 'ListingProviderError';
+    this.status = status;
+    this.provider = provider;
+  }
+}
+
+const toNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Coerce raw form state into a query with numeric bounds and null for "any".
+ * @param {ListingQuery} query
+ */
+export const normalizeQuery = (query = {}) => ({
+  searchQuery: (query.searchQuery || '').trim(),
+  minPrice: toNumber(query.priceRange?.min),
+  maxPrice: toNumber(query.priceRange?.max),
+  propertyType: PROPERTY_TYPES[query.propertyType] ? query.propertyType : null,
+  bedrooms: toNumber(query.bedrooms),
+  bathrooms: toNumber(query.bathrooms),
+  geo: isValidGeo(query.geo) ? query.geo : null
+});
+
+export const normalizePaging = ({ page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) => ({
+  page: Math.max(1, Math.floor(page)),
+  pageSize: Math.max(1, Math.floor(pageSize))
+});
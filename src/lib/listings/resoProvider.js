@@ -0,0 +1,191 @@
+import { PROPERTY_TYPES, ListingProviderError, normalizeQuery, normalizePaging } from './provider';
+import { SORT_OPTIONS, DEFAULT_SORT, matchesFilters } from './filterSort';
+import { geoBounds } from '../map/geo';
+
+const RESO_SELECT = [
+  'ListingKey', 'UnparsedAddress', 'City', 'StateOrProvince', 'PostalCode', 'ListPrice', 'BedroomsTotal',
+  'BathroomsTotalInteger', 'LivingArea', 'PropertySubType', 'DaysOnMarket', 'StandardStatus',
+  'OnMarketDate', 'Latitude', 'Longitude', 'YearBuilt', 'LotSizeSquareFeet', 'TaxAnnualAmount',
+  'AssociationFee', 'AssociationFeeFrequency', 'PublicRemarks', 'OriginalListPrice', 'PriceChangeTimestamp'
+].join(',');
+
+// Normalise HOA dues to a monthly figure
+const MONTHS_PER_FEE_PERIOD = { Monthly: 1, Quarterly: 3, 'Semi-Annually': 6, Annually: 12 };
+
+const SUBTYPE_LABELS = Object.fromEntries(
+  Object.values(PROPERTY_TYPES).map(({ label, reso }) => [reso, label])
+);
+
+const orderByFor = (sort) => (
+  SORT_OPTIONS.find((option) => option.value === sort)
+  || SORT_OPTIONS.find((option) => option.value === DEFAULT_SORT)
+).reso;
+
+// Map searches fetch the whole bounding box in batches, capped to keep a
+// zoomed-out shape from walking the entire MLS
+const GEO_BATCH_SIZE = 200;
+const GEO_MAX_RECORDS = 2000;
+
+const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Build an OData $filter expression for a RESO Web API Property query.
+ * @param {ReturnType<typeof normalizeQuery>} q
+ */
+export const buildResoFilter = (q) => {
+  const clauses = ["StandardStatus eq 'Active'"];
+
+  if (q.searchQuery) {
+    if (/^\d{5}$/.test(q.searchQuery)) {
+      clauses.push(`PostalCode eq ${quote(q.searchQuery)}`);
+    } else {
+      const text = quote(q.searchQuery.toLowerCase());
+      clauses.push(`(contains(tolower(UnparsedAddress), ${text}) or contains(tolower(City), ${text}))`);
+    }
+  }
+  if (q.minPrice !== null) clauses.push(`ListPrice ge ${q.minPrice}`);
+  if (q.maxPrice !== null) clauses.push(`ListPrice le ${q.maxPrice}`);
+  if (q.propertyType !== null) clauses.push(`PropertySubType eq ${quote(PROPERTY_TYPES[q.propertyType].reso)}`);
+  if (q.bedrooms !== null) clauses.push(`BedroomsTotal ge ${q.bedrooms}`);
+  if (q.bathrooms !== null) clauses.push(`BathroomsTotalInteger ge ${q.bathrooms}`);
+  if (q.geo !== null) {
+    // Most MLS servers lack OData geo functions; query the bounding box and
+    // trim to the exact shape client-side
+    const { south, north, west, east } = geoBounds(q.geo);
+    clauses.push(`Latitude ge ${south} and Latitude le ${north} and Longitude ge ${west} and Longitude le ${east}`);
+  }
+
+  return clauses.join(' and ');
+};
+
+/**
+ * Map a RESO Data Dictionary Property record onto the app's listing shape.
+ */
+export const fromResoProperty = (record) => {
+  const photos = [...(record.Media || [])]
+    .sort((a, b) => (a.Order ?? 0) - (b.Order ?? 0))
+    .map((media) => media.MediaURL)
+    .filter(Boolean);
+
+  const priceHistory = [];
+  if (record.OriginalListPrice && record.OriginalListPrice !== record.ListPrice) {
+    priceHistory.push({ date: record.OnMarketDate, event: 'Listed', price: record.OriginalListPrice });
+    priceHistory.push({ date: record.PriceChangeTimestamp?.slice(0, 10), event: 'Price change', price: record.ListPrice });
+  } else {
+    priceHistory.push({ date: record.OnMarketDate, event: 'Listed', price: record.ListPrice });
+  }
+
+  const feeMonths = MONTHS_PER_FEE_PERIOD[record.AssociationFeeFrequency] || 1;
+
+  return {
+    id: record.ListingKey,
+    address: record.UnparsedAddress,
+    city: record.City,
+    state: record.StateOrProvince,
+    postalCode: record.PostalCode,
+    price: record.ListPrice,
+    beds: record.BedroomsTotal ?? 0,
+    baths: record.BathroomsTotalInteger ?? 0,
+    sqft: record.LivingArea ?? 0,
+    lotSqft: record.LotSizeSquareFeet ?? 0,
+    yearBuilt: record.YearBuilt,
+    type: SUBTYPE_LABELS[record.PropertySubType] || record.PropertySubType || 'Residential',
+    taxAnnual: record.TaxAnnualAmount ?? null,
+    hoaMonthly: record.AssociationFee ? record.AssociationFee / feeMonths : 0,
+    image: photos[0] || '',
+    photos,
+    listedAt: record.OnMarketDate,
+    daysOnMarket: record.DaysOnMarket ?? 0,
+    status: record.StandardStatus,
+    latitude: record.Latitude,
+    longitude: record.Longitude,
+    description: record.PublicRemarks || '',
+    priceHistory
+  };
+};
+
+/**
+ * Listing provider for an MLS exposing the RESO Web API (OData). `baseUrl` is
+ * the RESO proxy (scripts/reso-proxy.js), which adds the MLS credentials
+ * server-side, so none are sent from the browser.
+ * @param {{baseUrl: string, fetchImpl?: typeof fetch}} options
+ * @returns {import('./provider').ListingProvider}
+ */
+export const createResoProvider = ({ baseUrl, fetchImpl = (...args) => fetch(...args) }) => {
+  if (!baseUrl) {
+    throw new ListingProviderError('RESO provider requires a baseUrl', { provider: 'reso' });
+  }
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (path, params, signal) => {
+    const url = `${root}${path}?${new URLSearchParams(params).toString()}`;
+    const response = await fetchImpl(url, {
+      signal,
+      headers: { Accept: 'application/json' }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new ListingProviderError(`MLS request failed with status ${response.status}`, {
+        status: response.status,
+        provider: 'reso'
+      });
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'reso',
+
+    async search(query, options = {}) {
+      const { page, pageSize } = normalizePaging(options);
+      const q = normalizeQuery(query);
+      const fetchRecords = (top, skip) => request('/Property', {
+        $filter: buildResoFilter(q),
+        $select: RESO_SELECT,
+        $expand: 'Media($select=MediaURL,Order)',
+        $orderby: orderByFor(options.sort),
+        $top: String(top),
+        $skip: String(skip),
+        $count: 'true'
+      }, options.signal);
+
+      if (!q.geo) {
+        const body = await fetchRecords(pageSize, (page - 1) * pageSize);
+        const records = body?.value || [];
+        return {
+          listings: records.map(fromResoProperty),
+          total: body?.['@odata.count'] ?? records.length,
+          page,
+          pageSize
+        };
+      }
+
+      // The server can only filter on the bounding box, so page after trimming
+      // to the drawn shape or totals and page boundaries would count listings
+      // outside it
+      const inShape = [];
+      for (let skip = 0; skip < GEO_MAX_RECORDS; skip += GEO_BATCH_SIZE) {
+        const body = await fetchRecords(GEO_BATCH_SIZE, skip);
+        const records = body?.value || [];
+        inShape.push(...records.map(fromResoProperty).filter((listing) => matchesFilters(listing, q)));
+        const count = body?.['@odata.count'] ?? Infinity;
+        if (records.length < GEO_BATCH_SIZE || skip + GEO_BATCH_SIZE >= count) break;
+      }
+      const start = (page - 1) * pageSize;
+      return {
+        listings: inShape.slice(start, start + pageSize),
+        total: inShape.length,
+        page,
+        pageSize
+      };
+    },
+
+    async getListing(id, options = {}) {
+      const record = await request(`/Property(${quote(id)})`, {
+        $select: RESO_SELECT,
+        $expand: 'Media($select=MediaURL,Order)'
+      }, options.signal);
+      return record ? fromResoProperty(record) : null;
+    }
+  };
+};
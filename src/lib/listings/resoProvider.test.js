@@ -0,0 +1,149 @@
+import { createResoProvider, buildResoFilter, fromResoProperty } from './resoProvider';
+import { normalizeQuery } from './provider';
+
+// A RESO server holding `records`, honouring $top / $skip and reporting $count
+const fakeServer = (records) => {
+  const requests = [];
+  const fetchImpl = async (url) => {
+    const params = new URL(url).searchParams;
+    requests.push(params);
+    const skip = Number(params.get('$skip'));
+    const top = Number(params.get('$top'));
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ value: records.slice(skip, skip + top), '@odata.count': records.length })
+    };
+  };
+  return { fetchImpl, requests };
+};
+
+const record = (key, latitude, longitude) => ({
+  ListingKey: key, UnparsedAddress: `${key} Main St`, ListPrice: 300000, StandardStatus: 'Active',
+  Latitude: latitude, Longitude: longitude
+});
+
+describe('createResoProvider search', () => {
+  // A triangle whose bounding box is [0, 10] x [0, 10]; points with lat + lng > 10 fall outside it
+  const triangle = { type: 'polygon', points: [[0, 0], [0, 10], [10, 0]] };
+  const boxRecords = Array.from({ length: 250 }, (_, i) => record(`L${i}`, (i % 10) + 0.5, Math.floor(i / 10) % 10 + 0.5));
+  const insideKeys = boxRecords
+    .filter((r) => r.Latitude + r.Longitude < 10)
+    .map((r) => r.ListingKey);
+
+  it('pages a map search after trimming to the drawn shape', async () => {
+    const { fetchImpl, requests } = fakeServer(boxRecords);
+    const provider = createResoProvider({ baseUrl: 'https://mls.test', fetchImpl });
+
+    const first = await provider.search({ geo: triangle }, { page: 1, pageSize: 9 });
+    expect(first.total).toBe(insideKeys.length);
+    expect(first.listings.map((listing) => listing.id)).toEqual(insideKeys.slice(0, 9));
+    // 250 records in the bounding box come back in two batches
+    expect(requests).toHaveLength(2);
+
+    const last = Math.ceil(insideKeys.length / 9);
+    const lastPage = await provider.search({ geo: triangle }, { page: last, pageSize: 9 });
+    expect(lastPage.listings.map((listing) => listing.id)).toEqual(insideKeys.slice((last - 1) * 9));
+  });
+
+  it('pages server-side without a shape', async () => {
+    const { fetchImpl, requests } = fakeServer(boxRecords);
+    const provider = createResoProvider({ baseUrl: 'https://mls.test', fetchImpl });
+
+    const result = await provider.search({}, { page: 3, pageSize: 9 });
+    expect(result.total).toBe(250);
+    expect(result.listings.map((listing) => listing.id)).toEqual(['L18', 'L19', 'L20', 'L21', 'L22', 'L23', 'L24', 'L25', 'L26']);
+    expect(requests[0].get('$skip')).toBe('18');
+    expect(requests[0].get('$top')).toBe('9');
+  });
+});
+
+describe('buildResoFilter', () => {
+  it('only asks for active listings when nothing is filtered', () => {
+    expect(buildResoFilter(normalizeQuery({}))).toBe("StandardStatus eq 'Active'");
+  });
+
+  it('matches a ZIP code exactly and other text against address and city', () => {
+    expect(buildResoFilter(normalizeQuery({ searchQuery: '19103' }))).toContain("PostalCode eq '19103'");
+    expect(buildResoFilter(normalizeQuery({ searchQuery: " O'Hara " }))).toContain(
+      "(contains(tolower(UnparsedAddress), 'o''hara') or contains(tolower(City), 'o''hara'))"
+    );
+  });
+
+  it('turns each filter into a clause', () => {
+    const filter = buildResoFilter(normalizeQuery({
+      priceRange: { min: '200000', max: '450000' }, propertyType: 'condo', bedrooms: '2', bathrooms: '1'
+    }));
+    expect(filter.split(' and ')).toEqual([
+      "StandardStatus eq 'Active'",
+      'ListPrice ge 200000',
+      'ListPrice le 450000',
+      "PropertySubType eq 'Condominium'",
+      'BedroomsTotal ge 2',
+      'BathroomsTotalInteger ge 1'
+    ]);
+  });
+
+  it('queries the bounding box of a drawn shape', () => {
+    const geo = { type: 'polygon', points: [[39.9, -75.2], [40.1, -75.2], [40, -75]] };
+    expect(buildResoFilter(normalizeQuery({ geo }))).toContain(
+      'Latitude ge 39.9 and Latitude le 40.1 and Longitude ge -75.2 and Longitude le -75'
+    );
+  });
+});
+
+describe('fromResoProperty', () => {
+  const property = {
+    ListingKey: 'MLS123',
+    UnparsedAddress: '12 Pine St',
+    City: 'Philadelphia',
+    StateOrProvince: 'PA',
+    PostalCode: '19103',
+    ListPrice: 410000,
+    OriginalListPrice: 425000,
+    OnMarketDate: '2025-03-01',
+    PriceChangeTimestamp: '2025-03-20T14:00:00Z',
+    BedroomsTotal: 3,
+    LivingArea: 1800,
+    PropertySubType: 'Townhouse',
+    StandardStatus: 'Active',
+    AssociationFee: 600,
+    AssociationFeeFrequency: 'Quarterly',
+    Media: [{ Order: 2, MediaURL: 'b.jpg' }, { Order: 1, MediaURL: 'a.jpg' }, { Order: 3 }]
+  };
+
+  it('maps RESO fields onto the listing shape', () => {
+    const listing = fromResoProperty(property);
+    expect(listing).toMatchObject({
+      id: 'MLS123',
+      address: '12 Pine St',
+      price: 410000,
+      beds: 3,
+      baths: 0,
+      sqft: 1800,
+      type: 'Townhouse',
+      hoaMonthly: 200,
+      taxAnnual: null,
+      image: 'a.jpg',
+      photos: ['a.jpg', 'b.jpg'],
+      status: 'Active',
+      description: ''
+    });
+  });
+
+  it('records a price change after listing', () => {
+    expect(fromResoProperty(property).priceHistory).toEqual([
+      { date: '2025-03-01', event: 'Listed', price: 425000 },
+      { date: '2025-03-20', event: 'Price change', price: 410000 }
+    ]);
+    expect(fromResoProperty({ ...property, OriginalListPrice: 410000 }).priceHistory).toEqual([
+      { date: '2025-03-01', event: 'Listed', price: 410000 }
+    ]);
+  });
+
+  it('labels known subtypes and keeps unknown ones as sent', () => {
+    expect(fromResoProperty({ ...property, PropertySubType: 'SingleFamilyResidence' }).type).toBe('Single Family');
+    expect(fromResoProperty({ ...property, PropertySubType: 'Farm' }).type).toBe('Farm');
+    expect(fromResoProperty({ ...property, PropertySubType: undefined }).type).toBe('Residential');
+  });
+});
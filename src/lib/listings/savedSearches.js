@@ -0,0 +1,185 @@
+import { readJson, writeJson, userKey } from '../storage';
+
+/**
+ * Per-user favorites, saved searches and the alerts raised when a saved
+ * search is re-run.
+ *
+ * A saved search keeps a snapshot of the listings it last matched
+ * ({ [listingId]: { price, status, address } }) so the next run can tell what
+ * changed.
+ */
+
+export const ALERT_TYPES = {
+  NEW_LISTING: 'new-listing',
+  PRICE_DROP: 'price-drop',
+  STATUS_CHANGE: 'status-change'
+};
+
+const MAX_ALERTS = 100;
+const SEARCH_PAGE_SIZE = 500;
+// Status shown for a listing the provider no longer returns at all
+const OFF_MARKET = 'Off Market';
+
+export const favoritesKey = (userId) => userKey(userId, 'favorites');
+export const savedSearchesKey = (userId) => userKey(userId, 'savedSearches');
+export const alertsKey = (userId) => userKey(userId, 'alerts');
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Favorites
+
+export const getFavorites = (userId) => readJson(favoritesKey(userId), []);
+
+export const toggleFavorite = (userId, listingId) => {
+  const favorites = getFavorites(userId);
+  const next = favorites.includes(listingId)
+    ? favorites.filter((id) => id !== listingId)
+    : [...favorites, listingId];
+  writeJson(favoritesKey(userId), next);
+  return next;
+};
+
+// Saved searches
+
+export const getSavedSearches = (userId) => readJson(savedSearchesKey(userId), []);
+
+export const saveSearch = (userId, { name, filters, sort }) => {
+  const search = {
+    id: newId(),
+    name: name.trim(),
+    filters,
+    sort,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    snapshot: null
+  };
+  writeJson(savedSearchesKey(userId), [...getSavedSearches(userId), search]);
+  return search;
+};
+
+export const deleteSavedSearch = (userId, searchId) => {
+  writeJson(
+    savedSearchesKey(userId),
+    getSavedSearches(userId).filter((search) => search.id !== searchId)
+  );
+};
+
+// Alerts
+
+export const getAlerts = (userId) => readJson(alertsKey(userId), []);
+
+export const markAlertsRead = (userId, alertIds) => {
+  const ids = alertIds ? new Set(alertIds) : null;
+  writeJson(
+    alertsKey(userId),
+    getAlerts(userId).map((alert) => (!ids || ids.has(alert.id) ? { ...alert, read: true } : alert))
+  );
+};
+
+export const clearAlerts = (userId) => writeJson(alertsKey(userId), []);
+
+export const snapshotListings = (listings) => Object.fromEntries(
+  listings.map((listing) => [
+    listing.id,
+    { price: listing.price, status: listing.status || 'Active', address: listing.address }
+  ])
+);
+
+/**
+ * Look up listings that were in the snapshot but dropped out of the results.
+ * Searches only match active listings, so a listing that went pending or sold
+ * disappears from them; fetching it by id is how the status change is seen.
+ * Returns the ones whose status is no longer active.
+ */
+export const recheckDepartedListings = async (snapshot, listings, provider, { signal } = {}) => {
+  if (!snapshot) return [];
+  const returned = new Set(listings.map((listing) => String(listing.id)));
+  const departedIds = Object.keys(snapshot).filter((id) => !returned.has(id));
+
+  const rechecked = [];
+  for (const id of departedIds) {
+    const before = snapshot[id];
+    const listing = await provider.getListing(id, { signal });
+    const current = listing || { id, address: before.address || '', price: before.price, status: OFF_MARKET };
+    // Still active means it just stopped matching the filters
+    if ((current.status || 'Active') !== 'Active') rechecked.push(current);
+  }
+  return rechecked;
+};
+
+/**
+ * Compare a previous snapshot against fresh results and describe what changed.
+ * A null snapshot means the search has never run, so nothing is flagged.
+ */
+export const diffListings = (snapshot, listings, search) => {
+  if (!snapshot) return [];
+  const createdAt = new Date().toISOString();
+
+  return listings.flatMap((listing) => {
+    const before = snapshot[listing.id];
+    const base = {
+      searchId: search.id,
+      searchName: search.name,
+      listingId: listing.id,
+      address: listing.address,
+      createdAt,
+      read: false
+    };
+
+    if (!before) {
+      return [{ ...base, id: newId(), type: ALERT_TYPES.NEW_LISTING, current: listing.price }];
+    }
+
+    const alerts = [];
+    if (listing.price < before.price) {
+      alerts.push({
+        ...base, id: newId(), type: ALERT_TYPES.PRICE_DROP, previous: before.price, current: listing.price
+      });
+    }
+    const status = listing.status || 'Active';
+    if (status !== before.status) {
+      alerts.push({
+        ...base, id: newId(), type: ALERT_TYPES.STATUS_CHANGE, previous: before.status, current: status
+      });
+    }
+    return alerts;
+  });
+};
+
+/**
+ * Re-run every saved search for a user, record what changed as alerts and
+ * store the new snapshots. Returns the alerts raised by this run.
+ */
+export const runSavedSearches = async (userId, provider, { signal } = {}) => {
+  const searches = getSavedSearches(userId);
+  const raised = [];
+  const updated = [];
+
+  for (const search of searches) {
+    if (signal?.aborted) return raised;
+    try {
+      const { listings } = await provider.search(search.filters, {
+        page: 1, pageSize: SEARCH_PAGE_SIZE, sort: search.sort, signal
+      });
+      const departed = await recheckDepartedListings(search.snapshot, listings, provider, { signal });
+      raised.push(...diffListings(search.snapshot, [...listings, ...departed], search));
+      updated.push({ ...search, snapshot: snapshotListings(listings), lastRunAt: new Date().toISOString() });
+    } catch (err) {
+      if (err.name === 'AbortError') return raised;
+      // Keep the old snapshot; the next run will pick up what this one missed
+      updated.push(search);
+    }
+  }
+
+  // Searches may have been added or removed while the run was in flight
+  const updatedById = new Map(updated.map((search) => [search.id, search]));
+  writeJson(
+    savedSearchesKey(userId),
+    getSavedSearches(userId).map((search) => updatedById.get(search.id) || search)
+  );
+
+  if (raised.length > 0) {
+    writeJson(alertsKey(userId), [...raised, ...getAlerts(userId)].slice(0, MAX_ALERTS));
+  }
+  return raised;
+};
@@ -0,0 +1,37 @@
+import { ALERT_TYPES, saveSearch, runSavedSearches, getAlerts } from './savedSearches';
+
+// Behaves like the RESO provider: search only returns active listings, getListing returns any
+const activeOnlyProvider = (listings) => ({
+  name: 'test',
+  search: async () => ({ listings: listings.filter((listing) => listing.status === 'Active') }),
+  getListing: async (id) => listings.find((listing) => String(listing.id) === String(id)) || null
+});
+
+describe('runSavedSearches', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it('raises status changes for listings that left an active-only search', async () => {
+    const listings = [
+      { id: 'A', address: '1 Elm St', price: 400000, status: 'Active' },
+      { id: 'B', address: '2 Elm St', price: 350000, status: 'Active' },
+      { id: 'C', address: '3 Elm St', price: 300000, status: 'Active' }
+    ];
+    const provider = activeOnlyProvider(listings);
+    saveSearch('alice', { name: 'Elm', filters: {}, sort: 'newest' });
+    expect(await runSavedSearches('alice', provider)).toEqual([]);
+
+    listings[0].status = 'Pending';
+    listings.splice(1, 1); // B withdrawn from the MLS entirely
+    const raised = await runSavedSearches('alice', provider);
+
+    expect(raised.map(({ type, listingId, previous, current }) => ({ type, listingId, previous, current }))).toEqual([
+      { type: ALERT_TYPES.STATUS_CHANGE, listingId: 'A', previous: 'Active', current: 'Pending' },
+      { type: ALERT_TYPES.STATUS_CHANGE, listingId: 'B', previous: 'Active', current: 'Off Market' }
+    ]);
+    expect(raised[1].address).toBe('2 Elm St');
+    expect(getAlerts('alice')).toHaveLength(2);
+
+    // Reported once; they are no longer part of the search
+    expect(await runSavedSearches('alice', provider)).toEqual([]);
+  });
+});
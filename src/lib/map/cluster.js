@@ -0,0 +1,39 @@
+const TILE_SIZE = 256;
+
+// Web Mercator projection to world pixel coordinates at a zoom level
+const project = (lat, lng, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+};
+
+/**
+ * Group listings whose pins would overlap at the given zoom into clusters.
+ * Listings without coordinates are skipped.
+ *
+ * @param {Array} listings
+ * @param {number} zoom
+ * @param {number} [cellSize=64]  Grid cell size in screen pixels
+ * @returns {Array<{id: string, latitude: number, longitude: number, listings: Array}>}
+ */
+export const clusterListings = (listings, zoom, cellSize = 64) => {
+  const cells = new Map();
+
+  listings.forEach((listing) => {
+    if (typeof listing.latitude !== 'number' || typeof listing.longitude !== 'number') return;
+    const { x, y } = project(listing.latitude, listing.longitude, zoom);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(listing);
+  });
+
+  return [...cells.entries()].map(([key, members]) => ({
+    id: key,
+    latitude: members.reduce((sum, l) => sum + l.latitude, 0) / members.length,
+    longitude: members.reduce((sum, l) => sum + l.longitude, 0) / members.length,
+    listings: members
+  }));
+};
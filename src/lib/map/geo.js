@@ -0,0 +1,99 @@
+/**
+ * Geometry helpers for the map search geo filter.
+ *
+ * A geo filter is either
+ *   { type: 'polygon', points: [[lat, lng], ...] }   (at least 3 points)
+ *   { type: 'radius', center: [lat, lng], radiusMeters: number }
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const distanceMeters = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting; fine at neighborhood scale where lat/lng is effectively planar
+export const pointInPolygon = ([lat, lng], points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lngI] = points[i];
+    const [latJ, lngJ] = points[j];
+    const crosses = (lngI > lng) !== (lngJ > lng)
+      && lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+export const isValidGeo = (geo) => Boolean(geo) && (
+  (geo.type === 'polygon' && Array.isArray(geo.points) && geo.points.length >= 3)
+  || (geo.type === 'radius' && Array.isArray(geo.center) && geo.radiusMeters > 0)
+);
+
+/**
+ * Whether a listing falls inside the geo filter. Listings without coordinates
+ * never match an active geo filter.
+ */
+export const matchesGeo = (listing, geo) => {
+  if (!isValidGeo(geo)) return true;
+  if (typeof listing.latitude !== 'number' || typeof listing.longitude !== 'number') return false;
+
+  const point = [listing.latitude, listing.longitude];
+  return geo.type === 'polygon'
+    ? pointInPolygon(point, geo.points)
+    : distanceMeters(point, geo.center) <= geo.radiusMeters;
+};
+
+/**
+ * Bounding box of a geo filter, used to pre-filter on sources that only
+ * support range queries on latitude / longitude.
+ */
+export const geoBounds = (geo) => {
+  if (geo.type === 'polygon') {
+    const lats = geo.points.map(([lat]) => lat);
+    const lngs = geo.points.map(([, lng]) => lng);
+    return {
+      south: Math.min(...lats), north: Math.max(...lats),
+      west: Math.min(...lngs), east: Math.max(...lngs)
+    };
+  }
+  const [lat, lng] = geo.center;
+  const dLat = (geo.radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const dLng = dLat / Math.cos(toRadians(lat));
+  return { south: lat - dLat, north: lat + dLat, west: lng - dLng, east: lng + dLng };
+};
+
+const round = (value) => Number(value.toFixed(5));
+
+// Compact string form for the URL: "poly:lat,lng;lat,lng;..." or "radius:lat,lng,meters"
+export const encodeGeo = (geo) => {
+  if (!isValidGeo(geo)) return '';
+  if (geo.type === 'polygon') {
+    return `poly:${geo.points.map(([lat, lng]) => `${round(lat)},${round(lng)}`).join(';')}`;
+  }
+  const [lat, lng] = geo.center;
+  return `radius:${round(lat)},${round(lng)},${Math.round(geo.radiusMeters)}`;
+};
+
+export const decodeGeo = (value) => {
+  if (!value) return null;
+  const [kind, body = ''] = value.split(':');
+  let geo = null;
+
+  if (kind === 'poly') {
+    geo = { type: 'polygon', points: body.split(';').map((pair) => pair.split(',').map(Number)) };
+  } else if (kind === 'radius') {
+    const [lat, lng, radiusMeters] = body.split(',').map(Number);
+    geo = { type: 'radius', center: [lat, lng], radiusMeters };
+  }
+
+  const finite = geo && (geo.type === 'polygon'
+    ? geo.points.every((point) => point.length === 2 && point.every(Number.isFinite))
+    : [...geo.center, geo.radiusMeters].every(Number.isFinite));
+  return finite && isValidGeo(geo) ? geo : null;
+};
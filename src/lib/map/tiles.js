@@ -0,0 +1,24 @@
+export const DEFAULT_CENTER = [39.9526, -75.1652]; // Philadelphia
+export const DEFAULT_ZOOM = 11;
+
+/**
+ * Tile layer settings for the search map.
+ * REACT_APP_MAP_TILES=offline serves tiles from the app itself (see
+ * scripts/fetch-map-tiles.js) so the map works without internet access.
+ */
+export const getTileSource = (env = process.env) => {
+  if (env.REACT_APP_MAP_TILES === 'offline') {
+    return {
+      url: env.REACT_APP_OFFLINE_TILE_URL || '/tiles/{z}/{x}/{y}.png',
+      attribution: '&copy; OpenStreetMap contributors (offline tiles)',
+      minZoom: Number(env.REACT_APP_OFFLINE_MIN_ZOOM) || 9,
+      maxZoom: Number(env.REACT_APP_OFFLINE_MAX_ZOOM) || 15
+    };
+  }
+  return {
+    url: env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    minZoom: 3,
+    maxZoom: 19
+  };
+};
@@ -0,0 +1,161 @@
+/**
+ * Month-by-month amortization with optional prepayments.
+ */
+
+/**
+ * Level principal-and-interest payment.
+ * @param {number} principal
+ * @param {number} annualRate percent, e.g. 7.25
+ * @param {number} months
+ */
+export const monthlyPayment = (principal, annualRate, months) => {
+  if (principal <= 0 || months <= 0) return 0;
+  const monthlyRate = annualRate / 100 / 12;
+  if (monthlyRate === 0) return principal / months;
+  const growth = Math.pow(1 + monthlyRate, months);
+  return principal * (monthlyRate * growth) / (growth - 1);
+};
+
+/**
+ * Extra principal paid on top of the scheduled payment.
+ * @typedef {Object} Prepayments
+ * @property {number} [monthly]       added to every payment
+ * @property {number} [annual]        added once a year
+ * @property {number} [annualMonth]   payment number within each year (1-12) the annual amount goes with
+ * @property {number} [lumpSum]       one-time amount
+ * @property {number} [lumpSumMonth]  payment number (1-based) the lump sum goes with
+ */
+
+export const EMPTY_PREPAYMENTS = {
+  monthly: 0,
+  annual: 0,
+  annualMonth: 12,
+  lumpSum: 0,
+  lumpSumMonth: 12
+};
+
+export const hasPrepayments = (prepayments = {}) => (
+  prepayments.monthly > 0 || prepayments.annual > 0 || prepayments.lumpSum > 0
+);
+
+const extraForMonth = (month, prepayments) => {
+  let extra = prepayments.monthly || 0;
+  if (prepayments.annual > 0 && ((month - 1) % 12) + 1 === Number(prepayments.annualMonth || 12)) {
+    extra += prepayments.annual;
+  }
+  if (prepayments.lumpSum > 0 && month === Number(prepayments.lumpSumMonth || 1)) {
+    extra += prepayments.lumpSum;
+  }
+  return extra;
+};
+
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+// First payment is due on the first of the month after closing
+export const firstPaymentDate = (from = new Date()) => addMonths(from, 1);
+
+/**
+ * @typedef {Object} ScheduleRow
+ * @property {number} month          payment number, 1-based
+ * @property {Date}   date
+ * @property {number} rate           annual rate (percent) this month
+ * @property {number} payment        scheduled principal and interest
+ * @property {number} principal      scheduled principal portion
+ * @property {number} interest
+ * @property {number} extra          prepayment applied this month
+ * @property {number} balance        after this payment
+ * @property {number} totalInterest  running total
+ */
+
+/**
+ * Build the schedule. Prepayments go straight to principal, so the loan pays
+ * off early rather than the payment shrinking.
+ *
+ * `rateForMonth` lets the rate move (adjustable-rate loans); the payment is
+ * recast over the remaining term whenever it does, and again when an
+ * interest-only period ends.
+ * @returns {ScheduleRow[]}
+ */
+export const buildAmortizationSchedule = ({
+  principal,
+  annualRate,
+  termMonths,
+  startDate = firstPaymentDate(),
+  prepayments = EMPTY_PREPAYMENTS,
+  rateForMonth = () => annualRate,
+  interestOnlyMonths = 0
+}) => {
+  const rows = [];
+  let balance = principal;
+  let totalInterest = 0;
+  let rate = null;
+  let payment = 0;
+
+  for (let month = 1; month <= termMonths && balance > 0.005; month += 1) {
+    const monthRate = rateForMonth(month);
+    if (monthRate !== rate || month === interestOnlyMonths + 1) {
+      rate = monthRate;
+      payment = month <= interestOnlyMonths
+        ? 0
+        : monthlyPayment(balance, rate, termMonths - month + 1);
+    }
+
+    const interest = balance * (rate / 100 / 12);
+    // The last payment only covers what is left
+    const scheduledPrincipal = month <= interestOnlyMonths ? 0 : Math.min(payment - interest, balance);
+    const extra = Math.min(extraForMonth(month, prepayments), balance - scheduledPrincipal);
+    balance -= scheduledPrincipal + extra;
+    totalInterest += interest;
+
+    rows.push({
+      month,
+      date: addMonths(startDate, month - 1),
+      rate,
+      payment: scheduledPrincipal + interest,
+      principal: scheduledPrincipal,
+      interest,
+      extra,
+      balance: Math.max(balance, 0),
+      totalInterest
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Payoff date and savings of a schedule against the same loan without
+ * prepayments.
+ */
+export const summarizeSchedule = (schedule, baseline = schedule) => {
+  const last = schedule[schedule.length - 1];
+  const baselineLast = baseline[baseline.length - 1];
+  const totalInterest = last ? last.totalInterest : 0;
+  const baselineInterest = baselineLast ? baselineLast.totalInterest : 0;
+
+  return {
+    payoffDate: last ? last.date : null,
+    months: schedule.length,
+    totalInterest,
+    totalExtra: schedule.reduce((sum, row) => sum + row.extra, 0),
+    interestSaved: Math.max(baselineInterest - totalInterest, 0),
+    monthsSaved: Math.max(baseline.length - schedule.length, 0)
+  };
+};
+
+/** Roll monthly rows up into loan years for charts and the yearly table. */
+export const yearlyTotals = (schedule) => {
+  const years = [];
+  schedule.forEach((row) => {
+    const index = Math.floor((row.month - 1) / 12);
+    if (!years[index]) {
+      years[index] = { year: index + 1, principal: 0, interest: 0, extra: 0, mi: 0, balance: 0 };
+    }
+    years[index].principal += row.principal;
+    years[index].interest += row.interest;
+    years[index].extra += row.extra;
+    years[index].mi += row.mi || 0;
+    years[index].balance = row.balance;
+  });
+  return years;
+};
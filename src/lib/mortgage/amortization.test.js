@@ -0,0 +1,90 @@
+import {
+  monthlyPayment,
+  buildAmortizationSchedule,
+  summarizeSchedule,
+  yearlyTotals
+} from './amortization';
+
+const startDate = new Date(2025, 0, 1);
+
+describe('monthlyPayment', () => {
+  it('matches the standard level payment', () => {
+    expect(monthlyPayment(300000, 6, 360)).toBeCloseTo(1798.65, 2);
+  });
+
+  it('spreads principal evenly at a zero rate and is zero for an empty loan', () => {
+    expect(monthlyPayment(120000, 0, 120)).toBe(1000);
+    expect(monthlyPayment(0, 6, 360)).toBe(0);
+  });
+});
+
+describe('buildAmortizationSchedule', () => {
+  it('pays the loan off over the term', () => {
+    const schedule = buildAmortizationSchedule({ principal: 300000, annualRate: 6, termMonths: 360, startDate });
+    expect(schedule).toHaveLength(360);
+    expect(schedule[0].interest).toBeCloseTo(1500, 6);
+    expect(schedule[0].date).toEqual(startDate);
+    expect(schedule[11].date).toEqual(new Date(2025, 11, 1));
+
+    const last = schedule[schedule.length - 1];
+    expect(last.balance).toBe(0);
+    const paid = schedule.reduce((sum, row) => sum + row.principal, 0);
+    expect(paid).toBeCloseTo(300000, 4);
+    expect(last.totalInterest).toBeCloseTo(monthlyPayment(300000, 6, 360) * 360 - 300000, 4);
+  });
+
+  it('applies prepayments to principal so the loan ends early', () => {
+    const baseline = buildAmortizationSchedule({ principal: 300000, annualRate: 6, termMonths: 360, startDate });
+    const schedule = buildAmortizationSchedule({
+      principal: 300000,
+      annualRate: 6,
+      termMonths: 360,
+      startDate,
+      prepayments: { monthly: 200, annual: 0, lumpSum: 10000, lumpSumMonth: 3 }
+    });
+    expect(schedule[0].extra).toBe(200);
+    expect(schedule[2].extra).toBe(10200);
+    expect(schedule[0].payment).toBeCloseTo(baseline[0].payment, 6);
+
+    const summary = summarizeSchedule(schedule, baseline);
+    expect(summary.months).toBeLessThan(360);
+    expect(summary.monthsSaved).toBe(360 - schedule.length);
+    expect(summary.interestSaved).toBeGreaterThan(0);
+    expect(summary.totalExtra).toBeCloseTo(schedule.reduce((sum, row) => sum + row.extra, 0), 6);
+    expect(schedule[schedule.length - 1].balance).toBe(0);
+  });
+
+  it('charges interest only, then recasts over the remaining term', () => {
+    const schedule = buildAmortizationSchedule({
+      principal: 200000, annualRate: 6, termMonths: 360, startDate, interestOnlyMonths: 120
+    });
+    expect(schedule[119].principal).toBe(0);
+    expect(schedule[119].balance).toBe(200000);
+    expect(schedule[120].payment).toBeCloseTo(monthlyPayment(200000, 6, 240), 6);
+    expect(schedule).toHaveLength(360);
+  });
+
+  it('recasts the payment when an adjustable rate moves', () => {
+    const schedule = buildAmortizationSchedule({
+      principal: 200000,
+      annualRate: 5,
+      termMonths: 360,
+      startDate,
+      rateForMonth: (month) => (month <= 60 ? 5 : 7)
+    });
+    expect(schedule[59].rate).toBe(5);
+    expect(schedule[60].rate).toBe(7);
+    expect(schedule[60].payment).toBeCloseTo(monthlyPayment(schedule[59].balance, 7, 300), 6);
+  });
+});
+
+describe('yearlyTotals', () => {
+  it('rolls months up into loan years', () => {
+    const schedule = buildAmortizationSchedule({ principal: 100000, annualRate: 6, termMonths: 24, startDate });
+    const years = yearlyTotals(schedule);
+    expect(years).toHaveLength(2);
+    expect(years[0].interest).toBeCloseTo(schedule.slice(0, 12).reduce((sum, row) => sum + row.interest, 0), 6);
+    expect(years[0].balance).toBe(schedule[11].balance);
+    expect(years[1].balance).toBe(0);
+  });
+});
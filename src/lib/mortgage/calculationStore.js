@@ -0,0 +1,160 @@
+import { readJson, writeJson, userKey } from '../storage';
+
+/**
+ * Where saved calculations and short links live. The account service keeps
+ * them with the user's account, so saved calculations follow the user to
+ * another device and a short link opens for anyone; the local store keeps
+ * both in this browser, for development and offline use.
+ *
+ * @typedef {Object} CalculationStore
+ * @property {string} name
+ * @property {(userId: string) => Promise<Object[]>} listCalculations  newest first
+ * @property {(userId: string, calculation: Object) => Promise<Object>} saveCalculation
+ * @property {(userId: string, calculationId: string) => Promise<void>} deleteCalculation
+ * @property {(encoded: string) => Promise<string>} createLink          short id for an encoded calculator state
+ * @property {(id: string) => Promise<string|null>} resolveLink         encoded state, or null for an unknown id
+ */
+
+export class CalculationStoreError extends Error {
+  constructor(message, { status, store } = {}) {
+    super(message);
+    this.name = 'CalculationStoreError';
+    this.status = status;
+    this.store = store;
+  }
+}
+
+export const savedCalculationsKey = (userId) => userKey(userId, 'savedCalculations');
+
+// Short links are shared between users, so they aren't namespaced per user
+export const SHORT_LINKS_KEY = 'mak:calculatorLinks';
+
+const SHORT_ID_LENGTH = 8;
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const randomShortId = () => Array.from(
+  { length: SHORT_ID_LENGTH },
+  () => ID_ALPHABET[Math.floor(Math.random() * ID_ALPHABET.length)]
+).join('');
+
+/**
+ * Calculation store over localStorage.
+ * @returns {CalculationStore}
+ */
+export const createLocalCalculationStore = () => {
+  const list = (userId) => readJson(savedCalculationsKey(userId), []);
+
+  return {
+    name: 'local',
+
+    async listCalculations(userId) {
+      return list(userId);
+    },
+
+    async saveCalculation(userId, calculation) {
+      writeJson(savedCalculationsKey(userId), [calculation, ...list(userId)]);
+      return calculation;
+    },
+
+    async deleteCalculation(userId, calculationId) {
+      writeJson(savedCalculationsKey(userId), list(userId).filter((calculation) => calculation.id !== calculationId));
+    },
+
+    async createLink(encoded) {
+      const links = readJson(SHORT_LINKS_KEY, {});
+      const existing = Object.keys(links).find((id) => links[id] === encoded);
+      if (existing) return existing;
+      let id = randomShortId();
+      while (links[id]) id = randomShortId();
+      writeJson(SHORT_LINKS_KEY, { ...links, [id]: encoded });
+      return id;
+    },
+
+    async resolveLink(id) {
+      return readJson(SHORT_LINKS_KEY, {})[id] || null;
+    }
+  };
+};
+
+/**
+ * Calculation store backed by the account service
+ * (scripts/mock-account-server.js in development). Requests include
+ * credentials so the service can check the user id against the session.
+ * @param {{baseUrl: string, fetchImpl?: typeof fetch}} options
+ * @returns {CalculationStore}
+ */
+export const createHttpCalculationStore = ({ baseUrl, fetchImpl = (...args) => fetch(...args) }) => {
+  if (!baseUrl) {
+    throw new CalculationStoreError('Account calculation store requires a baseUrl', { store: 'http' });
+  }
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetchImpl(`${root}${path}`, {
+      method,
+      credentials: 'include',
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 404 && method === 'GET') return null;
+    if (!response.ok) {
+      throw new CalculationStoreError(`Account service responded with status ${response.status}`, {
+        status: response.status,
+        store: 'http'
+      });
+    }
+    return response.status === 204 ? null : response.json();
+  };
+  const calculationsPath = (userId) => `/users/${encodeURIComponent(userId)}/calculations`;
+
+  return {
+    name: 'http',
+
+    async listCalculations(userId) {
+      const body = await request(calculationsPath(userId));
+      return body?.calculations || [];
+    },
+
+    async saveCalculation(userId, calculation) {
+      return request(calculationsPath(userId), { method: 'POST', body: calculation });
+    },
+
+    async deleteCalculation(userId, calculationId) {
+      await request(`${calculationsPath(userId)}/${encodeURIComponent(calculationId)}`, { method: 'DELETE' });
+    },
+
+    async createLink(encoded) {
+      const { id } = await request('/links', { method: 'POST', body: { encoded } });
+      return id;
+    },
+
+    async resolveLink(id) {
+      const body = await request(`/links/${encodeURIComponent(id)}`);
+      return body?.encoded || null;
+    }
+  };
+};
+
+/**
+ * Pick the calculation store from REACT_APP_CALCULATION_STORE: "account"
+ * uses the account service at REACT_APP_ACCOUNT_SERVICE_URL; anything else
+ * keeps calculations in this browser. A misconfigured account store also
+ * falls back to the browser, with the problem on `configError`.
+ */
+export const createCalculationStore = (env = process.env) => {
+  if (env.REACT_APP_CALCULATION_STORE !== 'account') return createLocalCalculationStore();
+
+  try {
+    return createHttpCalculationStore({ baseUrl: env.REACT_APP_ACCOUNT_SERVICE_URL });
+  } catch (err) {
+    if (!(err instanceof CalculationStoreError)) throw err;
+    const configError = `${err.message}; set REACT_APP_ACCOUNT_SERVICE_URL. Calculations are saved in this browser only.`;
+    console.error(configError);
+    return { ...createLocalCalculationStore(), configError };
+  }
+};
+
+export const calculationStore = createCalculationStore();
@@ -0,0 +1,37 @@
+import { createLocalCalculationStore, createCalculationStore } from './calculationStore';
+
+describe('local calculation store', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('maps short ids to encoded state and reuses the id for the same state', async () => {
+    const store = createLocalCalculationStore();
+    const id = await store.createLink('2.jeyJhIjoxfQ');
+    expect(id).toMatch(/^[A-Za-z0-9]{8}$/);
+    expect(await store.createLink('2.jeyJhIjoxfQ')).toBe(id);
+    expect(await store.resolveLink(id)).toBe('2.jeyJhIjoxfQ');
+    expect(await store.resolveLink('missing1')).toBeNull();
+  });
+
+  it('keeps saved calculations per user, newest first', async () => {
+    const store = createLocalCalculationStore();
+    await store.saveCalculation('0xabc', { id: 'one', name: 'First' });
+    await store.saveCalculation('0xabc', { id: 'two', name: 'Second' });
+    expect((await store.listCalculations('0xabc')).map((calculation) => calculation.id)).toEqual(['two', 'one']);
+    expect(await store.listCalculations('0xdef')).toEqual([]);
+
+    await store.deleteCalculation('0xabc', 'two');
+    expect((await store.listCalculations('0xabc')).map((calculation) => calculation.id)).toEqual(['one']);
+  });
+});
+
+describe('createCalculationStore', () => {
+  it('falls back to this browser when the account service is not configured', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createCalculationStore({ REACT_APP_CALCULATION_STORE: 'account' });
+    expect(store.name).toBe('local');
+    expect(store.configError).toMatch(/REACT_APP_ACCOUNT_SERVICE_URL/);
+    consoleError.mockRestore();
+  });
+});
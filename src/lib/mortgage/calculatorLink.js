@@ -0,0 +1,169 @@
+/**
+ * Mortgage calculator state as a versioned, shareable link and as named
+ * calculations saved to the user's account (see calculationStore).
+ *
+ * A full link is `/mortgage?calc=<version>.<payload>`, where the payload is
+ * the state JSON, deflated when the browser supports CompressionStream and
+ * base64url encoded. A short link is `/mortgage?c=<id>`, where the id maps
+ * to a full payload held by the calculation store.
+ *
+ * Decoding runs the state through MIGRATIONS up to CALCULATOR_STATE_VERSION,
+ * then applyCalculatorState merges each section over the calculator's current
+ * values: fields added since the link was made keep their defaults and fields
+ * that no longer exist are dropped. Renaming a field or changing its meaning
+ * needs a version bump and a migration.
+ */
+
+export const CALCULATOR_STATE_VERSION = 2;
+
+export const CALC_PARAM = 'calc';
+export const SHORT_LINK_PARAM = 'c';
+
+const SHORT_ID = /^[A-Za-z0-9_-]{6,32}$/;
+
+// Calculator sections carried in a link, each a useState object in MortgageCalculator
+export const CALCULATOR_SECTIONS = [
+  'loanDetails', 'loanProgram', 'prepayments', 'borrowerProfile', 'closingOptions', 'investment', 'cryptoPayment'
+];
+
+// Quote-derived crypto fields are recomputed on load, not shared
+const TRANSIENT_FIELDS = { cryptoPayment: ['amount', 'usdValue'] };
+
+const renameKey = (section, from, to) => {
+  if (!section || !(from in section)) return section;
+  const { [from]: value, ...rest } = section;
+  return { ...rest, [to]: value };
+};
+
+/** MIGRATIONS[n] turns version-n state into version n + 1. */
+const MIGRATIONS = {
+  // v2: borrowerProfile.debtToIncome read as the whole DTI ratio; it is the existing debt before this mortgage
+  1: (state) => ({ ...state, borrowerProfile: renameKey(state.borrowerProfile, 'debtToIncome', 'existingDebtPct') })
+};
+
+// Payload encodings, marked by the character after the version
+const DEFLATED = 'z';
+const PLAIN = 'j';
+
+const canCompress = () => typeof CompressionStream !== 'undefined';
+
+const pipeBytes = async (bytes, transform) => (
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer())
+);
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** The shareable part of the calculator state. */
+export const snapshotCalculatorState = (state) => Object.fromEntries(
+  CALCULATOR_SECTIONS
+    .filter((section) => isPlainObject(state[section]))
+    .map((section) => {
+      const omit = TRANSIENT_FIELDS[section] || [];
+      return [section, Object.fromEntries(
+        Object.entries(state[section]).filter(([field]) => !omit.includes(field))
+      )];
+    })
+);
+
+export const encodeCalculatorState = async (state) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshotCalculatorState(state)));
+  const payload = canCompress()
+    ? `${DEFLATED}${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`
+    : `${PLAIN}${toBase64Url(bytes)}`;
+  return `${CALCULATOR_STATE_VERSION}.${payload}`;
+};
+
+export const migrateCalculatorState = (state, version) => {
+  let migrated = state;
+  for (let from = version; from < CALCULATOR_STATE_VERSION; from++) {
+    if (MIGRATIONS[from]) migrated = MIGRATIONS[from](migrated);
+  }
+  return migrated;
+};
+
+/**
+ * State from a `calc` parameter at the current version, or null when the
+ * link is malformed or was made by a newer calculator than this one.
+ */
+export const decodeCalculatorState = async (encoded) => {
+  const match = /^(\d+)\.([a-z])([A-Za-z0-9_-]+)$/.exec(encoded || '');
+  if (!match) return null;
+  const version = Number(match[1]);
+  if (version < 1 || version > CALCULATOR_STATE_VERSION) return null;
+
+  try {
+    let bytes = fromBase64Url(match[3]);
+    if (match[2] === DEFLATED) {
+      if (!canCompress()) return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (match[2] !== PLAIN) {
+      return null;
+    }
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    return isPlainObject(state) ? snapshotCalculatorState(migrateCalculatorState(state, version)) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Merge a saved section over the current one. Only fields the calculator
+ * still has are taken, and nested settings (ARM caps, VA options) merge
+ * field by field.
+ */
+export const mergeCalculatorSection = (current, saved) => {
+  if (!isPlainObject(saved)) return current;
+  return Object.fromEntries(Object.entries(current).map(([field, value]) => {
+    if (!(field in saved)) return [field, value];
+    if (isPlainObject(value)) return [field, mergeCalculatorSection(value, saved[field])];
+    return [field, typeof saved[field] === typeof value ? saved[field] : value];
+  }));
+};
+
+export const calculatorPath = (encoded) => `/mortgage?${new URLSearchParams({ [CALC_PARAM]: encoded })}`;
+
+export const shortCalculatorPath = (id) => `/mortgage?${new URLSearchParams({ [SHORT_LINK_PARAM]: id })}`;
+
+/**
+ * Calculator state for a shared link's query string: `c` is resolved through
+ * the calculation store, `calc` decoded directly. Null when the link is
+ * broken, unknown or too new; store errors are thrown.
+ * @param {URLSearchParams} searchParams
+ * @param {import('./calculationStore').CalculationStore} store
+ */
+export const resolveCalculatorLink = async (searchParams, store) => {
+  const shortId = searchParams.get(SHORT_LINK_PARAM);
+  if (shortId) {
+    return SHORT_ID.test(shortId) ? decodeCalculatorState(await store.resolveLink(shortId)) : null;
+  }
+  return decodeCalculatorState(searchParams.get(CALC_PARAM));
+};
+
+// Saved calculations
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** A named calculation record, ready to hand to the calculation store. */
+export const newSavedCalculation = ({ name, state }) => ({
+  id: newId(),
+  name: name.trim(),
+  version: CALCULATOR_STATE_VERSION,
+  state: snapshotCalculatorState(state),
+  createdAt: new Date().toISOString()
+});
+
+/** A saved calculation's state brought up to the current version. */
+export const savedCalculationState = (calculation) => snapshotCalculatorState(
+  migrateCalculatorState(calculation.state, calculation.version || 1)
+);
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment node
+ */
+import {
+  CALCULATOR_STATE_VERSION,
+  encodeCalculatorState,
+  decodeCalculatorState,
+  resolveCalculatorLink,
+  shortCalculatorPath
+} from './calculatorLink';
+
+const state = {
+  loanDetails: { propertyPrice: 450000, downPayment: 90000, interestRate: 6.75, loanTerm: 30 },
+  borrowerProfile: { income: 120000, creditScore: 740, existingDebtPct: 8 },
+  cryptoPayment: { enabled: true, symbol: 'ETH', amount: 12.5, usdValue: 40000 },
+  notASection: { ignored: true }
+};
+
+const base64Url = (text) => Buffer.from(text).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+describe('calculator links', () => {
+  it('round-trips the shareable state and drops quote-derived fields', async () => {
+    const encoded = await encodeCalculatorState(state);
+    expect(encoded.startsWith(`${CALCULATOR_STATE_VERSION}.`)).toBe(true);
+    expect(await decodeCalculatorState(encoded)).toEqual({
+      loanDetails: state.loanDetails,
+      borrowerProfile: state.borrowerProfile,
+      cryptoPayment: { enabled: true, symbol: 'ETH' }
+    });
+  });
+
+  it('migrates a version 1 link to the current fields', async () => {
+    const v1 = `1.j${base64Url(JSON.stringify({ borrowerProfile: { income: 90000, debtToIncome: 12 } }))}`;
+    expect(await decodeCalculatorState(v1)).toEqual({ borrowerProfile: { income: 90000, existingDebtPct: 12 } });
+  });
+
+  it('refuses links from a newer calculator and malformed links', async () => {
+    expect(await decodeCalculatorState(`${CALCULATOR_STATE_VERSION + 1}.j${base64Url('{}')}`)).toBeNull();
+    expect(await decodeCalculatorState('2.j%%%')).toBeNull();
+    expect(await decodeCalculatorState(null)).toBeNull();
+  });
+
+  it('resolves a short link through the calculation store', async () => {
+    const links = {};
+    const store = {
+      createLink: async (encoded) => {
+        links.abc12345 = encoded;
+        return 'abc12345';
+      },
+      resolveLink: async (id) => links[id] || null
+    };
+    const path = shortCalculatorPath(await store.createLink(await encodeCalculatorState(state)));
+    expect(path).toBe('/mortgage?c=abc12345');
+
+    const params = new URLSearchParams(path.split('?')[1]);
+    expect((await resolveCalculatorLink(params, store)).loanDetails).toEqual(state.loanDetails);
+    expect(await resolveCalculatorLink(new URLSearchParams('c=unknown1'), store)).toBeNull();
+    expect(await resolveCalculatorLink(new URLSearchParams('c=../etc'), store)).toBeNull();
+  });
+});
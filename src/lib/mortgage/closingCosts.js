@@ -0,0 +1,195 @@
+import { LOAN_PRODUCTS } from './products';
+
+/**
+ * Itemized closing costs and cash to close, laid out like page 2 of the
+ * Loan Estimate (sections A-H and "Calculating Cash to Close").
+ *
+ * Fees are typical amounts for a purchase, not quotes. Transfer taxes use
+ * the state rate plus a typical local rate and the customary buyer share;
+ * counties and contracts vary.
+ */
+
+export const DEFAULT_PROPERTY_STATE = 'PA';
+
+export const LENDER_FEES = {
+  originationRate: 0.005,
+  underwriting: 1195,
+  appraisal: 650,
+  creditReport: 50,
+  floodCertification: 15,
+  taxService: 85
+};
+
+export const TITLE_FEES = {
+  lendersPolicyRate: 0.0025,
+  ownersPolicyRate: 0.0035,
+  minimumPolicy: 500,
+  settlement: 750,
+  search: 250,
+  survey: 400
+};
+
+export const RECORDING_FEES = 250;
+
+// Months of each bill collected into escrow at closing
+export const ESCROW_MONTHS = { propertyTax: 3, insurance: 2 };
+
+// HOA transfer and capital contribution, in months of dues
+export const HOA_TRANSFER_MONTHS = 2;
+
+/**
+ * Buyer-side transfer taxes by state. `deedRate` is charged on the price and
+ * split by `buyerShare`; `mortgageRate` is charged on the loan amount and
+ * paid by the buyer; mansion taxes apply at or above `mansionThreshold`.
+ */
+export const TRANSFER_TAXES = {
+  CA: { label: 'California', deedRate: 0.0011, buyerShare: 0 },
+  DC: { label: 'District of Columbia', deedRate: 0.029, buyerShare: 0.5 },
+  DE: { label: 'Delaware', deedRate: 0.04, buyerShare: 0.5 },
+  FL: { label: 'Florida', deedRate: 0.007, buyerShare: 0, mortgageRate: 0.0055 },
+  GA: { label: 'Georgia', deedRate: 0.001, buyerShare: 0, mortgageRate: 0.003 },
+  IL: { label: 'Illinois', deedRate: 0.0015, buyerShare: 0 },
+  MD: { label: 'Maryland', deedRate: 0.015, buyerShare: 0.5 },
+  MN: { label: 'Minnesota', deedRate: 0.0033, buyerShare: 0, mortgageRate: 0.0024 },
+  NJ: { label: 'New Jersey', deedRate: 0.01, buyerShare: 0, mansionThreshold: 1000000, mansionRate: 0.01 },
+  NY: {
+    label: 'New York', deedRate: 0.004, buyerShare: 0, mortgageRate: 0.0105, mansionThreshold: 1000000, mansionRate: 0.01
+  },
+  PA: { label: 'Pennsylvania', deedRate: 0.02, buyerShare: 0.5 },
+  TX: { label: 'Texas', deedRate: 0, buyerShare: 0 },
+  VA: { label: 'Virginia', deedRate: 0.0025, buyerShare: 1 },
+  WA: { label: 'Washington', deedRate: 0.0128, buyerShare: 0 }
+};
+
+// States not in the table
+export const DEFAULT_TRANSFER_TAX = { label: 'Other', deedRate: 0.002, buyerShare: 0.5 };
+
+export const DEFAULT_CLOSING_OPTIONS = {
+  points: 0,
+  sellerCredits: 0,
+  prepaidInterestDays: 15,
+  ownersTitlePolicy: true
+};
+
+const UPFRONT_FEE_LABELS = {
+  [LOAN_PRODUCTS.FHA]: 'FHA Upfront Mortgage Insurance',
+  [LOAN_PRODUCTS.VA]: 'VA Funding Fee',
+  [LOAN_PRODUCTS.USDA]: 'USDA Guarantee Fee'
+};
+
+export const transferTaxes = ({ state, propertyPrice, loanAmount }) => {
+  const rule = TRANSFER_TAXES[state] || DEFAULT_TRANSFER_TAX;
+  const deed = propertyPrice * rule.deedRate * rule.buyerShare;
+  const mortgage = loanAmount * (rule.mortgageRate || 0);
+  const mansion = rule.mansionThreshold && propertyPrice >= rule.mansionThreshold
+    ? propertyPrice * rule.mansionRate
+    : 0;
+  return { deed, mortgage, mansion, total: deed + mortgage + mansion };
+};
+
+const section = (id, label, items) => {
+  const kept = items.filter((item) => item.amount > 0);
+  return {
+    id,
+    label,
+    items: kept,
+    total: kept.reduce((sum, item) => sum + item.amount, 0)
+  };
+};
+
+/**
+ * @param {Object} args
+ * @param {Object} args.loanDetails  calculator inputs; `state` is the property's two-letter state
+ * @param {Object} args.loan         evaluateLoan result
+ * @param {number} [args.points]     discount points, each 1% of the loan; the loan's rate is the rate after points
+ * @param {number} [args.sellerCredits]
+ * @param {number} [args.prepaidInterestDays]  days of interest from closing to the end of the month
+ * @param {boolean} [args.ownersTitlePolicy]
+ */
+export const estimateClosingCosts = ({
+  loanDetails,
+  loan,
+  points = DEFAULT_CLOSING_OPTIONS.points,
+  sellerCredits = DEFAULT_CLOSING_OPTIONS.sellerCredits,
+  prepaidInterestDays = DEFAULT_CLOSING_OPTIONS.prepaidInterestDays,
+  ownersTitlePolicy = DEFAULT_CLOSING_OPTIONS.ownersTitlePolicy
+}) => {
+  const { propertyPrice, downPayment, interestRate } = loanDetails;
+  const state = loanDetails.state || DEFAULT_PROPERTY_STATE;
+  const { loanAmount, upfrontFee } = loan;
+  const pointsCost = (loanAmount * points) / 100;
+  const taxes = transferTaxes({ state, propertyPrice, loanAmount });
+  const titlePolicy = (rate, amount) => Math.max(amount * rate, TITLE_FEES.minimumPolicy);
+
+  const sections = [
+    section('origination', 'A. Origination Charges', [
+      { label: 'Origination Fee', amount: loan.baseLoanAmount * LENDER_FEES.originationRate },
+      { label: 'Underwriting Fee', amount: LENDER_FEES.underwriting },
+      { label: `Discount Points (${points})`, amount: pointsCost }
+    ]),
+    section('required', 'B. Services You Cannot Shop For', [
+      { label: 'Appraisal Fee', amount: LENDER_FEES.appraisal },
+      { label: 'Credit Report Fee', amount: LENDER_FEES.creditReport },
+      { label: 'Flood Certification', amount: LENDER_FEES.floodCertification },
+      { label: 'Tax Service', amount: LENDER_FEES.taxService },
+      { label: UPFRONT_FEE_LABELS[loan.type], amount: upfrontFee, financed: true }
+    ]),
+    section('shoppable', 'C. Services You Can Shop For', [
+      { label: "Title - Lender's Title Policy", amount: titlePolicy(TITLE_FEES.lendersPolicyRate, loanAmount) },
+      { label: 'Title - Settlement Fee', amount: TITLE_FEES.settlement },
+      { label: 'Title - Title Search', amount: TITLE_FEES.search },
+      { label: 'Survey Fee', amount: TITLE_FEES.survey }
+    ]),
+    section('government', 'E. Taxes and Other Government Fees', [
+      { label: 'Recording Fees', amount: RECORDING_FEES },
+      { label: 'Transfer Taxes', amount: taxes.deed },
+      { label: 'Mortgage Recording Tax', amount: taxes.mortgage },
+      { label: 'Mansion Tax', amount: taxes.mansion }
+    ]),
+    section('prepaids', 'F. Prepaids', [
+      { label: "Homeowner's Insurance Premium (12 mo.)", amount: loanDetails.insurance },
+      {
+        label: `Prepaid Interest (${prepaidInterestDays} days)`,
+        amount: (loanAmount * interestRate) / 100 / 365 * prepaidInterestDays
+      }
+    ]),
+    section('escrow', 'G. Initial Escrow Payment at Closing', [
+      {
+        label: `Property Taxes (${ESCROW_MONTHS.propertyTax} mo.)`,
+        amount: (loanDetails.propertyTax / 12) * ESCROW_MONTHS.propertyTax
+      },
+      {
+        label: `Homeowner's Insurance (${ESCROW_MONTHS.insurance} mo.)`,
+        amount: (loanDetails.insurance / 12) * ESCROW_MONTHS.insurance
+      }
+    ]),
+    section('other', 'H. Other', [
+      { label: "Title - Owner's Title Policy", amount: ownersTitlePolicy ? titlePolicy(TITLE_FEES.ownersPolicyRate, propertyPrice) : 0 },
+      { label: 'HOA Transfer and Capital Contribution', amount: (loanDetails.hoaFees / 12) * HOA_TRANSFER_MONTHS }
+    ])
+  ];
+
+  const total = (ids) => sections
+    .filter((entry) => ids.includes(entry.id))
+    .reduce((sum, entry) => sum + entry.total, 0);
+  const loanCosts = total(['origination', 'required', 'shoppable']);
+  const otherCosts = total(['government', 'prepaids', 'escrow', 'other']);
+  const totalClosingCosts = loanCosts + otherCosts;
+  const financedCosts = upfrontFee;
+  // Seller concessions can only pay closing costs, never the down payment
+  const appliedSellerCredits = Math.min(Math.max(sellerCredits, 0), totalClosingCosts - financedCosts);
+
+  return {
+    state,
+    sections,
+    pointsCost,
+    transferTaxes: taxes,
+    loanCosts,
+    otherCosts,
+    totalClosingCosts,
+    financedCosts,
+    downPayment,
+    sellerCredits: appliedSellerCredits,
+    cashToClose: totalClosingCosts - financedCosts + downPayment - appliedSellerCredits
+  };
+};
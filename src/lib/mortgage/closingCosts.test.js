@@ -0,0 +1,74 @@
+import { estimateClosingCosts, transferTaxes } from './closingCosts';
+import { evaluateLoan, LOAN_PRODUCTS, DEFAULT_LOAN_PROGRAM } from './products';
+
+const loanDetails = {
+  propertyPrice: 400000,
+  downPayment: 80000,
+  interestRate: 6,
+  loanTerm: 30,
+  propertyTax: 6000,
+  insurance: 1200,
+  hoaFees: 0,
+  state: 'PA'
+};
+
+const conventional = { type: LOAN_PRODUCTS.CONVENTIONAL, baseLoanAmount: 320000, loanAmount: 320000, upfrontFee: 0 };
+
+const sectionTotals = (estimate) => Object.fromEntries(estimate.sections.map((entry) => [entry.id, entry.total]));
+
+describe('transferTaxes', () => {
+  it('charges the buyer their customary share of the deed tax', () => {
+    expect(transferTaxes({ state: 'PA', propertyPrice: 400000, loanAmount: 320000 }).total).toBe(4000);
+    expect(transferTaxes({ state: 'TX', propertyPrice: 400000, loanAmount: 320000 }).total).toBe(0);
+  });
+
+  it('adds mortgage recording and mansion taxes where the state has them', () => {
+    const taxes = transferTaxes({ state: 'NY', propertyPrice: 1200000, loanAmount: 900000 });
+    expect(taxes.deed).toBe(0);
+    expect(taxes.mortgage).toBeCloseTo(9450, 6);
+    expect(taxes.mansion).toBe(12000);
+  });
+
+  it('falls back to a default rule for states not in the table', () => {
+    expect(transferTaxes({ state: 'OH', propertyPrice: 400000, loanAmount: 0 }).deed).toBe(400);
+  });
+});
+
+describe('estimateClosingCosts', () => {
+  it('itemizes each Loan Estimate section', () => {
+    const estimate = estimateClosingCosts({ loanDetails, loan: conventional, points: 1 });
+    expect(estimate.pointsCost).toBe(3200);
+    expect(sectionTotals(estimate)).toEqual({
+      origination: 1600 + 1195 + 3200,
+      required: 800,
+      shoppable: 2200,
+      government: 4250,
+      prepaids: expect.closeTo(1200 + (320000 * 0.06 / 365) * 15, 6),
+      escrow: 1700,
+      other: 1400
+    });
+    expect(estimate.loanCosts + estimate.otherCosts).toBeCloseTo(estimate.totalClosingCosts, 6);
+    expect(estimate.cashToClose).toBeCloseTo(estimate.totalClosingCosts + 80000, 6);
+  });
+
+  it('leaves out empty lines and the owner\'s policy when declined', () => {
+    const estimate = estimateClosingCosts({ loanDetails, loan: conventional, ownersTitlePolicy: false });
+    const labels = estimate.sections.flatMap((entry) => entry.items.map((item) => item.label));
+    expect(labels).not.toContain('Discount Points (0)');
+    expect(labels).not.toContain("Title - Owner's Title Policy");
+    expect(estimate.sections.find((entry) => entry.id === 'other').items).toEqual([]);
+  });
+
+  it('does not count a financed upfront fee toward cash to close', () => {
+    const loan = evaluateLoan({ loanDetails, program: { ...DEFAULT_LOAN_PROGRAM, type: LOAN_PRODUCTS.FHA } });
+    const estimate = estimateClosingCosts({ loanDetails, loan });
+    expect(estimate.financedCosts).toBe(loan.upfrontFee);
+    expect(estimate.cashToClose).toBeCloseTo(estimate.totalClosingCosts - loan.upfrontFee + 80000, 6);
+  });
+
+  it('caps seller credits at the closing costs the buyer pays', () => {
+    const estimate = estimateClosingCosts({ loanDetails, loan: conventional, sellerCredits: 100000 });
+    expect(estimate.sellerCredits).toBeCloseTo(estimate.totalClosingCosts, 6);
+    expect(estimate.cashToClose).toBeCloseTo(80000, 6);
+  });
+});
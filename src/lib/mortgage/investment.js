@@ -0,0 +1,169 @@
+/**
+ * Rental property analysis (cash flow, cap rate, cash-on-cash, DSCR, IRR)
+ * and the rent-vs-buy net worth comparison.
+ *
+ * Percent inputs are whole percents (5 = 5%). Expense percentages apply to
+ * gross scheduled rent. Yearly debt service comes from the loan's
+ * amortization schedule, so ARMs, interest-only periods, mortgage insurance
+ * and prepayments carry through.
+ */
+
+export const DEFAULT_INVESTMENT = {
+  monthlyRent: 2800,
+  vacancyPct: 5,
+  managementPct: 8,
+  maintenancePct: 5,
+  capexPct: 5,
+  rentGrowthPct: 3,
+  appreciationPct: 3,
+  expenseGrowthPct: 3,
+  sellingCostPct: 6,
+  // Rent vs buy: what the renter's savings earn, and the owner's upkeep
+  investmentReturnPct: 6,
+  ownerMaintenancePct: 1
+};
+
+export const IRR_HOLD_YEARS = [5, 10];
+
+const grow = (amount, pct, years) => amount * (1 + pct / 100) ** years;
+
+// Principal, interest, MI and extra principal paid in a loan year (1-based)
+const yearlyDebtService = (schedule, year) => schedule
+  .slice((year - 1) * 12, year * 12)
+  .reduce((sum, row) => sum + row.payment + (row.mi || 0) + (row.extra || 0), 0);
+
+const balanceAfterYear = (schedule, year) => {
+  const row = schedule[Math.min(year * 12, schedule.length) - 1];
+  return row && year * 12 <= schedule.length ? row.balance : 0;
+};
+
+/**
+ * Internal rate of return for yearly cash flows starting at year 0, found by
+ * bisection. Null when the flows never change sign.
+ */
+export const irr = (cashFlows) => {
+  const npv = (rate) => cashFlows.reduce((sum, flow, year) => sum + flow / (1 + rate) ** year, 0);
+  let low = -0.99;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+  }
+  return (low + high) / 2;
+};
+
+/** Income and expenses for one year of ownership, before debt service. */
+const operatingYear = (loanDetails, investment, year) => {
+  const grossRent = grow(investment.monthlyRent * 12, investment.rentGrowthPct, year - 1);
+  const vacancy = grossRent * (investment.vacancyPct / 100);
+  const management = grossRent * (investment.managementPct / 100);
+  const maintenance = grossRent * (investment.maintenancePct / 100);
+  const capex = grossRent * (investment.capexPct / 100);
+  const fixed = grow(
+    loanDetails.propertyTax + loanDetails.insurance + loanDetails.hoaFees,
+    investment.expenseGrowthPct,
+    year - 1
+  );
+  const operatingExpenses = management + maintenance + capex + fixed;
+  return {
+    grossRent,
+    vacancy,
+    effectiveIncome: grossRent - vacancy,
+    operatingExpenses,
+    noi: grossRent - vacancy - operatingExpenses
+  };
+};
+
+/**
+ * @param {Object} args
+ * @param {Object} args.loanDetails
+ * @param {Object} args.loan         evaluateLoan result
+ * @param {number} args.cashToClose  the investor's cash in at purchase
+ * @param {Object} [args.investment]
+ */
+export const analyzeInvestment = ({ loanDetails, loan, cashToClose, investment = DEFAULT_INVESTMENT }) => {
+  const horizon = Math.max(...IRR_HOLD_YEARS);
+  const years = Array.from({ length: horizon }, (_, i) => {
+    const year = i + 1;
+    const operating = operatingYear(loanDetails, investment, year);
+    const debtService = yearlyDebtService(loan.schedule, year);
+    const propertyValue = grow(loanDetails.propertyPrice, investment.appreciationPct, year);
+    const loanBalance = balanceAfterYear(loan.schedule, year);
+    return {
+      year,
+      ...operating,
+      debtService,
+      cashFlow: operating.noi - debtService,
+      propertyValue,
+      loanBalance,
+      // What a sale at the end of this year would return
+      saleProceeds: propertyValue * (1 - investment.sellingCostPct / 100) - loanBalance
+    };
+  });
+
+  const first = years[0];
+  const irrByHold = Object.fromEntries(IRR_HOLD_YEARS.map((hold) => [hold, irr([
+    -cashToClose,
+    ...years.slice(0, hold).map((row) => row.cashFlow + (row.year === hold ? row.saleProceeds : 0))
+  ])]));
+
+  return {
+    grossRent: first.grossRent,
+    effectiveIncome: first.effectiveIncome,
+    operatingExpenses: first.operatingExpenses,
+    noi: first.noi,
+    annualDebtService: first.debtService,
+    annualCashFlow: first.cashFlow,
+    monthlyCashFlow: first.cashFlow / 12,
+    capRate: loanDetails.propertyPrice > 0 ? (first.noi / loanDetails.propertyPrice) * 100 : 0,
+    cashOnCash: cashToClose > 0 ? (first.cashFlow / cashToClose) * 100 : null,
+    dscr: first.debtService > 0 ? first.noi / first.debtService : null,
+    irr: Object.fromEntries(Object.entries(irrByHold).map(([hold, rate]) => [hold, rate === null ? null : rate * 100])),
+    years
+  };
+};
+
+/**
+ * Net worth of buying this home against renting a comparable one at
+ * `investment.monthlyRent` for the length of the loan. Both start with the
+ * buyer's cash to close; each year, whichever side spends less invests the
+ * difference at `investmentReturnPct`.
+ *
+ * @returns {{years: Array<Object>, breakEvenYear: (number|null)}}  yearly owner and renter costs and net worth
+ */
+export const rentVsBuy = ({ loanDetails, loan, cashToClose, investment = DEFAULT_INVESTMENT }) => {
+  const returnRate = investment.investmentReturnPct / 100;
+  const horizon = Math.max(loanDetails.loanTerm, 1);
+  let buyerPortfolio = 0;
+  let renterPortfolio = cashToClose;
+  const years = [];
+
+  for (let year = 1; year <= horizon; year++) {
+    const startValue = grow(loanDetails.propertyPrice, investment.appreciationPct, year - 1);
+    const ownerCost = yearlyDebtService(loan.schedule, year)
+      + grow(loanDetails.propertyTax + loanDetails.insurance + loanDetails.hoaFees, investment.expenseGrowthPct, year - 1)
+      + startValue * (investment.ownerMaintenancePct / 100);
+    const renterCost = grow(investment.monthlyRent * 12, investment.rentGrowthPct, year - 1);
+
+    buyerPortfolio = buyerPortfolio * (1 + returnRate) + Math.max(renterCost - ownerCost, 0);
+    renterPortfolio = renterPortfolio * (1 + returnRate) + Math.max(ownerCost - renterCost, 0);
+
+    // Equity net of selling costs, as if sold at the end of the year
+    const homeEquity = grow(loanDetails.propertyPrice, investment.appreciationPct, year)
+      * (1 - investment.sellingCostPct / 100)
+      - balanceAfterYear(loan.schedule, year);
+    years.push({
+      year,
+      ownerCost,
+      renterCost,
+      homeEquity,
+      buyerNetWorth: homeEquity + buyerPortfolio,
+      renterNetWorth: renterPortfolio
+    });
+  }
+
+  const breakEven = years.find((row) => row.buyerNetWorth >= row.renterNetWorth);
+  return { years, breakEvenYear: breakEven ? breakEven.year : null };
+};
@@ -0,0 +1,92 @@
+import { analyzeInvestment, irr, rentVsBuy, DEFAULT_INVESTMENT } from './investment';
+import { evaluateLoan, DEFAULT_LOAN_PROGRAM } from './products';
+
+const loanDetails = {
+  propertyPrice: 240000,
+  downPayment: 240000,
+  interestRate: 6,
+  loanTerm: 30,
+  propertyTax: 2400,
+  insurance: 1200,
+  hoaFees: 0
+};
+
+// No growth and no selling costs, so every year looks like the first
+const flat = {
+  ...DEFAULT_INVESTMENT,
+  monthlyRent: 2000,
+  vacancyPct: 5,
+  managementPct: 10,
+  maintenancePct: 0,
+  capexPct: 0,
+  rentGrowthPct: 0,
+  appreciationPct: 0,
+  expenseGrowthPct: 0,
+  sellingCostPct: 0
+};
+
+const cashPurchase = { schedule: [] };
+
+describe('irr', () => {
+  it('finds the rate that zeroes the net present value', () => {
+    expect(irr([-100, 110])).toBeCloseTo(0.1, 8);
+    expect(irr([-1000, 100, 100, 1100])).toBeCloseTo(0.1, 8);
+  });
+
+  it('is null when the cash flows never change sign', () => {
+    expect(irr([-100, -10, -10])).toBeNull();
+  });
+});
+
+describe('analyzeInvestment', () => {
+  it('computes first-year returns for a cash purchase', () => {
+    const analysis = analyzeInvestment({ loanDetails, loan: cashPurchase, cashToClose: 240000, investment: flat });
+    expect(analysis.grossRent).toBe(24000);
+    expect(analysis.effectiveIncome).toBe(22800);
+    expect(analysis.operatingExpenses).toBe(6000);
+    expect(analysis.noi).toBe(16800);
+    expect(analysis.capRate).toBeCloseTo(7, 10);
+    expect(analysis.cashOnCash).toBeCloseTo(7, 10);
+    expect(analysis.dscr).toBeNull();
+    // Flat income and a sale at cost return the cap rate
+    expect(analysis.irr[5]).toBeCloseTo(7, 6);
+    expect(analysis.irr[10]).toBeCloseTo(7, 6);
+    expect(analysis.years).toHaveLength(10);
+  });
+
+  it('pays debt service from the loan schedule and nets the balance out of a sale', () => {
+    const financed = { ...loanDetails, downPayment: 60000 };
+    const loan = evaluateLoan({ loanDetails: financed, program: DEFAULT_LOAN_PROGRAM });
+    const analysis = analyzeInvestment({ loanDetails: financed, loan, cashToClose: 70000, investment: flat });
+    const debtService = loan.schedule.slice(0, 12).reduce((sum, row) => sum + row.payment + row.mi, 0);
+
+    expect(analysis.annualDebtService).toBeCloseTo(debtService, 6);
+    expect(analysis.annualCashFlow).toBeCloseTo(16800 - debtService, 6);
+    expect(analysis.monthlyCashFlow).toBeCloseTo(analysis.annualCashFlow / 12, 6);
+    expect(analysis.dscr).toBeCloseTo(16800 / debtService, 6);
+    expect(analysis.years[4].loanBalance).toBe(loan.schedule[59].balance);
+    expect(analysis.years[4].saleProceeds).toBeCloseTo(240000 - loan.schedule[59].balance, 6);
+  });
+});
+
+describe('rentVsBuy', () => {
+  it('invests whichever side spends less and finds when buying pulls ahead', () => {
+    const financed = { ...loanDetails, downPayment: 48000 };
+    const loan = evaluateLoan({ loanDetails: financed, program: DEFAULT_LOAN_PROGRAM });
+    const { years, breakEvenYear } = rentVsBuy({
+      loanDetails: financed, loan, cashToClose: 55000, investment: DEFAULT_INVESTMENT
+    });
+    expect(years).toHaveLength(30);
+
+    // Renting costs more here, so the renter only grows their cash to close
+    const [first] = years;
+    expect(first.renterCost).toBe(2800 * 12);
+    expect(first.ownerCost).toBeLessThan(first.renterCost);
+    expect(first.renterNetWorth).toBeCloseTo(55000 * 1.06, 6);
+    expect(first.buyerNetWorth).toBeCloseTo(first.homeEquity + first.renterCost - first.ownerCost, 6);
+
+    // Selling costs keep the buyer behind in year one
+    expect(first.buyerNetWorth).toBeLessThan(first.renterNetWorth);
+    expect(breakEvenYear).toBe(2);
+  });
+});
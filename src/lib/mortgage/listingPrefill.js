@@ -0,0 +1,37 @@
+/**
+ * Carry a listing into the mortgage calculator: the pre-qualification link
+ * for a listing and the loan inputs it implies.
+ */
+
+// Used when a listing has no tax record (roughly the US median effective rate)
+export const DEFAULT_PROPERTY_TAX_RATE = 0.011;
+
+export const LISTING_PARAM = 'listing';
+
+export const prequalifyPath = (listing) => (
+  listing ? `/mortgage?${LISTING_PARAM}=${encodeURIComponent(listing.id)}` : '/mortgage'
+);
+
+export const estimatePropertyTax = (listing) => (
+  listing.taxAnnual ?? Math.round(listing.price * DEFAULT_PROPERTY_TAX_RATE)
+);
+
+/**
+ * Loan details prefilled from a listing. The down payment keeps the same
+ * percentage the user had entered; HOA is stored annually like propertyTax.
+ * The state drives transfer taxes in the closing cost estimate.
+ */
+export const loanDetailsFromListing = (listing, loanDetails) => {
+  const downPaymentRatio = loanDetails.propertyPrice > 0
+    ? loanDetails.downPayment / loanDetails.propertyPrice
+    : 0.2;
+
+  return {
+    ...loanDetails,
+    propertyPrice: listing.price,
+    downPayment: Math.round(listing.price * downPaymentRatio),
+    propertyTax: estimatePropertyTax(listing),
+    hoaFees: (listing.hoaMonthly || 0) * 12,
+    state: listing.state || loanDetails.state
+  };
+};
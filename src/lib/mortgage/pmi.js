@@ -0,0 +1,62 @@
+/**
+ * Borrower-paid private mortgage insurance on conventional loans.
+ */
+
+// Cancellation thresholds under the Homeowners Protection Act, as a share of
+// the original property value
+export const PMI_REQUEST_LTV = 0.8;
+export const PMI_AUTOMATIC_LTV = 0.78;
+
+const CREDIT_BANDS = [760, 740, 720, 700, 680, 660, 640, 620];
+
+// Annual premium (percent of the loan) by LTV ceiling, one column per credit band
+const PMI_RATE_CARD = [
+  { maxLtv: 0.85, rates: [0.19, 0.2, 0.23, 0.25, 0.3, 0.38, 0.4, 0.44] },
+  { maxLtv: 0.9, rates: [0.28, 0.38, 0.46, 0.55, 0.69, 0.89, 0.97, 1.06] },
+  { maxLtv: 0.95, rates: [0.38, 0.53, 0.66, 0.78, 0.96, 1.28, 1.38, 1.5] },
+  { maxLtv: 0.97, rates: [0.58, 0.7, 0.87, 0.99, 1.21, 1.54, 1.65, 1.86] }
+];
+
+/**
+ * Annual PMI rate as a fraction of the loan amount. Zero at or below 80% LTV;
+ * scores under 620 and LTVs over 97% price at the last band.
+ */
+export const pmiAnnualRate = (ltv, creditScore) => {
+  if (ltv <= PMI_REQUEST_LTV) return 0;
+  const row = PMI_RATE_CARD.find((band) => ltv <= band.maxLtv) || PMI_RATE_CARD[PMI_RATE_CARD.length - 1];
+  const column = CREDIT_BANDS.findIndex((floor) => creditScore >= floor);
+  return row.rates[column === -1 ? CREDIT_BANDS.length - 1 : column] / 100;
+};
+
+/**
+ * PMI over a schedule. The premium stops automatically once the original
+ * schedule, without prepayments, reaches 78% of the original value, or at the
+ * midpoint of the term. The borrower may ask to cancel once the actual
+ * balance reaches 80%, so prepayments move `requestMonth` but not the
+ * automatic cutoff.
+ * @param {Object} args
+ * @param {Object[]} args.schedule            the loan's schedule, with any prepayments
+ * @param {Object[]} [args.originalSchedule]  the same loan without prepayments
+ * @returns {{ annualRate: number, monthly: number, requestMonth: ?number, monthlyMI: (month: number) => number }}
+ */
+export const privateMortgageInsurance = ({
+  schedule, originalSchedule = schedule, loanAmount, propertyValue, creditScore, termMonths
+}) => {
+  const annualRate = propertyValue > 0 ? pmiAnnualRate(loanAmount / propertyValue, creditScore) : 0;
+  const monthly = (loanAmount * annualRate) / 12;
+  const owedBefore = (row) => row.balance + row.principal + row.extra;
+  const reaches = (rows, ltv) => (
+    annualRate > 0 ? rows.find((row) => owedBefore(row) <= propertyValue * ltv) : undefined
+  );
+
+  const requestRow = reaches(schedule, PMI_REQUEST_LTV);
+  const automaticRow = reaches(originalSchedule, PMI_AUTOMATIC_LTV);
+  const lastCharged = Math.min(automaticRow ? automaticRow.month - 1 : termMonths, Math.floor(termMonths / 2));
+
+  return {
+    annualRate,
+    monthly,
+    requestMonth: requestRow ? requestRow.month : null,
+    monthlyMI: (month) => (annualRate > 0 && month <= lastCharged ? monthly : 0)
+  };
+};
@@ -0,0 +1,63 @@
+import { privateMortgageInsurance, pmiAnnualRate } from './pmi';
+import { buildAmortizationSchedule, EMPTY_PREPAYMENTS } from './amortization';
+
+const propertyValue = 400000;
+const termMonths = 360;
+
+const scheduleFor = (principal, annualRate, prepayments = EMPTY_PREPAYMENTS) => buildAmortizationSchedule({
+  principal, annualRate, termMonths, prepayments, startDate: new Date(2025, 0, 1)
+});
+
+// First payment whose opening balance is at or below `ltv` of the value
+const monthAt = (schedule, ltv) => schedule.find((row) => row.balance + row.principal + row.extra <= propertyValue * ltv).month;
+
+describe('privateMortgageInsurance', () => {
+  it('charges from the first payment and opens cancellation at 80% of the original value', () => {
+    const schedule = scheduleFor(360000, 6.5);
+    const pmi = privateMortgageInsurance({ schedule, loanAmount: 360000, propertyValue, creditScore: 740, termMonths });
+    expect(pmi.annualRate).toBe(pmiAnnualRate(0.9, 740));
+    expect(pmi.monthly).toBeCloseTo((360000 * pmi.annualRate) / 12, 6);
+    expect(pmi.monthlyMI(1)).toBe(pmi.monthly);
+    expect(pmi.requestMonth).toBe(monthAt(schedule, 0.8));
+  });
+
+  it('stops automatically at 78% of the original schedule', () => {
+    const schedule = scheduleFor(360000, 6.5);
+    const pmi = privateMortgageInsurance({ schedule, loanAmount: 360000, propertyValue, creditScore: 740, termMonths });
+    const automatic = monthAt(schedule, 0.78);
+    expect(automatic).toBeGreaterThan(pmi.requestMonth);
+    expect(automatic).toBeLessThanOrEqual(termMonths / 2);
+    expect(pmi.monthlyMI(automatic - 1)).toBe(pmi.monthly);
+    expect(pmi.monthlyMI(automatic)).toBe(0);
+  });
+
+  it('moves the 80% request with prepayments but keeps the automatic cutoff on the original schedule', () => {
+    const originalSchedule = scheduleFor(360000, 6.5);
+    const schedule = scheduleFor(360000, 6.5, { ...EMPTY_PREPAYMENTS, lumpSum: 60000, lumpSumMonth: 12 });
+    const pmi = privateMortgageInsurance({
+      schedule, originalSchedule, loanAmount: 360000, propertyValue, creditScore: 740, termMonths
+    });
+    const automatic = monthAt(originalSchedule, 0.78);
+    expect(pmi.requestMonth).toBe(13);
+    expect(monthAt(schedule, 0.78)).toBe(13);
+    expect(pmi.monthlyMI(13)).toBe(pmi.monthly);
+    expect(pmi.monthlyMI(automatic - 1)).toBe(pmi.monthly);
+    expect(pmi.monthlyMI(automatic)).toBe(0);
+  });
+
+  it('stops at the midpoint of the term when 78% comes later', () => {
+    const schedule = scheduleFor(388000, 11);
+    const pmi = privateMortgageInsurance({ schedule, loanAmount: 388000, propertyValue, creditScore: 700, termMonths });
+    expect(monthAt(schedule, 0.78)).toBeGreaterThan(termMonths / 2 + 1);
+    expect(pmi.monthlyMI(180)).toBe(pmi.monthly);
+    expect(pmi.monthlyMI(181)).toBe(0);
+  });
+
+  it('charges nothing at or below 80% LTV', () => {
+    const schedule = scheduleFor(320000, 6.5);
+    const pmi = privateMortgageInsurance({ schedule, loanAmount: 320000, propertyValue, creditScore: 740, termMonths });
+    expect(pmi.annualRate).toBe(0);
+    expect(pmi.requestMonth).toBeNull();
+    expect(pmi.monthlyMI(1)).toBe(0);
+  });
+});
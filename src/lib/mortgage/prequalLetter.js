@@ -0,0 +1,167 @@
+import { id as hashText, keccak256, toUtf8Bytes, toUtf8String, encodeBase64, decodeBase64 } from 'ethers';
+import { readJson, writeJson, userKey } from '../storage';
+import { escapeHtml } from '../export';
+
+/**
+ * Borrower pre-qualification letters: creation, the hash anchored in
+ * PrequalRegistry, the printable document and per-user storage.
+ *
+ * The hash covers the terms a listing agent relies on (HASHED_FIELDS). A
+ * letter's verification link carries those terms so the verify page can
+ * recompute the hash and show the agent what was issued.
+ */
+
+export const LETTER_VALIDITY_DAYS = 90;
+
+export const LOAN_OFFICER = {
+  name: process.env.REACT_APP_MLO_NAME || 'Michael Kelczewski',
+  title: process.env.REACT_APP_MLO_TITLE || 'Founder, MAK Realty',
+  nmlsId: process.env.REACT_APP_MLO_NMLS_ID || '',
+  company: process.env.REACT_APP_MLO_COMPANY || 'MAK Realty',
+  companyNmlsId: process.env.REACT_APP_MLO_COMPANY_NMLS_ID || '',
+  licensedStates: process.env.REACT_APP_MLO_LICENSED_STATES || ''
+};
+
+const HASHED_FIELDS = [
+  'id', 'borrowerName', 'maxPurchasePrice', 'maxLoanAmount', 'program',
+  'issuedAt', 'expiresAt', 'officerName', 'officerNmlsId'
+];
+
+export const lettersKey = (userId) => userKey(userId, 'prequalLetters');
+
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. PQ-20240601-7KQ2MX
+export const newLetterId = (date = new Date()) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  const suffix = Array.from(bytes, (byte) => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+  return `PQ-${date.toISOString().slice(0, 10).replace(/-/g, '')}-${suffix}`;
+};
+
+/**
+ * Build a letter from an approved pre-qualification. Amounts are rounded
+ * down to the thousand so the letter never promises more than was computed.
+ */
+export const createLetter = ({
+  borrowerName, preQual, program, issuedAt = new Date(), validityDays = LETTER_VALIDITY_DAYS, officer = LOAN_OFFICER
+}) => {
+  const expiresAt = new Date(issuedAt.getTime() + validityDays * 24 * 60 * 60 * 1000);
+  return {
+    id: newLetterId(issuedAt),
+    borrowerName: borrowerName.trim(),
+    maxPurchasePrice: Math.floor(preQual.maxPropertyPrice / 1000) * 1000,
+    maxLoanAmount: Math.floor(preQual.maxLoanAmount / 1000) * 1000,
+    program,
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    officerName: officer.name,
+    officerNmlsId: officer.nmlsId,
+    conditions: preQual.conditions,
+    anchor: null
+  };
+};
+
+// Field order is fixed so the same terms always hash the same
+export const letterTerms = (letter) => Object.fromEntries(HASHED_FIELDS.map((field) => [field, letter[field]]));
+
+const canonicalTerms = (letter) => JSON.stringify(HASHED_FIELDS.map((field) => [field, letter[field]]));
+
+export const letterHash = (letter) => keccak256(toUtf8Bytes(canonicalTerms(letter)));
+
+// PrequalRegistry key for the printed letter id
+export const letterKey = (letterId) => hashText(letterId);
+
+export const expiresAtSeconds = (letter) => Math.floor(new Date(letter.expiresAt).getTime() / 1000);
+
+export const verifyPath = (letter) => (
+  `/verify-letter/${encodeURIComponent(letter.id)}?${new URLSearchParams({
+    terms: encodeBase64(toUtf8Bytes(JSON.stringify(letterTerms(letter))))
+  })}`
+);
+
+/** Terms from a verification link, or null when the parameter is malformed. */
+export const decodeTerms = (encoded) => {
+  if (!encoded) return null;
+  try {
+    const terms = JSON.parse(toUtf8String(decodeBase64(encoded)));
+    return terms && typeof terms === 'object' ? letterTerms(terms) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Storage
+
+export const getLetters = (userId) => readJson(lettersKey(userId), []);
+
+export const saveLetter = (userId, letter) => {
+  writeJson(lettersKey(userId), [letter, ...getLetters(userId)]);
+  return letter;
+};
+
+export const updateLetter = (userId, letterId, changes) => {
+  writeJson(
+    lettersKey(userId),
+    getLetters(userId).map((letter) => (letter.id === letterId ? { ...letter, ...changes } : letter))
+  );
+};
+
+export const deleteLetter = (userId, letterId) => {
+  writeJson(lettersKey(userId), getLetters(userId).filter((letter) => letter.id !== letterId));
+};
+
+// Printable letter
+
+const currency = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+});
+
+const longDate = (iso) => new Date(iso).toLocaleDateString('en-US', { dateStyle: 'long' });
+
+/**
+ * Letter body for printDocument. `verifyUrl` is the absolute verification
+ * link. The signature is the officer recorded on the letter; `officer` only
+ * supplies their title and the company's licensing.
+ */
+export const letterHtml = (letter, { verifyUrl, officer = LOAN_OFFICER } = {}) => {
+  const conditions = letter.conditions.length > 0
+    ? `<p>This pre-qualification is subject to:</p><ul>${
+      letter.conditions.map((condition) => `<li>${escapeHtml(condition)}</li>`).join('')
+    }</ul>`
+    : '';
+  const licensing = [
+    letter.officerNmlsId && `NMLS #${letter.officerNmlsId}`,
+    officer.companyNmlsId && `${officer.company} NMLS #${officer.companyNmlsId}`,
+    officer.licensedStates && `Licensed in ${officer.licensedStates}`
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <p>${escapeHtml(longDate(letter.issuedAt))}</p>
+    <p>Letter ID: <strong>${escapeHtml(letter.id)}</strong></p>
+    <p>To whom it may concern:</p>
+    <p>
+      <strong>${escapeHtml(letter.borrowerName)}</strong> has been pre-qualified for a
+      ${escapeHtml(letter.program)} mortgage toward the purchase of a home at a price of up to
+      <strong>${escapeHtml(currency.format(letter.maxPurchasePrice))}</strong>, with a loan amount of up to
+      ${escapeHtml(currency.format(letter.maxLoanAmount))}.
+    </p>
+    <p>
+      This letter is based on the income, assets, debts and credit information the borrower provided and
+      is valid through <strong>${escapeHtml(longDate(letter.expiresAt))}</strong>. It is not a commitment
+      to lend; final approval requires a full application, verification and an acceptable appraisal.
+    </p>
+    ${conditions}
+    <p style="margin-top: 32px">
+      ${escapeHtml(letter.officerName)}<br>
+      ${escapeHtml(officer.title)}<br>
+      ${escapeHtml(licensing)}
+    </p>
+    <p style="margin-top: 24px; font-size: 11px; color: #6b7280">
+      Letter hash ${escapeHtml(letterHash(letter))}<br>
+      ${verifyUrl ? `Verify this letter at ${escapeHtml(verifyUrl)}` : ''}
+    </p>
+  `;
+};
@@ -0,0 +1,34 @@
+import { letterHtml } from './prequalLetter';
+
+const letter = {
+  id: 'PQ-20250601-7KQ2MX',
+  borrowerName: 'Dana Reyes',
+  maxPurchasePrice: 425000,
+  maxLoanAmount: 382000,
+  program: '30-year fixed',
+  issuedAt: '2025-06-01T12:00:00.000Z',
+  expiresAt: '2025-08-30T12:00:00.000Z',
+  officerName: 'Jordan Lee',
+  officerNmlsId: '123456',
+  conditions: [],
+  anchor: null
+};
+
+describe('letterHtml', () => {
+  it('signs with the officer recorded on the letter and the configured title and company licensing', () => {
+    const officer = {
+      name: 'Someone Else',
+      title: 'Senior Loan Officer',
+      nmlsId: '999999',
+      company: 'MAK Realty',
+      companyNmlsId: '777',
+      licensedStates: 'PA, NJ'
+    };
+    const html = letterHtml(letter, { officer });
+    expect(html).toContain('Jordan Lee<br>');
+    expect(html).toContain('Senior Loan Officer<br>');
+    expect(html).toContain('NMLS #123456 · MAK Realty NMLS #777 · Licensed in PA, NJ');
+    expect(html).not.toContain('Someone Else');
+    expect(html).not.toContain('999999');
+  });
+});
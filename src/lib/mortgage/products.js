@@ -0,0 +1,240 @@
+import { buildAmortizationSchedule, EMPTY_PREPAYMENTS } from './amortization';
+import { privateMortgageInsurance } from './pmi';
+
+/**
+ * Loan products: conventional fixed, adjustable-rate, interest-only and the
+ * government-backed FHA, VA and USDA programs. Every product is evaluated
+ * into the same result shape so they can be compared side by side.
+ */
+
+export const LOAN_PRODUCTS = {
+  CONVENTIONAL: 'conventional',
+  ARM: 'arm',
+  INTEREST_ONLY: 'interest-only',
+  FHA: 'fha',
+  VA: 'va',
+  USDA: 'usda'
+};
+
+export const PRODUCT_LABELS = {
+  [LOAN_PRODUCTS.CONVENTIONAL]: 'Conventional Fixed',
+  [LOAN_PRODUCTS.ARM]: 'Adjustable Rate (ARM)',
+  [LOAN_PRODUCTS.INTEREST_ONLY]: 'Interest-Only',
+  [LOAN_PRODUCTS.FHA]: 'FHA',
+  [LOAN_PRODUCTS.VA]: 'VA',
+  [LOAN_PRODUCTS.USDA]: 'USDA'
+};
+
+// Program minimums as a share of the purchase price
+export const MIN_DOWN_PAYMENT = {
+  [LOAN_PRODUCTS.CONVENTIONAL]: 0.03,
+  [LOAN_PRODUCTS.ARM]: 0.05,
+  [LOAN_PRODUCTS.INTEREST_ONLY]: 0.2,
+  [LOAN_PRODUCTS.FHA]: 0.035,
+  [LOAN_PRODUCTS.VA]: 0,
+  [LOAN_PRODUCTS.USDA]: 0
+};
+
+/**
+ * Product settings kept alongside loanDetails. Rates are percents; the ARM
+ * index is the value assumed to hold for the life of the loan.
+ */
+export const DEFAULT_LOAN_PROGRAM = {
+  type: LOAN_PRODUCTS.CONVENTIONAL,
+  arm: {
+    initialYears: 5,
+    adjustmentMonths: 12,
+    index: 4.3,
+    margin: 2.75,
+    initialCap: 2,
+    periodicCap: 1,
+    lifetimeCap: 5
+  },
+  interestOnlyYears: 10,
+  va: {
+    firstUse: true,
+    exempt: false
+  }
+};
+
+// FHA mortgage insurance premium (HUD ML 2023-05)
+export const FHA_UPFRONT_MIP_RATE = 0.0175;
+
+export const fhaAnnualMipRate = (ltv, termMonths) => {
+  if (termMonths <= 180) return ltv <= 0.9 ? 0.0015 : 0.004;
+  return ltv <= 0.95 ? 0.005 : 0.0055;
+};
+
+// Annual MIP drops off after 11 years when the loan started at or below 90% LTV
+export const fhaMipMonths = (ltv, termMonths) => (ltv <= 0.9 ? 132 : termMonths);
+
+// VA funding fee for purchase loans, by down payment and prior use
+export const vaFundingFeeRate = (downPaymentRatio, { firstUse = true, exempt = false } = {}) => {
+  if (exempt) return 0;
+  if (downPaymentRatio >= 0.1) return 0.0125;
+  if (downPaymentRatio >= 0.05) return 0.015;
+  return firstUse ? 0.0215 : 0.033;
+};
+
+// USDA guarantee fees
+export const USDA_UPFRONT_FEE_RATE = 0.01;
+export const USDA_ANNUAL_FEE_RATE = 0.0035;
+
+/**
+ * Rate path of an ARM. The start rate holds for the initial period, then
+ * each adjustment moves toward the fully indexed rate (index + margin) by at
+ * most the initial cap (first adjustment) or periodic cap, never leaving
+ * the lifetime cap above the start rate or dropping below the margin.
+ * With `worstCase`, every adjustment rises by the full cap.
+ * @returns {(month: number) => number}
+ */
+export const armRateForMonth = (arm, startRate, { worstCase = false } = {}) => {
+  const initialMonths = arm.initialYears * 12;
+  const ceiling = startRate + arm.lifetimeCap;
+  const floor = Math.min(arm.margin, startRate);
+  const target = worstCase ? ceiling : arm.index + arm.margin;
+  const rates = [startRate];
+
+  const rateAfterAdjustment = (n) => {
+    while (rates.length <= n) {
+      const previous = rates[rates.length - 1];
+      const cap = rates.length === 1 ? arm.initialCap : arm.periodicCap;
+      const moved = previous + Math.max(-cap, Math.min(cap, target - previous));
+      rates.push(Math.min(ceiling, Math.max(floor, moved)));
+    }
+    return rates[n];
+  };
+
+  return (month) => {
+    if (month <= initialMonths) return startRate;
+    return rateAfterAdjustment(Math.floor((month - initialMonths - 1) / arm.adjustmentMonths) + 1);
+  };
+};
+
+// Products insured with borrower-paid PMI rather than a government premium
+const PMI_PRODUCTS = [LOAN_PRODUCTS.CONVENTIONAL, LOAN_PRODUCTS.ARM, LOAN_PRODUCTS.INTEREST_ONLY];
+
+/**
+ * Upfront fee financed into the loan and, for government products, the
+ * monthly premium given the balance owed at the start of a month.
+ */
+const productTerms = (type, { baseLoan, ltv, downPaymentRatio, termMonths, program }) => {
+  switch (type) {
+    case LOAN_PRODUCTS.FHA: {
+      const annualRate = fhaAnnualMipRate(ltv, termMonths);
+      const mipMonths = fhaMipMonths(ltv, termMonths);
+      return {
+        upfrontFee: baseLoan * FHA_UPFRONT_MIP_RATE,
+        monthlyMI: (month, balance) => (month <= mipMonths ? (balance * annualRate) / 12 : 0)
+      };
+    }
+    case LOAN_PRODUCTS.VA:
+      return {
+        upfrontFee: baseLoan * vaFundingFeeRate(downPaymentRatio, program.va),
+        monthlyMI: () => 0
+      };
+    case LOAN_PRODUCTS.USDA:
+      return {
+        upfrontFee: baseLoan * USDA_UPFRONT_FEE_RATE,
+        monthlyMI: (month, balance) => (balance * USDA_ANNUAL_FEE_RATE) / 12
+      };
+    default:
+      return { upfrontFee: 0, monthlyMI: null };
+  }
+};
+
+/**
+ * Evaluate one product for the loan in loanDetails.
+ * @param {Object} args
+ * @param {Object} args.loanDetails   MortgageCalculator loan inputs
+ * @param {Object} args.program       DEFAULT_LOAN_PROGRAM shape; `type` picks the product
+ * @param {Object} [args.prepayments]
+ * @param {number} [args.creditScore] prices PMI on conventional products
+ * @param {boolean} [args.worstCase]  ARM rates rise by the full cap at every adjustment
+ */
+export const evaluateLoan = ({
+  loanDetails, program = DEFAULT_LOAN_PROGRAM, prepayments = EMPTY_PREPAYMENTS, creditScore = 740, worstCase = false
+}) => {
+  const type = program.type;
+  const price = loanDetails.propertyPrice;
+  const baseLoan = Math.max(price - loanDetails.downPayment, 0);
+  const downPaymentRatio = price > 0 ? loanDetails.downPayment / price : 0;
+  const ltv = price > 0 ? baseLoan / price : 0;
+  const termMonths = loanDetails.loanTerm * 12;
+
+  const { upfrontFee, monthlyMI } = productTerms(type, {
+    baseLoan, ltv, downPaymentRatio, termMonths, program
+  });
+  const loanAmount = baseLoan + upfrontFee;
+  const interestOnlyMonths = type === LOAN_PRODUCTS.INTEREST_ONLY
+    ? Math.min(program.interestOnlyYears * 12, termMonths - 1)
+    : 0;
+
+  const scheduleArgs = {
+    principal: loanAmount,
+    annualRate: loanDetails.interestRate,
+    termMonths,
+    rateForMonth: type === LOAN_PRODUCTS.ARM
+      ? armRateForMonth(program.arm, loanDetails.interestRate, { worstCase })
+      : undefined,
+    interestOnlyMonths
+  };
+  const rows = buildAmortizationSchedule({ ...scheduleArgs, prepayments });
+
+  const pmi = PMI_PRODUCTS.includes(type)
+    ? privateMortgageInsurance({
+      schedule: rows,
+      originalSchedule: buildAmortizationSchedule(scheduleArgs),
+      loanAmount,
+      propertyValue: price,
+      creditScore,
+      termMonths
+    })
+    : null;
+  const miForMonth = pmi ? pmi.monthlyMI : monthlyMI;
+  const schedule = rows.map((row) => ({
+    ...row,
+    mi: miForMonth(row.month, row.balance + row.principal + row.extra)
+  }));
+  const insured = schedule.length > 0 && schedule[0].mi > 0;
+  const dropRow = insured ? schedule.find((row) => row.mi === 0) : null;
+
+  const last = schedule[schedule.length - 1];
+  const totalInterest = last ? last.totalInterest : 0;
+  const totalMI = schedule.reduce((sum, row) => sum + row.mi, 0);
+
+  return {
+    type,
+    label: PRODUCT_LABELS[type],
+    baseLoanAmount: baseLoan,
+    upfrontFee,
+    loanAmount,
+    ltv,
+    interestOnlyMonths,
+    meetsMinimumDown: downPaymentRatio >= MIN_DOWN_PAYMENT[type],
+    initialPayment: schedule[0] ? schedule[0].payment : 0,
+    maxPayment: Math.max(0, ...schedule.map((row) => row.payment)),
+    initialMI: schedule[0] ? schedule[0].mi : 0,
+    mortgageInsurance: {
+      requestMonth: pmi ? pmi.requestMonth : null,
+      dropMonth: dropRow ? dropRow.month : null
+    },
+    totalInterest,
+    totalMI,
+    // Cost of borrowing: everything paid beyond the amount borrowed
+    totalCost: totalInterest + totalMI + upfrontFee,
+    payoffDate: last ? last.date : null,
+    schedule
+  };
+};
+
+/** Evaluate every product for the same loan inputs. */
+export const compareLoanProducts = ({ loanDetails, program = DEFAULT_LOAN_PROGRAM, prepayments, creditScore }) => (
+  Object.values(LOAN_PRODUCTS).map((type) => {
+    const args = { loanDetails, program: { ...program, type }, prepayments, creditScore };
+    const result = evaluateLoan(args);
+    if (type !== LOAN_PRODUCTS.ARM) return result;
+    const worst = evaluateLoan({ ...args, worstCase: true });
+    return { ...result, worstCaseMaxPayment: worst.maxPayment, worstCaseTotalCost: worst.totalCost };
+  })
+);
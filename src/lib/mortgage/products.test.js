@@ -0,0 +1,85 @@
+import {
+  evaluateLoan,
+  compareLoanProducts,
+  armRateForMonth,
+  vaFundingFeeRate,
+  LOAN_PRODUCTS,
+  DEFAULT_LOAN_PROGRAM,
+  FHA_UPFRONT_MIP_RATE
+} from './products';
+import { monthlyPayment } from './amortization';
+
+const loanDetails = {
+  propertyPrice: 400000,
+  downPayment: 40000,
+  interestRate: 6.5,
+  loanTerm: 30
+};
+
+const programFor = (type) => ({ ...DEFAULT_LOAN_PROGRAM, type });
+
+describe('evaluateLoan', () => {
+  it('prices a conventional loan with PMI that drops off as the balance falls', () => {
+    const loan = evaluateLoan({ loanDetails, program: programFor(LOAN_PRODUCTS.CONVENTIONAL) });
+    expect(loan.baseLoanAmount).toBe(360000);
+    expect(loan.upfrontFee).toBe(0);
+    expect(loan.ltv).toBeCloseTo(0.9, 10);
+    expect(loan.meetsMinimumDown).toBe(true);
+    expect(loan.initialPayment).toBeCloseTo(monthlyPayment(360000, 6.5, 360), 6);
+    expect(loan.initialMI).toBeGreaterThan(0);
+    expect(loan.mortgageInsurance.dropMonth).toBeGreaterThan(1);
+    expect(loan.schedule[loan.mortgageInsurance.dropMonth - 1].mi).toBe(0);
+    expect(loan.totalCost).toBeCloseTo(loan.totalInterest + loan.totalMI, 6);
+  });
+
+  it('finances the FHA upfront premium and charges annual MIP for 11 years at 90% LTV', () => {
+    const loan = evaluateLoan({ loanDetails, program: programFor(LOAN_PRODUCTS.FHA) });
+    expect(loan.upfrontFee).toBeCloseTo(360000 * FHA_UPFRONT_MIP_RATE, 6);
+    expect(loan.loanAmount).toBeCloseTo(360000 * (1 + FHA_UPFRONT_MIP_RATE), 6);
+    expect(loan.schedule[131].mi).toBeGreaterThan(0);
+    expect(loan.mortgageInsurance.dropMonth).toBe(133);
+  });
+
+  it('charges VA funding fees by down payment and prior use, with no monthly insurance', () => {
+    expect(vaFundingFeeRate(0, { firstUse: false })).toBe(0.033);
+    expect(vaFundingFeeRate(0.1)).toBe(0.0125);
+    const loan = evaluateLoan({ loanDetails: { ...loanDetails, downPayment: 0 }, program: programFor(LOAN_PRODUCTS.VA) });
+    expect(loan.upfrontFee).toBeCloseTo(400000 * 0.0215, 6);
+    expect(loan.meetsMinimumDown).toBe(true);
+    expect(loan.totalMI).toBe(0);
+  });
+
+  it('flags a down payment under the program minimum', () => {
+    const loan = evaluateLoan({ loanDetails, program: programFor(LOAN_PRODUCTS.INTEREST_ONLY) });
+    expect(loan.meetsMinimumDown).toBe(false);
+    expect(loan.schedule[119].principal).toBe(0);
+    expect(loan.maxPayment).toBeGreaterThan(loan.initialPayment);
+  });
+});
+
+describe('armRateForMonth', () => {
+  const arm = DEFAULT_LOAN_PROGRAM.arm;
+
+  it('holds the start rate, then moves toward index + margin within the caps', () => {
+    const rateFor = armRateForMonth({ ...arm, index: 6 }, 5);
+    expect(rateFor(60)).toBe(5);
+    expect(rateFor(61)).toBe(7);
+    expect(rateFor(73)).toBe(8);
+    // Fully indexed at 8.75, but no more than the lifetime cap above the start rate
+    expect(rateFor(85)).toBe(8.75);
+  });
+
+  it('rises by the full cap each adjustment in the worst case', () => {
+    const rateFor = armRateForMonth(arm, 5, { worstCase: true });
+    expect([61, 73, 85, 97, 109].map(rateFor)).toEqual([7, 8, 9, 10, 10]);
+  });
+});
+
+describe('compareLoanProducts', () => {
+  it('evaluates every product and adds the ARM worst case', () => {
+    const results = compareLoanProducts({ loanDetails });
+    expect(results.map((result) => result.type)).toEqual(Object.values(LOAN_PRODUCTS));
+    const arm = results.find((result) => result.type === LOAN_PRODUCTS.ARM);
+    expect(arm.worstCaseMaxPayment).toBeGreaterThanOrEqual(arm.maxPayment);
+  });
+});
@@ -0,0 +1,136 @@
+import { readJson, writeJson, userKey } from '../storage';
+import { evaluateLoan, DEFAULT_LOAN_PROGRAM, PRODUCT_LABELS } from './products';
+import { estimateClosingCosts } from './closingCosts';
+
+/**
+ * Named loan scenarios ("15 vs 30 years", "10% vs 20% down") saved per user
+ * and summarized for side-by-side comparison.
+ *
+ * A scenario's interest rate is the rate after any discount points; each
+ * point costs 1% of the loan and is assumed to buy the rate down by
+ * POINT_RATE_REDUCTION.
+ */
+
+export const POINT_RATE_REDUCTION = 0.25;
+
+export const scenariosKey = (userId) => userKey(userId, 'loanScenarios');
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const getScenarios = (userId) => readJson(scenariosKey(userId), []);
+
+export const saveScenario = (userId, { name, loanDetails, program = DEFAULT_LOAN_PROGRAM, points = 0 }) => {
+  const scenario = {
+    id: newId(),
+    name: name.trim(),
+    loanDetails,
+    program,
+    points,
+    createdAt: new Date().toISOString()
+  };
+  writeJson(scenariosKey(userId), [...getScenarios(userId), scenario]);
+  return scenario;
+};
+
+export const deleteScenario = (userId, scenarioId) => {
+  writeJson(
+    scenariosKey(userId),
+    getScenarios(userId).filter((scenario) => scenario.id !== scenarioId)
+  );
+};
+
+const monthlyCosts = (loanDetails, loan) => (
+  loan.initialPayment
+  + loan.initialMI
+  + loanDetails.propertyTax / 12
+  + loanDetails.insurance / 12
+  + loanDetails.hoaFees / 12
+);
+
+/**
+ * Month the rate reduction from points has paid back their cost, against
+ * the same loan at the rate without points. Null without points or when they
+ * never pay back.
+ */
+export const pointsBreakEvenMonth = ({ loanDetails, program, points, creditScore }) => {
+  if (!(points > 0)) return null;
+  const withPoints = evaluateLoan({ loanDetails, program, creditScore });
+  const withoutPoints = evaluateLoan({
+    loanDetails: { ...loanDetails, interestRate: loanDetails.interestRate + points * POINT_RATE_REDUCTION },
+    program,
+    creditScore
+  });
+  const savings = withoutPoints.initialPayment - withPoints.initialPayment;
+  if (savings <= 0) return null;
+  const month = Math.ceil((withPoints.loanAmount * points / 100) / savings);
+  return month <= withPoints.schedule.length ? month : null;
+};
+
+export const summarizeScenario = (scenario, { creditScore } = {}) => {
+  const { loanDetails, points = 0 } = scenario;
+  const program = scenario.program || DEFAULT_LOAN_PROGRAM;
+  const loan = evaluateLoan({ loanDetails, program, creditScore });
+  const closing = estimateClosingCosts({ loanDetails, loan, points });
+
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    product: PRODUCT_LABELS[program.type],
+    propertyPrice: loanDetails.propertyPrice,
+    downPayment: loanDetails.downPayment,
+    loanTerm: loanDetails.loanTerm,
+    interestRate: loanDetails.interestRate,
+    points,
+    loanAmount: loan.loanAmount,
+    monthlyPayment: monthlyCosts(loanDetails, loan),
+    pointsCost: closing.pointsCost,
+    closingCosts: closing.totalClosingCosts,
+    cashToClose: closing.cashToClose,
+    totalInterest: loan.totalInterest,
+    breakEvenMonth: pointsBreakEvenMonth({ loanDetails, program, points, creditScore })
+  };
+};
+
+/**
+ * Comparison rows shared by the on-screen table and the exports. Each row
+ * has a label and a formatter applied to every scenario summary.
+ */
+export const SCENARIO_ROWS = [
+  { key: 'product', label: 'Product', format: 'text' },
+  { key: 'propertyPrice', label: 'Purchase Price', format: 'currency' },
+  { key: 'downPayment', label: 'Down Payment', format: 'currency' },
+  { key: 'loanAmount', label: 'Loan Amount', format: 'currency' },
+  { key: 'loanTerm', label: 'Term (years)', format: 'number' },
+  { key: 'interestRate', label: 'Interest Rate', format: 'percent' },
+  { key: 'points', label: 'Discount Points', format: 'number' },
+  { key: 'monthlyPayment', label: 'Monthly Payment', format: 'currency' },
+  { key: 'cashToClose', label: 'Cash to Close', format: 'currency' },
+  { key: 'totalInterest', label: 'Total Interest', format: 'currency' },
+  { key: 'breakEvenMonth', label: 'Points Break-Even', format: 'month' }
+];
+
+const currency = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+});
+
+export const formatScenarioValue = (value, format) => {
+  if (value === null || value === undefined) return '—';
+  switch (format) {
+    case 'currency': return currency.format(value);
+    case 'percent': return `${value.toFixed(3)}%`;
+    case 'month': return `Month ${value} (${(value / 12).toFixed(1)} yrs)`;
+    default: return String(value);
+  }
+};
+
+/** Scenario comparison as a grid: a header row of names, then one row per metric. */
+export const scenarioGrid = (summaries) => [
+  ['', ...summaries.map((summary) => summary.name)],
+  ...SCENARIO_ROWS.map((row) => [
+    row.label,
+    ...summaries.map((summary) => formatScenarioValue(summary[row.key], row.format))
+  ])
+];
@@ -0,0 +1,76 @@
+import { summarizeScenario, pointsBreakEvenMonth, scenarioGrid } from './scenarios';
+import { monthlyPayment } from './amortization';
+import { evaluateLoan, DEFAULT_LOAN_PROGRAM } from './products';
+import { estimateClosingCosts } from './closingCosts';
+import { toCsv, escapeHtml } from '../export';
+
+const loanDetails = {
+  propertyPrice: 500000,
+  downPayment: 100000,
+  interestRate: 6.5,
+  loanTerm: 30,
+  propertyTax: 6000,
+  insurance: 1500,
+  hoaFees: 0
+};
+
+// One point buys the rate down from 6.5% to 6.25%
+const closingFor = ({ loanDetails: details, points }) => estimateClosingCosts({
+  loanDetails: details, loan: evaluateLoan({ loanDetails: details, program: DEFAULT_LOAN_PROGRAM }), points
+});
+
+const noPoints = { id: 'a', name: '30-year, no points', loanDetails, points: 0 };
+const withPoints = { id: 'b', name: '30-year, 1 point', loanDetails: { ...loanDetails, interestRate: 6.25 }, points: 1 };
+
+describe('pointsBreakEvenMonth', () => {
+  it('pays back the points from the lower payment', () => {
+    const savings = monthlyPayment(400000, 6.5, 360) - monthlyPayment(400000, 6.25, 360);
+    const month = pointsBreakEvenMonth({ ...withPoints, program: DEFAULT_LOAN_PROGRAM });
+    expect(month).toBe(Math.ceil(4000 / savings));
+    expect(month).toBe(62);
+  });
+
+  it('is null without points', () => {
+    expect(pointsBreakEvenMonth({ ...noPoints, program: DEFAULT_LOAN_PROGRAM })).toBeNull();
+  });
+});
+
+describe('summarizeScenario', () => {
+  it('compares a points and a no-points scenario', () => {
+    const plain = summarizeScenario(noPoints);
+    const bought = summarizeScenario(withPoints);
+
+    expect(plain.pointsCost).toBe(0);
+    expect(bought.pointsCost).toBe(4000);
+    expect(plain.cashToClose).toBe(closingFor(noPoints).cashToClose);
+    expect(bought.cashToClose).toBe(closingFor(withPoints).cashToClose);
+    // The point, less the prepaid interest it saves at the lower rate
+    expect(bought.closingCosts - plain.closingCosts).toBeCloseTo(4000 - (400000 * 0.0025 / 365) * 15, 6);
+    expect(plain.monthlyPayment - bought.monthlyPayment).toBeCloseTo(
+      monthlyPayment(400000, 6.5, 360) - monthlyPayment(400000, 6.25, 360), 6
+    );
+    expect(bought.totalInterest).toBeLessThan(plain.totalInterest);
+    expect(plain.breakEvenMonth).toBeNull();
+    expect(bought.breakEvenMonth).toBe(62);
+  });
+});
+
+describe('scenario exports', () => {
+  it('quotes CSV cells holding quotes, commas and newlines', () => {
+    const named = { ...withPoints, name: 'Smith, "Oak St"\nUnit 2' };
+    const [header] = scenarioGrid([summarizeScenario(noPoints), summarizeScenario(named)]);
+    expect(toCsv([header])).toBe(',"30-year, no points","Smith, ""Oak St""\nUnit 2"');
+    expect(toCsv([['plain', 1, null], ['a\r\nb', undefined, 0]])).toBe('plain,1,\r\n"a\r\nb",,0');
+  });
+
+  it('formats each comparison row', () => {
+    const rows = scenarioGrid([summarizeScenario(withPoints)]);
+    expect(rows.find(([label]) => label === 'Points Break-Even')[1]).toBe('Month 62 (5.2 yrs)');
+    expect(rows.find(([label]) => label === 'Interest Rate')[1]).toBe('6.250%');
+  });
+
+  it('escapes HTML for printed documents', () => {
+    expect(escapeHtml('<b>"Smith" & Co</b>')).toBe('&lt;b&gt;&quot;Smith&quot; &amp; Co&lt;/b&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
@@ -0,0 +1,301 @@
+import { monthlyPayment } from './amortization';
+import { LOAN_PRODUCTS } from './products';
+
+/**
+ * Pre-qualification rules engine. Each loan program has versioned rule sets
+ * (plain data, newest last); `underwrite` applies one to a borrower and loan
+ * and explains every condition it raises.
+ *
+ * Ratios are percents of gross monthly income. `borrower.existingDebtPct` is
+ * the borrower's existing monthly debt before this mortgage.
+ */
+
+export const SEVERITY = {
+  DECLINE: 'decline',
+  CONDITION: 'condition'
+};
+
+export const EMPLOYMENT_TYPES = {
+  W2: { label: 'W-2 employee' },
+  '1099': {
+    label: '1099 contractor',
+    condition: 'Two years of 1099s and year-to-date earnings; income is averaged over 24 months'
+  },
+  'self-employed': {
+    label: 'Self-employed',
+    condition: 'Two years of personal and business tax returns and a year-to-date profit and loss statement',
+    extraReserveMonths: 2
+  }
+};
+
+export const DOWN_PAYMENT_SOURCES = {
+  savings: { label: 'Savings' },
+  gift: { label: 'Gift', condition: 'Signed gift letter and evidence of the donor transfer' },
+  crypto: {
+    label: 'Crypto assets',
+    condition: 'Crypto must be sold and the proceeds seasoned in a bank account for 60 days'
+  },
+  retirement: { label: 'Retirement account', condition: 'Statement and terms of withdrawal for the retirement account' },
+  'home-sale': { label: 'Sale of current home', condition: 'Settlement statement from the sale of the current home' }
+};
+
+const CREDIT_BANDS = [780, 760, 740, 720, 700, 680, 660, 640, 620];
+const LTV_BANDS = [0.6, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, Infinity];
+
+// Conforming loan-level price adjustments, expressed as a rate add-on (percent)
+const CONFORMING_LLPA = [
+  [0, 0, 0, 0.125, 0.125, 0.125, 0.125, 0.125],
+  [0, 0, 0.125, 0.125, 0.125, 0.125, 0.125, 0.125],
+  [0, 0.125, 0.125, 0.25, 0.25, 0.25, 0.25, 0.25],
+  [0, 0.125, 0.25, 0.375, 0.375, 0.375, 0.375, 0.375],
+  [0, 0.25, 0.375, 0.5, 0.5, 0.5, 0.5, 0.5],
+  [0, 0.375, 0.5, 0.625, 0.625, 0.625, 0.5, 0.5],
+  [0, 0.5, 0.625, 0.75, 0.75, 0.75, 0.625, 0.625],
+  [0.125, 0.5, 0.75, 0.875, 0.875, 0.875, 0.75, 0.75],
+  [0.125, 0.625, 0.875, 1, 1, 1, 0.875, 0.875]
+];
+
+// Government programs price on credit only
+const GOVERNMENT_CREDIT_ADJUSTMENTS = [
+  { minScore: 680, adjustment: 0 },
+  { minScore: 640, adjustment: 0.25 },
+  { minScore: 580, adjustment: 0.5 },
+  { minScore: 0, adjustment: 1 }
+];
+
+const conformingLlpa = (creditScore, ltv) => {
+  const row = CREDIT_BANDS.findIndex((floor) => creditScore >= floor);
+  const column = LTV_BANDS.findIndex((ceiling) => ltv <= ceiling);
+  return CONFORMING_LLPA[row === -1 ? CREDIT_BANDS.length - 1 : row][column];
+};
+
+const governmentAdjustment = (creditScore) => (
+  GOVERNMENT_CREDIT_ADJUSTMENTS.find((band) => creditScore >= band.minScore).adjustment
+);
+
+const CONVENTIONAL_2023 = {
+  version: '2023.1',
+  effective: '2023-01-01',
+  minCreditScore: 620,
+  maxFrontEndDti: 33,
+  maxBackEndDti: 43,
+  minDownPayment: 0.03,
+  reserveMonths: 2,
+  pricing: 'conforming',
+  extraAdjustments: [],
+  disallowedSources: []
+};
+
+const CONVENTIONAL_2024 = {
+  version: '2024.1',
+  effective: '2024-01-01',
+  minCreditScore: 620,
+  maxFrontEndDti: 36,
+  maxBackEndDti: 45,
+  minDownPayment: 0.03,
+  reserveMonths: 2,
+  pricing: 'conforming',
+  extraAdjustments: [],
+  disallowedSources: []
+};
+
+const GOVERNMENT_2023 = {
+  version: '2023.1',
+  effective: '2023-01-01',
+  reserveMonths: 1,
+  pricing: 'government',
+  extraAdjustments: [],
+  disallowedSources: []
+};
+
+const GOVERNMENT_2024 = {
+  version: '2024.1',
+  effective: '2024-01-01',
+  reserveMonths: 0,
+  pricing: 'government',
+  extraAdjustments: [],
+  disallowedSources: []
+};
+
+const CONVENTIONAL_VERSIONS = [CONVENTIONAL_2023, CONVENTIONAL_2024];
+const GOVERNMENT_VERSIONS = [GOVERNMENT_2023, GOVERNMENT_2024];
+
+// A program's overrides apply to every version of the base rules it builds on
+const programVersions = (bases, overrides) => bases.map((base) => ({ ...base, ...overrides }));
+
+export const RULE_SETS = {
+  [LOAN_PRODUCTS.CONVENTIONAL]: CONVENTIONAL_VERSIONS,
+  [LOAN_PRODUCTS.ARM]: programVersions(CONVENTIONAL_VERSIONS, {
+    minCreditScore: 640,
+    minDownPayment: 0.05,
+    // ARMs with short fixed periods qualify at the note rate plus a buffer
+    qualifyingRateBuffer: 2
+  }),
+  [LOAN_PRODUCTS.INTEREST_ONLY]: programVersions(CONVENTIONAL_VERSIONS, {
+    minCreditScore: 720,
+    maxBackEndDti: 43,
+    minDownPayment: 0.2,
+    reserveMonths: 12,
+    extraAdjustments: [{ label: 'Interest-only feature', adjustment: 0.25 }],
+    disallowedSources: ['gift']
+  }),
+  [LOAN_PRODUCTS.FHA]: programVersions(GOVERNMENT_VERSIONS, {
+    minCreditScore: 580,
+    maxFrontEndDti: 31,
+    maxBackEndDti: 43,
+    minDownPayment: 0.035
+  }),
+  [LOAN_PRODUCTS.VA]: programVersions(GOVERNMENT_VERSIONS, {
+    minCreditScore: 580,
+    maxFrontEndDti: null,
+    maxBackEndDti: 41,
+    minDownPayment: 0
+  }),
+  [LOAN_PRODUCTS.USDA]: programVersions(GOVERNMENT_VERSIONS, {
+    minCreditScore: 640,
+    maxFrontEndDti: 29,
+    maxBackEndDti: 41,
+    minDownPayment: 0,
+    disallowedSources: ['crypto']
+  })
+};
+
+/**
+ * Rule set for a program: the requested version, or the newest one in effect
+ * on `asOf`. Asking for a version that doesn't exist throws, so a stored
+ * decision is never silently re-run under different rules.
+ */
+export const getRuleSet = (programType, { version, asOf = new Date() } = {}) => {
+  const versions = RULE_SETS[programType] || RULE_SETS[LOAN_PRODUCTS.CONVENTIONAL];
+  if (version) {
+    const ruleSet = versions.find((candidate) => candidate.version === version);
+    if (!ruleSet) {
+      const known = versions.map((candidate) => candidate.version).join(', ');
+      throw new Error(`No ${programType} rule set version ${version}; known versions are ${known}`);
+    }
+    return ruleSet;
+  }
+  const inEffect = versions.filter((ruleSet) => new Date(ruleSet.effective) <= asOf);
+  return inEffect[inEffect.length - 1] || versions[0];
+};
+
+/** Rate add-ons for the borrower's credit and LTV under a rule set. */
+export const rateAdjustments = (ruleSet, { creditScore, ltv }) => {
+  const base = ruleSet.pricing === 'conforming'
+    ? { label: `Credit score ${creditScore}, ${(ltv * 100).toFixed(0)}% LTV`, adjustment: conformingLlpa(creditScore, ltv) }
+    : { label: `Credit score ${creditScore}`, adjustment: governmentAdjustment(creditScore) };
+  return [base, ...ruleSet.extraAdjustments].filter((item) => item.adjustment > 0);
+};
+
+/**
+ * Apply a rule set.
+ * @param {Object} args
+ * @param {Object} args.ruleSet
+ * @param {Object} args.borrower     { income, creditScore, existingDebtPct, employmentType, downPaymentSource, liquidAssets }
+ * @param {Object} args.loanDetails  MortgageCalculator loan inputs
+ * @param {Object} args.loan         evaluateLoan result for the program
+ * @param {number} args.cashToClose  down payment plus closing costs
+ */
+export const underwrite = ({ ruleSet, borrower, loanDetails, loan, cashToClose }) => {
+  const findings = [];
+  const decline = (code, message, detail) => findings.push({ code, severity: SEVERITY.DECLINE, message, detail });
+  const condition = (code, message, detail) => findings.push({ code, severity: SEVERITY.CONDITION, message, detail });
+
+  const monthlyIncome = borrower.income / 12;
+  const existingDebt = (monthlyIncome * borrower.existingDebtPct) / 100;
+  const termMonths = loanDetails.loanTerm * 12;
+  const price = loanDetails.propertyPrice;
+  const downPaymentRatio = price > 0 ? loanDetails.downPayment / price : 0;
+
+  // Pricing
+  const adjustments = rateAdjustments(ruleSet, { creditScore: borrower.creditScore, ltv: loan.ltv });
+  const adjustedRate = loanDetails.interestRate + adjustments.reduce((sum, item) => sum + item.adjustment, 0);
+
+  // Qualify on the fully amortizing payment at the qualifying rate, not a teaser or interest-only payment
+  const qualifyingRate = adjustedRate + (ruleSet.qualifyingRateBuffer || 0);
+  const amortizingMonths = termMonths - loan.interestOnlyMonths;
+  const paymentFactor = monthlyPayment(1, qualifyingRate, amortizingMonths);
+  const miFactor = loan.loanAmount > 0 ? loan.initialMI / loan.loanAmount : 0;
+  const taxRate = price > 0 ? loanDetails.propertyTax / price : 0;
+  const fixedHousing = loanDetails.insurance / 12 + loanDetails.hoaFees / 12;
+
+  const housingPayment = loan.loanAmount * (paymentFactor + miFactor) + loanDetails.propertyTax / 12 + fixedHousing;
+  const frontEndDti = monthlyIncome > 0 ? (housingPayment / monthlyIncome) * 100 : Infinity;
+  const backEndDti = monthlyIncome > 0 ? ((housingPayment + existingDebt) / monthlyIncome) * 100 : Infinity;
+
+  // Largest loan the ratios allow, with taxes scaling with the price
+  const frontEndRoom = ruleSet.maxFrontEndDti === null ? Infinity : (monthlyIncome * ruleSet.maxFrontEndDti) / 100;
+  const backEndRoom = (monthlyIncome * ruleSet.maxBackEndDti) / 100 - existingDebt;
+  const maxHousing = Math.min(frontEndRoom, backEndRoom);
+  const financedFeeRatio = loan.baseLoanAmount > 0 ? loan.loanAmount / loan.baseLoanAmount : 1;
+  const perBaseLoanDollar = (paymentFactor + miFactor) * financedFeeRatio + taxRate / 12;
+  const maxBaseLoan = Math.max(
+    (maxHousing - fixedHousing - (taxRate * loanDetails.downPayment) / 12) / perBaseLoanDollar,
+    0
+  );
+
+  // Reserves left after closing, in months of the housing payment
+  const employment = EMPLOYMENT_TYPES[borrower.employmentType] || EMPLOYMENT_TYPES.W2;
+  const requiredReserves = ruleSet.reserveMonths + (employment.extraReserveMonths || 0);
+  const reservesMonths = housingPayment > 0
+    ? Math.max(borrower.liquidAssets - cashToClose, 0) / housingPayment
+    : Infinity;
+
+  if (borrower.creditScore < ruleSet.minCreditScore) {
+    decline('credit-score', 'Credit score improvement needed',
+      `Score ${borrower.creditScore} is below the program minimum of ${ruleSet.minCreditScore}.`);
+  }
+  if (ruleSet.maxFrontEndDti !== null && frontEndDti > ruleSet.maxFrontEndDti) {
+    decline('front-end-dti', 'Housing payment too high for income',
+      `Housing costs are ${frontEndDti.toFixed(1)}% of income; the limit is ${ruleSet.maxFrontEndDti}%.`);
+  }
+  if (backEndDti > ruleSet.maxBackEndDti) {
+    decline('back-end-dti', 'Debt-to-income ratio too high',
+      `Housing plus existing debts are ${backEndDti.toFixed(1)}% of income; the limit is ${ruleSet.maxBackEndDti}%.`);
+  }
+  if (downPaymentRatio < ruleSet.minDownPayment) {
+    decline('down-payment', `Minimum ${(ruleSet.minDownPayment * 100).toFixed(1)}% down payment required`,
+      `The down payment is ${(downPaymentRatio * 100).toFixed(1)}% of the price.`);
+  }
+  if (reservesMonths < requiredReserves) {
+    decline('reserves', `${requiredReserves} months of reserves required`,
+      `Assets left after closing cover ${reservesMonths.toFixed(1)} months of housing payments.`);
+  }
+  if (ruleSet.disallowedSources.includes(borrower.downPaymentSource)) {
+    const disallowed = DOWN_PAYMENT_SOURCES[borrower.downPaymentSource];
+    decline('down-payment-source', `${disallowed ? disallowed.label : borrower.downPaymentSource} funds not allowed for the down payment`,
+      'This program requires the down payment to come from the borrower\'s own funds.');
+  }
+
+  if (employment.condition) {
+    condition('employment', `Income documentation: ${employment.label}`, employment.condition);
+  }
+  const source = DOWN_PAYMENT_SOURCES[borrower.downPaymentSource];
+  if (source && source.condition && !ruleSet.disallowedSources.includes(borrower.downPaymentSource)) {
+    condition('down-payment-source', `Down payment source: ${source.label}`, source.condition);
+  }
+  if (ruleSet.qualifyingRateBuffer) {
+    condition('qualifying-rate', 'Qualified at a higher rate',
+      `Ratios use ${qualifyingRate.toFixed(3)}%, the adjusted rate plus ${ruleSet.qualifyingRateBuffer}%, to cover rate adjustments.`);
+  }
+
+  const approved = !findings.some((finding) => finding.severity === SEVERITY.DECLINE);
+
+  return {
+    ruleSetVersion: ruleSet.version,
+    approved,
+    frontEndDti,
+    backEndDti,
+    maxFrontEndDti: ruleSet.maxFrontEndDti,
+    maxBackEndDti: ruleSet.maxBackEndDti,
+    housingPayment,
+    reservesMonths,
+    requiredReserves,
+    rateAdjustments: adjustments,
+    adjustedRate,
+    maxLoanAmount: maxBaseLoan * financedFeeRatio,
+    maxPropertyPrice: maxBaseLoan + loanDetails.downPayment,
+    findings,
+    conditions: findings.map((finding) => finding.message)
+  };
+};
@@ -0,0 +1,64 @@
+import { getRuleSet, underwrite, RULE_SETS } from './underwriting';
+import { evaluateLoan, LOAN_PRODUCTS, DEFAULT_LOAN_PROGRAM } from './products';
+
+const loanDetails = {
+  propertyPrice: 500000,
+  downPayment: 100000,
+  interestRate: 7,
+  loanTerm: 30,
+  propertyTax: 6000,
+  insurance: 1500,
+  hoaFees: 0
+};
+
+// Housing costs come to about 35% of income: inside the 2024.1 limit, outside 2023.1's
+const borrower = {
+  income: 115000,
+  creditScore: 760,
+  existingDebtPct: 5,
+  employmentType: 'W2',
+  downPaymentSource: 'savings',
+  liquidAssets: 200000
+};
+
+const decide = (ruleSet) => underwrite({
+  ruleSet,
+  borrower,
+  loanDetails,
+  loan: evaluateLoan({ loanDetails, program: DEFAULT_LOAN_PROGRAM, creditScore: borrower.creditScore }),
+  cashToClose: 115000
+});
+
+describe('getRuleSet', () => {
+  it('keeps every program versioned oldest first', () => {
+    Object.values(LOAN_PRODUCTS).forEach((program) => {
+      expect(RULE_SETS[program].map((ruleSet) => ruleSet.version)).toEqual(['2023.1', '2024.1']);
+    });
+  });
+
+  it('picks the version in effect on a date', () => {
+    expect(getRuleSet(LOAN_PRODUCTS.FHA, { asOf: new Date('2023-06-01') }).version).toBe('2023.1');
+    expect(getRuleSet(LOAN_PRODUCTS.FHA, { asOf: new Date('2024-06-01') }).version).toBe('2024.1');
+  });
+
+  it('throws a descriptive error for an unknown version', () => {
+    expect(() => getRuleSet(LOAN_PRODUCTS.VA, { version: '2019.4' }))
+      .toThrow('No va rule set version 2019.4; known versions are 2023.1, 2024.1');
+  });
+});
+
+describe('underwrite', () => {
+  it('reproduces a decision made under an older rule set version', () => {
+    const current = decide(getRuleSet(LOAN_PRODUCTS.CONVENTIONAL, { asOf: new Date('2024-03-01') }));
+    expect(current.ruleSetVersion).toBe('2024.1');
+    expect(current.approved).toBe(true);
+
+    // A pre-qualification issued in 2023 re-runs under the rules it was decided with
+    const original = decide(getRuleSet(LOAN_PRODUCTS.CONVENTIONAL, { version: '2023.1' }));
+    expect(original.ruleSetVersion).toBe('2023.1');
+    expect(original.approved).toBe(false);
+    expect(original.findings.map((finding) => finding.code)).toEqual(['front-end-dti']);
+    expect(original.frontEndDti).toBeCloseTo(current.frontEndDti, 10);
+    expect(original.maxFrontEndDti).toBe(33);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Chains the MAK Platform contracts are deployed to (mirrors the networks in
+ * hardhat.config.js) and the deployment records the deploy scripts write.
+ */
+
+export const NETWORKS = {
+  localhost: {
+    chainId: 31337,
+    label: 'Localhost 8545',
+    rpcUrl: 'http://127.0.0.1:8545',
+    currency: 'ETH'
+  },
+  sepolia: {
+    chainId: 11155111,
+    label: 'Sepolia',
+    rpcUrl: 'https://rpc.sepolia.org',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    currency: 'ETH'
+  },
+  mainnet: {
+    chainId: 1,
+    label: 'Ethereum',
+    rpcUrl: 'https://cloudflare-eth.com',
+    explorerUrl: 'https://etherscan.io',
+    currency: 'ETH'
+  },
+  polygon: {
+    chainId: 137,
+    label: 'Polygon',
+    rpcUrl: 'https://polygon-rpc.com',
+    explorerUrl: 'https://polygonscan.com',
+    currency: 'MATIC'
+  },
+  arbitrum: {
+    chainId: 42161,
+    label: 'Arbitrum One',
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    explorerUrl: 'https://arbiscan.io',
+    currency: 'ETH'
+  }
+};
+
+export const CONTRACT_NAMES = [
+  'PropertyToken',
+  'PropertyMarketplace',
+  'RevenueDistribution',
+  'PropertyOracle',
+  'Governance',
+  'PrequalRegistry'
+];
+
+export const networkNameForChain = (chainId) => (
+  Object.keys(NETWORKS).find((name) => NETWORKS[name].chainId === Number(chainId)) || null
+);
+
+/**
+ * The network the app is deployed against: REACT_APP_NETWORK by name, or
+ * REACT_APP_NETWORK_ID by chain id (docker-compose sets the latter).
+ */
+export const getTargetNetwork = (env = process.env) => {
+  const name = env.REACT_APP_NETWORK
+    || networkNameForChain(env.REACT_APP_NETWORK_ID)
+    || 'localhost';
+  const network = NETWORKS[name] || NETWORKS.localhost;
+  return {
+    name,
+    ...network,
+    rpcUrl: env.REACT_APP_RPC_URL || network.rpcUrl
+  };
+};
+
+const ENV_ADDRESS_KEYS = {
+  PropertyToken: 'REACT_APP_PROPERTY_TOKEN_ADDRESS',
+  PropertyMarketplace: 'REACT_APP_MARKETPLACE_ADDRESS',
+  RevenueDistribution: 'REACT_APP_REVENUE_DISTRIBUTION_ADDRESS',
+  PropertyOracle: 'REACT_APP_PROPERTY_ORACLE_ADDRESS',
+  Governance: 'REACT_APP_GOVERNANCE_ADDRESS',
+  PrequalRegistry: 'REACT_APP_PREQUAL_REGISTRY_ADDRESS'
+};
+
+// Explicit env addresses win over the deployment file
+export const addressesFromEnv = (env = process.env) => Object.fromEntries(
+  CONTRACT_NAMES
+    .filter((name) => env[ENV_ADDRESS_KEYS[name]])
+    .map((name) => [name, env[ENV_ADDRESS_KEYS[name]]])
+);
+
+/**
+ * Normalize a deployment record. scripts/deploy.js writes contracts at the
+ * top level ({ PropertyToken: { address } }) with one `deploymentBlock`; the
+ * root deploy.js nests them under `contracts`, each with its own block.
+ * Throws when no deployment block is recorded, since event scans would
+ * otherwise start from genesis.
+ */
+export const parseDeployment = (data, network) => {
+  const contracts = data.contracts || data;
+  const addresses = Object.fromEntries(
+    CONTRACT_NAMES
+      .filter((name) => contracts[name]?.address)
+      .map((name) => [name, contracts[name].address])
+  );
+  // Earliest block worth scanning for contract events
+  const blocks = [data.deploymentBlock, ...CONTRACT_NAMES.map((name) => contracts[name]?.deploymentBlock)]
+    .filter((block) => Number.isInteger(block));
+  if (blocks.length === 0) {
+    throw new Error(
+      `The ${data.network || network.name} deployment has no deploymentBlock; redeploy with scripts/deploy.js`
+    );
+  }
+  return {
+    network: data.network || network.name,
+    chainId: Number(data.chainId || network.chainId),
+    addresses,
+    fromBlock: Math.min(...blocks)
+  };
+};
+
+/**
+ * Fetch deployments/<network>.json, which scripts/deploy.js copies into
+ * public/deployments for the frontend. Resolves null when there is none.
+ */
+export const loadDeployment = async (network, { signal, fetchImpl = fetch } = {}) => {
+  const base = process.env.REACT_APP_DEPLOYMENTS_URL || '/deployments';
+  const response = await fetchImpl(`${base}/${network.name}.json`, { signal });
+  // The dev server answers unknown paths with index.html rather than a 404
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+  if (response.status === 404 || (response.ok && !isJson)) return null;
+  if (!response.ok) {
+    throw new Error(`Could not load ${network.name} deployment (${response.status})`);
+  }
+  return parseDeployment(await response.json(), network);
+};
+
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
@@ -0,0 +1,31 @@
+import { parseDeployment, getTargetNetwork } from './networks';
+
+describe('parseDeployment', () => {
+  const network = getTargetNetwork({ REACT_APP_NETWORK: 'sepolia' });
+
+  it('scans from the deploymentBlock written by scripts/deploy.js', () => {
+    const record = parseDeployment({
+      network: 'sepolia',
+      chainId: 11155111,
+      deploymentBlock: 5123456,
+      PropertyToken: { address: '0x0000000000000000000000000000000000000001' }
+    }, network);
+    expect(record.fromBlock).toBe(5123456);
+    expect(record.addresses).toEqual({ PropertyToken: '0x0000000000000000000000000000000000000001' });
+  });
+
+  it('takes the earliest per-contract block from the root deploy.js format', () => {
+    const record = parseDeployment({
+      contracts: {
+        PropertyToken: { address: '0x01', deploymentBlock: 120 },
+        PropertyMarketplace: { address: '0x02', deploymentBlock: 118 }
+      }
+    }, network);
+    expect(record.fromBlock).toBe(118);
+  });
+
+  it('fails loudly without a deployment block', () => {
+    expect(() => parseDeployment({ network: 'sepolia', PropertyToken: { address: '0x01' } }, network))
+      .toThrow(/no deploymentBlock/);
+  });
+});
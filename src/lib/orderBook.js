@@ -0,0 +1,96 @@
+/**
+ * Order book, depth and fee math for PropertyMarketplace. Prices and amounts
+ * are BigInt wei; share counts are BigInt.
+ */
+
+export const BASIS_POINTS = 10000n;
+
+export const SIDES = {
+  BUY: 'buy',
+  SELL: 'sell'
+};
+
+const toOrder = (raw, side) => ({
+  orderId: raw.orderId.toString(),
+  side,
+  owner: side === SIDES.SELL ? raw.seller : raw.buyer,
+  propertyId: raw.propertyId.toString(),
+  shareAmount: raw.shareAmount,
+  pricePerShare: raw.pricePerShare,
+  remainingShares: raw.remainingShares,
+  timestamp: new Date(Number(raw.timestamp) * 1000),
+  isActive: raw.isActive
+});
+
+const isOpen = (order) => order.isActive && order.remainingShares > 0n;
+
+// Best price first; earlier orders first within a price
+const byPrice = (direction) => (a, b) => {
+  if (a.pricePerShare !== b.pricePerShare) {
+    return (a.pricePerShare < b.pricePerShare ? -1 : 1) * direction;
+  }
+  return a.timestamp - b.timestamp;
+};
+
+/**
+ * The contract keeps every order id it has ever issued per property, so
+ * filled and cancelled orders are dropped here.
+ * @returns {{ asks: Array, bids: Array }}
+ */
+export const buildOrderBook = (rawSellOrders, rawBuyOrders) => ({
+  asks: rawSellOrders.map((raw) => toOrder(raw, SIDES.SELL)).filter(isOpen).sort(byPrice(1)),
+  bids: rawBuyOrders.map((raw) => toOrder(raw, SIDES.BUY)).filter(isOpen).sort(byPrice(-1))
+});
+
+/**
+ * Collapse orders into price levels with running totals for the depth chart.
+ * Orders must already be sorted best price first.
+ */
+export const aggregateLevels = (orders) => {
+  const levels = [];
+  let cumulative = 0n;
+  for (const order of orders) {
+    const last = levels[levels.length - 1];
+    cumulative += order.remainingShares;
+    if (last && last.price === order.pricePerShare) {
+      last.shares += order.remainingShares;
+      last.orders += 1;
+      last.cumulative = cumulative;
+    } else {
+      levels.push({ price: order.pricePerShare, shares: order.remainingShares, orders: 1, cumulative });
+    }
+  }
+  return levels;
+};
+
+export const getSpread = ({ asks, bids }) => {
+  if (asks.length === 0 || bids.length === 0) return null;
+  return asks[0].pricePerShare - bids[0].pricePerShare;
+};
+
+/**
+ * What a trade costs each side. The buyer always pays the fee on top of the
+ * trade value (as escrow for a buy order, or as msg.value when filling a sell
+ * order); the seller receives the full trade value.
+ */
+export const previewTrade = ({ shares, pricePerShare, feeBasisPoints }) => {
+  const total = shares * pricePerShare;
+  const fee = (total * feeBasisPoints) / BASIS_POINTS;
+  return { total, fee, buyerPays: total + fee, sellerReceives: total };
+};
+
+/** OrderExecuted logs for one property, newest first. */
+export const tradesFromLogs = (logs, propertyId) => logs
+  .filter((log) => log.args.propertyId.toString() === String(propertyId))
+  .map((log) => ({
+    id: `${log.transactionHash}-${log.index}`,
+    orderId: log.args.orderId.toString(),
+    buyer: log.args.buyer,
+    seller: log.args.seller,
+    shares: log.args.shareAmount,
+    totalPrice: log.args.totalPrice,
+    pricePerShare: log.args.shareAmount > 0n ? log.args.totalPrice / log.args.shareAmount : 0n,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash
+  }))
+  .sort((a, b) => b.blockNumber - a.blockNumber);
@@ -0,0 +1,99 @@
+/**
+ * Cost basis and valuation for fractional property holdings. Amounts are
+ * BigInt wei throughout; formatting is left to the UI.
+ */
+
+const byChainOrder = (a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index);
+
+/**
+ * Normalize the events that move shares in or out of an account into
+ * { propertyId, shares, cost, side } trades in chain order.
+ * @param {{ purchases: Array, bought: Array, sold: Array }} logs
+ *   SharePurchased logs for the buyer, and OrderExecuted logs where the
+ *   account was the buyer or the seller
+ */
+export const tradesFromLogs = ({ purchases = [], bought = [], sold = [] }) => [
+  ...purchases.map((log) => ({
+    blockNumber: log.blockNumber,
+    index: log.index,
+    propertyId: log.args.propertyId.toString(),
+    shares: log.args.amount,
+    cost: log.args.totalCost,
+    side: 'buy'
+  })),
+  // totalPrice excludes the trading fee, which the contract does not log
+  ...bought.map((log) => ({
+    blockNumber: log.blockNumber,
+    index: log.index,
+    propertyId: log.args.propertyId.toString(),
+    shares: log.args.shareAmount,
+    cost: log.args.totalPrice,
+    side: 'buy'
+  })),
+  ...sold.map((log) => ({
+    blockNumber: log.blockNumber,
+    index: log.index,
+    propertyId: log.args.propertyId.toString(),
+    shares: log.args.shareAmount,
+    cost: log.args.totalPrice,
+    side: 'sell'
+  }))
+].sort(byChainOrder);
+
+/**
+ * Average-cost basis per property. A sale removes shares at the running
+ * average cost, so the basis left is for the shares still held.
+ * @returns {Map<string, { shares: bigint, cost: bigint }>}
+ */
+export const costBasisByProperty = (trades) => {
+  const positions = new Map();
+  for (const trade of trades) {
+    const position = positions.get(trade.propertyId) || { shares: 0n, cost: 0n };
+    if (trade.side === 'buy') {
+      position.shares += trade.shares;
+      position.cost += trade.cost;
+    } else if (position.shares > 0n) {
+      const sold = trade.shares > position.shares ? position.shares : trade.shares;
+      position.cost -= (position.cost * sold) / position.shares;
+      position.shares -= sold;
+    }
+    positions.set(trade.propertyId, position);
+  }
+  return positions;
+};
+
+/**
+ * One holding row. `propertyValue` is the oracle's whole-property value in
+ * wei (null without a valuation). Shares that arrived by plain transfer have
+ * no recorded cost, so the basis only covers the tracked shares.
+ */
+export const buildHolding = ({ propertyId, balance, property, propertyValue, claimable, basis }) => {
+  const totalShares = property ? property.totalShares : 0n;
+  const value = propertyValue !== null && totalShares > 0n
+    ? (propertyValue * balance) / totalShares
+    : null;
+  const trackedShares = basis ? (basis.shares < balance ? basis.shares : balance) : 0n;
+  const costBasis = basis && basis.shares > 0n ? (basis.cost * trackedShares) / basis.shares : 0n;
+
+  return {
+    propertyId,
+    propertyAddress: property?.propertyAddress || `Property #${propertyId}`,
+    balance,
+    totalShares,
+    ownershipPct: totalShares > 0n ? Number((balance * 10000n) / totalShares) / 100 : 0,
+    costBasis,
+    basisComplete: trackedShares === balance,
+    value,
+    gain: value !== null ? value - costBasis : null,
+    claimable
+  };
+};
+
+export const summarizeHoldings = (holdings) => holdings.reduce((totals, holding) => ({
+  costBasis: totals.costBasis + holding.costBasis,
+  value: totals.value + (holding.value ?? 0n),
+  // Gain only over holdings the oracle has valued
+  gain: totals.gain + (holding.gain ?? 0n),
+  claimable: totals.claimable + holding.claimable,
+  unvalued: totals.unvalued + (holding.value === null ? 1 : 0)
+}), { costBasis: 0n, value: 0n, gain: 0n, claimable: 0n, unvalued: 0 });
@@ -0,0 +1,64 @@
+import { Contract, formatUnits } from 'ethers';
+import { PriceSourceError } from './source';
+
+const AGGREGATOR_V3_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Chainlink USD feeds by network; `heartbeat` is the feed's maximum update interval in seconds
+export const CHAINLINK_FEEDS = {
+  mainnet: {
+    BTC: { address: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c', heartbeat: 3600 },
+    ETH: { address: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419', heartbeat: 3600 },
+    USDC: { address: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6', heartbeat: 86400 }
+  },
+  sepolia: {
+    BTC: { address: '0x1b44F3514812d835EB1BDB0acB33d3fA3351Ee43', heartbeat: 3600 },
+    ETH: { address: '0x694AA1769357215DE4FAC081bf1f309aDC325306', heartbeat: 3600 },
+    USDC: { address: '0xA2F78ab2355fe2f984D808B5CeE7FD0A93D5270E', heartbeat: 86400 }
+  }
+};
+
+// Allowance past the heartbeat before an answer counts as stale
+const STALE_GRACE_SECONDS = 600;
+
+/**
+ * Prices read from Chainlink aggregators. Symbols without a feed on the
+ * network are left out so another source can answer them; stale or
+ * non-positive answers are rejected.
+ * @param {{provider: import('ethers').Provider, feeds: Object<string, {address: string, heartbeat: number}>}} options
+ * @returns {import('./source').PriceSource}
+ */
+export const createChainlinkSource = ({ provider, feeds = {} }) => {
+  const read = async (symbol) => {
+    const feed = feeds[symbol];
+    const aggregator = new Contract(feed.address, AGGREGATOR_V3_ABI, provider);
+    const [decimals, round] = await Promise.all([aggregator.decimals(), aggregator.latestRoundData()]);
+
+    const ageSeconds = Date.now() / 1000 - Number(round.updatedAt);
+    if (round.answer <= 0n || ageSeconds > feed.heartbeat + STALE_GRACE_SECONDS) {
+      throw new PriceSourceError(`Chainlink ${symbol}/USD answer is stale`, { source: 'chainlink' });
+    }
+    return {
+      price: Number(formatUnits(round.answer, decimals)),
+      updatedAt: new Date(Number(round.updatedAt) * 1000),
+      source: 'chainlink'
+    };
+  };
+
+  return {
+    name: 'chainlink',
+
+    async getPrices(symbols) {
+      const supported = symbols.filter((symbol) => feeds[symbol]);
+      const results = await Promise.allSettled(supported.map(read));
+      return Object.fromEntries(
+        results
+          .map((result, i) => [supported[i], result])
+          .filter(([, result]) => result.status === 'fulfilled')
+          .map(([symbol, result]) => [symbol, result.value])
+      );
+    }
+  };
+};
@@ -0,0 +1,50 @@
+import { PriceSourceError } from './source';
+
+/**
+ * Spot prices from an exchange REST API. Defaults to Coinbase's public
+ * endpoint (GET /v2/prices/BTC-USD/spot -> { data: { amount } }), which
+ * needs no key.
+ * @param {{baseUrl?: string, fetchImpl?: typeof fetch}} options
+ * @returns {import('./source').PriceSource}
+ */
+export const createExchangeSource = ({
+  baseUrl = 'https://api.coinbase.com', fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const spot = async (symbol, signal) => {
+    const response = await fetchImpl(`${root}/v2/prices/${symbol}-USD/spot`, {
+      signal,
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) {
+      throw new PriceSourceError(`Exchange price request failed with status ${response.status}`, {
+        status: response.status,
+        source: 'exchange'
+      });
+    }
+    const body = await response.json();
+    const price = Number(body?.data?.amount);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new PriceSourceError(`Exchange returned no price for ${symbol}`, { source: 'exchange' });
+    }
+    return { price, updatedAt: new Date(), source: 'exchange' };
+  };
+
+  return {
+    name: 'exchange',
+
+    async getPrices(symbols, { signal } = {}) {
+      const results = await Promise.allSettled(symbols.map((symbol) => spot(symbol, signal)));
+      // Surface the failure when the exchange could not answer anything
+      const failed = results.filter((result) => result.status === 'rejected');
+      if (failed.length > 0 && failed.length === results.length) throw failed[0].reason;
+      return Object.fromEntries(
+        results
+          .map((result, i) => [symbols[i], result])
+          .filter(([, result]) => result.status === 'fulfilled')
+          .map(([symbol, result]) => [symbol, result.value])
+      );
+    }
+  };
+};
@@ -0,0 +1,57 @@
+import { createChainlinkSource, CHAINLINK_FEEDS } from './chainlinkSource';
+import { createExchangeSource } from './exchangeSource';
+import { createMockSource } from './mockSource';
+import { getReadProvider } from '../contracts';
+import { getTargetNetwork } from '../networks';
+
+export * from './source';
+export * from './quote';
+export { createChainlinkSource, createExchangeSource, createMockSource, CHAINLINK_FEEDS };
+
+const SOURCE_FACTORIES = {
+  chainlink: (env) => {
+    const network = getTargetNetwork(env);
+    return createChainlinkSource({
+      provider: getReadProvider(network.rpcUrl),
+      feeds: CHAINLINK_FEEDS[network.name] || {}
+    });
+  },
+  exchange: (env) => createExchangeSource({ baseUrl: env.REACT_APP_EXCHANGE_PRICE_URL || undefined }),
+  mock: (env) => createMockSource({ baseUrl: env.REACT_APP_MOCK_PRICE_URL || undefined })
+};
+
+/**
+ * Build the price feed from REACT_APP_PRICE_SOURCES, a comma-separated list
+ * tried in order (default "chainlink,exchange"). Each symbol takes the first
+ * source that answers it.
+ */
+export const createPriceFeed = (env = process.env) => {
+  const names = (env.REACT_APP_PRICE_SOURCES || 'chainlink,exchange')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => SOURCE_FACTORIES[name]);
+  const sources = names.map((name) => SOURCE_FACTORIES[name](env));
+
+  return {
+    sources,
+
+    /** @returns {Promise<{prices: Object<string, import('./source').Price>, errors: Error[]}>} */
+    async getPrices(symbols, { signal } = {}) {
+      const prices = {};
+      const errors = [];
+      for (const source of sources) {
+        const missing = symbols.filter((symbol) => !prices[symbol]);
+        if (missing.length === 0) break;
+        try {
+          Object.assign(prices, await source.getPrices(missing, { signal }));
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          errors.push(err);
+        }
+      }
+      return { prices, errors };
+    }
+  };
+};
+
+export const priceFeed = createPriceFeed();
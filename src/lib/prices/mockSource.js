@@ -0,0 +1,41 @@
+import { PriceSourceError } from './source';
+
+/**
+ * Prices from the local mock server (scripts/mock-price-server.js), for
+ * development and tests without network access or a funded RPC.
+ * GET /prices?symbols=BTC,ETH -> { prices: { BTC: { price, updatedAt } } }
+ * @param {{baseUrl?: string, fetchImpl?: typeof fetch}} options
+ * @returns {import('./source').PriceSource}
+ */
+export const createMockSource = ({
+  baseUrl = 'http://localhost:8787', fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'mock',
+
+    async getPrices(symbols, { signal } = {}) {
+      const response = await fetchImpl(`${root}/prices?${new URLSearchParams({ symbols: symbols.join(',') })}`, {
+        signal,
+        headers: { Accept: 'application/json' }
+      });
+      if (!response.ok) {
+        throw new PriceSourceError(`Mock price server responded with status ${response.status}`, {
+          status: response.status,
+          source: 'mock'
+        });
+      }
+      const { prices = {} } = await response.json();
+      return Object.fromEntries(
+        symbols
+          .filter((symbol) => prices[symbol])
+          .map((symbol) => [symbol, {
+            price: Number(prices[symbol].price),
+            updatedAt: new Date(prices[symbol].updatedAt),
+            source: 'mock'
+          }])
+      );
+    }
+  };
+};
@@ -0,0 +1,79 @@
+/**
+ * Rate-locked quotes for crypto down payments. The buyer sends the down
+ * payment's worth of crypto at the locked rate plus a volatility buffer;
+ * anything the buffer over-covers at settlement is refunded.
+ */
+
+export const DEFAULT_BUFFER_PCT = 2;
+export const DEFAULT_LOCK_SECONDS = 15 * 60;
+
+export class QuoteExpiredError extends Error {
+  constructor(quote) {
+    super(`The ${quote ? quote.symbol : 'crypto'} rate lock has expired; request a new quote`);
+    this.name = 'QuoteExpiredError';
+    this.expiresAt = quote ? quote.expiresAt : null;
+  }
+}
+
+/**
+ * @param {Object} args
+ * @param {number} args.usdAmount
+ * @param {string} args.symbol
+ * @param {import('./source').Price} args.price
+ * @param {number} [args.bufferPct]    added on top when volatility protection is on
+ * @param {boolean} [args.volatilityProtection]
+ * @param {number} [args.lockSeconds]
+ * @param {Date} [args.now]
+ */
+export const createQuote = ({
+  usdAmount,
+  symbol,
+  price,
+  bufferPct = DEFAULT_BUFFER_PCT,
+  volatilityProtection = true,
+  lockSeconds = DEFAULT_LOCK_SECONDS,
+  now = new Date()
+}) => {
+  const appliedBufferPct = volatilityProtection ? Math.max(bufferPct, 0) : 0;
+  const buffer = appliedBufferPct / 100;
+  const baseAmount = usdAmount / price.price;
+  return {
+    symbol,
+    usdAmount,
+    rate: price.price,
+    source: price.source,
+    bufferPct: appliedBufferPct,
+    baseAmount,
+    bufferAmount: baseAmount * buffer,
+    cryptoAmount: baseAmount * (1 + buffer),
+    quotedAt: now,
+    expiresAt: new Date(now.getTime() + lockSeconds * 1000)
+  };
+};
+
+export const quoteSecondsLeft = (quote, now = new Date()) => (
+  quote ? Math.max(Math.ceil((quote.expiresAt.getTime() - now.getTime()) / 1000), 0) : 0
+);
+
+export const isQuoteExpired = (quote, now = new Date()) => !quote || quoteSecondsLeft(quote, now) === 0;
+
+/**
+ * What the buyer pays under a quote. Throws QuoteExpiredError once the lock
+ * window has passed, so an expired rate can't be used for the down payment.
+ */
+export const lockedPayment = (quote, now = new Date()) => {
+  if (isQuoteExpired(quote, now)) throw new QuoteExpiredError(quote);
+  return { amount: quote.cryptoAmount, usdValue: quote.usdAmount, rate: quote.rate, expiresAt: quote.expiresAt };
+};
+
+// Whether the quote still describes what the buyer is paying
+export const quoteMatches = (quote, { usdAmount, symbol, bufferPct, volatilityProtection }) => Boolean(
+  quote
+  && quote.usdAmount === usdAmount
+  && quote.symbol === symbol
+  && quote.bufferPct === (volatilityProtection ? Math.max(bufferPct, 0) : 0)
+);
+
+export const formatCountdown = (seconds) => (
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+);
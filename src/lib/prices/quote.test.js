@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import { spawn } from 'child_process';
+import http from 'http';
+import path from 'path';
+import { createMockSource } from './mockSource';
+import { createQuote, lockedPayment, quoteMatches, quoteSecondsLeft, QuoteExpiredError } from './quote';
+
+const SERVER_SCRIPT = path.resolve(__dirname, '../../../scripts/mock-price-server.js');
+
+// Minimal fetch over node http; the test environment has no global fetch
+const httpFetch = (url) => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    let raw = '';
+    res.on('data', (chunk) => {
+      raw += chunk;
+    });
+    res.on('end', () => resolve({
+      ok: res.statusCode < 400,
+      status: res.statusCode,
+      json: async () => JSON.parse(raw)
+    }));
+  }).on('error', reject);
+});
+
+const startServer = (args) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [SERVER_SCRIPT, '--port', '0', ...args]);
+  child.stdout.on('data', (chunk) => {
+    const match = /listening on (http:\/\/localhost:\d+)/.exec(String(chunk));
+    if (match) resolve({ child, baseUrl: match[1] });
+  });
+  child.on('error', reject);
+  child.on('exit', (code) => reject(new Error(`mock price server exited with ${code}`)));
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('crypto quotes against the mock price server', () => {
+  let server;
+  let source;
+
+  beforeAll(async () => {
+    // Big, fast moves so a re-quote lands on a different price
+    server = await startServer(['--volatility', '5', '--tick', '50']);
+    source = createMockSource({ baseUrl: server.baseUrl, fetchImpl: httpFetch });
+  });
+
+  afterAll(() => {
+    server.child.kill();
+  });
+
+  it('serves prices for the requested symbols only', async () => {
+    const prices = await source.getPrices(['BTC', 'USDC', 'DOGE']);
+    expect(Object.keys(prices).sort()).toEqual(['BTC', 'USDC']);
+    expect(prices.BTC.price).toBeGreaterThan(0);
+    expect(prices.BTC.source).toBe('mock');
+    expect(prices.BTC.updatedAt).toBeInstanceOf(Date);
+    // Stablecoins don't walk
+    expect(prices.USDC.price).toBe(1);
+  });
+
+  it('holds the locked rate while the market moves, then refuses it once the lock lapses', async () => {
+    const quotedAt = new Date();
+    const { ETH } = await source.getPrices(['ETH']);
+    const quote = createQuote({
+      usdAmount: 60000, symbol: 'ETH', price: ETH, bufferPct: 2, lockSeconds: 900, now: quotedAt
+    });
+    expect(quote.cryptoAmount).toBeCloseTo((60000 / ETH.price) * 1.02, 10);
+
+    await wait(200);
+    const { ETH: moved } = await source.getPrices(['ETH']);
+    expect(moved.price).not.toBe(ETH.price);
+
+    // Inside the window the buyer still pays at the locked rate
+    const midway = new Date(quotedAt.getTime() + 600 * 1000);
+    expect(quoteSecondsLeft(quote, midway)).toBe(300);
+    expect(lockedPayment(quote, midway)).toMatchObject({ rate: ETH.price, amount: quote.cryptoAmount, usdValue: 60000 });
+
+    // After it, the quote can't be used and has to be re-quoted at the market
+    const lapsed = new Date(quotedAt.getTime() + 900 * 1000);
+    expect(() => lockedPayment(quote, lapsed)).toThrow(QuoteExpiredError);
+    const requote = createQuote({ usdAmount: 60000, symbol: 'ETH', price: moved, bufferPct: 2, now: lapsed });
+    expect(lockedPayment(requote, lapsed).rate).toBe(moved.price);
+  });
+
+  it('treats a quote for other terms as not matching', async () => {
+    const { BTC } = await source.getPrices(['BTC']);
+    const quote = createQuote({ usdAmount: 50000, symbol: 'BTC', price: BTC, bufferPct: 2 });
+    const terms = { usdAmount: 50000, symbol: 'BTC', bufferPct: 2, volatilityProtection: true };
+    expect(quoteMatches(quote, terms)).toBe(true);
+    expect(quoteMatches(quote, { ...terms, usdAmount: 55000 })).toBe(false);
+    expect(quoteMatches(quote, { ...terms, volatilityProtection: false })).toBe(false);
+  });
+
+  it('reports a missing quote as expired', () => {
+    expect(() => lockedPayment(null)).toThrow(QuoteExpiredError);
+  });
+});
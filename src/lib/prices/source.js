@@ -0,0 +1,31 @@
+/**
+ * Price source contract shared by every USD price feed.
+ *
+ * @typedef {Object} Price
+ * @property {number} price       USD per unit
+ * @property {Date}   updatedAt   when the source last updated the price
+ * @property {string} source      name of the source that answered
+ *
+ * @typedef {Object} PriceSource
+ * @property {string} name
+ * @property {(symbols: string[], options?: {signal?: AbortSignal}) => Promise<Object<string, Price>>} getPrices
+ *   Prices for the symbols the source could answer; missing symbols are left out
+ */
+
+// Assets accepted for crypto down payments
+export const CRYPTO_ASSETS = {
+  BTC: { label: 'Bitcoin', decimals: 6 },
+  ETH: { label: 'Ethereum', decimals: 4 },
+  USDC: { label: 'USD Coin', decimals: 2 }
+};
+
+export const CRYPTO_SYMBOLS = Object.keys(CRYPTO_ASSETS);
+
+export class PriceSourceError extends Error {
+  constructor(message, { status, source } = {}) {
+    super(message);
+    this.name = 'PriceSourceError';
+    this.status = status;
+    this.source = source;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Small JSON store over localStorage, namespaced per user.
+ * Writes broadcast a `mak-storage` event so every hook reading the same key
+ * in this tab stays in sync; the native `storage` event covers other tabs.
+ */
+
+const PREFIX = 'mak';
+const CHANGE_EVENT = 'mak-storage';
+const GUEST_USER = 'guest';
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (err) {
+    // Access throws in some privacy modes
+    return null;
+  }
+};
+
+export const readJson = (key, fallback) => {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+export const writeJson = (key, value) => {
+  const storage = getStorage();
+  if (!storage) return;
+  if (value === undefined) {
+    storage.removeItem(key);
+  } else {
+    storage.setItem(key, JSON.stringify(value));
+  }
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { key } }));
+};
+
+export const subscribe = (key, callback) => {
+  const onChange = (e) => {
+    const changedKey = e.type === CHANGE_EVENT ? e.detail.key : e.key;
+    if (changedKey === key) callback();
+  };
+  window.addEventListener(CHANGE_EVENT, onChange);
+  window.addEventListener('storage', onChange);
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, onChange);
+    window.removeEventListener('storage', onChange);
+  };
+};
+
+export const CURRENT_USER_KEY = `${PREFIX}:currentUser`;
+
+export const getCurrentUserId = () => readJson(CURRENT_USER_KEY, GUEST_USER);
+
+export const setCurrentUserId = (userId) => writeJson(CURRENT_USER_KEY, userId || GUEST_USER);
+
+/** Storage key for a per-user collection, e.g. userKey('0xabc', 'favorites') */
+export const userKey = (userId, name) => `${PREFIX}:${String(userId).toLowerCase()}:${name}`;
@@ -0,0 +1,108 @@
+import { toHexChainId } from './networks';
+
+/**
+ * EIP-1193 wallet connectors: the injected browser wallet (MetaMask,
+ * Coinbase Wallet, ...) and WalletConnect.
+ */
+
+export const CONNECTORS = {
+  INJECTED: 'injected',
+  WALLET_CONNECT: 'walletconnect'
+};
+
+export const CONNECTOR_LABELS = {
+  [CONNECTORS.INJECTED]: 'Browser Wallet',
+  [CONNECTORS.WALLET_CONNECT]: 'WalletConnect'
+};
+
+// Remembered so a returning user reconnects without clicking again
+export const LAST_CONNECTOR_KEY = 'mak:wallet:connector';
+
+// EIP-1193 / EIP-3085 error codes
+const USER_REJECTED = 4001;
+const UNRECOGNIZED_CHAIN = 4902;
+
+export class WalletError extends Error {
+  constructor(message, { code, cause } = {}) {
+    super(message);
+    this.name = 'WalletError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+export const isUserRejection = (err) => err?.code === USER_REJECTED || err?.code === 'ACTION_REJECTED';
+
+export const getInjectedProvider = () => (typeof window !== 'undefined' ? window.ethereum : undefined);
+
+const createWalletConnectProvider = async (network) => {
+  const projectId = process.env.REACT_APP_WALLETCONNECT_PROJECT_ID;
+  if (!projectId) {
+    throw new WalletError('WalletConnect is not configured (REACT_APP_WALLETCONNECT_PROJECT_ID)');
+  }
+  // Loaded on demand; the QR modal is only needed when a user picks WalletConnect
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+  return EthereumProvider.init({
+    projectId,
+    chains: [network.chainId],
+    rpcMap: { [network.chainId]: network.rpcUrl },
+    showQrModal: true,
+    metadata: {
+      name: 'MAK Realty Pro',
+      description: 'Fractional real estate on the MAK Platform',
+      url: window.location.origin,
+      icons: []
+    }
+  });
+};
+
+/**
+ * Get an EIP-1193 provider for a connector and request account access.
+ * With `silent`, only reuses an existing authorization (no wallet popup).
+ * @returns {Promise<{ eip1193: object, accounts: string[], chainId: number }>}
+ */
+export const connectWallet = async (connector, network, { silent = false } = {}) => {
+  let eip1193;
+  if (connector === CONNECTORS.INJECTED) {
+    eip1193 = getInjectedProvider();
+    if (!eip1193) throw new WalletError('No browser wallet found. Install MetaMask or use WalletConnect.');
+  } else if (connector === CONNECTORS.WALLET_CONNECT) {
+    eip1193 = await createWalletConnectProvider(network);
+    if (silent && !eip1193.session) return { eip1193, accounts: [], chainId: null };
+    if (!eip1193.session) await eip1193.connect();
+  } else {
+    throw new WalletError(`Unknown wallet connector: ${connector}`);
+  }
+
+  try {
+    const accounts = await eip1193.request({ method: silent ? 'eth_accounts' : 'eth_requestAccounts' });
+    const chainId = Number(await eip1193.request({ method: 'eth_chainId' }));
+    return { eip1193, accounts, chainId };
+  } catch (err) {
+    if (isUserRejection(err)) throw new WalletError('Connection request was rejected', { code: err.code, cause: err });
+    throw err;
+  }
+};
+
+/**
+ * Ask the wallet to switch to a network, adding it first if the wallet does
+ * not know the chain.
+ */
+export const switchWalletChain = async (eip1193, network) => {
+  const chainId = toHexChainId(network.chainId);
+  try {
+    await eip1193.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (err) {
+    if (err?.code !== UNRECOGNIZED_CHAIN) throw err;
+    await eip1193.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: network.label,
+        rpcUrls: [network.rpcUrl],
+        nativeCurrency: { name: network.currency, symbol: network.currency, decimals: 18 },
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+      }]
+    });
+  }
+};
@@ -0,0 +1,8 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ["./src/**/*.{js,jsx}", "./public/index.html"],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
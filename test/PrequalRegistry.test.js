@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PrequalRegistry Contract", function () {
+  const LETTER_ID = ethers.utils.id("PQ-20240601-A1B2C3");
+  const LETTER_HASH = ethers.utils.id('{"borrowerName":"Jane Buyer","maxPurchasePrice":520000}');
+  const NINETY_DAYS = 90 * 24 * 60 * 60;
+
+  async function deployPrequalRegistryFixture() {
+    const [owner, officer, agent] = await ethers.getSigners();
+
+    const PrequalRegistry = await ethers.getContractFactory("PrequalRegistry");
+    const registry = await PrequalRegistry.deploy();
+    await registry.deployed();
+
+    const ISSUER_ROLE = await registry.ISSUER_ROLE();
+    await registry.grantRole(ISSUER_ROLE, officer.address);
+
+    const expiresAt = (await time.latest()) + NINETY_DAYS;
+
+    return { registry, owner, officer, agent, ISSUER_ROLE, expiresAt };
+  }
+
+  describe("Deployment", function () {
+    it("Should give the deployer admin and issuer roles", async function () {
+      const { registry, owner, ISSUER_ROLE } = await loadFixture(deployPrequalRegistryFixture);
+
+      const DEFAULT_ADMIN_ROLE = await registry.DEFAULT_ADMIN_ROLE();
+      expect(await registry.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await registry.hasRole(ISSUER_ROLE, owner.address)).to.equal(true);
+    });
+  });
+
+  describe("Anchoring", function () {
+    it("Should anchor a letter and emit LetterAnchored", async function () {
+      const { registry, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await expect(
+        registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt)
+      ).to.emit(registry, "LetterAnchored")
+        .withArgs(LETTER_ID, LETTER_HASH, officer.address, expiresAt);
+
+      const letter = await registry.getLetter(LETTER_ID);
+      expect(letter.letterHash).to.equal(LETTER_HASH);
+      expect(letter.issuer).to.equal(officer.address);
+      expect(letter.expiresAt).to.equal(expiresAt);
+      expect(letter.revoked).to.equal(false);
+      expect(await registry.letterCount()).to.equal(1);
+    });
+
+    it("Should only let issuers anchor letters", async function () {
+      const { registry, agent, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await expect(
+        registry.connect(agent).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt)
+      ).to.be.reverted;
+    });
+
+    it("Should not anchor the same letter id twice", async function () {
+      const { registry, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      await expect(
+        registry.connect(officer).anchorLetter(LETTER_ID, ethers.utils.id("altered"), expiresAt)
+      ).to.be.revertedWithCustomError(registry, "LetterAlreadyAnchored");
+    });
+
+    it("Should reject an empty hash or a past expiry", async function () {
+      const { registry, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await expect(
+        registry.connect(officer).anchorLetter(LETTER_ID, ethers.constants.HashZero, expiresAt)
+      ).to.be.revertedWithCustomError(registry, "InvalidLetterHash");
+      await expect(
+        registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, await time.latest())
+      ).to.be.revertedWithCustomError(registry, "InvalidExpiry");
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should verify an anchored letter with a matching hash", async function () {
+      const { registry, officer, agent, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      expect(await registry.connect(agent).verifyLetter(LETTER_ID, LETTER_HASH)).to.equal(true);
+    });
+
+    it("Should not verify an altered letter", async function () {
+      const { registry, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      expect(await registry.verifyLetter(LETTER_ID, ethers.utils.id("altered"))).to.equal(false);
+      expect(await registry.verifyLetter(ethers.utils.id("PQ-unknown"), LETTER_HASH)).to.equal(false);
+    });
+
+    it("Should not verify an expired letter", async function () {
+      const { registry, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      await time.increaseTo(expiresAt);
+      expect(await registry.verifyLetter(LETTER_ID, LETTER_HASH)).to.equal(false);
+    });
+
+    it("Should not verify letters from an officer whose role was revoked", async function () {
+      const { registry, officer, ISSUER_ROLE, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      await registry.revokeRole(ISSUER_ROLE, officer.address);
+      expect(await registry.verifyLetter(LETTER_ID, LETTER_HASH)).to.equal(false);
+    });
+  });
+
+  describe("Revocation", function () {
+    it("Should let the issuer revoke a letter", async function () {
+      const { registry, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      await expect(registry.connect(officer).revokeLetter(LETTER_ID))
+        .to.emit(registry, "LetterRevoked")
+        .withArgs(LETTER_ID, officer.address);
+
+      expect((await registry.getLetter(LETTER_ID)).revoked).to.equal(true);
+      expect(await registry.verifyLetter(LETTER_ID, LETTER_HASH)).to.equal(false);
+    });
+
+    it("Should let an admin revoke another officer's letter", async function () {
+      const { registry, owner, officer, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      await expect(registry.connect(owner).revokeLetter(LETTER_ID)).to.not.be.reverted;
+    });
+
+    it("Should not let anyone else revoke a letter", async function () {
+      const { registry, officer, agent, expiresAt } = await loadFixture(deployPrequalRegistryFixture);
+
+      await registry.connect(officer).anchorLetter(LETTER_ID, LETTER_HASH, expiresAt);
+      await expect(
+        registry.connect(agent).revokeLetter(LETTER_ID)
+      ).to.be.revertedWithCustomError(registry, "NotLetterIssuer");
+      await expect(
+        registry.connect(agent).revokeLetter(ethers.utils.id("PQ-unknown"))
+      ).to.be.revertedWithCustomError(registry, "LetterNotFound");
+    });
+  });
+});